@@ -0,0 +1,94 @@
+/**
+ * 绝对集数 - 字幕组发布的动漫常按连续编号命名（"[SubsPlease] Frieren - 17"、"Shingeki no Kyojin - 60"），
+ * 按 TMDb 各季的集数换算成对应的季和集
+ */
+
+/**
+ * 获取按季号排序的正片季（不含第 0 季特别篇）
+ * @param {Array} tmdbSeasons - TMDb 季信息（season_number、episode_count）
+ * @returns {Array}
+ */
+function getRegularSeasons(tmdbSeasons) {
+    return (tmdbSeasons || [])
+        .filter(season => season.season_number > 0 && season.episode_count > 0)
+        .sort((a, b) => a.season_number - b.season_number);
+}
+
+/**
+ * 将绝对集数换算成季和集
+ * @param {number} absoluteNumber - 绝对集数（从 1 开始）
+ * @param {Array} tmdbSeasons - TMDb 季信息（season_number、episode_count）
+ * @returns {{season_number: number, episode_number: number}|null} 超出 TMDb 总集数时返回 null
+ */
+function resolveAbsoluteEpisode(absoluteNumber, tmdbSeasons) {
+    let remaining = absoluteNumber;
+    for (const season of getRegularSeasons(tmdbSeasons)) {
+        if (remaining <= season.episode_count) {
+            return { season_number: season.season_number, episode_number: remaining };
+        }
+        remaining -= season.episode_count;
+    }
+    return null;
+}
+
+/**
+ * 换算季集列表中的绝对集数
+ * 集数超过所在季的 TMDb 集数时才视为绝对集数："Frieren - 17" 仍是第 1 季第 17 集，
+ * 第 1 季只有 25 集时，"Attack on Titan - 26" 换算为第 2 季第 1 集
+ * @param {Array} seasons - 季列表（season_number、episodes[].episode_number）
+ * @param {Array} tmdbSeasons - TMDb 季信息（season_number、episode_count）
+ * @returns {Array} 重新分组并排序后的季列表，换算过的剧集保留 absolute_episode
+ */
+function mapAbsoluteEpisodes(seasons, tmdbSeasons) {
+    const regularSeasons = getRegularSeasons(tmdbSeasons);
+    if (!seasons || seasons.length === 0 || regularSeasons.length === 0) {
+        return seasons;
+    }
+
+    const episodeCounts = new Map(regularSeasons.map(season => [season.season_number, season.episode_count]));
+    const isAbsolute = (season, episode) => {
+        const episodeCount = episodeCounts.get(season.season_number);
+        return !!episodeCount && episode.episode_number > episodeCount;
+    };
+    if (!seasons.some(season => (season.episodes || []).some(episode => isAbsolute(season, episode)))) {
+        return seasons;
+    }
+
+    const result = new Map();
+    const addEpisode = (seasonNumber, episode, template) => {
+        if (!result.has(seasonNumber)) {
+            result.set(seasonNumber, { ...template, season_number: seasonNumber, episodes: [] });
+        }
+        result.get(seasonNumber).episodes.push(episode);
+    };
+
+    for (const season of seasons) {
+        for (const episode of season.episodes || []) {
+            const resolved = isAbsolute(season, episode)
+                ? resolveAbsoluteEpisode(episode.episode_number, regularSeasons)
+                : null;
+
+            if (resolved) {
+                const offset = episode.episode_number - resolved.episode_number;
+                addEpisode(resolved.season_number, {
+                    ...episode,
+                    episode_number: resolved.episode_number,
+                    ...(episode.episode_numbers && { episode_numbers: episode.episode_numbers.map(number => number - offset) }),
+                    absolute_episode: episode.episode_number
+                }, {});
+            } else {
+                addEpisode(season.season_number, episode, season);
+            }
+        }
+    }
+
+    return Array.from(result.values()).map(season => ({
+        ...season,
+        episodes: season.episodes.sort((a, b) => a.episode_number - b.episode_number)
+    })).sort((a, b) => a.season_number - b.season_number);
+}
+
+module.exports = {
+    resolveAbsoluteEpisode,
+    mapAbsoluteEpisodes
+};
@@ -0,0 +1,55 @@
+/**
+ * 插件本地缓存工具 - 统一缓存目录位置及 JSON 读写
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 默认缓存目录（相对 Hexo 根目录）
+const DEFAULT_CACHE_DIR = '.alist-movie-cache';
+
+/**
+ * 获取插件缓存根目录
+ * @param {Object} hexo - Hexo 实例
+ * @returns {string} 缓存根目录绝对路径
+ */
+function getCacheRoot(hexo) {
+    const config = hexo.config.alist_movie_generator || {};
+    const dir = (config.cache && config.cache.dir) || DEFAULT_CACHE_DIR;
+    return path.resolve(hexo.base_dir, dir);
+}
+
+/**
+ * 读取 JSON 文件
+ * @param {string} filePath - 文件路径
+ * @param {*} fallback - 文件不存在或损坏时的默认值
+ * @returns {*} 解析结果
+ */
+function readJson(filePath, fallback) {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (error) {
+        // 缓存损坏时忽略，重新生成
+    }
+    return fallback;
+}
+
+/**
+ * 写入 JSON 文件（自动创建目录）
+ * @param {string} filePath - 文件路径
+ * @param {*} data - 要写入的数据
+ * @param {boolean} pretty - 是否格式化输出
+ */
+function writeJson(filePath, data, pretty = false) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, pretty ? 2 : 0), 'utf8');
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIR,
+    getCacheRoot,
+    readJson,
+    writeJson
+};
@@ -2,6 +2,8 @@
  * 内容检测器 - 负责识别文件类型和媒体内容
  */
 
+const { parseFileName, isSpecialsFolder } = require('./filename-parser');
+
 class ContentDetector {
   constructor(config = {}) {
     this.config = {
@@ -100,6 +102,7 @@ class ContentDetector {
       return {
         type: 'episode',
         title: this.extractTitle(filename),
+        year: this.extractYear(filename),
         season: seasonEpisode.season,
         episode: seasonEpisode.episode,
         file: file
@@ -110,6 +113,7 @@ class ContentDetector {
     return {
       type: 'movie',
       title: this.extractTitle(filename),
+      year: this.extractYear(filename),
       file: file
     };
   }
@@ -118,100 +122,25 @@ class ContentDetector {
    * 提取季集信息
    */
   extractSeasonEpisode(filename) {
-    const patterns = [
-      // S01E01, S1E1 格式
-      /S(\d{1,2})E(\d{1,2})/i,
-      // 第1季第1集 格式
-      /第(\d{1,2})季第(\d{1,2})集/,
-      // Season 1 Episode 1 格式
-      /Season\s*(\d{1,2})\s*Episode\s*(\d{1,2})/i,
-      // 01x01 格式（但避免匹配分辨率）
-      /(?<!\d)(\d{1,2})x(\d{1,2})(?!\d)/,
-      // [01][01] 格式
-      /\[(\d{1,2})\]\[(\d{1,2})\]/
-    ];
-
-    for (const pattern of patterns) {
-      const match = filename.match(pattern);
-      if (match) {
-        const season = parseInt(match[1], 10);
-        const episode = parseInt(match[2], 10);
-        
-        // 过滤明显不合理的匹配（如分辨率）
-        if (season > 50 || episode > 200) {
-          continue;
-        }
-        
-        return {
-          season: season,
-          episode: episode
-        };
-      }
-    }
-
-    // 只有集数的情况
-    const episodeOnlyPatterns = [
-      /E(\d{1,2})/i,
-      /第(\d{1,2})集/,
-      /Episode\s*(\d{1,2})/i
-    ];
-
-    for (const pattern of episodeOnlyPatterns) {
-      const match = filename.match(pattern);
-      if (match) {
-        const episode = parseInt(match[1], 10);
-        
-        // 过滤不合理的集数
-        if (episode > 200) {
-          continue;
-        }
-        
-        return {
-          season: null,
-          episode: episode
-        };
-      }
-    }
-
-    return { season: null, episode: null };
+    const parsed = parseFileName(filename);
+    return {
+      season: parsed.season,
+      episode: parsed.episodes.length > 0 ? parsed.episodes[0] : null
+    };
   }
 
   /**
    * 提取标题（移除年份、分辨率等信息）
    */
   extractTitle(filename) {
-    let title = filename;
-    
-    // 移除文件扩展名
-    title = title.replace(/\.[^.]+$/, '');
-    
-    // 移除年份
-    title = title.replace(/[\(\（]\d{4}[\)\）]/g, '');
-    
-    // 移除分辨率信息
-    title = title.replace(/\d{3,4}[pP]/g, '');
-    
-    // 移除编码信息
-    title = title.replace(/[xX]26[45]/g, '');
-    title = title.replace(/[hH]26[45]/g, '');
-    
-    // 移除音频信息
-    title = title.replace(/AAC|AC3|DTS|TrueHD/gi, '');
-    
-    // 移除来源信息
-    title = title.replace(/BluRay|WEB-DL|HDTV|DVDRip/gi, '');
-    
-    // 移除季集信息
-    title = title.replace(/S\d{1,2}E\d{1,2}/gi, '');
-    title = title.replace(/第\d{1,2}季第\d{1,2}集/g, '');
-    
-    // 移除多余的点、横线、下划线
-    title = title.replace(/[\.\-_]+/g, ' ');
-    
-    // 清理空格
-    title = title.replace(/\s+/g, ' ').trim();
-    
-    return title;
+    return parseFileName(filename).title;
+  }
+
+  /**
+   * 提取年份（区分同名的翻拍作品），没有年份时返回 null
+   */
+  extractYear(filename) {
+    return parseFileName(filename).year;
   }
 
   /**
@@ -226,6 +155,14 @@ class ContentDetector {
       /^S(\d{1,2})\s/i
     ];
 
+    // Specials、SP、特别篇等对应 TMDb 第 0 季
+    if (isSpecialsFolder(folderName)) {
+      return {
+        season: 0,
+        original: folderName
+      };
+    }
+
     for (const pattern of patterns) {
       const match = folderName.match(pattern);
       if (match) {
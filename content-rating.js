@@ -0,0 +1,156 @@
+/**
+ * 内容分级 - 按 TMDb 分级（content_ratings）和成人标记限制生成的内容
+ *
+ * 各地区的分级换算为统一的级别，便于比较和在列表页的“儿童模式”中过滤：
+ * 0 所有年龄、1 7岁以上、2 建议家长指导、3 12-14岁以上、4 15-17岁以上、5 成人、6 限制级成人内容
+ */
+
+const RATING_LEVELS = {
+    US: {
+        'G': 0, 'TV-Y': 0, 'TV-G': 0, 'TV-Y7': 1, 'TV-Y7-FV': 1, 'PG': 2, 'TV-PG': 2,
+        'PG-13': 3, 'TV-14': 3, 'R': 4, 'TV-MA': 4, 'NC-17': 5
+    },
+    CN: { 'G': 0, 'PG': 2, 'PG-13': 3, 'R': 4, 'NC-17': 5 },
+    GB: { 'U': 0, 'PG': 2, '12': 3, '12A': 3, '15': 4, '18': 5, 'R18': 6 },
+    CA: { 'G': 0, 'C': 0, 'C8': 1, 'PG': 2, '14A': 3, '14+': 3, '18A': 4, 'R': 5, '18+': 5 },
+    AU: { 'G': 0, 'P': 0, 'C': 0, 'PG': 2, 'M': 3, 'MA15+': 4, 'AV15+': 4, 'R18+': 5, 'X18+': 6 },
+    JP: { 'G': 0, 'PG12': 3, 'R15+': 4, 'R18+': 5 },
+    KR: { 'ALL': 0, '7': 1, '12': 3, '15': 4, '18': 5, '19': 5 },
+    HK: { 'I': 0, 'IIA': 2, 'IIB': 3, 'III': 5 },
+    TW: { '0+': 0, '6+': 1, '12+': 3, '15+': 4, '18+': 5 }
+};
+
+// 未配置 content_rating.max 时，列表页按以下地区的分级计算级别
+const DEFAULT_COUNTRIES = ['US', 'CN', 'GB', 'CA', 'AU', 'JP', 'KR', 'HK', 'TW'];
+
+/**
+ * 将年龄换算为级别（用于 DE、FR 等以年龄表示的分级）
+ * @param {number} age - 最低年龄
+ * @returns {number}
+ */
+function ageToLevel(age) {
+    if (age <= 0) return 0;
+    if (age <= 7) return 1;
+    if (age <= 10) return 2;
+    if (age <= 14) return 3;
+    if (age <= 17) return 4;
+    return 5;
+}
+
+/**
+ * 获取分级对应的级别
+ * @param {string} country - 国家代码（ISO 3166-1）
+ * @param {string} rating - 分级
+ * @returns {number|null} 无法识别时返回 null
+ */
+function getRatingLevel(country, rating) {
+    const normalized = String(rating || '').trim().toUpperCase();
+    if (!normalized) return null;
+
+    const levels = RATING_LEVELS[String(country || '').toUpperCase()];
+    if (levels && levels[normalized] !== undefined) {
+        return levels[normalized];
+    }
+
+    // DE "16"、FR "-12"、BR "14" 等直接以年龄表示的分级
+    const ageMatch = normalized.match(/^-?(\d{1,2})\+?$/);
+    return ageMatch ? ageToLevel(parseInt(ageMatch[1], 10)) : null;
+}
+
+/**
+ * 获取条目在指定地区的分级
+ * @param {Object} movie - 影视条目
+ * @param {string} country - 国家代码
+ * @returns {string|null}
+ */
+function findRating(movie, country) {
+    const rating = (movie.content_ratings || []).find(item => item.iso_3166_1 === country && item.rating);
+    return rating ? rating.rating : null;
+}
+
+/**
+ * 获取条目的级别（按地区顺序取第一个可识别的分级）
+ * @param {Object} movie - 影视条目
+ * @param {Array<string>} [countries] - 地区顺序
+ * @returns {number|null} 没有可识别的分级时返回 null（成人内容为 6）
+ */
+function getMovieLevel(movie, countries = DEFAULT_COUNTRIES) {
+    if (movie.adult) return 6;
+
+    for (const country of countries) {
+        const level = getRatingLevel(country, findRating(movie, country));
+        if (level !== null) return level;
+    }
+    return null;
+}
+
+/**
+ * 判断条目是否受限
+ * @param {Object} movie - 影视条目
+ * @param {Object} options - content_rating 配置
+ * @returns {boolean}
+ */
+function isRestricted(movie, options) {
+    if (options.hide_adult !== false && movie.adult) {
+        return true;
+    }
+
+    let rated = false;
+    for (const [country, maxRating] of Object.entries(options.max || {})) {
+        const rating = findRating(movie, country.toUpperCase());
+        const level = getRatingLevel(country, rating);
+        const maxLevel = getRatingLevel(country, maxRating);
+        if (level === null || maxLevel === null) continue;
+
+        rated = true;
+        if (level > maxLevel) return true;
+    }
+
+    // 配置的地区都没有分级的条目
+    return !rated && options.unrated === 'hide' && Object.keys(options.max || {}).length > 0;
+}
+
+/**
+ * 按 content_rating 配置拆分条目
+ * restricted: exclude（默认）不生成受限条目；hidden 生成到不在列表页中链接的单独路由
+ * @param {Array} movies - 影视条目
+ * @param {Object} [config] - content_rating 配置
+ * @param {Object} [log] - 日志对象
+ * @returns {{movies: Array, hidden: Array}} 公开的条目和单独路由中的条目
+ */
+function filterByContentRating(movies, config, log) {
+    if (!config || config.enable === false) {
+        return { movies, hidden: [] };
+    }
+
+    const allowed = [];
+    const restricted = [];
+    for (const movie of movies) {
+        (isRestricted(movie, config) ? restricted : allowed).push(movie);
+    }
+
+    if (restricted.length > 0 && log) {
+        const action = config.restricted === 'hidden' ? '移至单独路由' : '不生成页面';
+        log.info(`内容分级: ${restricted.length} 个条目超出允许的分级，${action}`);
+    }
+
+    return { movies: allowed, hidden: config.restricted === 'hidden' ? restricted : [] };
+}
+
+/**
+ * 列表页使用的地区顺序（优先使用配置了最高分级的地区）
+ * @param {Object} [config] - content_rating 配置
+ * @returns {Array<string>}
+ */
+function getRatingCountries(config) {
+    const configured = Object.keys((config && config.max) || {}).map(country => country.toUpperCase());
+    return [...new Set([...configured, ...DEFAULT_COUNTRIES])];
+}
+
+module.exports = {
+    getRatingLevel,
+    getMovieLevel,
+    isRestricted,
+    filterByContentRating,
+    getRatingCountries
+};
@@ -0,0 +1,141 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// 弹弹play 计算文件 Hash 时使用的数据长度（前16MB）
+const HASH_BYTES = 16 * 1024 * 1024;
+
+class DandanplayAPI {
+    constructor(config, log) {
+        this.config = config;
+        this.log = log;
+
+        const headers = {};
+        if (config.app_id) headers['X-AppId'] = config.app_id;
+        if (config.app_secret) headers['X-AppSecret'] = config.app_secret;
+
+        this.api = axios.create({
+            baseURL: config.base_url || 'https://api.dandanplay.net',
+            headers: headers,
+            timeout: 15000
+        });
+    }
+
+    /**
+     * 使用文件名、Hash、文件长度寻找文件对应的弹幕库
+     * @param {string} fileName - 视频文件名（不包含文件夹名称和扩展名）
+     * @param {object} options - 匹配选项
+     * @param {string} [options.fileHash] - 文件前16MB数据的MD5
+     * @param {number} [options.fileSize] - 文件总长度
+     * @returns {Promise<object|null>} 匹配结果，包含 isMatched 和 matches
+     */
+    async match(fileName, options = {}) {
+        const { fileHash = null, fileSize = 0 } = options;
+
+        try {
+            const response = await this.api.post('/api/v2/match', {
+                fileName: fileName,
+                fileHash: fileHash,
+                fileSize: fileSize,
+                matchMode: fileHash ? 'hashAndFileName' : 'fileNameOnly'
+            });
+
+            const data = response.data;
+            if (!data || data.success === false) {
+                this.log.warn(`弹幕匹配失败 "${fileName}": ${data && data.errorMessage}`);
+                return null;
+            }
+
+            return {
+                isMatched: !!data.isMatched,
+                matches: data.matches || []
+            };
+
+        } catch (error) {
+            this.log.warn(`弹幕匹配请求失败 "${fileName}": ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 根据作品标题和集数搜索弹幕库
+     * @param {string} anime - 作品标题
+     * @param {number|string} [episode] - 集数，'movie' 表示仅保留剧场版
+     * @returns {Promise<Array>} 作品列表，每个作品包含 episodes
+     */
+    async searchEpisodes(anime, episode = null) {
+        try {
+            const params = { anime: anime };
+            if (episode !== null && episode !== undefined) {
+                params.episode = episode;
+            }
+
+            const response = await this.api.get('/api/v2/search/episodes', { params });
+
+            const data = response.data;
+            if (!data || data.success === false) {
+                return [];
+            }
+
+            return data.animes || [];
+
+        } catch (error) {
+            this.log.warn(`弹幕库搜索失败 "${anime}": ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 获取指定弹幕库的所有弹幕
+     * @param {number} episodeId - 弹幕库编号
+     * @param {object} options - 选项参数
+     * @returns {Promise<Array|null>} 弹幕列表，失败时返回 null
+     */
+    async getComments(episodeId, options = {}) {
+        const {
+            withRelated = true,
+            chConvert = 0
+        } = options;
+
+        try {
+            const response = await this.api.get(`/api/v2/comment/${episodeId}`, {
+                params: {
+                    withRelated: withRelated,
+                    chConvert: chConvert
+                },
+                timeout: 30000
+            });
+
+            return response.data.comments || [];
+
+        } catch (error) {
+            this.log.warn(`获取弹幕失败 (Episode ID: ${episodeId}): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 计算远程文件前16MB的MD5（弹弹play的文件Hash）
+     * @param {string} url - 文件下载地址
+     * @returns {Promise<string|null>} 32位MD5，失败时返回 null
+     */
+    async computeFileHash(url) {
+        try {
+            const response = await axios.get(url, {
+                headers: { Range: `bytes=0-${HASH_BYTES - 1}` },
+                responseType: 'arraybuffer',
+                maxContentLength: HASH_BYTES * 2,
+                timeout: 120000
+            });
+
+            // 服务器不支持 Range 时会返回完整文件，只取前16MB
+            const buffer = Buffer.from(response.data).subarray(0, HASH_BYTES);
+            return crypto.createHash('md5').update(buffer).digest('hex');
+
+        } catch (error) {
+            this.log.warn(`计算文件Hash失败 ${url}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = DandanplayAPI;
@@ -0,0 +1,298 @@
+/**
+ * 弹幕系统 - 为影视条目匹配弹弹play弹幕库，并输出静态弹幕文件供播放器读取
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DandanplayAPI = require('./dandanplay-api');
+const { getCacheRoot, readJson, writeJson } = require('./cache-utils');
+
+// 弹幕模式：1-普通(滚动)弹幕，4-底部弹幕，5-顶部弹幕
+const SUPPORTED_MODES = [1, 4, 5];
+
+/**
+ * 获取弹幕缓存目录
+ * @param {Object} hexo - Hexo 实例
+ * @returns {string} 缓存目录路径
+ */
+function getDanmakuCacheDir(hexo) {
+    return path.join(getCacheRoot(hexo), 'danmaku');
+}
+
+/**
+ * 收集条目中所有可播放的视频对象（剧集、片源、文件，含聚合版本）
+ * @param {Object} movie - 影视条目
+ * @returns {Array} 可播放对象列表
+ */
+function collectPlayableItems(movie) {
+    const items = [];
+
+    const visit = (container) => {
+        (container.files || []).forEach(file => {
+            items.push({ target: file, episode: file.episode || null });
+        });
+        (container.sources || []).forEach(source => {
+            items.push({ target: source, episode: null });
+        });
+        (container.seasons || []).forEach(season => {
+            (season.episodes || []).forEach(episode => {
+                items.push({ target: episode, episode: episode.episode_number || episode.episode || null });
+            });
+        });
+    };
+
+    visit(movie);
+    (movie.versions || []).forEach(visit);
+
+    return items.filter(item => item.target && (item.target.path || item.target.url));
+}
+
+/**
+ * 获取用于匹配的文件名（不包含文件夹名称和扩展名）
+ * @param {Object} target - 剧集/片源/文件对象
+ * @returns {string} 文件名
+ */
+function getMatchFileName(target) {
+    const fileName = target.path
+        ? path.posix.basename(target.path)
+        : (target.file_name || target.name || '');
+    return fileName.replace(/\.[^/.]+$/, '');
+}
+
+/**
+ * 判断条目是否为动画（TMDb 流派ID 16）
+ * @param {Object} movie - 影视条目
+ * @returns {boolean}
+ */
+function isAnimation(movie) {
+    if (movie.genres && movie.genres.some(genre => genre.id === 16)) {
+        return true;
+    }
+    return (movie.genre_names || []).some(name => /动画|Animation/i.test(name));
+}
+
+/**
+ * 匹配单个视频文件对应的弹幕库
+ * @param {DandanplayAPI} api - 弹弹play API 客户端
+ * @param {Object} item - 可播放对象
+ * @param {Object} movie - 所属影视条目
+ * @param {Object} options - 弹幕配置
+ * @returns {Promise<Object|null>} 弹幕库信息
+ */
+async function matchPlayableItem(api, item, movie, options) {
+    const target = item.target;
+    const fileName = getMatchFileName(target);
+
+    let fileHash = null;
+    if (options.match_by_hash && target.url) {
+        fileHash = await api.computeFileHash(target.url);
+    }
+
+    const result = await api.match(fileName, {
+        fileHash: fileHash,
+        fileSize: target.size || 0
+    });
+
+    let match = null;
+    if (result && result.matches.length > 0 && (result.isMatched || options.accept_fuzzy !== false)) {
+        match = result.matches[0];
+    }
+
+    if (match) {
+        return {
+            episode_id: match.episodeId,
+            anime_id: match.animeId,
+            anime_title: match.animeTitle,
+            episode_title: match.episodeTitle,
+            shift: match.shift || 0,
+            exact: !!(result && result.isMatched)
+        };
+    }
+
+    // 文件名匹配失败时，使用作品标题 + 集数搜索
+    const animeTitle = movie.original_name || movie.original_title || movie.title;
+    if (!animeTitle || animeTitle.length < 2) {
+        return null;
+    }
+
+    const episodeKeyword = movie.media_type === 'movie' ? 'movie' : item.episode;
+    const animes = await api.searchEpisodes(animeTitle, episodeKeyword);
+    const anime = animes.find(a => a.episodes && a.episodes.length > 0);
+    if (!anime) {
+        return null;
+    }
+
+    return {
+        episode_id: anime.episodes[0].episodeId,
+        anime_id: anime.animeId,
+        anime_title: anime.animeTitle,
+        episode_title: anime.episodes[0].episodeTitle,
+        shift: 0,
+        exact: false
+    };
+}
+
+/**
+ * 将弹弹play返回的弹幕转换为播放器使用的紧凑格式
+ * @param {Array} comments - 原始弹幕列表 ({cid, p, m})
+ * @param {number} maxComments - 最大弹幕数量
+ * @returns {Array} [时间, 模式, 颜色, 内容] 数组
+ */
+function compactComments(comments, maxComments) {
+    const compacted = [];
+
+    for (const comment of comments) {
+        if (!comment || !comment.p || !comment.m) continue;
+
+        const [time, mode, color] = comment.p.split(',');
+        const modeNumber = parseInt(mode, 10);
+        if (!SUPPORTED_MODES.includes(modeNumber)) continue;
+
+        compacted.push([
+            Math.round(parseFloat(time) * 100) / 100,
+            modeNumber,
+            parseInt(color, 10) || 16777215,
+            comment.m
+        ]);
+    }
+
+    compacted.sort((a, b) => a[0] - b[0]);
+
+    // 弹幕过多时均匀抽样，保证整部影片都有弹幕
+    if (maxComments > 0 && compacted.length > maxComments) {
+        const step = compacted.length / maxComments;
+        const sampled = [];
+        for (let i = 0; i < maxComments; i++) {
+            sampled.push(compacted[Math.floor(i * step)]);
+        }
+        return sampled;
+    }
+
+    return compacted;
+}
+
+/**
+ * 为影视条目匹配弹幕库，并下载弹幕到本地缓存
+ * 匹配结果写入剧集/片源/文件对象的 danmaku 字段
+ * @param {Array} movies - 影视条目列表
+ * @param {Object} hexo - Hexo 实例
+ */
+async function attachDanmaku(movies, hexo) {
+    const config = hexo.config.alist_movie_generator || {};
+    const options = config.danmaku || {};
+    const log = hexo.log;
+
+    if (!options.enable || !movies || movies.length === 0) {
+        return;
+    }
+
+    const api = new DandanplayAPI(options, log);
+    const cacheDir = getDanmakuCacheDir(hexo);
+    const commentsDir = path.join(cacheDir, 'comments');
+    const matchesPath = path.join(cacheDir, 'matches.json');
+    fs.mkdirSync(commentsDir, { recursive: true });
+
+    const refreshMs = (options.refresh_hours || 24) * 3600 * 1000;
+    const maxComments = options.max_comments !== undefined ? options.max_comments : 8000;
+    const matchCache = readJson(matchesPath, {});
+    const episodeIds = new Set();
+    let matchedCount = 0;
+
+    log.info('开始匹配弹幕库...');
+
+    for (const movie of movies) {
+        if (options.only_animation && !isAnimation(movie)) {
+            continue;
+        }
+
+        for (const item of collectPlayableItems(movie)) {
+            const cacheKey = item.target.path || item.target.url;
+            let cached = matchCache[cacheKey];
+
+            // 未匹配的结果在刷新周期后重新尝试
+            const expired = !cached || (!cached.info && Date.now() - cached.matched_at > refreshMs);
+            if (expired) {
+                const info = await matchPlayableItem(api, item, movie, options);
+                cached = { info: info, matched_at: Date.now() };
+                matchCache[cacheKey] = cached;
+            }
+
+            if (cached.info) {
+                item.target.danmaku = cached.info;
+                episodeIds.add(cached.info.episode_id);
+                matchedCount++;
+            }
+        }
+    }
+
+    writeJson(matchesPath, matchCache, true);
+
+    // 下载弹幕（超过刷新周期的弹幕库重新下载）
+    let downloadedCount = 0;
+    for (const episodeId of episodeIds) {
+        const commentsPath = path.join(commentsDir, `${episodeId}.json`);
+        if (fs.existsSync(commentsPath) && Date.now() - fs.statSync(commentsPath).mtimeMs < refreshMs) {
+            continue;
+        }
+
+        const comments = await api.getComments(episodeId, {
+            withRelated: options.with_related !== false,
+            chConvert: options.ch_convert || 0
+        });
+        if (!comments) continue;
+
+        const compacted = compactComments(comments, maxComments);
+        writeJson(commentsPath, {
+            episode_id: episodeId,
+            count: compacted.length,
+            comments: compacted
+        });
+        downloadedCount++;
+    }
+
+    log.info(`弹幕匹配完成: ${matchedCount} 个视频关联到 ${episodeIds.size} 个弹幕库（本次下载 ${downloadedCount} 个）`);
+}
+
+/**
+ * 生成弹幕静态文件路由
+ * @param {Object} hexo - Hexo 实例
+ * @param {Array} movies - 影视条目列表
+ * @param {string} route - 页面路由
+ * @returns {Array<{path:string, data:Function}>}
+ */
+function getDanmakuRoutes(hexo, movies, route) {
+    const config = hexo.config.alist_movie_generator || {};
+    if (!config.danmaku || !config.danmaku.enable) {
+        return [];
+    }
+
+    const commentsDir = path.join(getDanmakuCacheDir(hexo), 'comments');
+    const episodeIds = new Set();
+
+    for (const movie of movies) {
+        for (const item of collectPlayableItems(movie)) {
+            if (item.target.danmaku) {
+                episodeIds.add(item.target.danmaku.episode_id);
+            }
+        }
+    }
+
+    const routes = [];
+    for (const episodeId of episodeIds) {
+        const commentsPath = path.join(commentsDir, `${episodeId}.json`);
+        if (fs.existsSync(commentsPath)) {
+            routes.push({
+                path: `${route}/danmaku/${episodeId}.json`,
+                data: () => fs.createReadStream(commentsPath)
+            });
+        }
+    }
+
+    return routes;
+}
+
+module.exports = {
+    attachDanmaku,
+    getDanmakuRoutes,
+    compactComments
+};
@@ -0,0 +1,174 @@
+/**
+ * 剧集元数据 - 为电视剧的每一集补充 TMDb 标题、剧照、时长、播出日期和简介，并列出库中缺失的剧集
+ */
+
+/**
+ * 获取剧集元数据配置
+ * @param {Object} hexo - Hexo 实例
+ * @returns {{enable: boolean, missing_episodes: boolean}}
+ */
+function getEpisodeMetadataOptions(hexo) {
+    const config = hexo.config.alist_movie_generator || {};
+    const options = config.episode_metadata === false ? { enable: false } : (config.episode_metadata || {});
+    return {
+        enable: options.enable !== false,
+        missing_episodes: options.missing_episodes !== false
+    };
+}
+
+/**
+ * 判断剧集是否已播出
+ * @param {string} airDate - 播出日期（YYYY-MM-DD）
+ * @param {string} today - 今天（YYYY-MM-DD）
+ * @returns {boolean}
+ */
+function hasAired(airDate, today) {
+    return !!airDate && airDate <= today;
+}
+
+/**
+ * 将 TMDb 剧集信息合并到库中的剧集对象
+ * 一个文件包含多集时（episode_numbers），标题依次拼接、时长相加，其余信息取第一集
+ * @param {Object} episode - 库中的剧集（episode_number、name、url、path 等）
+ * @param {Array<Object>} detailsList - 文件包含的各集 TMDb 剧集信息
+ * @returns {Object}
+ */
+function mergeEpisode(episode, detailsList) {
+    const details = detailsList[0];
+    const runtime = detailsList.reduce((total, item) => total + (item.runtime || 0), 0);
+    return {
+        ...episode,
+        // 保留原始文件名，name 改为 TMDb 剧集标题
+        file_name: episode.file_name || episode.name,
+        name: detailsList.map(item => item.name).filter(Boolean).join(' / ') || episode.name,
+        overview: details.overview || '',
+        still_path: details.still_path || null,
+        air_date: details.air_date || null,
+        runtime: runtime || null,
+        vote_average: details.vote_average || 0,
+        tmdb_episode_id: details.id
+    };
+}
+
+/**
+ * 转换为缺失剧集条目
+ * @param {Object} details - TMDb 剧集信息
+ * @param {number} seasonNumber - 季数
+ * @returns {Object}
+ */
+function toMissingEpisode(details, seasonNumber) {
+    return {
+        season_number: seasonNumber,
+        episode_number: details.episode_number,
+        name: details.name || '',
+        air_date: details.air_date || null,
+        still_path: details.still_path || null,
+        overview: details.overview || ''
+    };
+}
+
+/**
+ * 为单部电视剧补充剧集元数据
+ * @param {Object} show - 电视剧条目（需要 original_tmdb_id 和 seasons）
+ * @param {Object} tmdbAPI - TMDbAPI 实例
+ * @param {Object} options - 剧集元数据配置
+ * @returns {Promise<{enriched: number, missing: number}>}
+ */
+async function enrichShow(show, tmdbAPI, options) {
+    const tmdbId = show.original_tmdb_id;
+    const today = new Date().toISOString().slice(0, 10);
+    const librarySeasons = new Map((show.seasons || []).map(season => [season.season_number, season]));
+
+    // 库中已有的季，以及（检查缺失剧集时）TMDb 中的所有正片季
+    const seasonNumbers = new Set(librarySeasons.keys());
+    if (options.missing_episodes) {
+        for (let number = 1; number <= (show.number_of_seasons || 0); number++) {
+            seasonNumbers.add(number);
+        }
+    }
+
+    const missingEpisodes = [];
+    let enriched = 0;
+
+    for (const seasonNumber of [...seasonNumbers].sort((a, b) => a - b)) {
+        const seasonDetails = await tmdbAPI.getLocalizedSeasonDetails(tmdbId, seasonNumber, { append_to_response: '' }, show.original_language);
+        if (!seasonDetails || !seasonDetails.episodes) continue;
+
+        const detailsByNumber = new Map(seasonDetails.episodes.map(episode => [episode.episode_number, episode]));
+        const season = librarySeasons.get(seasonNumber);
+        const owned = new Set();
+
+        if (season) {
+            season.name = seasonDetails.name || season.name;
+            season.overview = seasonDetails.overview || '';
+            season.poster_path = seasonDetails.poster_path || null;
+            season.air_date = seasonDetails.air_date || null;
+            season.tmdb_episode_count = seasonDetails.episodes.length;
+
+            season.episodes = (season.episodes || []).map(episode => {
+                const numbers = episode.episode_numbers || [episode.episode_number];
+                numbers.forEach(number => owned.add(number));
+                const detailsList = numbers.map(number => detailsByNumber.get(number)).filter(Boolean);
+                if (detailsList.length === 0) return episode;
+                enriched++;
+                return mergeEpisode(episode, detailsList);
+            });
+        }
+
+        // 特别篇（第 0 季）不计入缺失剧集
+        if (options.missing_episodes && seasonNumber > 0) {
+            seasonDetails.episodes
+                .filter(details => !owned.has(details.episode_number) && hasAired(details.air_date, today))
+                .forEach(details => missingEpisodes.push(toMissingEpisode(details, seasonNumber)));
+        }
+    }
+
+    if (options.missing_episodes) {
+        show.missing_episodes = missingEpisodes;
+    }
+
+    return { enriched, missing: missingEpisodes.length };
+}
+
+/**
+ * 为所有电视剧条目补充剧集元数据
+ * @param {Array} movies - 影视条目列表
+ * @param {Object} tmdbAPI - TMDbAPI 实例
+ * @param {Object} hexo - Hexo 实例
+ */
+async function attachEpisodeMetadata(movies, tmdbAPI, hexo) {
+    const options = getEpisodeMetadataOptions(hexo);
+    const log = hexo.log;
+
+    if (!options.enable || !movies || movies.length === 0) {
+        return;
+    }
+
+    const shows = movies.filter(movie => movie.media_type === 'tv' && movie.original_tmdb_id && movie.seasons);
+    if (shows.length === 0) {
+        return;
+    }
+
+    log.info(`剧集元数据: 开始获取 ${shows.length} 部电视剧的分集信息...`);
+
+    let enrichedCount = 0;
+    let missingCount = 0;
+    for (const show of shows) {
+        try {
+            const { enriched, missing } = await enrichShow(show, tmdbAPI, options);
+            enrichedCount += enriched;
+            missingCount += missing;
+            if (missing > 0) {
+                log.info(`  ${show.title}: 缺失 ${missing} 集`);
+            }
+        } catch (error) {
+            log.warn(`获取剧集元数据失败 ${show.title}: ${error.message}`);
+        }
+    }
+
+    log.info(`剧集元数据: 已补充 ${enrichedCount} 集${options.missing_episodes ? `, 缺失 ${missingCount} 集` : ''}`);
+}
+
+module.exports = {
+    attachEpisodeMetadata
+};
@@ -0,0 +1,650 @@
+/**
+ * 文件名解析 - 从影视文件名（或文件夹名）中提取标题、年份、季集和发布信息
+ * index.js、ContentDetector、PathAnalyzer 和 TMDbAPI 都通过 parseFileName 解析文件名
+ */
+
+// 解析前去掉的扩展名（视频、字幕和常见附属文件）
+const EXTENSION_PATTERN = /\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v|ts|m2ts|rmvb|rm|mpe?g|iso|srt|ass|ssa|vtt|sub|idx|sup|nfo)$/i;
+
+// 普通标记两侧不能紧挨字母或数字（\b 无法处理下划线和中文）
+const LATIN_BOUNDARY_BEFORE = '(?<![A-Za-z0-9])';
+const LATIN_BOUNDARY_AFTER = '(?![A-Za-z0-9])';
+
+/**
+ * 创建带边界的不区分大小写的正则
+ * @param {string} source - 正则内容
+ * @returns {RegExp}
+ */
+function token(source) {
+    return new RegExp(`${LATIN_BOUNDARY_BEFORE}(?:${source})${LATIN_BOUNDARY_AFTER}`, 'i');
+}
+
+/**
+ * 创建区分大小写的带边界正则（用于 WEB、BD 等容易与标题单词混淆的缩写）
+ * @param {string} source - 正则内容
+ * @returns {RegExp}
+ */
+function exactToken(source) {
+    return new RegExp(`${LATIN_BOUNDARY_BEFORE}(?:${source})${LATIN_BOUNDARY_AFTER}`);
+}
+
+// weak 表示英文单词形式的标记（如 English、Extended），也可能是标题或单集标题的一部分，
+// 只有出现在年份、季集或分辨率等明确标记之后，并且全大写或后面还有明确标记时才会识别
+const RESOLUTIONS = [
+    { name: '2160p', pattern: token('2160[pi]|4K|UHD|3840x2160') },
+    { name: '1080p', pattern: token('1080p|1920x1080|FHD') },
+    { name: '1080i', pattern: token('1080i') },
+    { name: '720p', pattern: token('720p|1280x720') },
+    { name: '576p', pattern: token('576[pi]') },
+    { name: '480p', pattern: token('480[pi]') }
+];
+
+const SOURCES = [
+    { name: 'BluRay Remux', pattern: token('(?:Blu-?Ray|BD)[ .-]?Remux|Remux') },
+    { name: 'BDRip', pattern: token('BDRip|BRRip') },
+    { name: 'BluRay', pattern: token('Blu-?Ray|BDMV|BD25|BD50') },
+    { name: 'BluRay', pattern: exactToken('BD') },
+    { name: 'WEB-DL', pattern: token('WEB-?DL') },
+    { name: 'WEBRip', pattern: token('WEB-?Rip') },
+    { name: 'WEB-DL', pattern: exactToken('WEB') },
+    { name: 'HDTV', pattern: token('HDTV|PDTV') },
+    { name: 'HDRip', pattern: token('HDRip') },
+    { name: 'DVDRip', pattern: token('DVD-?Rip') },
+    { name: 'DVD', pattern: token('DVD(?:5|9|R|Scr)?') },
+    { name: 'CAM', pattern: token('HDCAM|CAMRip') },
+    { name: 'CAM', pattern: token('CAM'), weak: true },
+    { name: 'TS', pattern: token('HDTS|TeleSync') },
+    { name: 'TC', pattern: token('HDTC|TeleCine') }
+];
+
+const CODECS = [
+    { name: 'H.265', pattern: token('[xh]\\.?265|HEVC') },
+    { name: 'H.264', pattern: token('[xh]\\.?264|AVC') },
+    { name: 'AV1', pattern: token('AV1') },
+    { name: 'VP9', pattern: token('VP9') },
+    { name: 'XviD', pattern: token('XviD') },
+    { name: 'DivX', pattern: token('DivX') },
+    { name: 'MPEG-2', pattern: token('MPEG-?2') }
+];
+
+const EDITIONS = [
+    { name: "Director's Cut", pattern: /导演剪辑版|导演版/ },
+    { name: "Director's Cut", pattern: token("Director'?s[ ._-]?Cut"), weak: true },
+    { name: 'Extended', pattern: /加长版/ },
+    { name: 'Extended', pattern: token('Extended(?:[ ._-]?(?:Cut|Edition))?'), weak: true },
+    { name: 'Unrated', pattern: /[未无]删减版?/ },
+    { name: 'Unrated', pattern: token('Unrated'), weak: true },
+    { name: 'Uncut', pattern: token('Uncut'), weak: true },
+    { name: 'Final Cut', pattern: token('Final[ ._-]?Cut'), weak: true },
+    { name: 'Ultimate Cut', pattern: token('Ultimate[ ._-]?Cut'), weak: true },
+    { name: 'Special Edition', pattern: token('Special[ ._-]?Edition'), weak: true },
+    { name: "Collector's Edition", pattern: token("Collector'?s[ ._-]?Edition"), weak: true },
+    { name: 'Anniversary Edition', pattern: token('(?:\\d+th[ ._-]?)?Anniversary[ ._-]?Edition'), weak: true },
+    { name: 'Criterion', pattern: token('Criterion'), weak: true },
+    { name: 'Remastered', pattern: /重制版|修复版/ },
+    { name: 'Remastered', pattern: token('(?:4K[ ._-]?)?Remastered|Restored'), weak: true },
+    { name: 'IMAX', pattern: token('IMAX'), weak: true }
+];
+
+const LANGUAGES = [
+    { code: 'zh-ja', pattern: /中日(?:双语|双字|字幕)?|[简繁]日/ },
+    { code: 'yue', pattern: /粤语|粤配|国粤/ },
+    { code: 'zh-en', pattern: /中英(?:双语|双字|字幕)?|[简繁]英|双语(?:字幕)?/ },
+    { code: 'zh-en', pattern: exactToken('(?:CHS|CHT)[&_.+]?ENG') },
+    { code: 'zh-Hans', pattern: /简体|简中/ },
+    { code: 'zh-Hans', pattern: exactToken('CHS|GB|SC') },
+    { code: 'zh-Hant', pattern: /繁体|繁體|繁中/ },
+    { code: 'zh-Hant', pattern: exactToken('CHT|BIG5|TC') },
+    { code: 'zh', pattern: /国语|国配|中字|中文字幕/ },
+    { code: 'ja', pattern: /日语|日配/ },
+    { code: 'ja', pattern: exactToken('JPN|JP') },
+    { code: 'ko', pattern: /韩语/ },
+    { code: 'multi', pattern: token('MULTi|Dual[ .-]?Audio') },
+    { code: 'fr', pattern: exactToken('FRENCH|TRUEFRENCH|VFF|VFQ') },
+    { code: 'de', pattern: exactToken('GERMAN') },
+    { code: 'it', pattern: exactToken('ITA') },
+    { code: 'ru', pattern: exactToken('RUS') },
+    { code: 'en', pattern: exactToken('ENG') },
+    { code: 'yue', pattern: token('Cantonese'), weak: true },
+    { code: 'zh', pattern: token('Mandarin|Chinese'), weak: true },
+    { code: 'ja', pattern: token('Japanese'), weak: true },
+    { code: 'ko', pattern: token('Korean'), weak: true },
+    { code: 'fr', pattern: token('French'), weak: true },
+    { code: 'de', pattern: token('German'), weak: true },
+    { code: 'es', pattern: token('Spanish|Castellano'), weak: true },
+    { code: 'it', pattern: token('Italian'), weak: true },
+    { code: 'ru', pattern: token('Russian'), weak: true },
+    { code: 'en', pattern: token('English'), weak: true }
+];
+
+// 其他发布信息：只用来确定标题结束的位置，不单独返回
+const OTHER_MARKERS = [
+    { pattern: token('AAC(?:2\\.0|5\\.1)?|AC3|E-?AC-?3|DDP(?:[257]\\.[01])?|DD[257]\\.[01]|DD\\+|DTS(?:-?HD)?(?:[ .-]?MA)?|DTS-?X|TrueHD|LPCM') },
+    { pattern: token('10-?bit|8-?bit|Hi10P|HDR(?:10\\+?)?|DoVi|60fps') },
+    { pattern: exactToken('REPACK|PROPER|iNTERNAL|NF|AMZN|DSNP|HMAX|ATVP|DV|HC|HD') },
+    { pattern: /国英|中英字幕|内封|内嵌|外挂|特效字幕|[简繁]日/ },
+    { pattern: token('Atmos|FLAC|MP3|OPUS|[257]\\.[01]|SDR|Dolby[ .]?Vision|REAL|LIMITED|COMPLETE|DUBBED|SUBBED|HardSub'), weak: true }
+];
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_NUMBER = '[0-9零〇一二两三四五六七八九十百]+';
+
+/**
+ * 解析阿拉伯数字或中文数字（如 "12"、"十二"、"二十一"）
+ * @param {string} text - 数字文本
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+
+    let total = 0;
+    let current = 0;
+    for (const char of text) {
+        if (char in CHINESE_DIGITS) {
+            current = CHINESE_DIGITS[char];
+        } else if (char === '十') {
+            total += (current || 1) * 10;
+            current = 0;
+        } else if (char === '百') {
+            total += (current || 1) * 100;
+            current = 0;
+        } else {
+            return null;
+        }
+    }
+    return total + current;
+}
+
+/**
+ * 生成集数列表（范围过大时只保留首尾）
+ * @param {number} first - 第一集
+ * @param {number} last - 最后一集
+ * @returns {number[]}
+ */
+function episodeRange(first, last) {
+    if (last <= first || last - first > 200) {
+        return [first];
+    }
+    return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+// 季集格式（按可信度排序），strong 表示格式明确，不会与标题中的数字混淆
+const EPISODE_PATTERNS = [
+    {
+        // S01E01、S01E01E02、S01E01-E03、S01E01-03
+        pattern: /(?<![A-Za-z0-9])S(\d{1,2})[ ._-]?E(\d{1,4})((?:[ ._-]?E\d{1,4})*)(?:-E?(\d{1,4})(?![0-9pPiI]))?(?![0-9])/i,
+        strong: true,
+        parse: match => {
+            const first = parseInt(match[2], 10);
+            const more = (match[3].match(/\d+/g) || []).map(Number);
+            const last = match[4] ? parseInt(match[4], 10) : null;
+            const episodes = more.length > 0 ? [first, ...more] : episodeRange(first, last || first);
+            return { season: parseInt(match[1], 10), episodes };
+        }
+    },
+    {
+        // Season 1 Episode 3
+        pattern: /(?<![A-Za-z0-9])Season[ ._-]?(\d{1,2})[ ._-]*Episode[ ._-]?(\d{1,4})(?![0-9])/i,
+        strong: true,
+        parse: match => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
+    },
+    {
+        // 1x05
+        pattern: /(?<![A-Za-z0-9])(\d{1,2})x(\d{2,3})(?![0-9A-Za-z])/i,
+        strong: true,
+        parse: match => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
+    },
+    {
+        // 第1季第3集、第二季 第05集
+        pattern: new RegExp(`第(${CHINESE_NUMBER})季[ ._-]*第(${CHINESE_NUMBER})(?:[-~至到](${CHINESE_NUMBER}))?[集话話]`),
+        strong: true,
+        parse: match => {
+            const first = parseNumber(match[2]);
+            return { season: parseNumber(match[1]), episodes: episodeRange(first, match[3] ? parseNumber(match[3]) : first) };
+        }
+    },
+    {
+        // [01][02]
+        pattern: /\[(\d{1,2})\]\[(\d{1,3})\]/,
+        strong: true,
+        parse: match => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
+    }
+];
+
+// 只有季的格式
+const SEASON_PATTERNS = [
+    /(?<![A-Za-z0-9])S(\d{1,2})(?![0-9])(?:[ ._-]?(?:Complete|全集))?(?![A-DF-Za-df-z0-9])/i,
+    /(?<![A-Za-z0-9])Season[ ._-]?(\d{1,2})(?![0-9])/i,
+    new RegExp(`第(${CHINESE_NUMBER})季`)
+];
+
+// 只有集的格式，strong 为 false 的格式只在没有其他季集信息时使用
+const EPISODE_ONLY_PATTERNS = [
+    { pattern: /(?<![A-Za-z0-9])(?:EP?|Episode[ ._-]?)(\d{1,4})(?:-(?:EP?)?(\d{1,4}))?(?:v\d)?(?![0-9A-Za-z])/i, strong: true },
+    { pattern: new RegExp(`第(${CHINESE_NUMBER})(?:[-~至到](${CHINESE_NUMBER}))?[集话話]`), strong: true },
+    // 动漫: "Title - 05"、"Title - 05v2"
+    { pattern: /\s-\s(\d{1,4})(?:v\d)?(?=$|[\s\[(【])/i, strong: false },
+    // 动漫: "[Group][Title][05][1080p]"、"[01-12]"
+    { pattern: /[\[【](\d{1,4})(?:-(\d{1,4}))?(?:v\d)?(?:[ ._]?END)?[\]】]/i, strong: false },
+    // 只有集数的文件名: "01.mp4"
+    { pattern: /^(\d{1,3})$/, strong: false }
+];
+
+// 多段电影的分段标记："CD1"、"Disc 2"、"part1"（DVD5/DVD9 是光盘规格，不是分段）
+const PART_PATTERNS = [
+    { pattern: /(?<![A-Za-z0-9])(?:CD|Disc|Disk)[ ._-]?(\d{1,2})(?![0-9A-Za-z])/i, strong: true },
+    { pattern: /(?<![A-Za-z0-9])(?:Part|Pt)(\d{1,2})(?![0-9A-Za-z])/i, strong: true },
+    // "Band.of.Brothers.Part.1.Currahee" 中的 Part.1 是标题，只在年份等发布信息之后才算分段
+    { pattern: /(?<![A-Za-z0-9])(?:Part|Pt)[ ._-](\d{1,2})(?![0-9A-Za-z])/i, strong: false }
+];
+
+// 特别篇目录（对应 TMDb 第 0 季）
+const SPECIALS_FOLDER_PATTERN = /^(?:Specials?|SPs?|OVAs?|OADs?|特别篇|特典|番外篇?)$/i;
+
+// 花絮、预告片等附加内容：目录名（Plex/Jellyfin 约定）和文件名后缀（"Inception-trailer.mkv"）
+const EXTRA_TYPES = [
+    { type: 'trailer', folder: /^(?:Trailers?|预告片?)$/i, suffix: /-trailer$/i },
+    { type: 'featurette', folder: /^(?:Featurettes?|特辑)$/i, suffix: /-featurette$/i },
+    { type: 'behind_the_scenes', folder: /^(?:Behind[ ._-]?The[ ._-]?Scenes|Making[ ._-]?Of|幕后(?:花絮)?)$/i, suffix: /-(?:behindthescenes|making-?of)$/i },
+    { type: 'deleted_scene', folder: /^(?:Deleted[ ._-]?Scenes?|删减片段)$/i, suffix: /-deleted(?:scene)?$/i },
+    { type: 'interview', folder: /^(?:Interviews?|访谈)$/i, suffix: /-interview$/i },
+    { type: 'scene', folder: /^Scenes?$/i, suffix: /-scene$/i },
+    { type: 'short', folder: /^Shorts?$/i, suffix: /-short$/i },
+    { type: 'extra', folder: /^(?:Extras?|Bonus|花絮)$/i, suffix: /-(?:extra|other)$/i }
+];
+
+// 字幕组的分类标签，不是标题：[1月新番]、[国漫]
+const CATEGORY_TAG_PATTERN = /^(?:\d{1,2}月)?新番$|^国漫$|^(?:TV|OVA|OAD)$/i;
+
+// 资源网站的广告标签，不是发布组：[阳光电影www.ygdy8.com]、【高清影视之家发布 www.hdbthd.com】
+const SITE_TAG_PATTERN = /www\.|\.(?:com|net|org|cc|cn|tv|la|me|vip)$/i;
+
+/**
+ * 判断数字是否可能是上映年份（1900 年至明年），"Blade Runner 2049" 中的 2049 不是年份
+ * @param {number|string} value - 数字
+ * @returns {boolean}
+ */
+function isReleaseYear(value) {
+    const year = Number(value);
+    return Number.isInteger(year) && year >= 1900 && year <= new Date().getFullYear() + 1;
+}
+
+// 明确的 TMDb ID 标记：{tmdb-12345}、[tmdbid-12345]、(tmdbid-12345)、{tmdbid=12345}
+const TMDB_ID_MARKER_PATTERN = /[{\[(（]tmdb(?:id)?[-=](\d+)[}\])）]/gi;
+
+/**
+ * 查找名称中指定 TMDb ID 的位置
+ * - {tmdb-12345}、[tmdbid=12345] 等明确的标记始终是 TMDb ID
+ * - 括号中的数字 "Title (12345)" 是 TMDb ID，但 1900 年至明年之间的四位数按年份处理：
+ *   "The Lion King (1994)" 是年份，"The Lion King (1994) (8587)" 取 8587；
+ *   在这个范围内的 TMDb ID 需要使用明确的标记，如 "Title (2001) {tmdb-1999}"
+ * @param {string} text - 不含扩展名的名称
+ * @returns {{match: Array, titleEnd: number}|null} titleEnd 为第一个括号或标记的位置
+ */
+function findTmdbIdMarker(text) {
+    const explicit = [...text.matchAll(TMDB_ID_MARKER_PATTERN)][0];
+    const numbers = [...text.matchAll(/[（(](\d+)[）)]/g)];
+    const match = explicit || numbers.find(item => !(item[1].length === 4 && isReleaseYear(item[1])));
+    if (!match || !(parseInt(match[1], 10) > 0)) {
+        return null;
+    }
+    return { match, titleEnd: Math.min(match.index, numbers.length > 0 ? numbers[0].index : text.length) };
+}
+
+/**
+ * 从影片名称中提取 TMDb ID（规则见 findTmdbIdMarker）
+ * @param {string} name - 文件名或文件夹名，如 "你的名字 (372058)"、"Title (2001) {tmdb-1999}"
+ * @returns {{title: string, tmdbId: number}|null} title 为第一个括号或标记之前的部分，没有标题时返回 null
+ */
+function extractTmdbId(name) {
+    const text = String(name || '').replace(EXTENSION_PATTERN, '');
+    const found = findTmdbIdMarker(text);
+    const title = found ? text.slice(0, found.titleEnd).trim() : '';
+    return title ? { title, tmdbId: parseInt(found.match[1], 10) } : null;
+}
+
+/**
+ * 判断是否为特别篇目录（Specials、SP、OVA、特别篇等），其中的剧集属于 TMDb 第 0 季
+ * @param {string} folderName - 目录名
+ * @returns {boolean}
+ */
+function isSpecialsFolder(folderName) {
+    return SPECIALS_FOLDER_PATTERN.test(String(folderName || '').trim());
+}
+
+/**
+ * 判断目录或文件是否为附加内容（预告片、特辑、幕后花絮、删减片段等）
+ * 目录按名称判断；视频文件按与目录相同的名称，或 "<同目录视频文件名>-trailer" 这样的后缀判断
+ * （"The-Interview.mkv"、"The-Big-Short.mkv" 前面不是同目录中的视频，仍是正片）
+ * @param {string} name - 目录名或文件名
+ * @param {string[]} [siblingNames] - 同目录中的视频文件名，用于判断后缀前的部分是否为正片文件名
+ * @returns {string|null} 附加内容类型（trailer、featurette、behind_the_scenes 等），不是附加内容时返回 null
+ */
+function getExtraType(name, siblingNames = []) {
+    const stripExtension = value => {
+        const extensionMatch = value.match(EXTENSION_PATTERN);
+        return extensionMatch ? value.slice(0, -extensionMatch[0].length) : null;
+    };
+    const raw = String(name || '').trim();
+    const fileBase = stripExtension(raw);
+    const baseName = fileBase === null ? raw : fileBase;
+
+    const videoBases = fileBase === null ? [] : siblingNames
+        .map(sibling => stripExtension(String(sibling || '').trim()))
+        .filter(sibling => sibling && sibling !== fileBase)
+        .map(sibling => sibling.toLowerCase());
+    const hasSuffix = rule => {
+        const match = baseName.match(rule.suffix);
+        return !!match && videoBases.includes(baseName.slice(0, match.index).toLowerCase());
+    };
+
+    const rule = EXTRA_TYPES.find(item => item.folder.test(baseName) || hasSuffix(item));
+    return rule ? rule.type : null;
+}
+
+/**
+ * 在文本中查找第一个命中的规则
+ * @param {string} text - 文本
+ * @param {Array<{pattern: RegExp}>} rules - 规则列表
+ * @returns {{rule: object, match: RegExpMatchArray}|null}
+ */
+function findFirst(text, rules) {
+    for (const rule of rules) {
+        const match = text.match(rule.pattern);
+        if (match) {
+            return { rule, match };
+        }
+    }
+    return null;
+}
+
+/**
+ * 判断方括号内容是否只是发布信息（分辨率、编码、集数等），而不是标题或发布组
+ * @param {string} text - 方括号内容
+ * @returns {boolean}
+ */
+function isTechnical(text) {
+    const value = text.trim();
+    if (!value || /^\d{1,4}(?:-\d{1,4})?(?:v\d)?$/i.test(value) || /^(?:19|20)\d{2}$/.test(value)) {
+        return true;
+    }
+    const rules = [...RESOLUTIONS, ...SOURCES, ...CODECS, ...LANGUAGES, ...OTHER_MARKERS];
+    return rules.some(rule => rule.pattern.test(value)) || /^(?:MKV|MP4|AVI)$|^[A-F0-9]{8}$/i.test(value);
+}
+
+// 标题两端多余的分隔符和标点（含 "葬送的芙莉莲 / Sousou no Frieren" 中的斜杠）
+const TITLE_EDGE_PATTERN = /^[\s\-–~:：,，+&/|｜]+|[\s\-–~:：,，+&/|｜]+$/g;
+
+/**
+ * 清理标题片段：分隔符换成空格，去掉多余的括号和标点
+ * @param {string} text - 标题片段
+ * @returns {string}
+ */
+function cleanTitle(text) {
+    let title = text
+        .replace(/[《》「」『』]/g, ' ')
+        .replace(/[\[【(（][^\]】)）]*$/, '')
+        .replace(/[\[【(（]([^\]】)）]*)[\]】)）]/g, ' $1 ');
+
+    // 缩写中的点不作为分隔符：S.W.A.T → SWAT
+    title = title.replace(/(?<![A-Za-z])((?:[A-Za-z]\.){2,}[A-Za-z]?)(?![A-Za-z])/g, abbr => abbr.replace(/\./g, ''));
+
+    return title
+        .replace(/[._]+/g, ' ')
+        .replace(/\s+-+(?=\s|$)|^\s*-+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(TITLE_EDGE_PATTERN, '')
+        .trim();
+}
+
+/**
+ * 拆分中外文混合标题：如 "盗梦空间 Inception" → ["盗梦空间", "Inception"]
+ * @param {string} title - 清理后的标题
+ * @returns {{title: string, alternative_title: string|null}}
+ */
+function splitBilingualTitle(title) {
+    const words = title.split(' ');
+    const hasCjk = word => /[぀-ヿ㐀-鿿가-힯]/.test(word);
+    const firstIsCjk = hasCjk(words[0]);
+    const boundary = words.findIndex(word => hasCjk(word) !== firstIsCjk && /[A-Za-z぀-ヿ㐀-鿿가-힯]/.test(word));
+
+    if (boundary <= 0) {
+        return { title, alternative_title: null };
+    }
+
+    // 只拆分一次：后半部分仍然混合时保持原样
+    const rest = words.slice(boundary);
+    if (rest.some(word => hasCjk(word) === firstIsCjk && /[A-Za-z㐀-鿿]/.test(word))) {
+        return { title, alternative_title: null };
+    }
+
+    return {
+        title: words.slice(0, boundary).join(' ').replace(TITLE_EDGE_PATTERN, ''),
+        alternative_title: rest.join(' ').replace(TITLE_EDGE_PATTERN, '')
+    };
+}
+
+/**
+ * 计算解析结果的可信度（0-1）
+ * @param {object} result - 解析结果
+ * @param {boolean} strongEpisode - 季集格式是否明确
+ * @returns {number}
+ */
+function scoreConfidence(result, strongEpisode) {
+    if (!result.title) {
+        return 0;
+    }
+
+    let score = 0.4;
+    if (result.year) score += 0.2;
+    if (result.season !== null || result.episodes.length > 0) score += strongEpisode ? 0.3 : 0.1;
+    if (result.resolution || result.source || result.codec) score += 0.1;
+    if (result.group) score += 0.05;
+    if (result.title.length < 2 || /^\d+$/.test(result.title)) score -= 0.2;
+
+    return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
+
+/**
+ * 解析影视文件名或文件夹名
+ * @param {string} fileName - 文件名（不含路径）
+ * @returns {{
+ *   title: string, alternative_title: string|null, year: number|null,
+ *   season: number|null, episodes: number[], version: number|null, part: number|null,
+ *   resolution: string|null, source: string|null, codec: string|null,
+ *   group: string|null, edition: string|null, language: string|null,
+ *   extension: string|null, tmdb_id: number|null, type: 'movie'|'episode', confidence: number
+ * }}
+ */
+function parseFileName(fileName) {
+    const raw = String(fileName || '').trim();
+    const extensionMatch = raw.match(EXTENSION_PATTERN);
+    let text = extensionMatch ? raw.slice(0, -extensionMatch[0].length) : raw;
+
+    // 名称中指定的 TMDb ID 不属于标题
+    const tmdbIdMarker = findTmdbIdMarker(text);
+    if (tmdbIdMarker) {
+        const { match } = tmdbIdMarker;
+        text = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+    }
+
+    // 统一全角括号，拆开粘连的来源和分辨率（如 "BD1080P"、"WEB-DL2160p"）
+    text = text
+        .replace(/【/g, '[').replace(/】/g, ']')
+        .replace(/（/g, '(').replace(/）/g, ')')
+        .replace(/(BD|HD|WEB-?DL|WEB|BluRay)(?=(?:2160|1080|720|480)[pPiI])/gi, ' $1 ')
+        .trim();
+
+    // 开头方括号中的发布组，如 "[Nekomoe kissaten]"（网站广告标签不是发布组）
+    let group = null;
+    const brackets = [];
+    let rest = text;
+    let bracketMatch;
+    while ((bracketMatch = rest.match(/^\s*\[([^\]]*)\]\s*/))) {
+        const content = bracketMatch[1].trim();
+        if (!CATEGORY_TAG_PATTERN.test(content) && !SITE_TAG_PATTERN.test(content)) {
+            brackets.push(content);
+        }
+        rest = rest.slice(bracketMatch[0].length);
+    }
+
+    // 紧跟在标题后的字幕、语言等标签（"寄生虫[中文字幕].Parasite.2019"）不截断标题，放到名称末尾识别
+    const inlineTags = [];
+    rest = rest.replace(/(?<=[^\s._\-\]])\[([^\]]*)\](?=[\s._-]*[^\s._\-\[])/g, (match, content) => {
+        if (!isTechnical(content)) {
+            return match;
+        }
+        inlineTags.push(`[${content}]`);
+        return ' ';
+    });
+    if (brackets.length > 0 && !isTechnical(brackets[0]) && (rest || brackets.length > 1)) {
+        group = brackets.shift();
+    }
+    // "[Group][Title][01][1080p]"：标题在方括号中
+    const bracketTitle = brackets.find(content => !isTechnical(content)) || null;
+    const body = `${brackets.map(content => `[${content}]`).join('')}${rest}`;
+    const taggedBody = inlineTags.length > 0 ? `${body} ${inlineTags.join('')}` : body;
+
+    // 季集
+    let season = null;
+    let episodes = [];
+    let strongEpisode = false;
+    const markers = [];
+
+    const combined = findFirst(body, EPISODE_PATTERNS);
+    if (combined) {
+        const parsed = combined.rule.parse(combined.match);
+        if (parsed.season <= 50 && parsed.episodes[0] < 2000) {
+            season = parsed.season;
+            episodes = parsed.episodes;
+            strongEpisode = true;
+            markers.push(combined.match.index);
+        }
+    }
+    if (season === null && episodes.length === 0) {
+        const seasonMatch = findFirst(body, SEASON_PATTERNS.map(pattern => ({ pattern })));
+        if (seasonMatch) {
+            const number = parseNumber(seasonMatch.match[1]);
+            if (number !== null && number <= 50) {
+                season = number;
+                strongEpisode = true;
+                markers.push(seasonMatch.match.index);
+            }
+        }
+
+        for (const rule of EPISODE_ONLY_PATTERNS) {
+            const pattern = new RegExp(rule.pattern.source, `${rule.pattern.flags}g`);
+            // 四位数的 19xx/20xx 更可能是年份（"[斗罗大陆][2018][01]"），继续找下一个
+            const match = [...body.matchAll(pattern)].find(candidate => {
+                const first = parseNumber(candidate[1]);
+                return first !== null && first < 2000 && (rule.strong || !/^(?:19|20)\d{2}$/.test(candidate[1]));
+            });
+            if (!match) continue;
+            const first = parseNumber(match[1]);
+            episodes = episodeRange(first, match[2] ? parseNumber(match[2]) : first);
+            strongEpisode = strongEpisode || rule.strong;
+            markers.push(match.index);
+            break;
+        }
+    }
+
+    // 字幕组的修正版本："05v2"、"S01E05v2"
+    const versionMatch = episodes.length > 0 ? body.match(/(?<=\d)v(\d)(?![0-9A-Za-z])/i) : null;
+    const version = versionMatch ? parseInt(versionMatch[1], 10) : null;
+
+    // 电影分段
+    let part = null;
+    const partMatch = episodes.length === 0 ? findFirst(body, PART_PATTERNS.filter(rule => rule.strong)) : null;
+    if (partMatch) {
+        part = parseInt(partMatch.match[1], 10);
+        markers.push(partMatch.match.index);
+    }
+
+    // 发布信息：先识别明确的标记，weak 标记等标题结束位置确定后再识别
+    const detected = {};
+    const detect = (field, rules, weak, boundary, lastMarker) => {
+        for (const rule of rules) {
+            if (!!rule.weak !== weak || detected[field]) continue;
+            const match = taggedBody.match(rule.pattern);
+            // "Friends.1x05.The.One.with.the.East.German..." 中的 German 是单集标题
+            if (match && (!weak || (match.index > boundary && (match.index < lastMarker || match[0] === match[0].toUpperCase())))) {
+                markers.push(match.index);
+                detected[field] = rule.name || rule.code || true;
+            }
+        }
+    };
+    const fields = [['resolution', RESOLUTIONS], ['source', SOURCES], ['codec', CODECS], ['edition', EDITIONS], ['language', LANGUAGES], ['other', OTHER_MARKERS]];
+    fields.forEach(([field, rules]) => detect(field, rules, false));
+
+    // 年份：取标题之后、其他发布信息之前的最后一个年份（"2012.2009.1080p" 中 2012 是标题）
+    let year = null;
+    const firstMarker = markers.length > 0 ? Math.min(...markers) : body.length;
+    const years = [...body.matchAll(/(?<![A-Za-z0-9])((?:19|20)\d{2})(?![0-9A-Za-z])/g)]
+        .filter(match => isReleaseYear(match[1]));
+    const titleStart = body.search(/[^\s\[(]/);
+    const candidates = years.filter(match => match.index > titleStart && match.index <= firstMarker);
+    const chosenYear = candidates.length > 0 ? candidates[candidates.length - 1] : years.find(match => match.index > firstMarker);
+    if (chosenYear) {
+        year = parseInt(chosenYear[1], 10);
+        markers.push(chosenYear.index);
+    }
+
+    const boundary = markers.length > 0 ? Math.min(...markers) : body.length;
+    const weakPart = part === null && episodes.length === 0 ? findFirst(body, PART_PATTERNS.filter(rule => !rule.strong)) : null;
+    if (weakPart && weakPart.match.index > boundary) {
+        part = parseInt(weakPart.match[1], 10);
+    }
+    const lastMarker = markers.length > 0 ? Math.max(...markers) : -1;
+    fields.forEach(([field, rules]) => detect(field, rules, true, boundary, lastMarker));
+    const { resolution = null, source = null, codec = null, edition = null, language = null } = detected;
+
+    // 末尾的发布组："x264-SPARKS"、"-YTS.MX"、"[RARBG]"、"@CHDBits"（"-GROUP[rarbg]" 中的网站标签不是发布组）
+    if (!group && boundary < body.length) {
+        const trailing = body.match(/-([A-Za-z0-9]+(?:\.[A-Za-z]{2,3})?)(?:@[A-Za-z0-9]+|\[[^\]]+\])?$|\[([^\]]+)\]$|@([A-Za-z0-9]+)$/);
+        if (trailing && trailing.index > boundary) {
+            const candidate = trailing[1] || trailing[2] || trailing[3];
+            // WEB-DL、DTS-HD 等标记中的连字符不是发布组分隔符
+            if (!/^(?:DL|Rip|Ray|HD|MA|X|AC3|bit)$/i.test(candidate.split('.')[0]) && !isTechnical(candidate)) {
+                group = candidate;
+            }
+        }
+    }
+
+    // 标题：第一个季集、年份或发布信息之前的部分
+    let title = cleanTitle(body.slice(0, boundary));
+    if (!title && bracketTitle) {
+        title = cleanTitle(bracketTitle);
+    }
+    const { title: mainTitle, alternative_title } = splitBilingualTitle(title);
+
+    const result = {
+        title: mainTitle,
+        alternative_title,
+        year,
+        season,
+        episodes,
+        version,
+        part,
+        resolution,
+        source,
+        codec,
+        group,
+        edition,
+        language,
+        extension: extensionMatch ? extensionMatch[1].toLowerCase() : null,
+        tmdb_id: tmdbIdMarker ? parseInt(tmdbIdMarker.match[1], 10) : null,
+        type: season !== null || episodes.length > 0 ? 'episode' : 'movie'
+    };
+    result.confidence = scoreConfidence(result, strongEpisode);
+    return result;
+}
+
+module.exports = {
+    parseFileName,
+    extractTmdbId,
+    isReleaseYear,
+    isSpecialsFolder,
+    getExtraType
+};
@@ -0,0 +1,129 @@
+/**
+ * 界面文字国际化 - 从 languages/<语言>.yml 读取词典，供页面模板、生成器和播放器脚本使用
+ * 语言由 alist_movie_generator.language 指定，未配置时跟随 Hexo 的 language 设置
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_LANGUAGE = 'zh-CN';
+const LANGUAGES_DIR = path.join(__dirname, 'languages');
+
+// 已加载的词典（语言 → 对象）
+const dictionaries = new Map();
+
+/**
+ * 内置的语言列表（languages 目录下的词典文件名）
+ * @returns {string[]}
+ */
+function getSupportedLanguages() {
+    return fs.readdirSync(LANGUAGES_DIR)
+        .filter(file => file.endsWith('.yml'))
+        .map(file => path.basename(file, '.yml'));
+}
+
+/**
+ * 将配置中的语言代码对应到内置词典（en-US → en，zh / zh-Hans → zh-CN）
+ * @param {string} language - 语言代码
+ * @returns {string|null} 词典语言，没有对应词典时返回 null
+ */
+function normalizeLanguage(language) {
+    if (!language || typeof language !== 'string' || language === 'default') {
+        return null;
+    }
+
+    const supported = getSupportedLanguages();
+    const code = language.replace('_', '-').toLowerCase();
+    const exact = supported.find(item => item.toLowerCase() === code);
+    if (exact) return exact;
+
+    const primary = code.split('-')[0];
+    return supported.find(item => item.toLowerCase().split('-')[0] === primary) || null;
+}
+
+/**
+ * 获取界面语言：插件配置 language → Hexo 的 language（可为列表）→ zh-CN
+ * @param {Object} hexo - Hexo 实例
+ * @returns {string}
+ */
+function resolveLanguage(hexo) {
+    const config = hexo.config.alist_movie_generator || {};
+    const candidates = [config.language, ...[].concat(hexo.config.language || [])];
+
+    for (const candidate of candidates) {
+        const language = normalizeLanguage(candidate);
+        if (language) return language;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * 读取词典（文件不存在时返回空对象）
+ * @param {string} language - 词典语言
+ * @returns {Object}
+ */
+function loadDictionary(language) {
+    if (!dictionaries.has(language)) {
+        const file = path.join(LANGUAGES_DIR, `${language}.yml`);
+        dictionaries.set(language, fs.existsSync(file) ? (yaml.load(fs.readFileSync(file, 'utf8')) || {}) : {});
+    }
+    return dictionaries.get(language);
+}
+
+/**
+ * 按点分隔的键读取词典条目
+ * @param {Object} dictionary - 词典
+ * @param {string} key - 如 library.play
+ * @returns {*}
+ */
+function lookup(dictionary, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+}
+
+/**
+ * 替换占位符；one/other 形式的条目按 params.count 选择单复数
+ * @param {string|Object} entry - 词典条目
+ * @param {Object} params - 占位符参数
+ * @returns {string|null} 条目无效时返回 null
+ */
+function format(entry, params = {}) {
+    if (entry && typeof entry === 'object') {
+        entry = Number(params.count) === 1 && entry.one !== undefined ? entry.one : entry.other;
+    }
+    if (typeof entry !== 'string') {
+        return null;
+    }
+    return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * 创建翻译函数 __(key, params)，缺少的条目回退到简体中文，仍然没有时返回键名
+ * __.section(name) 返回某一分组的全部条目（供播放器等前端脚本使用）
+ * @param {string} language - 词典语言
+ * @returns {Function}
+ */
+function createTranslator(language = DEFAULT_LANGUAGE) {
+    const dictionary = loadDictionary(language);
+    const fallback = loadDictionary(DEFAULT_LANGUAGE);
+
+    const __ = (key, params = {}) => {
+        const value = format(lookup(dictionary, key), params);
+        if (value !== null) return value;
+        const fallbackValue = format(lookup(fallback, key), params);
+        return fallbackValue !== null ? fallbackValue : key;
+    };
+
+    __.language = language;
+    __.section = name => ({ ...(lookup(fallback, name) || {}), ...(lookup(dictionary, name) || {}) });
+
+    return __;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    getSupportedLanguages,
+    normalizeLanguage,
+    resolveLanguage,
+    createTranslator
+};
@@ -1,7 +1,25 @@
 // 智能识别系统入口
 const { generateSmartMovieData } = require('./smart-index');
-const AlistAPI = require('./alist-api');
+const StorageManager = require('./storage-manager');
 const TMDbAPI = require('./tmdb-api');
+const TMDbCache = require('./tmdb-cache');
+const ScanSnapshot = require('./scan-snapshot');
+const { attachDanmaku, getDanmakuRoutes } = require('./danmaku');
+const { getExportRoutes } = require('./library-export');
+const { filterByContentRating, getMovieLevel, getRatingCountries } = require('./content-rating');
+const { getProtectionConfig, createProtector, protectMovie, getClientConfig } = require('./url-protection');
+const PlayProxy = require('./play-proxy');
+const { attachEpisodeMetadata } = require('./episode-metadata');
+const { mapAbsoluteEpisodes } = require('./absolute-episodes');
+const { mergeParts } = require('./multi-part');
+const { findDetailsByNfo, applyLocalMetadata } = require('./local-metadata');
+const { syncMoviesJson, loadMoviesJson, createStableId } = require('./movie-sync');
+const { mapLimit } = require('./task-pool');
+const MovieOverrides = require('./movie-overrides');
+const { runMovieCommand } = require('./movie-console');
+const { createTranslator, resolveLanguage } = require('./i18n');
+const { parseFileName, extractTmdbId, getExtraType } = require('./filename-parser');
+const fs = require('fs');
 const path = require('path');
 
 /**
@@ -13,14 +31,16 @@ const path = require('path');
 function groupFilesByContent(videoFiles, log) {
     const groups = new Map();
     
-    for (const file of videoFiles) {
-        let groupKey, searchName, fallbackName;
+    // 本地元数据（NFO、海报）归入分组，不写入文件列表
+    for (const { local_metadata: localMetadata, ...file } of videoFiles.filter(item => !item.extra)) {
+        let groupKey, searchName, fallbackName, year = null;
         
         if (file.directoryType === 'movie') {
-            // 电影模式：按清理后的标题分组，允许相同内容合并
+            // 电影模式：按清理后的标题和年份分组，允许相同内容合并，同名的翻拍作品分开搜索
             const cleanName = extractMovieTitle(file.name, file.path);
             const normalizedName = normalizeTitle(cleanName);
-            groupKey = `movie_${normalizedName}`;
+            year = extractMovieYear(file.name, file.path);
+            groupKey = `movie_${normalizedName}${year ? `_${year}` : ''}`;
             searchName = cleanName;
             fallbackName = file.name;
             
@@ -36,7 +56,8 @@ function groupFilesByContent(videoFiles, log) {
             // 混合模式：需要通过标识判断
             const cleanName = extractMovieTitle(file.name, file.path);
             const normalizedName = normalizeTitle(cleanName);
-            groupKey = `mixed_${normalizedName}`;
+            year = extractMovieYear(file.name, file.path);
+            groupKey = `mixed_${normalizedName}${year ? `_${year}` : ''}`;
             searchName = cleanName;
             fallbackName = file.name;
         }
@@ -46,13 +67,19 @@ function groupFilesByContent(videoFiles, log) {
                 type: file.directoryType,
                 searchName: searchName,
                 fallbackName: fallbackName,
+                year: year,
                 files: [],
-                sources: [] // 用于存储不同片源信息
+                sources: [], // 用于存储不同片源信息
+                extras: [], // 花絮、预告片等附加内容
+                localMetadata: null // 本地 NFO 和海报
             });
         }
         
         const group = groups.get(groupKey);
         group.files.push(file);
+        if (localMetadata && !group.localMetadata) {
+            group.localMetadata = localMetadata;
+        }
         
         // 为电影添加片源信息
         if (file.directoryType === 'movie') {
@@ -84,7 +111,37 @@ function groupFilesByContent(videoFiles, log) {
         }
     }
     
-    return Array.from(groups.values());
+    const result = Array.from(groups.values());
+    attachExtras(result, videoFiles.filter(item => item.extra), log);
+    return result;
+}
+
+/**
+ * 将花絮、预告片等附加内容归入所属影片/剧集的分组
+ * 花絮目录所在的目录就是影片/剧集目录，该目录中有多个分组时按文件名开头的标题匹配；
+ * 带 "-trailer" 等后缀的文件总是按标题匹配同一目录下的分组
+ * @param {Array} groups - 分组列表
+ * @param {Array} extraFiles - 附加内容文件（带 extra 类型）
+ * @param {Object} log - 日志对象
+ */
+function attachExtras(groups, extraFiles, log) {
+    for (const file of extraFiles) {
+        const pathParts = file.path.split('/');
+        const extraFolderIndex = pathParts.slice(0, -1).map(part => getExtraType(part)).lastIndexOf(file.extra);
+        const contentDir = pathParts.slice(0, extraFolderIndex > 0 ? extraFolderIndex : -1).join('/');
+
+        let candidates = groups.filter(group => group.files.some(item => item.path.startsWith(`${contentDir}/`)));
+        if (candidates.length > 1 || extraFolderIndex <= 0) {
+            const fileTitle = normalizeTitle(file.name);
+            candidates = candidates.filter(group => fileTitle.startsWith(normalizeTitle(group.searchName)));
+        }
+
+        if (candidates.length === 1) {
+            candidates[0].extras.push(file);
+        } else {
+            log.info(`未找到附加内容所属的影片，已忽略: ${file.path}`);
+        }
+    }
 }
 
 /**
@@ -134,7 +191,8 @@ function extractSeasonInfo(files) {
     const seasons = new Map();
     
     for (const file of files) {
-        const season = file.season || 1;
+        // 没有季信息时归入第 1 季，特别篇为第 0 季
+        const season = Number.isInteger(file.season) ? file.season : 1;
         const episode = file.episode || 1;
         
         if (!seasons.has(season)) {
@@ -144,12 +202,31 @@ function extractSeasonInfo(files) {
             });
         }
         
-        seasons.get(season).episodes.push({
+        const episodes = seasons.get(season).episodes;
+        const entry = {
             episode_number: episode,
             name: file.name,
             url: file.url,
-            path: file.path
-        });
+            path: file.path,
+            subtitles: file.subtitles || []
+        };
+
+        // 一个文件包含多集时（S02E01-E02）记录包含的全部集数
+        const episodeNumbers = parseFileName(file.name).episodes;
+        if (episodeNumbers.length > 1 && episodeNumbers[0] === episode) {
+            entry.episode_numbers = episodeNumbers;
+        }
+
+        // 同一集有字幕组修正版（05v2）时只保留版本最高的文件
+        if (file.version) {
+            entry.version = file.version;
+        }
+        const previous = episodes.findIndex(item => item.episode_number === episode && (item.version || file.version));
+        if (previous === -1) {
+            episodes.push(entry);
+        } else if ((file.version || 1) > (episodes[previous].version || 1)) {
+            episodes[previous] = entry;
+        }
     }
     
     // 按季和集排序
@@ -161,6 +238,7 @@ function extractSeasonInfo(files) {
 
 /**
  * 提取片源信息（电影多版本）
+ * 同一片源目录中分段的文件（CD1/CD2、part1/part2）合并为一个片源，parts 按顺序列出各段
  * @param {Array} sources - 片源列表
  * @returns {Array} 片源信息
  */
@@ -168,12 +246,12 @@ function extractSourceInfo(sources) {
     const allSources = [];
     
     sources.forEach((source, sourceIndex) => {
-        source.files.forEach((file, fileIndex) => {
+        const entries = source.files.map((file, fileIndex) => {
             // 从文件名提取质量信息
             const qualityMatch = file.name.match(/\b(4K|2160p|1080p|720p|480p|HD|UHD)\b/i);
             const formatMatch = file.name.match(/\.(mp4|mkv|avi|mov|wmv|rmvb|flv)$/i);
             
-            allSources.push({
+            return {
                 id: `${sourceIndex}_${fileIndex}`,
                 source_name: source.name,
                 source_path: source.path,
@@ -182,38 +260,40 @@ function extractSourceInfo(sources) {
                 path: file.path,
                 quality: qualityMatch ? qualityMatch[1] : '',
                 format: formatMatch ? formatMatch[1].toUpperCase() : '',
+                subtitles: file.subtitles || [],
                 // 可以添加更多信息如文件大小等
-            });
+            };
         });
+
+        allSources.push(...mergeParts(entries));
     });
     
     return allSources;
 }
 
+/**
+ * 提取附加内容信息（预告片、特辑、幕后花絮等），按类型和文件名排序
+ * @param {Array} files - 附加内容文件
+ * @returns {Array} 附加内容信息
+ */
+function extractExtraInfo(files) {
+    return files.map(file => ({
+        type: file.extra,
+        name: file.name.replace(/\.[^/.]+$/, ''),
+        file_name: file.name,
+        url: file.url,
+        path: file.path,
+        subtitles: file.subtitles || []
+    })).sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
 /**
  * 检测并提取TMDB ID格式
  * @param {string} name - 影片名称
  * @returns {object|null} 包含标题和TMDB ID的对象，如果不匹配则返回null
  */
 function extractTmdbIdFromName(name) {
-    // 先移除文件扩展名
-    const nameWithoutExt = name.replace(/\.[^/.]+$/, '');
-    
-    // 匹配格式：影片名称(数字) 或 影片名称（数字）
-    // 支持括号后可能有空格或其他字符
-    const tmdbIdPattern = /^(.+?)\s*[（(](\d+)[）)]\s*.*$/;
-    const match = nameWithoutExt.match(tmdbIdPattern);
-    
-    if (match) {
-        const title = match[1].trim();
-        const tmdbId = parseInt(match[2]);
-        
-        if (title && tmdbId > 0) {
-            return { title, tmdbId };
-        }
-    }
-    
-    return null;
+    return extractTmdbId(name);
 }
 
 /**
@@ -239,39 +319,31 @@ function extractMovieTitle(fileName, filePath) {
         }
     }
     
-    // 优先使用文件名，如果文件名无意义则使用路径中的文件夹名
-    let title = fileName;
-    
-    // 移除文件扩展名
-    title = title.replace(/\.[^/.]+$/, '');
-    
-    // 移除常见的视频质量标识和编码信息
-    title = title.replace(/\b(4K|2160p|1080p|720p|480p|HD|UHD|BluRay|WEB-DL|BDRip|DVDRip|CAM|TS|TC)\b/gi, '');
-    title = title.replace(/\b(x264|x265|H264|H265|HEVC|AVC)\b/gi, '');
-    
-    // 移除年份
-    title = title.replace(/\b(19|20)\d{2}\b/g, '');
-    
-    // 移除季集信息
-    title = title.replace(/\b(S\d{1,2}E\d{1,2}|Season\s*\d+|第\d+季|第\d+集|EP?\d+)\b/gi, '');
-    
-    // 移除括号内容（但不移除TMDB ID格式的括号）
-    title = title.replace(/[\[【\(](.*?)[\]】\)]/g, '');
-    
-    // 替换分隔符为空格并清理
-    title = title.replace(/[._\-]+/g, ' ').replace(/\s+/g, ' ').trim();
-    
-    // 如果清理后的标题太短或为空，尝试从路径提取
-    if (!title || title.length < 2) {
-        if (pathParts.length >= 2) {
-            title = pathParts[pathParts.length - 2]; // 使用父文件夹名
-            title = title.replace(/[._\-]+/g, ' ').replace(/\s+/g, ' ').trim();
-        }
+    // 优先使用文件名，如果文件名无意义（如 "1080p.mkv"、"S01E01.mkv"）则使用父文件夹名
+    let title = parseFileName(fileName).title;
+    if ((!title || title.length < 2) && pathParts.length >= 2) {
+        title = parseFileName(pathParts[pathParts.length - 2]).title;
     }
     
     return title || fileName;
 }
 
+/**
+ * 从文件名或父文件夹名提取年份
+ * @param {string} fileName - 文件名
+ * @param {string} filePath - 文件路径
+ * @returns {number|null} 年份
+ */
+function extractMovieYear(fileName, filePath) {
+    const year = parseFileName(fileName).year;
+    if (year) {
+        return year;
+    }
+    
+    const pathParts = filePath.split('/').filter(part => part.length > 0);
+    return pathParts.length >= 2 ? parseFileName(pathParts[pathParts.length - 2]).year : null;
+}
+
 /**
  * 生成电影数据
  * @param {Object} hexo - Hexo 实例
@@ -286,8 +358,9 @@ async function generateMovieData(hexo) {
     }
 
     // 验证必要配置
-    if (!config.alist || !config.alist.url || !config.alist.username || !config.alist.password) {
-        log.error('Alist Movie Generator: Missing Alist configuration');
+    const storageError = StorageManager.validateConfig(config);
+    if (storageError) {
+        log.error(`Alist Movie Generator: ${storageError}`);
         return;
     }
 
@@ -322,11 +395,25 @@ async function generateMovieData(hexo) {
         log.info('Alist Movie Generator: Starting to generate movie data...');
 
         // 初始化 API 客户端
-        const alistAPI = new AlistAPI(config.alist, log);
-        const tmdbAPI = new TMDbAPI(config.tmdb_token, log);
+        const scanSnapshot = ScanSnapshot.fromHexo(hexo);
+        const overrides = MovieOverrides.load(hexo);
+        const storage = new StorageManager(config, log, { snapshot: scanSnapshot, overrides });
+        const tmdbCache = TMDbCache.fromHexo(hexo);
+        const tmdbAPI = TMDbAPI.fromHexo(hexo, tmdbCache);
+        if (tmdbCache && tmdbCache.cacheOnly) {
+            log.info('TMDb 缓存: 已启用仅缓存模式，本次构建不会访问 TMDb');
+        }
 
         // 获取所有视频文件（使用新的配置格式）
-        const videoFiles = await alistAPI.getAllVideoFiles(allDirectories);
+        const videoFiles = await storage.getAllVideoFiles(allDirectories);
+
+        // 目录列出失败时按 scan.on_failure 处理（abort 时抛出异常终止构建）
+        const keepPaths = storage.applyFailurePolicy();
+
+        if (scanSnapshot) {
+            scanSnapshot.logSummary();
+            scanSnapshot.save();
+        }
         
         if (!videoFiles || videoFiles.length === 0) {
             log.warn('No video files found in specified directories');
@@ -341,15 +428,35 @@ async function generateMovieData(hexo) {
 
         // 按目录类型和内容分组
         const groupedFiles = groupFilesByContent(videoFiles, log);
-        
-        for (const group of groupedFiles) {
+
+        // 并发查询 TMDb（tmdb.concurrency），之后按分组顺序合并，保证输出与串行查询一致
+        const lookups = await mapLimit(groupedFiles, tmdbAPI.concurrency, async group => {
+            try {
+                // 根据类型获取TMDb信息（覆盖规则优先）
+                const override = overrides.find(group.files.map(f => f.path));
+                const mediaType = (override && override.media_type) || group.type;
+                // 本地 NFO 中的 TMDb / IMDb ID 优先于按名称搜索
+                const nfo = override ? null : group.localMetadata?.nfo;
+                const tmdbInfo = override && override.tmdb_id
+                    ? await tmdbAPI.getDetailsById(override.tmdb_id, mediaType)
+                    : (nfo && await findDetailsByNfo(tmdbAPI, nfo, mediaType)) || await tmdbAPI.getMediaDetails(
+                        (override && override.title) || group.searchName, 
+                        group.fallbackName, 
+                        mediaType,
+                        { year: group.year }
+                    );
+                return { override, tmdbInfo };
+            } catch (error) {
+                return { error };
+            }
+        });
+
+        for (const [index, group] of groupedFiles.entries()) {
             try {
-                // 根据类型获取TMDb信息
-                const tmdbInfo = await tmdbAPI.getMediaDetails(
-                    group.searchName, 
-                    group.fallbackName, 
-                    group.type
-                );
+                const { override, tmdbInfo, error } = lookups[index];
+                if (error) {
+                    throw error;
+                }
                 
                 if (tmdbInfo) {
                     const uniqueId = tmdbInfo.id.toString();
@@ -374,9 +481,14 @@ async function generateMovieData(hexo) {
                             existingMovie.source_count = existingMovie.all_sources.length;
                         }
                         
+                        // 合并附加内容
+                        if (group.extras.length > 0) {
+                            existingMovie.extras = [...(existingMovie.extras || []), ...extractExtraInfo(group.extras)];
+                        }
+                        
                         // 合并电视剧季集信息
                         if (tmdbInfo.media_type === 'tv') {
-                            existingMovie.seasons = extractSeasonInfo(existingMovie.files);
+                            existingMovie.seasons = mapAbsoluteEpisodes(extractSeasonInfo(existingMovie.files), tmdbInfo.seasons);
                             existingMovie.episode_count = existingMovie.files.filter(f => f.episode).length;
                         }
                         
@@ -390,9 +502,10 @@ async function generateMovieData(hexo) {
                             files: group.files,
                             file_count: group.files.length,
                             directory_type: group.type,
+                            ...(group.extras.length > 0 && { extras: extractExtraInfo(group.extras) }),
                             // 电视剧特有信息
                             ...(tmdbInfo.media_type === 'tv' && {
-                                seasons: extractSeasonInfo(group.files),
+                                seasons: mapAbsoluteEpisodes(extractSeasonInfo(group.files), tmdbInfo.seasons),
                                 episode_count: group.files.filter(f => f.episode).length
                             }),
                             // 电影特有信息
@@ -403,6 +516,8 @@ async function generateMovieData(hexo) {
                             })
                         };
                         
+                        applyLocalMetadata(movieData, group.localMetadata);
+                        overrides.apply(movieData, override);
                         movieMap.set(uniqueId, movieData);
                         
                         const typeLabel = tmdbInfo.media_type === 'tv' ? '电视剧' : '电影';
@@ -412,7 +527,8 @@ async function generateMovieData(hexo) {
                     }
                 } else {
                     // 创建未知类型条目
-                    const uniqueId = `unknown_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                    // 同名不同年份的作品分别生成ID，没有年份时与原来的ID保持一致
+                    const uniqueId = createStableId('unknown', group.type, group.searchName, ...(group.year ? [group.year] : []));
                     
                     const unknownMovie = {
                         id: uniqueId,
@@ -427,9 +543,12 @@ async function generateMovieData(hexo) {
                         vote_average: 0,
                         release_date: null,
                         sources: extractSourceInfo(group.sources || []),
-                        source_count: group.sources ? group.sources.length : 1
+                        source_count: group.sources ? group.sources.length : 1,
+                        ...(group.extras.length > 0 && { extras: extractExtraInfo(group.extras) })
                     };
                     
+                    applyLocalMetadata(unknownMovie, group.localMetadata);
+                    overrides.apply(unknownMovie, override);
                     movieMap.set(uniqueId, unknownMovie);
                     log.warn(`✗ 未找到 TMDb 信息: ${group.searchName} (标记为未知类型)`);
                 }
@@ -467,58 +586,26 @@ async function generateMovieData(hexo) {
             return 0;
         });
 
-        // 保存数据到 hexo.locals
-        hexo.locals.set('movies', movies);
+        // 补充电视剧的分集信息和缺失剧集
+        await attachEpisodeMetadata(movies, tmdbAPI, hexo);
+
+        // 匹配弹幕库（需要开启 danmaku.enable）
+        await attachDanmaku(movies, hexo);
 
-        // 生成 JSON 文件供前端使用
-        const jsonData = {
-            movies: movies,
-            total: movies.length,
-            generated_at: new Date().toISOString(),
+        // 同步到 JSON 文件供前端使用（更新变化的条目、归档已删除的条目、保留手动编辑）
+        const { movies: syncedMovies, changes } = syncMoviesJson(hexo, movies, {
             config: {
                 per_page: outputConfig.per_page || 20,
                 order_by: orderBy,
                 order: order
             }
-        };
-
-        // 确保目录存在
-        const fs = require('fs');
-        const outputDir = path.join(hexo.source_dir, 'data');
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
-        }
-
-        // 增量合并写入 JSON（仅追加不存在的影片）
-        const jsonPath = path.join(outputDir, 'movies.json');
-        let outputJson = jsonData;
-        let addedCount = movies.length;
-
-        try {
-            if (fs.existsSync(jsonPath)) {
-                const prevRaw = fs.readFileSync(jsonPath, 'utf8');
-                const prev = JSON.parse(prevRaw);
-                const prevMovies = Array.isArray(prev.movies) ? prev.movies : [];
-                const prevIdSet = new Set(prevMovies.map(m => String(m.id)));
-                const newMoviesOnly = movies.filter(m => !prevIdSet.has(String(m.id)));
-
-                outputJson = {
-                    ...prev,
-                    movies: prevMovies.concat(newMoviesOnly),
-                    total: prevMovies.length + newMoviesOnly.length,
-                    generated_at: new Date().toISOString(),
-                    // 以当前生成配置为准
-                    config: jsonData.config
-                };
-                addedCount = newMoviesOnly.length;
-            }
-        } catch (e) {
-            log.warn(`Failed to read/merge existing movies.json: ${e.message}, rewriting a fresh file`);
-        }
+        }, { keepPaths });
 
-        fs.writeFileSync(jsonPath, JSON.stringify(outputJson, null, 2), 'utf8');
+        // 保存数据到 hexo.locals
+        hexo.locals.set('movies', syncedMovies);
 
-        log.info(`Alist Movie Generator: Successfully generated data for ${movies.length} movies (added ${addedCount} new to JSON)`);
+        const jsonPath = path.join(hexo.source_dir, 'data', 'movies.json');
+        log.info(`Alist Movie Generator: Successfully generated data for ${syncedMovies.length} movies (added ${changes.added.length}, updated ${changes.updated.length}, removed ${changes.removed.length})`);
         log.info(`Data saved to: ${jsonPath}`);
 
         // 统计信息
@@ -528,55 +615,61 @@ async function generateMovieData(hexo) {
         
         log.info(`统计: ${movieCount} 部电影, ${tvCount} 部电视剧, ${unknownCount} 个未知类型`);
 
+        if (tmdbCache) {
+            tmdbCache.logStats();
+        }
+
     } catch (error) {
         log.error(`Alist Movie Generator error: ${error.message}`);
         log.error(error.stack);
+        if (error.abortBuild) {
+            throw error;
+        }
     }
 }
 
 /**
- * 生成电影列表页面（以主题布局包裹内容片段）
+ * 生成分页的列表页面
  * @param {Object} hexo - Hexo 实例
- * @returns {Array<{path:string, layout:string[]|string, data:Object}>}
+ * @param {Array} movies - 列表中的条目
+ * @param {Object} options - { route: 播放页路由, listRoute: 列表页路由, perPage, __, ratingLevel, protection }
+ * @returns {Promise<Array>} 页面路由
  */
-async function generateMoviePages(hexo) {
-    const config = hexo.config.alist_movie_generator;
-    const outputConfig = config?.output || {};
-    const route = outputConfig.route || 'movies';
-    const perPage = outputConfig.per_page || 20;
-
-    const movies = hexo.locals.get('movies') || [];
-    if (movies.length === 0) {
-        return [];
-    }
-
+async function generateListPages(hexo, movies, options) {
+    const { route, listRoute, perPage, __, ratingLevel, protection } = options;
+    const totalPages = Math.ceil(movies.length / perPage);
     const pages = [];
 
-    // 主列表页（第一页）
-    {
-        const totalPages = Math.ceil(movies.length / perPage);
-        const currentMovies = movies.slice(0, perPage);
+    for (let p = 1; p <= totalPages; p++) {
+        const startIndex = (p - 1) * perPage;
+        const title = p === 1 ? __('pages.library') : __('pages.library_page', { page: p });
+        const pagePath = p === 1 ? `${listRoute}/` : `${listRoute}/page/${p}/`;
+
         const html = await hexo.render.render({
             path: path.join(__dirname, 'templates', 'movies.pug')
         }, {
-            movies: currentMovies,
-            current_page: 1,
+            movies: movies.slice(startIndex, startIndex + perPage),
+            current_page: p,
             total_pages: totalPages,
             per_page: perPage,
             total_movies: movies.length,
             route,
+            list_route: listRoute,
+            rating_level: ratingLevel,
+            protection,
             config: hexo.config,
+            __,
             page: {
-                title: '电影列表',
-                path: `${route}/`
+                title,
+                path: pagePath
             }
         });
 
         pages.push({
-            path: `${route}/index.html`,
+            path: `${pagePath}index.html`,
             layout: 'page',
             data: {
-                title: '电影列表',
+                title,
                 content: html,
                 aside: false,
                 sidebar: false
@@ -584,44 +677,86 @@ async function generateMoviePages(hexo) {
         });
     }
 
-    // 分页（第 2 页起）
-    {
-        const totalPages = Math.ceil(movies.length / perPage);
-        for (let p = 2; p <= totalPages; p++) {
-            const startIndex = (p - 1) * perPage;
-            const currentMovies = movies.slice(startIndex, startIndex + perPage);
-
-            const html = await hexo.render.render({
-                path: path.join(__dirname, 'templates', 'movies.pug')
-            }, {
-                movies: currentMovies,
-                current_page: p,
-                total_pages: totalPages,
-                per_page: perPage,
-                total_movies: movies.length,
-                route,
-                config: hexo.config,
-                page: {
-                    title: `电影列表 - 第${p}页`,
-                    path: `${route}/page/${p}/`
-                }
-            });
+    return pages;
+}
 
-            pages.push({
-                path: `${route}/page/${p}/index.html`,
-                layout: 'page',
-                data: {
-                    title: `电影列表 - 第${p}页`,
-                    content: html,
-                    aside: false,
-                    sidebar: false
-                }
-            });
-        }
+/**
+ * 生成电影列表页面（以主题布局包裹内容片段）
+ * @param {Object} hexo - Hexo 实例
+ * @param {Array} [movies] - 公开的条目（默认为 hexo.locals 中的全部条目）
+ * @param {Array} [hiddenMovies] - 受限条目，生成播放页和单独的列表页（见 content_rating.restricted）
+ * @param {Object} [options]
+ * @param {Object} [options.proxy] - 签名链接代理配置（见 play-proxy.js），页面中的播放地址替换为文件 ID
+ * @param {Object} [options.protector] - 密码保护的加密器（见 url-protection.js），页面中的媒体地址加密后输出
+ * @returns {Array<{path:string, layout:string[]|string, data:Object}>}
+ */
+async function generateMoviePages(hexo, movies = hexo.locals.get('movies') || [], hiddenMovies = [], options = {}) {
+    const { proxy, protector } = options;
+    const config = hexo.config.alist_movie_generator;
+    const outputConfig = config?.output || {};
+    const route = outputConfig.route || 'movies';
+    const perPage = outputConfig.per_page || 20;
+
+    if (movies.length === 0 && hiddenMovies.length === 0) {
+        return [];
+    }
+
+    // 界面语言
+    const __ = createTranslator(resolveLanguage(hexo));
+
+    // 签名链接代理：页面中只保留文件 ID，播放前向代理换取短时有效的链接
+    if (proxy) {
+        movies = movies.map(movie => PlayProxy.proxyMovie(movie, proxy.secret));
+        hiddenMovies = hiddenMovies.map(movie => PlayProxy.proxyMovie(movie, proxy.secret));
+    }
+
+    // 密码保护：页面只使用加密了媒体地址的副本
+    const protection = protector ? getClientConfig(protector, __.section('protect')) : null;
+    if (protector) {
+        movies = movies.map(movie => protectMovie(movie, protector));
+        hiddenMovies = hiddenMovies.map(movie => protectMovie(movie, protector));
+    }
+
+    // 注入播放器的前端配置
+    const danmakuConfig = config?.danmaku || {};
+    const playerConfig = {
+        route,
+        language: __.language,
+        i18n: {
+            common: __.section('common'),
+            player: __.section('player')
+        },
+        danmaku: danmakuConfig.enable ? {
+            base_url: `/${route}/danmaku/`,
+            opacity: danmakuConfig.opacity !== undefined ? danmakuConfig.opacity : 0.8,
+            density: danmakuConfig.density !== undefined ? danmakuConfig.density : 0.7
+        } : null,
+        proxy: proxy ? { url: proxy.url, prefix: PlayProxy.PROXY_PREFIX } : null
+    };
+
+    const pages = [];
+
+    // 列表页中每个条目的分级级别（供“儿童模式”过滤）
+    const ratingCountries = getRatingCountries(config?.content_rating);
+    const listOptions = {
+        route,
+        perPage,
+        __,
+        ratingLevel: movie => getMovieLevel(movie, ratingCountries),
+        protection
+    };
+
+    // 列表页（第 1 页为 /<route>/，第 2 页起为 /<route>/page/<n>/）
+    pages.push(...await generateListPages(hexo, movies, { ...listOptions, listRoute: route }));
+
+    // 受限条目的单独列表页（content_rating.restricted: hidden，不在公开列表页中链接）
+    if (hiddenMovies.length > 0) {
+        const hiddenRoute = `${route}/${config.content_rating.hidden_route || 'restricted'}`;
+        pages.push(...await generateListPages(hexo, hiddenMovies, { ...listOptions, listRoute: hiddenRoute }));
     }
 
     // 单个电影/电视剧播放页面
-    for (const movie of movies) {
+    for (const movie of [...movies, ...hiddenMovies]) {
         const movieRoute = `${route}/${movie.media_type}/${movie.id}`;
         
         // 如果是聚合内容，使用聚合的播放器模板
@@ -637,7 +772,10 @@ async function generateMoviePages(hexo) {
         }, {
             movie,
             route,
+            player_config: playerConfig,
+            protection,
             config: hexo.config,
+            __,
             page: {
                 title: movie.title,
                 path: `${movieRoute}/`
@@ -660,7 +798,7 @@ async function generateMoviePages(hexo) {
             for (const version of movie.versions) {
                 if (version.id !== movie.id) { // 不为主版本生成重定向
                     const versionRoute = `${route}/${version.media_type}/${version.id}`;
-                    const redirectHtml = generateRedirectPage(movieRoute, version.version_name, movie.title);
+                    const redirectHtml = generateRedirectPage(movieRoute, version.version_name, movie.title, __);
                     
                     pages.push({
                         path: `${versionRoute}/index.html`,
@@ -686,8 +824,9 @@ async function generateMoviePages(hexo) {
         movies: movies,
         route,
         config: hexo.config,
+        __,
         page: {
-            title: '文件识别对比',
+            title: __('pages.comparison'),
             path: `${route}/comparison.html`
         }
     });
@@ -695,7 +834,7 @@ async function generateMoviePages(hexo) {
         path: `${route}/comparison.html`,
         layout: 'page',
         data: {
-            title: '文件识别对比',
+            title: __('pages.comparison'),
             content: comparisonHtml,
             aside: false,
             sidebar: false
@@ -759,16 +898,104 @@ function copyAssets(hexo) {
 
 hexo.extend.generator.register('alist_movie', async function(locals) {
     const config = this.config.alist_movie_generator || {};
-    // 生成数据
-    await generateMovieData(this);
-
-    // 生成页面（以 content 片段交由主题布局渲染）
-    const pages = await generateMoviePages(this);
+    // 生成数据（auto_scan: false 时只读取 movies.json，扫描交给 hexo movie scan）
+    if (config.auto_scan === false) {
+        this.locals.set('movies', loadMoviesJson(this));
+    } else {
+        await generateMovieData(this);
+    }
 
     // 复制静态资源（以资源路由的形式返回给 Hexo）
     const assetRoutes = copyAssets(this);
 
-    return pages.concat(assetRoutes);
+    // 密码保护（protect.enable）：没有密码时不生成页面，避免输出未加密的地址
+    const protection = getProtectionConfig(config.protect);
+    if (protection && !protection.password) {
+        this.log.error('密码保护: 已开启 protect.enable 但没有设置密码（protect.password 或环境变量 ALIST_MOVIE_PASSWORD），不生成影视页面');
+        return assetRoutes;
+    }
+    const protector = protection ? createProtector(protection.password, protection.iterations) : null;
+
+    // 签名链接代理（proxy.enable）：没有密钥或代理地址时不生成页面
+    const proxy = PlayProxy.getConfig(config.proxy);
+    if (proxy && (!proxy.secret || !proxy.url)) {
+        this.log.error('签名链接代理: 已开启 proxy.enable 但没有设置 proxy.url 或密钥（proxy.secret 或环境变量 ALIST_MOVIE_PROXY_SECRET），不生成影视页面');
+        return assetRoutes;
+    }
+
+    // 按内容分级拆分条目（content_rating），受限条目不出现在公开列表页、播放列表和导出文件中
+    const { movies, hidden } = filterByContentRating(this.locals.get('movies') || [], config.content_rating, this.log);
+
+    // 生成页面（以 content 片段交由主题布局渲染）
+    const pages = await generateMoviePages(this, movies, hidden, { proxy, protector });
+
+    // 弹幕文件（以资源路由的形式返回给 Hexo）
+    const route = config.output?.route || 'movies';
+    const danmakuRoutes = getDanmakuRoutes(this, [...movies, ...hidden], route);
+
+    // NFO、M3U、CSV 导出文件（export.enable 时输出；导出文件中是原始播放地址，密码保护或使用代理时不发布）
+    let exportRoutes = [];
+    if (!protector && !proxy) {
+        exportRoutes = getExportRoutes(this, movies, route);
+    } else if (config.export?.enable) {
+        this.log.warn('导出文件包含原始播放地址，开启密码保护或签名链接代理时不发布到站点（可使用 hexo movie export 导出到本地）');
+    }
+
+    return pages.concat(assetRoutes, danmakuRoutes, exportRoutes);
+});
+
+/**
+ * 密码保护或使用签名链接代理时不发布 source/data/movies.json（其中是原始播放地址）
+ * 开启内容分级时只发布公开的条目（受限条目和单独路由中的条目不写入站点中的 movies.json）
+ */
+hexo.extend.filter.register('after_generate', function() {
+    const config = this.config.alist_movie_generator || {};
+    if (getProtectionConfig(config.protect) || PlayProxy.getConfig(config.proxy)) {
+        this.route.remove('data/movies.json');
+        return;
+    }
+
+    const contentRating = config.content_rating;
+    const jsonPath = path.join(this.source_dir, 'data', 'movies.json');
+    if (contentRating && contentRating.enable !== false && fs.existsSync(jsonPath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            const { movies } = filterByContentRating(data.movies || [], contentRating);
+            const total = movies.filter(movie => !movie.removed_at).length;
+            this.route.set('data/movies.json', JSON.stringify({ ...data, movies, total, archived: movies.length - total }));
+        } catch (error) {
+            this.log.error(`内容分级: 读取 movies.json 失败，不发布该文件: ${error.message}`);
+            this.route.remove('data/movies.json');
+        }
+    }
+});
+
+/**
+ * 注册 Hexo 控制台命令 hexo movie <scan|match|unmatched|doctor|clean|export|proxy>
+ */
+hexo.extend.console.register('movie', '管理 Alist 影视库（扫描、匹配、诊断、清理、导出、播放代理）', {
+    usage: '<command> [args]',
+    arguments: [
+        { name: 'scan', desc: '扫描 Alist 并更新 movies.json，不生成页面' },
+        { name: 'match <path> <tmdbId>', desc: '手动指定 Alist 路径对应的 TMDb 条目' },
+        { name: 'unmatched', desc: '列出未匹配到 TMDb 的条目' },
+        { name: 'doctor', desc: '检查 Alist 登录、TMDb Token 和目录可访问性' },
+        { name: 'clean', desc: '清理插件缓存' },
+        { name: 'export', desc: '导出 NFO、M3U 播放列表和 CSV' },
+        { name: 'proxy', desc: '启动签名链接代理（proxy.enable）' }
+    ],
+    options: [
+        { name: '--full', desc: 'scan: 忽略增量扫描快照，完整扫描' },
+        { name: '--cache-only', desc: 'scan: 仅使用 TMDb 缓存，不访问网络' },
+        { name: '--type', desc: 'match: 媒体类型 movie / tv' },
+        { name: '--tmdb / --scan / --danmaku', desc: 'clean: 只清理指定缓存' },
+        { name: '--archived', desc: 'clean: 从 movies.json 删除已归档的条目' },
+        { name: '--output', desc: 'export: 输出目录（默认为 Hexo 根目录下的 movie-export）' },
+        { name: '--format', desc: 'export: 导出格式 nfo,m3u,csv（默认全部）' },
+        { name: '--port', desc: 'proxy: 监听端口（默认为 proxy.port 或 4100）' }
+    ]
+}, function(args) {
+    return runMovieCommand(this, args, { generateMovieData });
 });
 
 /**
@@ -776,19 +1003,20 @@ hexo.extend.generator.register('alist_movie', async function(locals) {
  * @param {string} targetRoute - 目标路由
  * @param {string} versionName - 版本名称
  * @param {string} movieTitle - 电影标题
+ * @param {Function} __ - 翻译函数（见 i18n.js）
  * @returns {string} 重定向页面HTML
  */
-function generateRedirectPage(targetRoute, versionName, movieTitle) {
+function generateRedirectPage(targetRoute, versionName, movieTitle, __) {
     return `
 <div class="redirect-page">
     <div class="redirect-content">
-        <h2>正在跳转到主播放页面</h2>
-        <p>您访问的是「${movieTitle}」的 <strong>${versionName}</strong>。</p>
-        <p>为了更好的体验，我们将您重定向到统一的播放页面，您可以在那里选择不同的版本。</p>
+        <h2>${__('redirect.heading')}</h2>
+        <p>${__('redirect.version', { title: movieTitle, version: versionName })}</p>
+        <p>${__('redirect.explanation')}</p>
         <div class="redirect-countdown">
-            <span id="countdown">3</span> 秒后自动跳转...
+            ${__('redirect.countdown', { seconds: '<span id="countdown">3</span>' })}
         </div>
-        <a href="/${targetRoute}/" class="redirect-button">立即跳转</a>
+        <a href="/${targetRoute}/" class="redirect-button">${__('redirect.go_now')}</a>
     </div>
 </div>
 
@@ -869,5 +1097,9 @@ const timer = setInterval(() => {
 module.exports = {
     generateMovieData,
     generateMoviePages,
-    copyAssets
+    copyAssets,
+    groupFilesByContent,
+    extractMovieTitle,
+    extractSeasonInfo,
+    extractSourceInfo
 };
\ No newline at end of file
@@ -0,0 +1,331 @@
+/**
+ * 影视库导出 - 将 movies.json 中的条目导出为 Kodi / Jellyfin 格式的 NFO、扩展 M3U 播放列表和 CSV
+ * 供 VLC、Kodi 等播放器直接播放 Alist 直链，或导入其他媒体库工具
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXPORT_FORMATS = ['nfo', 'm3u', 'csv'];
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/original';
+
+const CSV_COLUMNS = [
+    'id', 'tmdb_id', 'media_type', 'title', 'original_title', 'year',
+    'season', 'episode', 'episode_title', 'source', 'part', 'file_name', 'path', 'url'
+];
+
+/**
+ * 转义 XML 文本
+ * @param {*} value - 文本
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 获取图片的完整地址（TMDb 路径补全为原图地址，本地海报等完整地址保持不变）
+ * @param {string|null} imagePath - poster_path / backdrop_path
+ * @returns {string|null}
+ */
+function getImageUrl(imagePath) {
+    if (!imagePath) return null;
+    return /^https?:\/\//i.test(imagePath) ? imagePath : `${TMDB_IMAGE_BASE}${imagePath}`;
+}
+
+/**
+ * 获取条目的年份
+ * @param {Object} movie - 影视条目
+ * @returns {string}
+ */
+function getYear(movie) {
+    const date = movie.release_date || movie.first_air_date || '';
+    return /^\d{4}/.test(date) ? date.slice(0, 4) : '';
+}
+
+/**
+ * 获取条目的显示名称：标题 (年份)，同时用作导出文件名（去除文件名中不允许的字符）
+ * @param {Object} movie - 影视条目
+ * @returns {string}
+ */
+function getDisplayName(movie) {
+    const year = getYear(movie);
+    const name = `${movie.title || movie.name || movie.id}${year ? ` (${year})` : ''}`;
+    return name.replace(/[\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 生成 Kodi 格式的 NFO（电视剧为 tvshow，其余为 movie）
+ * @param {Object} movie - 影视条目
+ * @returns {string} NFO 内容
+ */
+function buildNfo(movie) {
+    const root = movie.media_type === 'tv' ? 'tvshow' : 'movie';
+    const lines = [];
+    const add = (tag, value, attributes = '') => {
+        if (value !== undefined && value !== null && value !== '') {
+            lines.push(`    <${tag}${attributes}>${escapeXml(value)}</${tag}>`);
+        }
+    };
+
+    add('title', movie.title || movie.name);
+    add('originaltitle', movie.original_title || movie.original_name);
+    add('year', getYear(movie));
+    add('premiered', movie.release_date || movie.first_air_date);
+    add('plot', movie.overview);
+    add('tagline', movie.tagline);
+    if (movie.vote_average) {
+        lines.push('    <ratings>');
+        lines.push(`        <rating name="themoviedb" max="10" default="true"><value>${movie.vote_average}</value><votes>${movie.vote_count || 0}</votes></rating>`);
+        lines.push('    </ratings>');
+    }
+    (movie.genre_names || []).forEach(genre => add('genre', genre));
+    add('thumb', getImageUrl(movie.poster_path), ' aspect="poster"');
+    const fanart = getImageUrl(movie.backdrop_path);
+    if (fanart) {
+        lines.push(`    <fanart><thumb>${escapeXml(fanart)}</thumb></fanart>`);
+    }
+    if (movie.original_tmdb_id) {
+        add('uniqueid', movie.original_tmdb_id, ' type="tmdb" default="true"');
+    }
+    add('uniqueid', movie.imdb_id || movie.external_ids?.imdb_id, ' type="imdb"');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        `<${root}>`,
+        ...lines,
+        `</${root}>`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * 列出条目中可播放的视频（按播放顺序）
+ * 电影取每个片源（分段片源展开为各段），电视剧按季集排序（特别篇排在正片季之后），不含附加内容
+ * @param {Object} movie - 影视条目
+ * @returns {Array<{season: number|null, episode: number|null, episode_title: string, source: string, part: number|null, file_name: string, path: string, url: string}>}
+ */
+function collectMediaItems(movie) {
+    const items = [];
+    const push = (target, info = {}) => {
+        if (!target || !target.url) return;
+        items.push({
+            season: null,
+            episode: null,
+            episode_title: '',
+            source: '',
+            part: null,
+            file_name: target.file_name || target.name || path.posix.basename(target.path || ''),
+            path: target.path || '',
+            url: target.url,
+            ...info
+        });
+    };
+
+    if (movie.seasons && movie.seasons.length > 0) {
+        const seasons = [...movie.seasons].sort((a, b) => (a.season_number === 0) - (b.season_number === 0) || a.season_number - b.season_number);
+        for (const season of seasons) {
+            const episodes = [...(season.episodes || [])].sort((a, b) => a.episode_number - b.episode_number);
+            for (const episode of episodes) {
+                push(episode, {
+                    season: season.season_number,
+                    episode: episode.episode_number,
+                    episode_title: episode.name || ''
+                });
+            }
+        }
+    } else if (movie.sources && movie.sources.length > 0) {
+        for (const source of movie.sources) {
+            if (source.parts && source.parts.length > 0) {
+                source.parts.forEach(part => push(part, { source: source.source_name || '', part: part.part }));
+            } else {
+                push(source, { source: source.source_name || '' });
+            }
+        }
+    } else {
+        (movie.files || []).forEach(file => push(file));
+    }
+
+    return items;
+}
+
+/**
+ * 播放列表中的条目名称
+ * @param {Object} movie - 影视条目
+ * @param {Object} item - collectMediaItems 返回的视频
+ * @returns {string}
+ */
+function getItemLabel(movie, item) {
+    const title = movie.title || movie.name || item.file_name;
+    if (item.episode !== null) {
+        const number = `S${String(item.season).padStart(2, '0')}E${String(item.episode).padStart(2, '0')}`;
+        return [title, number, item.episode_title].filter(Boolean).join(' - ');
+    }
+    return [getDisplayName(movie), item.source, item.part ? `Part ${item.part}` : ''].filter(Boolean).join(' - ');
+}
+
+/**
+ * 生成扩展 M3U 播放列表
+ * @param {Array} movies - 影视条目
+ * @param {Object} [options]
+ * @param {string} [options.title] - 播放列表名称
+ * @param {boolean} [options.firstSourceOnly] - 电影只列出第一个片源（整库播放列表）
+ * @returns {string} M3U8 内容
+ */
+function buildPlaylist(movies, options = {}) {
+    const lines = ['#EXTM3U'];
+    if (options.title) {
+        lines.push(`#PLAYLIST:${options.title}`);
+    }
+
+    for (const movie of movies) {
+        let items = collectMediaItems(movie);
+        if (options.firstSourceOnly && items.length > 0 && items[0].episode === null) {
+            items = items.filter(item => item.source === items[0].source);
+        }
+
+        const logo = getImageUrl(movie.poster_path);
+        for (const item of items) {
+            lines.push(`#EXTINF:-1${logo ? ` tvg-logo="${logo}"` : ''} group-title="${getDisplayName(movie)}",${getItemLabel(movie, item)}`);
+            lines.push(item.url);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 转义 CSV 字段
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 生成 CSV（每个视频一行），带 UTF-8 BOM 以便 Excel 正确识别中文
+ * @param {Array} movies - 影视条目
+ * @returns {string} CSV 内容
+ */
+function buildCsv(movies) {
+    const rows = [CSV_COLUMNS];
+    for (const movie of movies) {
+        for (const item of collectMediaItems(movie)) {
+            const row = {
+                id: movie.id,
+                tmdb_id: movie.original_tmdb_id || '',
+                media_type: movie.media_type,
+                title: movie.title || movie.name,
+                original_title: movie.original_title || movie.original_name || '',
+                year: getYear(movie),
+                ...item
+            };
+            rows.push(CSV_COLUMNS.map(column => row[column]));
+        }
+    }
+    return `\ufeff${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * 生成导出文件列表
+ * nfo/<标题 (年份)>/movie.nfo 或 tvshow.nfo、playlists/<标题 (年份)>.m3u8（每部电视剧）、library.m3u8、library.csv
+ * @param {Array} movies - 影视条目
+ * @param {Array} [formats] - 导出格式（nfo、m3u、csv），默认全部
+ * @returns {Array<{path: string, content: string}>} 相对路径和内容
+ */
+function getExportFiles(movies, formats = EXPORT_FORMATS) {
+    const files = [];
+    const usedNames = new Set();
+    const entries = movies.map(movie => {
+        // 同名同年的条目加上 ID 区分
+        let name = getDisplayName(movie);
+        if (usedNames.has(name.toLowerCase())) {
+            name = `${name} [${movie.id}]`;
+        }
+        usedNames.add(name.toLowerCase());
+        return { movie, name };
+    });
+
+    if (formats.includes('nfo')) {
+        for (const { movie, name } of entries) {
+            files.push({
+                path: `nfo/${name}/${movie.media_type === 'tv' ? 'tvshow' : 'movie'}.nfo`,
+                content: buildNfo(movie)
+            });
+        }
+    }
+    if (formats.includes('m3u')) {
+        for (const { movie, name } of entries.filter(entry => entry.movie.media_type === 'tv')) {
+            files.push({ path: `playlists/${name}.m3u8`, content: buildPlaylist([movie], { title: name }) });
+        }
+        files.push({ path: 'library.m3u8', content: buildPlaylist(movies, { title: 'Library', firstSourceOnly: true }) });
+    }
+    if (formats.includes('csv')) {
+        files.push({ path: 'library.csv', content: buildCsv(movies) });
+    }
+
+    return files;
+}
+
+/**
+ * 解析导出格式配置（数组或逗号分隔的字符串），忽略不支持的格式
+ * @param {Array|string} [formats] - 导出格式
+ * @returns {Array} 导出格式
+ */
+function normalizeFormats(formats) {
+    if (!formats) return EXPORT_FORMATS;
+    const list = Array.isArray(formats) ? formats : String(formats).split(',');
+    return list.map(format => String(format).trim().toLowerCase()).filter(format => EXPORT_FORMATS.includes(format));
+}
+
+/**
+ * 导出文件的 Hexo 路由（配置 export.enable 时输出到 /<route>/export/）
+ * @param {Object} hexo - Hexo 实例
+ * @param {Array} movies - 影视条目
+ * @param {string} route - 影视页面路由
+ * @returns {Array} 路由列表
+ */
+function getExportRoutes(hexo, movies, route) {
+    const config = (hexo.config.alist_movie_generator || {}).export;
+    if (!config || !config.enable) {
+        return [];
+    }
+
+    return getExportFiles(movies, normalizeFormats(config.formats)).map(file => ({
+        path: `${route}/export/${file.path}`,
+        data: file.content
+    }));
+}
+
+/**
+ * 将导出文件写入目录
+ * @param {string} outputDir - 输出目录
+ * @param {Array} movies - 影视条目
+ * @param {Array} [formats] - 导出格式
+ * @returns {Array<string>} 写入的文件路径
+ */
+function writeExportFiles(outputDir, movies, formats = EXPORT_FORMATS) {
+    return getExportFiles(movies, formats).map(file => {
+        const filePath = path.join(outputDir, ...file.path.split('/'));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.content, 'utf8');
+        return filePath;
+    });
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildNfo,
+    buildPlaylist,
+    buildCsv,
+    getExportFiles,
+    getExportRoutes,
+    writeExportFiles,
+    normalizeFormats
+};
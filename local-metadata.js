@@ -0,0 +1,177 @@
+/**
+ * 本地元数据 - 读取 tinyMediaManager、Kodi、Jellyfin 等工具生成的 NFO 和海报
+ * movie.nfo / tvshow.nfo / <视频文件名>.nfo 中的 TMDb、IMDb ID 优先于按名称搜索，
+ * poster.jpg / fanart.jpg 等本地图片优先于 TMDb 图片
+ */
+
+// 海报和背景图的文件名（不含扩展名），<视频文件名>-poster.jpg 等同样支持
+const POSTER_NAMES = ['poster', 'folder', 'cover'];
+const FANART_NAMES = ['fanart', 'backdrop', 'background'];
+const IMAGE_EXTENSION_PATTERN = /\.(jpe?g|png|webp)$/i;
+
+// NFO 根元素 → 媒体类型
+const NFO_TYPES = {
+    movie: 'movie',
+    tvshow: 'tv',
+    episodedetails: 'episode'
+};
+
+/**
+ * 还原 XML 文本（CDATA 和常用实体）
+ * @param {string} text - XML 文本
+ * @returns {string}
+ */
+function decodeXml(text) {
+    return String(text)
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * 读取第一个同名元素的文本
+ * @param {string} xml - XML 内容
+ * @param {string} tag - 元素名
+ * @returns {string}
+ */
+function readTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? decodeXml(match[1]) : '';
+}
+
+/**
+ * 解析 Kodi 格式的 NFO
+ * 只包含 TMDb / IMDb 链接的 NFO（部分刮削器生成）同样支持
+ * @param {string} content - NFO 内容
+ * @returns {{
+ *   media_type: 'movie'|'tv'|'episode'|null, tmdb_id: number|null, imdb_id: string|null,
+ *   title: string|null, original_title: string|null, year: number|null, plot: string|null
+ * }|null} 没有任何可用信息时返回 null
+ */
+function parseNfo(content) {
+    const xml = String(content || '');
+    const rootMatch = xml.match(/<(movie|tvshow|episodedetails)\b/i);
+    let mediaType = rootMatch ? NFO_TYPES[rootMatch[1].toLowerCase()] : null;
+
+    // <uniqueid type="tmdb">27205</uniqueid>，旧版本使用 <tmdbid>、<imdbid>、<id>
+    const uniqueIds = {};
+    for (const match of xml.matchAll(/<uniqueid\b([^>]*)>([\s\S]*?)<\/uniqueid>/gi)) {
+        const typeMatch = match[1].match(/type\s*=\s*["']([^"']+)["']/i);
+        if (typeMatch) {
+            uniqueIds[typeMatch[1].toLowerCase()] = decodeXml(match[2]);
+        }
+    }
+
+    // 包含在文本中的链接：https://www.themoviedb.org/movie/27205、https://www.imdb.com/title/tt1375666
+    const tmdbUrl = xml.match(/themoviedb\.org\/(movie|tv)\/(\d+)/i);
+    if (!mediaType && tmdbUrl) {
+        mediaType = tmdbUrl[1].toLowerCase();
+    }
+
+    const tmdbId = parseInt(uniqueIds.tmdb || readTag(xml, 'tmdbid') || (tmdbUrl && tmdbUrl[2]), 10) || null;
+    const imdbText = uniqueIds.imdb || readTag(xml, 'imdbid') || readTag(xml, 'id') || xml;
+    const imdbMatch = imdbText.match(/\btt\d{7,8}\b/);
+    const year = parseInt(readTag(xml, 'year') || readTag(xml, 'premiered').slice(0, 4) || readTag(xml, 'aired').slice(0, 4), 10) || null;
+
+    const result = {
+        media_type: mediaType,
+        tmdb_id: tmdbId,
+        imdb_id: imdbMatch ? imdbMatch[0] : null,
+        title: readTag(xml, 'title') || null,
+        original_title: readTag(xml, 'originaltitle') || null,
+        year,
+        plot: readTag(xml, 'plot') || readTag(xml, 'outline') || null
+    };
+
+    return result.tmdb_id || result.imdb_id || result.title ? result : null;
+}
+
+/**
+ * 在目录项中查找本地元数据文件
+ * 指定视频文件名时优先使用同名的 <视频文件名>.nfo、<视频文件名>-poster.jpg
+ * @param {Array} items - 目录项（Alist 列表格式）
+ * @param {string} [videoName] - 视频文件名
+ * @returns {{nfo: object|null, poster: object|null, fanart: object|null}} 对应的目录项
+ */
+function findMetadataFiles(items, videoName = null) {
+    const files = (items || []).filter(item => !item.is_dir);
+    const baseName = videoName ? videoName.replace(/\.[^/.]+$/, '').toLowerCase() : null;
+    const findByName = names => files.find(item => names.includes(item.name.toLowerCase()));
+    const findImage = names => {
+        const images = files.filter(item => IMAGE_EXTENSION_PATTERN.test(item.name));
+        const stems = images.map(item => item.name.toLowerCase().replace(IMAGE_EXTENSION_PATTERN, ''));
+        const ownIndex = baseName ? stems.findIndex(stem => names.some(name => stem === `${baseName}-${name}`)) : -1;
+        const index = ownIndex >= 0 ? ownIndex : stems.findIndex(stem => names.includes(stem));
+        return images[index];
+    };
+
+    return {
+        nfo: (baseName && findByName([`${baseName}.nfo`])) || findByName(['movie.nfo', 'tvshow.nfo']) || null,
+        poster: findImage(POSTER_NAMES) || null,
+        fanart: findImage(FANART_NAMES) || null
+    };
+}
+
+/**
+ * 根据 NFO 中的信息获取 TMDb 详情：TMDb ID → IMDb ID → NFO 中的标题和年份
+ * @param {Object} tmdbAPI - TMDbAPI 实例
+ * @param {Object} nfo - parseNfo 的结果
+ * @param {string} mediaType - 目录配置的媒体类型（movie / tv / mixed），NFO 指明类型时以 NFO 为准
+ * @returns {Promise<Object|null>} 媒体详情，NFO 中没有可用信息时返回 null
+ */
+async function findDetailsByNfo(tmdbAPI, nfo, mediaType) {
+    if (!nfo) return null;
+
+    const type = nfo.media_type === 'movie' || nfo.media_type === 'tv' ? nfo.media_type : mediaType;
+
+    if (nfo.tmdb_id) {
+        const details = await tmdbAPI.getDetailsById(nfo.tmdb_id, type);
+        if (details) return details;
+    }
+    if (nfo.imdb_id) {
+        const details = await tmdbAPI.getDetailsByImdbId(nfo.imdb_id, type);
+        if (details) return details;
+    }
+    if (nfo.title) {
+        return tmdbAPI.getMediaDetails(nfo.title, nfo.original_title, type, { year: nfo.year });
+    }
+    return null;
+}
+
+/**
+ * 将本地海报、背景图应用到条目；没有 TMDb 信息的条目同时使用 NFO 中的标题、简介和年份
+ * @param {Object} entry - 影视条目
+ * @param {Object|null} metadata - 本地元数据 { nfo, poster, fanart }
+ * @returns {Object} 条目
+ */
+function applyLocalMetadata(entry, metadata) {
+    if (!metadata) return entry;
+
+    if (metadata.poster) {
+        entry.poster_path = metadata.poster;
+    }
+    if (metadata.fanart) {
+        entry.backdrop_path = metadata.fanart;
+    }
+
+    // 没有 TMDb 信息的条目没有 original_tmdb_id
+    const nfo = metadata.nfo;
+    if (nfo && !entry.original_tmdb_id) {
+        entry.title = nfo.title || entry.title;
+        entry.overview = nfo.plot || entry.overview;
+        entry.release_date = nfo.year ? `${nfo.year}-01-01` : entry.release_date;
+    }
+    return entry;
+}
+
+module.exports = {
+    parseNfo,
+    findMetadataFiles,
+    findDetailsByNfo,
+    applyLocalMetadata
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const StorageProvider = require('./storage-provider');
+
+/**
+ * 本地目录存储 - 直接读取本机目录，播放地址为 base_url 加相对路径
+ * 适用于由 Nginx 等 Web 服务器直接提供的媒体目录
+ */
+class LocalStorage extends StorageProvider {
+    /**
+     * @param {object} config - { root, base_url }
+     * @param {object} log - 日志对象
+     * @param {object} options - 见 StorageProvider
+     */
+    constructor(config, log, options = {}) {
+        super(config, log, options);
+        this.root = path.resolve(config.root);
+        this.baseUrl = (config.base_url || '').replace(/\/+$/, '');
+    }
+
+    get type() {
+        return 'local';
+    }
+
+    /**
+     * 将存储路径转换为本地路径（不允许访问根目录之外的文件）
+     * @param {string} itemPath - 存储路径（以 / 开头，相对于 root）
+     * @returns {string}
+     */
+    _resolveLocalPath(itemPath) {
+        const localPath = path.resolve(this.root, `.${path.posix.normalize(`/${itemPath}`)}`);
+        if (localPath !== this.root && !localPath.startsWith(this.root + path.sep)) {
+            throw new Error(`路径超出本地存储根目录: ${itemPath}`);
+        }
+        return localPath;
+    }
+
+    /**
+     * 读取本地目录内容（失败时抛出异常）
+     * @param {string} currentPath - 目录路径
+     * @returns {Promise<Array>} 目录内容
+     */
+    async _fetchFiles(currentPath) {
+        const dirPath = this._resolveLocalPath(currentPath);
+        const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        const items = [];
+
+        for (const entry of entries) {
+            // 跳过隐藏文件（.DS_Store、@eaDir 等由系统生成的文件）
+            if (entry.name.startsWith('.')) continue;
+
+            try {
+                const stat = await fs.promises.stat(path.join(dirPath, entry.name));
+                items.push({
+                    name: entry.name,
+                    is_dir: stat.isDirectory(),
+                    size: stat.isDirectory() ? 0 : stat.size,
+                    modified: stat.mtime.toISOString()
+                });
+            } catch (error) {
+                // 失效的符号链接等
+                this.log.debug(`跳过无法读取的文件 ${path.join(dirPath, entry.name)}: ${error.message}`);
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * 直接读取本地文本文件
+     * @param {string} itemPath - 文件路径
+     * @returns {Promise<string>}
+     */
+    async _fetchTextFile(itemPath) {
+        return fs.promises.readFile(this._resolveLocalPath(itemPath), 'utf8');
+    }
+
+    /**
+     * 生成文件的播放地址
+     * @param {string} itemPath - 文件路径
+     * @returns {string}
+     */
+    getFileUrl(itemPath) {
+        return `${this.baseUrl}${StorageProvider.encodePath(itemPath)}`;
+    }
+}
+
+module.exports = LocalStorage;
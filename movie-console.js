@@ -0,0 +1,353 @@
+/**
+ * Hexo 控制台命令 - hexo movie <scan|match|unmatched|doctor|clean|export|proxy>
+ * 影视库的扫描、匹配与诊断，与站点渲染解耦
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageManager = require('./storage-manager');
+const TMDbAPI = require('./tmdb-api');
+const TMDbCache = require('./tmdb-cache');
+const { getCacheRoot } = require('./cache-utils');
+const { loadMoviesJson, purgeArchivedMovies, collectFilePaths } = require('./movie-sync');
+const MovieOverrides = require('./movie-overrides');
+const { writeExportFiles, normalizeFormats } = require('./library-export');
+const PlayProxy = require('./play-proxy');
+
+const MEDIA_TYPES = ['movie', 'tv', 'mixed'];
+
+// clean 命令可单独清理的缓存子目录
+const CACHE_TARGETS = {
+    tmdb: 'tmdb',
+    scan: 'alist',
+    danmaku: 'danmaku'
+};
+
+/**
+ * 获取插件配置中的所有扫描目录
+ * @param {Object} config - 插件配置
+ * @returns {Array<{path:string, type:string}>}
+ */
+function getConfiguredDirectories(config) {
+    return [
+        ...(config.movies || []).map(dir => ({ ...dir, type: 'movie' })),
+        ...(config.tv_shows || []).map(dir => ({ ...dir, type: 'tv' })),
+        ...(config.mixed_content || []).map(dir => ({ ...dir, type: 'mixed' }))
+    ];
+}
+
+/**
+ * hexo movie scan - 扫描 Alist 并更新 movies.json（不生成页面）
+ * --full 忽略增量扫描快照，--cache-only 仅使用 TMDb 缓存
+ */
+async function scanCommand(hexo, params, args, handlers) {
+    const config = hexo.config.alist_movie_generator;
+    if (!config) {
+        hexo.log.error('Alist Movie Generator: No configuration found');
+        return;
+    }
+
+    config.cache = { ...(config.cache || {}) };
+    if (args.full && config.cache.incremental_scan) {
+        const incremental = config.cache.incremental_scan === true ? {} : config.cache.incremental_scan;
+        config.cache.incremental_scan = { ...incremental, force_full: true };
+    }
+    if (args['cache-only']) {
+        config.cache.tmdb = { ...(config.cache.tmdb || {}), cache_only: true };
+    }
+
+    await handlers.generateMovieData(hexo);
+}
+
+/**
+ * hexo movie match <路径> <TMDb ID> [--type movie|tv] - 手动指定路径对应的 TMDb 条目
+ */
+async function matchCommand(hexo, params, args) {
+    const config = hexo.config.alist_movie_generator || {};
+    const log = hexo.log;
+    const [alistPath, rawId] = params;
+    const tmdbId = parseInt(rawId, 10);
+    const mediaType = args.type || 'mixed';
+
+    if (!alistPath || !tmdbId || tmdbId <= 0) {
+        log.error('用法: hexo movie match <Alist 路径> <TMDb ID> [--type movie|tv]');
+        return;
+    }
+    if (!MEDIA_TYPES.includes(mediaType)) {
+        log.error(`不支持的媒体类型: ${mediaType}（可选: ${MEDIA_TYPES.join(', ')}）`);
+        return;
+    }
+
+    if (config.tmdb_token) {
+        const tmdbAPI = TMDbAPI.fromHexo(hexo, TMDbCache.fromHexo(hexo));
+        const details = await tmdbAPI.getDetailsById(tmdbId, mediaType);
+        if (!details) {
+            log.error(`TMDb 中未找到 ID ${tmdbId}（类型: ${mediaType}），未保存手动匹配`);
+            return;
+        }
+        log.info(`TMDb ID ${tmdbId}: ${details.title} (${details.media_type === 'tv' ? '电视剧' : '电影'})`);
+    }
+
+    const override = { tmdb_id: tmdbId };
+    if (mediaType !== 'mixed') {
+        override.media_type = mediaType;
+    }
+
+    const filePath = MovieOverrides.save(hexo, alistPath, override);
+    if (!filePath) {
+        return;
+    }
+    log.info(`已保存手动匹配: ${alistPath} -> ${tmdbId}`);
+    log.info(`覆盖规则文件: ${filePath}，执行 hexo movie scan 或 hexo generate 后生效`);
+}
+
+/**
+ * hexo movie unmatched - 列出未能匹配到 TMDb 的条目
+ */
+async function unmatchedCommand(hexo) {
+    const log = hexo.log;
+    const movies = loadMoviesJson(hexo);
+    const unmatched = movies.filter(movie => movie.media_type === 'unknown' || String(movie.id).includes('unknown_'));
+
+    if (unmatched.length === 0) {
+        log.info(movies.length > 0 ? '所有条目都已匹配到 TMDb' : 'movies.json 为空，请先执行 hexo movie scan');
+        return;
+    }
+
+    log.info(`共有 ${unmatched.length} 个条目未匹配到 TMDb:`);
+    for (const movie of unmatched) {
+        const filePaths = [...collectFilePaths(movie)];
+        const folder = filePaths.length > 0 ? path.posix.dirname(filePaths[0]) : null;
+
+        log.info(`- ${movie.title} (${filePaths.length} 个文件)`);
+        filePaths.slice(0, 3).forEach(filePath => log.info(`    ${filePath}`));
+        if (folder) {
+            log.info(`    手动匹配: hexo movie match "${folder}" <TMDb ID>`);
+        }
+    }
+}
+
+/**
+ * hexo movie doctor - 检查存储连接（Alist 登录等）、TMDb Token、目录可访问性和缓存目录
+ */
+async function doctorCommand(hexo) {
+    const config = hexo.config.alist_movie_generator;
+    const log = hexo.log;
+    let passed = 0;
+    let failed = 0;
+
+    const report = (ok, message) => {
+        if (ok) {
+            passed++;
+            log.info(`✓ ${message}`);
+        } else {
+            failed++;
+            log.error(`✗ ${message}`);
+        }
+    };
+
+    if (!config) {
+        report(false, '未找到 alist_movie_generator 配置');
+        return;
+    }
+
+    // 存储连接（Alist 登录等）与目录
+    const storageError = StorageManager.validateConfig(config);
+    const directories = getConfiguredDirectories(config);
+    if (storageError) {
+        report(false, `存储配置错误: ${storageError}`);
+    } else if (directories.length === 0) {
+        report(false, '未配置任何扫描目录（movies / tv_shows / mixed_content）');
+    } else {
+        const storage = new StorageManager(config, log);
+        const connected = new Map();
+
+        for (const dir of directories) {
+            const provider = storage.resolve(dir);
+            if (!connected.has(provider.name)) {
+                try {
+                    await provider.connect();
+                    connected.set(provider.name, true);
+                    report(true, `存储 ${provider.name} (${provider.type}) 连接成功`);
+                } catch (error) {
+                    connected.set(provider.name, false);
+                    report(false, `存储 ${provider.name} (${provider.type}) 连接失败: ${error.message}`);
+                }
+            }
+            if (!connected.get(provider.name)) continue;
+
+            try {
+                const items = await provider._fetchFiles(provider._normalizePath(dir.path));
+                report(items.length > 0, `目录 ${dir.path} (${dir.type}, 存储: ${provider.name}): ${items.length} 个项目`);
+            } catch (error) {
+                report(false, `目录 ${dir.path} (${dir.type}, 存储: ${provider.name}) 无法访问: ${error.message}`);
+            }
+        }
+    }
+
+    // TMDb Token（不使用缓存）
+    if (!config.tmdb_token) {
+        report(false, '未配置 tmdb_token');
+    } else {
+        const tmdbAPI = TMDbAPI.fromHexo(hexo);
+        try {
+            await tmdbAPI.api.get('/configuration', {
+                params: { api_key: config.tmdb_token },
+                timeout: 10000
+            });
+            report(true, 'TMDb Token 有效');
+        } catch (error) {
+            const status = error.response ? ` (HTTP ${error.response.status})` : '';
+            report(false, `TMDb 请求失败${status}: ${error.message}`);
+        }
+    }
+
+    // 缓存目录
+    const cacheRoot = getCacheRoot(hexo);
+    try {
+        fs.mkdirSync(cacheRoot, { recursive: true });
+        fs.accessSync(cacheRoot, fs.constants.W_OK);
+        report(true, `缓存目录可写: ${cacheRoot}`);
+    } catch (error) {
+        report(false, `缓存目录不可写 ${cacheRoot}: ${error.message}`);
+    }
+
+    // 弹幕
+    if (config.danmaku && config.danmaku.enable) {
+        report(!!(config.danmaku.app_id && config.danmaku.app_secret), '弹幕已启用，检查 danmaku.app_id / app_secret 配置');
+    }
+
+    log.info(`检查完成: ${passed} 项通过, ${failed} 项失败`);
+}
+
+/**
+ * hexo movie clean [--tmdb] [--scan] [--danmaku] [--archived] - 清理缓存或归档条目
+ */
+async function cleanCommand(hexo, params, args) {
+    const log = hexo.log;
+    const cacheRoot = getCacheRoot(hexo);
+    const targets = Object.keys(CACHE_TARGETS).filter(name => args[name]);
+
+    if (args.archived) {
+        const purgedCount = purgeArchivedMovies(hexo);
+        log.info(`已从 movies.json 删除 ${purgedCount} 个归档条目`);
+        if (targets.length === 0) return;
+    }
+
+    if (targets.length === 0) {
+        fs.rmSync(cacheRoot, { recursive: true, force: true });
+        log.info(`已清理全部缓存: ${cacheRoot}`);
+        return;
+    }
+
+    for (const target of targets) {
+        const targetDir = path.join(cacheRoot, CACHE_TARGETS[target]);
+        fs.rmSync(targetDir, { recursive: true, force: true });
+        log.info(`已清理缓存: ${targetDir}`);
+    }
+}
+
+/**
+ * hexo movie export [--output <目录>] [--format nfo,m3u,csv] - 导出 NFO、M3U 播放列表和 CSV
+ */
+async function exportCommand(hexo, params, args) {
+    const log = hexo.log;
+    const movies = loadMoviesJson(hexo);
+    if (movies.length === 0) {
+        log.info('movies.json 为空，请先执行 hexo movie scan');
+        return;
+    }
+
+    const formats = normalizeFormats(args.format);
+    if (formats.length === 0) {
+        log.error(`不支持的导出格式: ${args.format}（可选: nfo, m3u, csv）`);
+        return;
+    }
+
+    const outputDir = path.resolve(hexo.base_dir, args.output || 'movie-export');
+    const files = writeExportFiles(outputDir, movies, formats);
+    log.info(`已导出 ${movies.length} 个条目（${formats.join(', ')}），共 ${files.length} 个文件: ${outputDir}`);
+}
+
+/**
+ * hexo movie proxy [--port <端口>] - 启动签名链接代理，直到进程收到 SIGINT / SIGTERM
+ */
+async function proxyCommand(hexo, params, args) {
+    const log = hexo.log;
+    const config = hexo.config.alist_movie_generator || {};
+    const options = PlayProxy.getConfig(config.proxy);
+    if (!options) {
+        log.error('签名链接代理未开启，请在配置中设置 proxy.enable: true');
+        return;
+    }
+    if (!options.secret || !options.url) {
+        log.error('请设置 proxy.url 和密钥（proxy.secret 或环境变量 ALIST_MOVIE_PROXY_SECRET）');
+        return;
+    }
+
+    const moviesPath = path.join(hexo.source_dir, 'data', 'movies.json');
+    if (!fs.existsSync(moviesPath)) {
+        log.error(`未找到 ${moviesPath}，请先执行 hexo movie scan`);
+        return;
+    }
+
+    const port = parseInt(args.port, 10);
+    const proxy = new PlayProxy({ ...options, port: Number.isInteger(port) ? port : options.port, moviesPath }, log);
+    try {
+        await proxy.start();
+    } catch (error) {
+        log.error(`签名链接代理启动失败: ${error.message}`);
+        return;
+    }
+    log.info(`签名链接代理已启动: http://${proxy.options.host}:${proxy.options.port}（公开地址 ${options.url}，链接有效期 ${options.ttl} 秒）`);
+
+    await new Promise(resolve => {
+        const stop = () => {
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+            proxy.close().then(resolve);
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    });
+    log.info('签名链接代理已停止');
+}
+
+const COMMANDS = {
+    scan: scanCommand,
+    match: matchCommand,
+    unmatched: unmatchedCommand,
+    doctor: doctorCommand,
+    clean: cleanCommand,
+    export: exportCommand,
+    proxy: proxyCommand
+};
+
+/**
+ * 执行 hexo movie 子命令
+ * @param {Object} hexo - Hexo 实例
+ * @param {Object} args - 命令行参数（minimist 格式）
+ * @param {Object} handlers - 由 index.js 提供的处理函数 { generateMovieData }
+ */
+async function runMovieCommand(hexo, args, handlers) {
+    const [command, ...params] = (args._ || []).map(String);
+    const handler = COMMANDS[command];
+
+    if (!handler) {
+        hexo.log.info('用法: hexo movie <command>');
+        hexo.log.info('  scan                      扫描 Alist 并更新 movies.json（--full 完整扫描，--cache-only 仅用 TMDb 缓存）');
+        hexo.log.info('  match <路径> <TMDb ID>     手动指定路径对应的 TMDb 条目（--type movie|tv）');
+        hexo.log.info('  unmatched                 列出未匹配到 TMDb 的条目');
+        hexo.log.info('  doctor                    检查存储、TMDb 和目录配置');
+        hexo.log.info('  clean                     清理缓存（--tmdb、--scan、--danmaku 只清理指定缓存，--archived 删除归档条目）');
+        hexo.log.info('  export                    导出 NFO、M3U 播放列表和 CSV（--output 输出目录，--format nfo,m3u,csv）');
+        hexo.log.info('  proxy                     启动签名链接代理（--port 监听端口）');
+        return;
+    }
+
+    return handler(hexo, params, args, handlers);
+}
+
+module.exports = {
+    runMovieCommand
+};
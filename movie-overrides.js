@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// 覆盖规则支持的字段
+const OVERRIDE_FIELDS = ['tmdb_id', 'media_type', 'title', 'poster', 'ignore'];
+
+const FILE_HEADER = '# Alist 影视匹配覆盖规则（hexo-alist-movie-plugin）\n' +
+    '# 键为 Alist 路径或通配符（* 匹配单级，** 匹配多级），规则对该路径及其子路径生效\n';
+
+/**
+ * 手动匹配覆盖规则 - 读取 source/_data/movie_overrides.yml
+ * 为 Alist 路径指定 TMDb ID、媒体类型、自定义标题、海报，或忽略该路径
+ */
+class MovieOverrides {
+    /**
+     * @param {object} rules - { [路径或通配符]: { tmdb_id, media_type, title, poster, ignore } }
+     * @param {object} log - 日志对象
+     */
+    constructor(rules, log) {
+        this.log = log;
+        this.rules = Object.entries(rules || {})
+            .filter(([pattern, override]) => pattern && override && typeof override === 'object')
+            .map(([pattern, override]) => MovieOverrides._compileRule(pattern, override))
+            // 越具体的规则优先级越高：精确路径优先于通配符，长路径优先于短路径
+            .sort((a, b) => (a.isGlob - b.isGlob) || (b.pattern.length - a.pattern.length));
+    }
+
+    /**
+     * 获取覆盖规则文件路径
+     * @param {Object} hexo - Hexo 实例
+     * @returns {string}
+     */
+    static getFilePath(hexo) {
+        return path.join(hexo.source_dir, '_data', 'movie_overrides.yml');
+    }
+
+    /**
+     * 读取覆盖规则文件
+     * @param {Object} hexo - Hexo 实例
+     * @returns {MovieOverrides}
+     */
+    static load(hexo) {
+        return new MovieOverrides(MovieOverrides._readRules(hexo), hexo.log);
+    }
+
+    /**
+     * 保存一条覆盖规则（合并到已有规则）
+     * 只改写该路径对应的规则块，文件中其余规则的注释、顺序和格式保持不变
+     * @param {Object} hexo - Hexo 实例
+     * @param {string} alistPath - Alist 路径或通配符
+     * @param {object} override - 覆盖字段
+     * @returns {string|null} 规则文件路径，规则文件格式错误时不保存并返回 null
+     */
+    static save(hexo, alistPath, override) {
+        const filePath = MovieOverrides.getFilePath(hexo);
+        const key = MovieOverrides._normalizePath(alistPath);
+        const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : FILE_HEADER;
+
+        let rules;
+        try {
+            rules = yaml.load(text) || {};
+        } catch (error) {
+            hexo.log.error(`覆盖规则文件格式错误，未保存 ${filePath}: ${error.message}`);
+            return null;
+        }
+
+        const existingKey = Object.keys(rules).find(pattern => MovieOverrides._normalizePath(pattern) === key);
+        const block = yaml.dump({ [key]: { ...(existingKey ? rules[existingKey] : {}), ...override } }, { lineWidth: -1 });
+        const lines = text.split('\n');
+        const range = existingKey ? MovieOverrides._findBlock(lines, existingKey) : null;
+
+        let output;
+        if (range) {
+            lines.splice(range.start, range.end - range.start, ...block.trimEnd().split('\n'));
+            output = lines.join('\n');
+        } else {
+            output = `${text.replace(/\s*$/, '\n')}${text.trim() ? '\n' : ''}${block}`;
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, output, 'utf8');
+        return filePath;
+    }
+
+    /**
+     * 查找顶层键对应的规则块（键所在行及其后缩进的行）
+     * @param {string[]} lines - 文件内容
+     * @param {string} key - 文件中的原始键
+     * @returns {{start: number, end: number}|null} end 不包含
+     * @private
+     */
+    static _findBlock(lines, key) {
+        const start = lines.findIndex(line => {
+            const match = line.match(/^([^\s#].*?):(?:\s+#.*)?\s*$/);
+            if (!match) return false;
+            try {
+                return String(yaml.load(match[1])) === key;
+            } catch (error) {
+                return false;
+            }
+        });
+        if (start === -1) {
+            return null;
+        }
+
+        let end = start + 1;
+        while (end < lines.length && (/^\s+\S/.test(lines[end]) || (lines[end].trim() === '' && /^\s+\S/.test(lines[end + 1] || '')))) {
+            end++;
+        }
+        return { start, end };
+    }
+
+    /**
+     * 读取 YAML 规则
+     * @param {Object} hexo - Hexo 实例
+     * @returns {object}
+     * @private
+     */
+    static _readRules(hexo) {
+        const filePath = MovieOverrides.getFilePath(hexo);
+        try {
+            if (fs.existsSync(filePath)) {
+                return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+            }
+        } catch (error) {
+            hexo.log.warn(`读取覆盖规则失败 ${filePath}: ${error.message}`);
+        }
+        return {};
+    }
+
+    /**
+     * 规范化路径（去除结尾斜杠）
+     * @param {string} alistPath - Alist 路径
+     * @returns {string}
+     * @private
+     */
+    static _normalizePath(alistPath) {
+        const normalized = path.posix.normalize(String(alistPath));
+        return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+    }
+
+    /**
+     * 编译单条规则
+     * @param {string} pattern - 路径或通配符
+     * @param {object} override - 覆盖字段
+     * @returns {object}
+     * @private
+     */
+    static _compileRule(pattern, override) {
+        const normalized = MovieOverrides._normalizePath(pattern);
+        const isGlob = /[*?]/.test(normalized);
+
+        const fields = {};
+        for (const field of OVERRIDE_FIELDS) {
+            if (override[field] !== undefined && override[field] !== null) {
+                fields[field] = override[field];
+            }
+        }
+        if (fields.tmdb_id !== undefined) {
+            fields.tmdb_id = parseInt(fields.tmdb_id, 10);
+        }
+
+        let regex = null;
+        if (isGlob) {
+            const source = normalized
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\/\*\*\//g, '\u0001')
+                .replace(/\*\*/g, '\u0000')
+                .replace(/\*/g, '[^/]*')
+                .replace(/\?/g, '[^/]')
+                .replace(/\u0000/g, '.*')
+                // "/**/" 可以匹配零级目录
+                .replace(/\u0001/g, '(?:/.*)?/');
+            regex = new RegExp(`^${source}$`);
+        }
+
+        return { pattern: normalized, isGlob, regex, override: fields };
+    }
+
+    /**
+     * 判断规则是否覆盖某个路径（路径本身或任一上级目录匹配）
+     * @param {object} rule - 编译后的规则
+     * @param {string} targetPath - Alist 路径
+     * @returns {boolean}
+     * @private
+     */
+    _covers(rule, targetPath) {
+        if (!targetPath) return false;
+
+        if (!rule.isGlob) {
+            const prefix = rule.pattern === '/' ? '/' : `${rule.pattern}/`;
+            return targetPath === rule.pattern || targetPath.startsWith(prefix);
+        }
+
+        let current = MovieOverrides._normalizePath(targetPath);
+        while (current && current !== '/' && current !== '.') {
+            if (rule.regex.test(current)) return true;
+            current = path.posix.dirname(current);
+        }
+        return false;
+    }
+
+    /**
+     * 查找适用于条目的覆盖规则（取最具体的一条）
+     * @param {string[]} paths - 条目包含的路径（目录或文件）
+     * @returns {object|null} 覆盖字段 { tmdb_id, media_type, title, poster, ignore, pattern }
+     */
+    find(paths) {
+        const candidates = (paths || []).filter(Boolean);
+        for (const rule of this.rules) {
+            if (candidates.some(p => this._covers(rule, p))) {
+                return { ...rule.override, pattern: rule.pattern };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 判断路径是否被忽略
+     * @param {string} targetPath - Alist 路径
+     * @returns {boolean}
+     */
+    isIgnored(targetPath) {
+        const override = this.find([targetPath]);
+        return !!(override && override.ignore);
+    }
+
+    /**
+     * 将自定义标题、海报应用到条目
+     * @param {object} entry - 影视条目
+     * @param {object|null} override - 覆盖字段
+     * @returns {object} 条目
+     */
+    apply(entry, override) {
+        if (!override) return entry;
+
+        if (override.title) {
+            entry.title = override.title;
+            // 自定义标题在所有语言中生效
+            for (const translation of Object.values(entry.translations || {})) {
+                translation.title = override.title;
+            }
+        }
+        if (override.poster) {
+            entry.poster_path = override.poster;
+        }
+        entry.override = override.pattern;
+        return entry;
+    }
+
+    /**
+     * 规则数量
+     * @returns {number}
+     */
+    get size() {
+        return this.rules.length;
+    }
+}
+
+module.exports = MovieOverrides;
@@ -0,0 +1,315 @@
+/**
+ * movies.json 同步 - 更新有变化的条目、移除（或归档）已删除的条目，保留手动编辑，并记录变更日志
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCacheRoot, readJson, writeJson } = require('./cache-utils');
+
+// 这些字段每次从 TMDb 获取都可能变化，更新时不写入变更日志
+const VOLATILE_FIELDS = ['popularity', 'vote_count', 'vote_average'];
+
+// 由同步过程维护的字段，不视为手动编辑
+const SYNC_FIELDS = ['removed_at'];
+
+// 变更日志保留的构建次数
+const MAX_CHANGELOG_ENTRIES = 50;
+
+/**
+ * 计算任意值的哈希（用于判断字段是否被修改）
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function hashValue(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value === undefined ? null : value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * 根据名称生成稳定的条目ID（用于未匹配到 TMDb 的条目，保证多次构建ID一致）
+ * @param {string} prefix - ID 前缀，例如 unknown、unknown_movie
+ * @param {...string} parts - 参与计算的内容（标题、目录类型等）
+ * @returns {string}
+ */
+function createStableId(prefix, ...parts) {
+    const digest = crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 12);
+    return `${prefix}_${digest}`;
+}
+
+/**
+ * 收集条目中的所有视频文件路径（含季、集和聚合版本）
+ * @param {Object} entry - 影视条目
+ * @returns {Set<string>}
+ */
+function collectFilePaths(entry) {
+    const paths = new Set();
+
+    const visit = (container) => {
+        (container.files || []).forEach(file => file.path && paths.add(file.path));
+        (container.seasons || []).forEach(season => {
+            (season.episodes || []).forEach(episode => {
+                const episodePath = episode.path || (episode.file && episode.file.path);
+                if (episodePath) paths.add(episodePath);
+            });
+        });
+    };
+
+    visit(entry);
+    (entry.versions || []).forEach(visit);
+
+    return paths;
+}
+
+/**
+ * 判断条目是否有文件位于指定目录中
+ * @param {Object} entry - 影视条目
+ * @param {Array<string>} dirPaths - 目录路径
+ * @returns {boolean}
+ */
+function hasFilesUnder(entry, dirPaths) {
+    const prefixes = dirPaths.map(dirPath => dirPath.replace(/\/+$/, '') + '/');
+    return [...collectFilePaths(entry)].some(filePath => prefixes.some(prefix => filePath.startsWith(prefix)));
+}
+
+/**
+ * 合并单个条目：以新生成的数据为准，保留用户手动编辑的字段
+ * @param {Object} generated - 本次生成的条目
+ * @param {Object} previous - movies.json 中的旧条目
+ * @param {Object} previousHashes - 上次生成时各字段的哈希
+ * @returns {{entry: Object, preserved: string[]}}
+ */
+function mergeEntry(generated, previous, previousHashes) {
+    const entry = { ...generated };
+    const preserved = [];
+
+    for (const field of Object.keys(previous)) {
+        if (SYNC_FIELDS.includes(field)) continue;
+
+        const generatedBefore = previousHashes && previousHashes[field];
+        if (generatedBefore === undefined) {
+            // 上次生成时没有该字段：手动添加的字段
+            if (!(field in generated)) {
+                entry[field] = previous[field];
+                preserved.push(field);
+            }
+        } else if (hashValue(previous[field]) !== generatedBefore) {
+            // 字段值与上次生成的不一致：手动修改过
+            entry[field] = previous[field];
+            preserved.push(field);
+        }
+    }
+
+    return { entry, preserved };
+}
+
+/**
+ * 计算新旧条目的差异
+ * @param {Object} previous - 旧条目
+ * @param {Object} current - 新条目
+ * @returns {{fields: string[], files_added: string[], files_removed: string[]}}
+ */
+function diffEntry(previous, current) {
+    const fields = [];
+    const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const key of keys) {
+        if (SYNC_FIELDS.includes(key) || VOLATILE_FIELDS.includes(key)) continue;
+        if (hashValue(previous[key]) !== hashValue(current[key])) {
+            fields.push(key);
+        }
+    }
+
+    const before = collectFilePaths(previous);
+    const after = collectFilePaths(current);
+
+    return {
+        fields: fields,
+        files_added: [...after].filter(p => !before.has(p)),
+        files_removed: [...before].filter(p => !after.has(p))
+    };
+}
+
+/**
+ * 将本次生成的条目同步到 movies.json
+ * @param {Object} hexo - Hexo 实例
+ * @param {Array} movies - 本次生成的条目（已排序）
+ * @param {Object} jsonData - 写入 movies.json 的其余字段（config、detection_method 等）
+ * @param {Object} [options]
+ * @param {Array<string>} [options.keepPaths] - 本次列出失败的目录（scan.on_failure: keep_previous），其中未重新生成的原条目保持不变，不归档
+ * @returns {{movies: Array, changes: Object}} movies 为当前有效条目（已应用手动编辑，不含归档条目）
+ */
+function syncMoviesJson(hexo, movies, jsonData = {}, options = {}) {
+    const config = hexo.config.alist_movie_generator || {};
+    const syncOptions = config.sync || {};
+    const removedMode = syncOptions.removed === 'delete' ? 'delete' : 'archive';
+    const log = hexo.log;
+
+    const outputDir = path.join(hexo.source_dir, 'data');
+    const jsonPath = path.join(outputDir, 'movies.json');
+    const statePath = path.join(getCacheRoot(hexo), 'sync-state.json');
+    // 变更日志只供本地查看，写入缓存目录，不随站点发布
+    const changelogPath = path.join(getCacheRoot(hexo), 'movies_changelog.json');
+
+    let previousMovies = [];
+    try {
+        if (fs.existsSync(jsonPath)) {
+            const previous = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            previousMovies = Array.isArray(previous.movies) ? previous.movies : [];
+        }
+    } catch (e) {
+        log.warn(`Failed to read existing movies.json: ${e.message}, rewriting a fresh file`);
+    }
+
+    const previousState = readJson(statePath, { hashes: {} });
+    const previousById = new Map(previousMovies.map(m => [String(m.id), m]));
+    const now = new Date().toISOString();
+
+    const changes = {
+        generated_at: now,
+        added: [],
+        updated: [],
+        removed: [],
+        preserved_edits: []
+    };
+    const hashes = {};
+    const activeMovies = [];
+
+    for (const generated of movies) {
+        const id = String(generated.id);
+        const previous = previousById.get(id);
+
+        hashes[id] = {};
+        for (const field of Object.keys(generated)) {
+            hashes[id][field] = hashValue(generated[field]);
+        }
+
+        if (!previous) {
+            activeMovies.push(generated);
+            changes.added.push({ id: id, title: generated.title });
+            continue;
+        }
+
+        previousById.delete(id);
+
+        const { entry, preserved } = mergeEntry(generated, previous, previousState.hashes[id]);
+        activeMovies.push(entry);
+
+        if (preserved.length > 0) {
+            changes.preserved_edits.push({ id: id, title: entry.title, fields: preserved });
+        }
+
+        const diff = diffEntry(previous, entry);
+        if (previous.removed_at) {
+            changes.added.push({ id: id, title: entry.title, restored: true });
+        } else if (diff.fields.length > 0) {
+            changes.updated.push({ id: id, title: entry.title, ...diff });
+        }
+    }
+
+    // 剩余的旧条目：文件位于列出失败的目录中时保留，否则文件已不存在
+    const keepPaths = options.keepPaths || [];
+    const keptMovies = [];
+    for (const [id, previous] of previousById) {
+        if (!previous.removed_at && keepPaths.length > 0 && hasFilesUnder(previous, keepPaths)) {
+            previousById.delete(id);
+            activeMovies.push(previous);
+            keptMovies.push(previous.title);
+            if (previousState.hashes[id]) {
+                hashes[id] = previousState.hashes[id];
+            }
+        }
+    }
+
+    const archivedMovies = [];
+    for (const [id, previous] of previousById) {
+        if (!previous.removed_at) {
+            changes.removed.push({ id: id, title: previous.title, mode: removedMode });
+        }
+        if (removedMode === 'archive') {
+            archivedMovies.push(previous.removed_at ? previous : { ...previous, removed_at: now });
+            if (previousState.hashes[id]) {
+                hashes[id] = previousState.hashes[id];
+            }
+        }
+    }
+
+    const allMovies = activeMovies.concat(archivedMovies);
+    const outputJson = {
+        ...jsonData,
+        movies: allMovies,
+        total: activeMovies.length,
+        archived: archivedMovies.length,
+        generated_at: now
+    };
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    fs.writeFileSync(jsonPath, JSON.stringify(outputJson, null, 2), 'utf8');
+    writeJson(statePath, { hashes: hashes });
+
+    const hasChanges = changes.added.length + changes.updated.length + changes.removed.length > 0;
+    if (hasChanges) {
+        const changelog = readJson(changelogPath, []);
+        changelog.unshift(changes);
+        writeJson(changelogPath, changelog.slice(0, MAX_CHANGELOG_ENTRIES), true);
+    }
+
+    log.info(`movies.json 同步完成: 新增 ${changes.added.length}, 更新 ${changes.updated.length}, ` +
+        `${removedMode === 'archive' ? '归档' : '删除'} ${changes.removed.length}` +
+        `${changes.preserved_edits.length > 0 ? `, 保留手动编辑 ${changes.preserved_edits.length} 个条目` : ''}`);
+    changes.updated.forEach(item => {
+        const fileInfo = item.files_added.length + item.files_removed.length > 0
+            ? ` (+${item.files_added.length}/-${item.files_removed.length} 个文件)`
+            : '';
+        log.info(`  ~ ${item.title}: ${item.fields.join(', ')}${fileInfo}`);
+    });
+    changes.removed.forEach(item => log.info(`  - ${item.title}`));
+    if (keptMovies.length > 0) {
+        log.warn(`目录列出失败，保留上次的 ${keptMovies.length} 个条目: ${keptMovies.join(', ')}`);
+    }
+
+    return { movies: activeMovies, changes: changes };
+}
+
+/**
+ * 读取 movies.json 中的有效条目（不含已归档条目），用于不扫描直接生成页面
+ * @param {Object} hexo - Hexo 实例
+ * @returns {Array} 影视条目
+ */
+function loadMoviesJson(hexo) {
+    const jsonPath = path.join(hexo.source_dir, 'data', 'movies.json');
+    const data = readJson(jsonPath, null);
+    if (!data || !Array.isArray(data.movies)) {
+        return [];
+    }
+    return data.movies.filter(movie => !movie.removed_at);
+}
+
+/**
+ * 从 movies.json 中删除所有已归档的条目
+ * @param {Object} hexo - Hexo 实例
+ * @returns {number} 删除的条目数量
+ */
+function purgeArchivedMovies(hexo) {
+    const jsonPath = path.join(hexo.source_dir, 'data', 'movies.json');
+    const data = readJson(jsonPath, null);
+    if (!data || !Array.isArray(data.movies)) {
+        return 0;
+    }
+
+    const activeMovies = data.movies.filter(movie => !movie.removed_at);
+    const purgedCount = data.movies.length - activeMovies.length;
+    if (purgedCount > 0) {
+        writeJson(jsonPath, { ...data, movies: activeMovies, archived: 0 }, true);
+    }
+    return purgedCount;
+}
+
+module.exports = {
+    syncMoviesJson,
+    loadMoviesJson,
+    purgeArchivedMovies,
+    collectFilePaths,
+    createStableId
+};
@@ -0,0 +1,55 @@
+/**
+ * 分段电影 - 同一版本分段的文件（CD1/CD2、part1/part2）合并为一个条目，播放时依次播放各段
+ */
+
+const { parseFileName } = require('./filename-parser');
+
+/**
+ * 合并分段文件：除分段号外相同的文件合并为一个条目，放在其中最先出现的位置；
+ * 条目的播放地址等字段取第一段，parts 按分段号列出各段；只有一段的文件和没有分段号的文件保持不变
+ * @param {Array} entries - 文件条目（文件名为 file_name 或 name，包含 url、path、subtitles）
+ * @returns {Array} 合并后的条目，保持原有顺序
+ */
+function mergeParts(entries) {
+    const result = [];
+    const partGroups = new Map();
+
+    for (const entry of entries) {
+        const fileName = entry.file_name || entry.name;
+        const parsed = parseFileName(fileName);
+        if (parsed.part === null) {
+            result.push(entry);
+            continue;
+        }
+
+        // 除分段号外相同的文件属于同一个版本
+        const partKey = [parsed.title, parsed.year, parsed.resolution, parsed.source, parsed.edition, parsed.extension].join('|');
+        if (!partGroups.has(partKey)) {
+            partGroups.set(partKey, { index: result.length, parts: [] });
+            result.push(entry);
+        }
+        partGroups.get(partKey).parts.push({ part: parsed.part, fileName, entry });
+    }
+
+    for (const { index, parts } of partGroups.values()) {
+        if (parts.length < 2) continue;
+
+        parts.sort((a, b) => a.part - b.part);
+        result[index] = {
+            ...parts[0].entry,
+            parts: parts.map(({ part, fileName, entry }) => ({
+                part,
+                file_name: fileName,
+                url: entry.url,
+                path: entry.path,
+                subtitles: entry.subtitles
+            }))
+        };
+    }
+
+    return result;
+}
+
+module.exports = {
+    mergeParts
+};
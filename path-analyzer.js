@@ -2,18 +2,18 @@
  * 路径分析器 - 智能分析和处理不同的目录结构
  */
 
+const { parseFileName, isSpecialsFolder, getExtraType } = require('./filename-parser');
+
 class PathAnalyzer {
   constructor(config = {}) {
     this.config = {
       // 目录深度限制
       maxDepth: config.maxDepth || 10,
       
-      // 忽略的目录名
+      // 忽略的目录名（花絮、预告片等附加内容目录不忽略，归类为 extras）
       ignoreDirs: config.ignoreDirs || [
         '.DS_Store', 'Thumbs.db', '@eaDir', '.@__thumb',
-        'extras', 'behind the scenes', 'deleted scenes',
-        'featurettes', 'interviews', 'scenes', 'shorts',
-        'trailers', 'other', 'sample', 'samples'
+        'other', 'sample', 'samples'
       ],
       
       // 特殊目录标识
@@ -31,8 +31,9 @@ class PathAnalyzer {
 
   /**
    * 分析路径结构
+   * @param {StorageProvider} storage - 存储（Alist、WebDAV、本地目录等，需提供 listDirectory）
    */
-  async analyzePath(alistApi, rootPath, options = {}) {
+  async analyzePath(storage, rootPath, options = {}) {
     const analysis = {
       rootPath,
       structure: 'unknown',
@@ -53,7 +54,7 @@ class PathAnalyzer {
     };
 
     try {
-      await this._analyzeRecursive(alistApi, rootPath, analysis, 0, options);
+      await this._analyzeRecursive(storage, rootPath, analysis, 0, options);
       
       // 计算统计信息
       this._calculateStatistics(analysis);
@@ -71,14 +72,14 @@ class PathAnalyzer {
   /**
    * 递归分析目录
    */
-  async _analyzeRecursive(alistApi, currentPath, analysis, depth, options) {
+  async _analyzeRecursive(storage, currentPath, analysis, depth, options) {
     if (depth > this.config.maxDepth) {
       console.warn(`达到最大深度限制: ${currentPath}`);
       return;
     }
 
     try {
-      const items = await alistApi.listDirectory(currentPath);
+      const items = await storage.listDirectory(currentPath);
       if (!items || items.length === 0) return;
 
       analysis.statistics.totalDirectories++;
@@ -90,10 +91,14 @@ class PathAnalyzer {
         type: 'unknown',
         items: [],
         videoFiles: [],
+        extras: [],
         subdirectories: [],
         metadata: {}
       };
 
+      // 同目录的视频文件名，用于识别 "Inception-trailer.mkv" 这样的附加内容
+      const videoNames = items.filter(item => !item.is_dir && this._isVideoFile(item.name)).map(item => item.name);
+
       // 分析当前目录的项目
       for (const item of items) {
         const itemPath = `${currentPath}/${item.name}`;
@@ -104,18 +109,28 @@ class PathAnalyzer {
             continue;
           }
 
+          const dirType = this._classifyDirectory(item.name);
           pathInfo.subdirectories.push({
             name: item.name,
             path: itemPath,
-            type: this._classifyDirectory(item.name)
+            type: dirType
           });
 
+          // 附加内容目录属于所在的影片/剧集，不作为独立内容分析，其中的视频归入当前目录的 extras
+          if (dirType === 'extras') {
+            pathInfo.extras.push(...await this._collectExtras(storage, itemPath, getExtraType(item.name)));
+            continue;
+          }
+
           // 递归分析子目录
-          await this._analyzeRecursive(alistApi, itemPath, analysis, depth + 1, options);
+          await this._analyzeRecursive(storage, itemPath, analysis, depth + 1, options);
         } else {
           pathInfo.items.push(item);
           
-          if (this._isVideoFile(item.name)) {
+          const extraType = getExtraType(item.name, videoNames);
+          if (this._isVideoFile(item.name) && extraType) {
+            pathInfo.extras.push({ ...item, path: itemPath, extra: extraType });
+          } else if (this._isVideoFile(item.name)) {
             pathInfo.videoFiles.push({
               ...item,
               path: itemPath,
@@ -140,6 +155,22 @@ class PathAnalyzer {
     }
   }
 
+  /**
+   * 列出附加内容目录中的视频文件
+   * @param {string} extraType - 附加内容类型（trailer、featurette 等）
+   */
+  async _collectExtras(storage, dirPath, extraType) {
+    try {
+      const items = await storage.listDirectory(dirPath);
+      return (items || [])
+        .filter(item => !item.is_dir && this._isVideoFile(item.name))
+        .map(item => ({ ...item, path: `${dirPath}/${item.name}`, extra: extraType }));
+    } catch (error) {
+      console.error(`分析附加内容目录失败 ${dirPath}:`, error);
+      return [];
+    }
+  }
+
   /**
    * 判断是否应该忽略目录
    */
@@ -153,6 +184,12 @@ class PathAnalyzer {
    * 分类目录类型
    */
   _classifyDirectory(dirName) {
+    if (isSpecialsFolder(dirName)) {
+      return 'seasons';
+    }
+    if (getExtraType(dirName)) {
+      return 'extras';
+    }
     for (const [type, pattern] of Object.entries(this.config.specialDirs)) {
       if (pattern.test(dirName)) {
         return type;
@@ -232,89 +269,24 @@ class PathAnalyzer {
    * 分析文件名
    */
   _analyzeFileName(filename) {
-    const metadata = {
+    const parsed = parseFileName(filename);
+    return {
       filename,
-      type: 'unknown',
-      title: '',
-      season: null,
-      episode: null,
-      year: null,
-      quality: null,
-      format: null
+      type: parsed.type,
+      title: parsed.title || filename,
+      season: parsed.season,
+      episode: parsed.episodes.length > 0 ? parsed.episodes[0] : null,
+      year: parsed.year,
+      quality: parsed.resolution,
+      format: parsed.extension ? parsed.extension.toUpperCase() : null
     };
-
-    // 提取质量信息
-    const qualityMatch = filename.match(/\b(4K|2160p|1080p|720p|480p|HD|UHD)\b/i);
-    if (qualityMatch) {
-      metadata.quality = qualityMatch[1];
-    }
-
-    // 提取格式信息
-    const formatMatch = filename.match(/\.(mp4|mkv|avi|mov|wmv|flv|webm|m4v|ts|m2ts)$/i);
-    if (formatMatch) {
-      metadata.format = formatMatch[1].toUpperCase();
-    }
-
-    // 提取年份
-    const yearMatch = filename.match(/\b(19|20)\d{2}\b/);
-    if (yearMatch) {
-      metadata.year = parseInt(yearMatch[0]);
-    }
-
-    // 检查季集模式
-    const seasonEpisodeMatch = filename.match(/S(\d{1,2})E(\d{1,3})/i);
-    if (seasonEpisodeMatch) {
-      metadata.type = 'episode';
-      metadata.season = parseInt(seasonEpisodeMatch[1]);
-      metadata.episode = parseInt(seasonEpisodeMatch[2]);
-      metadata.title = this._extractTitle(filename);
-      return metadata;
-    }
-
-    // 检查单独的集数模式
-    const episodeMatch = filename.match(/(?:EP?|第)(\d{1,3})(?:集)?/i);
-    if (episodeMatch) {
-      metadata.type = 'episode';
-      metadata.episode = parseInt(episodeMatch[1]);
-      metadata.title = this._extractTitle(filename);
-      return metadata;
-    }
-
-    // 默认作为电影处理
-    metadata.type = 'movie';
-    metadata.title = this._extractTitle(filename);
-    
-    return metadata;
   }
 
   /**
    * 提取标题
    */
   _extractTitle(filename) {
-    let title = filename;
-    
-    // 移除文件扩展名
-    title = title.replace(/\.[^.]+$/, '');
-    
-    // 移除质量标识
-    title = title.replace(/\b(4K|2160p|1080p|720p|480p|HD|UHD|BluRay|WEB-DL|BDRip|DVDRip)\b/gi, '');
-    
-    // 移除编码信息
-    title = title.replace(/\b(x264|x265|H264|H265|HEVC|AVC)\b/gi, '');
-    
-    // 移除年份
-    title = title.replace(/\b(19|20)\d{2}\b/g, '');
-    
-    // 移除季集信息
-    title = title.replace(/\b(S\d{1,2}E\d{1,3}|Season\s*\d+|第\d+季|第\d+集|EP?\d+)\b/gi, '');
-    
-    // 移除括号内容
-    title = title.replace(/[\[【\(](.*?)[\]】\)]/g, '');
-    
-    // 替换分隔符为空格并清理
-    title = title.replace(/[._\-]+/g, ' ').replace(/\s+/g, ' ').trim();
-    
-    return title || filename;
+    return parseFileName(filename).title || filename;
   }
 
   /**
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { IMAGE_KEYS } = require('./url-protection');
+
+const PROXY_PREFIX = 'proxy:';
+const SECRET_ENV = 'ALIST_MOVIE_PROXY_SECRET';
+const MINUTE_MS = 60 * 1000;
+
+// 只在页面中使用文件 ID 时删除的地址和签名字段（url 字段替换为文件 ID）
+const REMOVED_KEY_PATTERN = /^(sign|\w+_url)$/;
+
+/**
+ * 是否为需要删除的字段：签名、其他地址字段，以及完整地址形式的本地图片（来自存储，带有签名）
+ * @param {string} key - 字段名
+ * @param {*} value - 字段值
+ * @returns {boolean}
+ */
+function isRemoved(key, value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    return REMOVED_KEY_PATTERN.test(key) || (IMAGE_KEYS.includes(key) && /^https?:\/\//i.test(value));
+}
+
+/**
+ * 签名链接代理 - hexo movie proxy 启动的配套服务
+ * 静态页面中只包含不透明的文件 ID，播放器播放前向代理换取短时有效的 HMAC 签名链接，代理校验后重定向到存储的 /d/ 地址
+ *
+ * GET /link/<文件ID>                          返回 { url, expires }（按 IP 限流）
+ * GET /play/<文件ID>?expires=<时间>&signature=<签名>  校验签名和有效期后 302 重定向到播放地址
+ */
+class PlayProxy {
+    /**
+     * @param {Object} options - getConfig 返回的代理配置
+     * @param {string} options.moviesPath - movies.json 路径（文件变化时自动重新读取）
+     * @param {Object} log - 日志对象
+     */
+    constructor(options, log) {
+        this.options = options;
+        this.log = log;
+        this.server = null;
+
+        // 文件 ID -> 播放地址
+        this.files = new Map();
+        this.loadedMtime = null;
+
+        // IP -> { count, reset_at }
+        this.requests = new Map();
+    }
+
+    /**
+     * 读取 proxy 配置，密钥可以写在配置中或通过环境变量 ALIST_MOVIE_PROXY_SECRET 提供
+     * @param {Object} [config] - proxy 配置
+     * @returns {Object|null} 未开启时返回 null
+     */
+    static getConfig(config) {
+        if (!config || !config.enable) {
+            return null;
+        }
+
+        return {
+            url: String(config.url || '').replace(/\/+$/, ''),
+            secret: String(config.secret || process.env[SECRET_ENV] || ''),
+            host: config.host || '0.0.0.0',
+            port: Number.isInteger(config.port) ? config.port : 4100,
+            ttl: Number.isInteger(config.ttl) && config.ttl > 0 ? config.ttl : 300,
+            rate_limit: Number.isInteger(config.rate_limit) ? config.rate_limit : 60,
+            allow_origin: config.allow_origin || '*',
+            trust_proxy: !!config.trust_proxy
+        };
+    }
+
+    /**
+     * 由播放地址生成文件 ID（HMAC，保留扩展名以便播放器识别格式）
+     * @param {string} secret - 代理密钥
+     * @param {string} url - 播放地址
+     * @returns {string}
+     */
+    static createFileId(secret, url) {
+        const cleanUrl = String(url).split('?')[0];
+        const extension = (cleanUrl.match(/\.([a-z0-9]{1,5})$/i) || [])[1];
+        const hash = crypto.createHmac('sha256', secret).update(cleanUrl).digest('base64url').slice(0, 22);
+        return extension ? `${hash}.${extension.toLowerCase()}` : hash;
+    }
+
+    /**
+     * 复制条目，将其中的播放地址替换为 "proxy:<文件ID>"，并删除签名、其他地址字段和存储中的本地图片（TMDb 图片不受影响）
+     * @param {*} value - 影视条目（或其中的任意部分）
+     * @param {string} secret - 代理密钥
+     * @returns {*} 替换后的副本
+     */
+    static proxyMovie(value, secret) {
+        if (Array.isArray(value)) {
+            return value.map(item => PlayProxy.proxyMovie(item, secret));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (isRemoved(key, item)) {
+                continue;
+            }
+            result[key] = key === 'url' && typeof item === 'string' && /^https?:\/\//i.test(item)
+                ? PROXY_PREFIX + PlayProxy.createFileId(secret, item)
+                : PlayProxy.proxyMovie(item, secret);
+        }
+        return result;
+    }
+
+    /**
+     * 收集条目中的所有播放地址
+     * @param {Array} movies - 影视条目
+     * @param {string} secret - 代理密钥
+     * @returns {Map<string, string>} 文件 ID -> 播放地址
+     */
+    static collectFiles(movies, secret) {
+        const files = new Map();
+        const walk = value => {
+            if (Array.isArray(value)) {
+                value.forEach(walk);
+            } else if (value && typeof value === 'object') {
+                for (const [key, item] of Object.entries(value)) {
+                    if (key === 'url' && typeof item === 'string' && /^https?:\/\//i.test(item)) {
+                        files.set(PlayProxy.createFileId(secret, item), item);
+                    } else {
+                        walk(item);
+                    }
+                }
+            }
+        };
+        walk(movies);
+        return files;
+    }
+
+    /**
+     * 计算播放链接的签名
+     * @param {string} fileId - 文件 ID
+     * @param {number} expires - 过期时间（Unix 秒）
+     * @returns {string}
+     */
+    sign(fileId, expires) {
+        return crypto.createHmac('sha256', this.options.secret).update(`${fileId}:${expires}`).digest('base64url');
+    }
+
+    /**
+     * 生成短时有效的播放链接
+     * @param {string} fileId - 文件 ID
+     * @param {number} [now] - 当前时间（毫秒）
+     * @returns {{url: string, expires: number}}
+     */
+    createLink(fileId, now = Date.now()) {
+        const expires = Math.floor(now / 1000) + this.options.ttl;
+        const query = `expires=${expires}&signature=${this.sign(fileId, expires)}`;
+        return { url: `${this.options.url}/play/${encodeURIComponent(fileId)}?${query}`, expires };
+    }
+
+    /**
+     * 校验播放链接
+     * @param {string} fileId - 文件 ID
+     * @param {string} expires - 过期时间
+     * @param {string} signature - 签名
+     * @param {number} [now] - 当前时间（毫秒）
+     * @returns {boolean}
+     */
+    verifyLink(fileId, expires, signature, now = Date.now()) {
+        const expiresAt = parseInt(expires, 10);
+        if (!Number.isInteger(expiresAt) || expiresAt * 1000 < now || !signature) {
+            return false;
+        }
+        const expected = Buffer.from(this.sign(fileId, expiresAt));
+        const actual = Buffer.from(String(signature));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * 获取文件 ID 对应的播放地址（movies.json 修改后重新读取）
+     * @param {string} fileId - 文件 ID
+     * @returns {string|null}
+     */
+    getFileUrl(fileId) {
+        try {
+            const mtime = fs.statSync(this.options.moviesPath).mtimeMs;
+            if (mtime !== this.loadedMtime) {
+                const data = JSON.parse(fs.readFileSync(this.options.moviesPath, 'utf8'));
+                const movies = (data.movies || []).filter(movie => !movie.removed_at);
+                this.files = PlayProxy.collectFiles(movies, this.options.secret);
+                this.loadedMtime = mtime;
+                this.log.info(`签名链接代理: 已读取 ${movies.length} 个条目，${this.files.size} 个文件`);
+            }
+        } catch (error) {
+            this.log.error(`签名链接代理: 读取 movies.json 失败: ${error.message}`);
+        }
+        return this.files.get(fileId) || null;
+    }
+
+    /**
+     * 按 IP 限流（每分钟最多 rate_limit 次，0 表示不限制）
+     * @param {string} ip - 客户端 IP
+     * @param {number} [now] - 当前时间（毫秒）
+     * @returns {boolean} 是否允许
+     */
+    allowRequest(ip, now = Date.now()) {
+        if (this.options.rate_limit <= 0) {
+            return true;
+        }
+
+        let entry = this.requests.get(ip);
+        if (!entry || entry.reset_at <= now) {
+            entry = { count: 0, reset_at: now + MINUTE_MS };
+            this.requests.set(ip, entry);
+        }
+        entry.count++;
+
+        // 清理过期的计数
+        if (this.requests.size > 10000) {
+            for (const [key, value] of this.requests) {
+                if (value.reset_at <= now) this.requests.delete(key);
+            }
+        }
+        return entry.count <= this.options.rate_limit;
+    }
+
+    /**
+     * 获取客户端 IP（trust_proxy 时使用反向代理传入的 X-Forwarded-For）
+     * @param {http.IncomingMessage} req - 请求
+     * @returns {string}
+     */
+    getClientIp(req) {
+        const forwarded = this.options.trust_proxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+        return forwarded || req.socket.remoteAddress || '';
+    }
+
+    /**
+     * 处理请求
+     * @param {http.IncomingMessage} req - 请求
+     * @param {http.ServerResponse} res - 响应
+     */
+    handle(req, res) {
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, {
+                'Access-Control-Allow-Origin': this.options.allow_origin,
+                'Cache-Control': 'no-store',
+                ...headers
+            });
+            res.end(body === undefined ? '' : JSON.stringify(body));
+        };
+
+        if (req.method === 'OPTIONS') {
+            send(204, undefined, { 'Access-Control-Allow-Methods': 'GET', 'Access-Control-Max-Age': '86400' });
+            return;
+        }
+        if (req.method !== 'GET') {
+            send(405, { error: 'method not allowed' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/(link|play)\/([^/]+)$/);
+        if (!match) {
+            send(404, { error: 'not found' });
+            return;
+        }
+
+        const fileId = decodeURIComponent(match[2]);
+        if (match[1] === 'link') {
+            if (!this.allowRequest(this.getClientIp(req))) {
+                send(429, { error: 'too many requests' }, { 'Retry-After': '60' });
+                return;
+            }
+            if (!this.getFileUrl(fileId)) {
+                send(404, { error: 'file not found' });
+                return;
+            }
+            send(200, this.createLink(fileId), { 'Content-Type': 'application/json; charset=utf-8' });
+            return;
+        }
+
+        if (!this.verifyLink(fileId, url.searchParams.get('expires'), url.searchParams.get('signature'))) {
+            send(403, { error: 'invalid or expired link' });
+            return;
+        }
+        const target = this.getFileUrl(fileId);
+        if (!target) {
+            send(404, { error: 'file not found' });
+            return;
+        }
+        send(302, undefined, { Location: target });
+    }
+
+    /**
+     * 启动服务
+     * @returns {Promise<http.Server>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                try {
+                    this.handle(req, res);
+                } catch (error) {
+                    this.log.error(`签名链接代理: 处理请求失败: ${error.message}`);
+                    if (!res.headersSent) res.writeHead(500);
+                    res.end();
+                }
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => resolve(this.server));
+        });
+    }
+
+    /**
+     * 停止服务
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+PlayProxy.PROXY_PREFIX = PROXY_PREFIX;
+
+module.exports = PlayProxy;
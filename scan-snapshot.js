@@ -0,0 +1,242 @@
+const path = require('path');
+const { getCacheRoot, readJson, writeJson } = require('./cache-utils');
+
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Alist 目录快照 - 用于增量扫描
+ * 保存每个目录的列表（名称、大小、修改时间），目录修改时间未变化时直接复用快照内容
+ * 目录的修改时间通常只随直接子项的增删变化，更深层的变化不会反映到上级目录，
+ * 因此只有父目录在本次构建中重新获取过（修改时间是最新的）时才复用，复用目录的子目录总是重新获取
+ */
+class ScanSnapshot {
+    /**
+     * @param {string} filePath - 快照文件路径
+     * @param {object} log - 日志对象
+     * @param {object} options - 增量扫描配置
+     * @param {number} [options.full_scan_hours] - 距上次完整扫描超过该时长时强制完整扫描，0 表示从不
+     * @param {boolean} [options.force_full] - 本次强制完整扫描（hexo movie scan --full）
+     */
+    constructor(filePath, log, options = {}) {
+        this.filePath = filePath;
+        this.log = log;
+
+        const previous = readJson(filePath, null);
+        this.previous = previous && previous.dirs ? previous : { dirs: {}, full_scan_at: 0 };
+
+        // 本次构建已获取的目录列表
+        this.current = {};
+        // 本次构建从重新获取的父目录列表中得知的子目录修改时间
+        this.knownModified = new Map();
+
+        const fullScanHours = options.full_scan_hours !== undefined ? options.full_scan_hours : 72;
+        this.fullScan = !!options.force_full || Object.keys(this.previous.dirs).length === 0 ||
+            (fullScanHours > 0 && Date.now() - (this.previous.full_scan_at || 0) > fullScanHours * HOUR_MS);
+
+        this.stats = {
+            listed: 0,
+            reused: 0,
+            fallback: 0
+        };
+    }
+
+    /**
+     * 根据 Hexo 配置创建快照实例，未启用增量扫描时返回 null
+     * @param {Object} hexo - Hexo 实例
+     * @returns {ScanSnapshot|null}
+     */
+    static fromHexo(hexo) {
+        const config = hexo.config.alist_movie_generator || {};
+        let options = config.cache && config.cache.incremental_scan;
+
+        if (!options) {
+            return null;
+        }
+        if (options === true) {
+            options = {};
+        }
+        if (options.enable === false) {
+            return null;
+        }
+
+        return new ScanSnapshot(path.join(getCacheRoot(hexo), 'alist', 'snapshot.json'), hexo.log, options);
+    }
+
+    /**
+     * 获取可复用的目录列表
+     * 只有在本次重新获取的父目录列表中得知的修改时间与快照一致时才复用
+     * @param {string} dirPath - 目录路径
+     * @returns {Array|null} 目录内容，无法复用时返回 null
+     */
+    lookup(dirPath) {
+        if (this.current[dirPath]) {
+            return this.current[dirPath].items;
+        }
+
+        if (this.fullScan) {
+            return null;
+        }
+
+        const modified = this.knownModified.get(dirPath);
+        const entry = this.previous.dirs[dirPath];
+        if (!modified || !entry || entry.modified !== modified) {
+            return null;
+        }
+
+        this.stats.reused++;
+        this.record(dirPath, entry.items, false);
+        return entry.items;
+    }
+
+    /**
+     * 获取快照中保存的旧目录列表（请求失败时兜底）
+     * @param {string} dirPath - 目录路径
+     * @returns {Array|null}
+     */
+    fallback(dirPath) {
+        const entry = this.previous.dirs[dirPath];
+        if (!entry) {
+            return null;
+        }
+
+        this.stats.fallback++;
+        this.record(dirPath, entry.items, false);
+        // 保留旧的修改时间，下次构建时重新获取该目录
+        this.current[dirPath].modified = entry.modified;
+        return entry.items;
+    }
+
+    /**
+     * 记录本次构建获取到的目录列表
+     * @param {string} dirPath - 目录路径
+     * @param {Array} items - 目录内容
+     * @param {boolean} listed - 是否通过网络重新获取
+     */
+    record(dirPath, items, listed = true) {
+        if (listed) {
+            this.stats.listed++;
+        }
+
+        this.current[dirPath] = {
+            modified: this.knownModified.get(dirPath) || null,
+            items: items
+        };
+
+        // 复用的列表中子目录的修改时间可能已经过时，不能据此复用子目录
+        if (!listed) {
+            return;
+        }
+        for (const item of items) {
+            if (item.is_dir && item.modified) {
+                this.knownModified.set(path.posix.join(dirPath, item.name), item.modified);
+            }
+        }
+    }
+
+    /**
+     * 对比本次与上次快照中的文件，生成变化摘要
+     * 只对比本次扫描范围内的目录
+     * @returns {{added: string[], removed: string[], changed: string[]}}
+     */
+    getChanges() {
+        const collectFiles = (dirs, filter) => {
+            const files = new Map();
+            for (const [dirPath, entry] of Object.entries(dirs)) {
+                if (filter && !filter(dirPath)) continue;
+                for (const item of entry.items || []) {
+                    if (!item.is_dir) {
+                        files.set(path.posix.join(dirPath, item.name), `${item.size}|${item.modified}`);
+                    }
+                }
+            }
+            return files;
+        };
+
+        const before = collectFiles(this.previous.dirs, dirPath => this._inScope(dirPath));
+        const after = collectFiles(this.current);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        for (const [filePath, signature] of after) {
+            if (!before.has(filePath)) {
+                added.push(filePath);
+            } else if (before.get(filePath) !== signature) {
+                changed.push(filePath);
+            }
+        }
+        for (const filePath of before.keys()) {
+            if (!after.has(filePath)) {
+                removed.push(filePath);
+            }
+        }
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * 判断目录是否位于本次扫描范围内（自身或任一上级目录在本次构建中被获取过）
+     * @param {string} dirPath - 目录路径
+     * @returns {boolean}
+     */
+    _inScope(dirPath) {
+        let current = dirPath;
+        while (current && current !== '/' && current !== '.') {
+            if (this.current[current]) return true;
+            current = path.posix.dirname(current);
+        }
+        return !!this.current[current];
+    }
+
+    /**
+     * 输出扫描统计与文件变化摘要
+     * @returns {{added: string[], removed: string[], changed: string[]}}
+     */
+    logSummary() {
+        const { listed, reused, fallback } = this.stats;
+        const changes = this.getChanges();
+
+        this.log.info(`增量扫描${this.fullScan ? '（完整扫描）' : ''}: 重新获取 ${listed} 个目录, 复用快照 ${reused} 个目录` +
+            `${fallback > 0 ? `, 请求失败使用旧快照 ${fallback} 个目录` : ''}`);
+        this.log.info(`文件变化: 新增 ${changes.added.length}, 删除 ${changes.removed.length}, 修改 ${changes.changed.length}`);
+
+        const preview = (label, files) => {
+            files.slice(0, 20).forEach(file => this.log.info(`  ${label} ${file}`));
+            if (files.length > 20) {
+                this.log.info(`  ... 另有 ${files.length - 20} 个${label === '+' ? '新增' : label === '-' ? '删除' : '修改'}文件`);
+            }
+        };
+        preview('+', changes.added);
+        preview('-', changes.removed);
+        preview('~', changes.changed);
+
+        return changes;
+    }
+
+    /**
+     * 保存快照
+     * 扫描范围内只保留本次获取到的目录（已删除的目录随之清理），范围外的目录原样保留
+     */
+    save() {
+        const dirs = {};
+        for (const [dirPath, entry] of Object.entries(this.previous.dirs)) {
+            if (!this._inScope(dirPath)) {
+                dirs[dirPath] = entry;
+            }
+        }
+        Object.assign(dirs, this.current);
+
+        try {
+            writeJson(this.filePath, {
+                full_scan_at: this.fullScan ? Date.now() : this.previous.full_scan_at,
+                saved_at: Date.now(),
+                dirs: dirs
+            });
+        } catch (error) {
+            this.log.warn(`保存目录快照失败: ${error.message}`);
+        }
+    }
+}
+
+module.exports = ScanSnapshot;
@@ -5,6 +5,9 @@
 const ContentDetector = require('./content-detector');
 const ConfigManager = require('./config-manager');
 const PathAnalyzer = require('./path-analyzer');
+const { findSubtitles } = require('./subtitles');
+const { parseFileName, getExtraType } = require('./filename-parser');
+const { findDetailsByNfo } = require('./local-metadata');
 
 class SmartDetector {
   constructor(options = {}) {
@@ -25,8 +28,9 @@ class SmartDetector {
 
   /**
    * 智能检测和分析目录
+   * @param {StorageManager|StorageProvider} storage - 存储管理器（按路径配置的 storage 字段选择存储）或单个存储
    */
-  async detectAndAnalyze(alistApi, paths, options = {}) {
+  async detectAndAnalyze(storage, paths, options = {}) {
     console.log(`开始智能检测和分析 ${paths.length} 个路径...`);
     
     const results = {
@@ -51,7 +55,8 @@ class SmartDetector {
       // 分析每个路径
       for (const pathConfig of paths) {
         console.log(`开始分析路径: ${pathConfig.path}`);
-        const pathResult = await this._analyzePathWithConfig(alistApi, pathConfig, options);
+        const provider = typeof storage.resolve === 'function' ? storage.resolve(pathConfig) : storage;
+        const pathResult = await this._analyzePathWithConfig(provider, pathConfig, options);
         results.paths.push(pathResult);
         
         // 累计统计
@@ -76,7 +81,7 @@ class SmartDetector {
       // 获取TMDb信息
       if (options.tmdbApi) {
         console.log('开始获取TMDb信息...');
-        await this._enrichWithTmdbData(results.organized, options.tmdbApi);
+        await this._enrichWithTmdbData(results.organized, options.tmdbApi, options.overrides);
       }
 
       // 自动选择最佳配置
@@ -100,8 +105,9 @@ class SmartDetector {
 
   /**
    * 使用TMDb API丰富内容信息
+   * 覆盖规则中指定了 tmdb_id 的条目直接按ID获取，指定了 title 的条目使用该标题搜索
    */
-  async _enrichWithTmdbData(organized, tmdbApi) {
+  async _enrichWithTmdbData(organized, tmdbApi, overrides = null) {
     console.log(`开始TMDb数据获取: ${organized.movies.length} 部电影, ${organized.tvShows.length} 部电视剧`);
     
     // 处理电影
@@ -109,7 +115,12 @@ class SmartDetector {
       const movie = organized.movies[i];
       try {
         console.log(`[电影] 获取TMDb信息: ${movie.title}`);
-        const tmdbData = await tmdbApi.searchMovie(movie.title);
+        const override = overrides && overrides.find([movie.path, ...(movie.files || []).map(file => file.path)]);
+        const nfo = override ? null : movie.local_metadata?.nfo;
+        const tmdbData = override && override.tmdb_id
+          ? await tmdbApi.getDetailsById(override.tmdb_id, override.media_type || 'movie')
+          : (nfo && await findDetailsByNfo(tmdbApi, nfo, 'movie')) ||
+            await tmdbApi.searchMovie((override && override.title) || movie.title, { year: movie.year });
         if (tmdbData) {
           console.log(`[电影] TMDb搜索成功: ${movie.title} -> ID: ${tmdbData.id}`);
           // 电影格式：不包含seasons字段，使用movie_前缀
@@ -121,7 +132,9 @@ class SmartDetector {
             detection_method: 'smart',
             original_tmdb_id: tmdbData.id,
             original_path: movie.path,
-            files: movie.files
+            files: movie.files,
+            ...(movie.local_metadata && { local_metadata: movie.local_metadata }),
+            ...(movie.extras && { extras: movie.extras })
           };
         } else {
           console.log(`[电影] TMDb搜索无结果: ${movie.title}`);
@@ -152,7 +165,12 @@ class SmartDetector {
       const tvShow = organized.tvShows[i];
       try {
         console.log(`[电视剧] 获取TMDb信息: ${tvShow.title}`);
-        const tmdbData = await tmdbApi.searchTv(tvShow.title);
+        const override = overrides && overrides.find([tvShow.path]);
+        const nfo = override ? null : tvShow.local_metadata?.nfo;
+        const tmdbData = override && override.tmdb_id
+          ? await tmdbApi.getDetailsById(override.tmdb_id, override.media_type || 'tv')
+          : (nfo && await findDetailsByNfo(tmdbApi, nfo, 'tv')) ||
+            await tmdbApi.searchTv((override && override.title) || tvShow.title, { year: tvShow.year });
         if (tmdbData) {
           console.log(`[电视剧] TMDb搜索成功: ${tvShow.title} -> ID: ${tmdbData.id}`);
           // 电视剧格式：包含seasons字段，使用tv_前缀
@@ -164,6 +182,8 @@ class SmartDetector {
             detection_method: 'smart',
             original_tmdb_id: tmdbData.id,
             original_path: tvShow.path,
+            ...(tvShow.local_metadata && { local_metadata: tvShow.local_metadata }),
+            ...(tvShow.extras && { extras: tvShow.extras }),
             seasons: tvShow.seasons.map(season => ({
               season_number: season.season,
               episodes: season.episodes || []
@@ -207,10 +227,10 @@ class SmartDetector {
   /**
    * 分析单个路径配置
    */
-  async _analyzePathWithConfig(alistApi, pathConfig, options = {}) {
+  async _analyzePathWithConfig(storage, pathConfig, options = {}) {
     try {
       // 获取目录内容
-      const items = await alistApi.listDirectory(pathConfig.path);
+      const items = await storage.listDirectory(pathConfig.path);
       console.log(`找到 ${items.length} 个项目`);
 
       // 选择配置
@@ -220,14 +240,22 @@ class SmartDetector {
       // 分析内容
       const movies = [];
       const tvShows = [];
+      const looseExtras = [];
+      const videoNames = this._getVideoNames(items, detector);
       let totalFiles = 0;
 
       for (const item of items) {
         console.log(`分析项目: ${item.name} (${item.is_dir ? '文件夹' : '文件'})`);
         
-        if (item.is_dir) {
+        if (item.is_dir && getExtraType(item.name)) {
+          // 根目录下的花絮、预告片目录不属于任何影片
+          console.log(`附加内容目录不属于任何影片，已忽略: ${item.name}`);
+        } else if (!item.is_dir && detector.isVideoFile(item.name) && getExtraType(item.name, videoNames)) {
+          // "Inception-trailer.mkv" 在处理完正片后归入同名的影片
+          looseExtras.push(item);
+        } else if (item.is_dir) {
           // 分析子目录
-          const subResult = await this._analyzeSubdirectory(alistApi, item, pathConfig.path, detector);
+          const subResult = await this._analyzeSubdirectory(storage, item, pathConfig.path, detector);
           
           if (subResult.type === 'movie') {
             movies.push(subResult.content);
@@ -243,34 +271,43 @@ class SmartDetector {
             if (fileResult.type === 'movie') {
               movies.push({
                 title: fileResult.title,
+                year: fileResult.year,
                 path: `${pathConfig.path}/${item.name}`,
                 type: 'movie',
                 mediaType: 'movie',
                 files: [{
                   ...item,
                   path: `${pathConfig.path}/${item.name}`,
-                  sign: item.sign // 保留签名参数
+                  url: storage.getFileUrl(`${pathConfig.path}/${item.name}`, item.sign),
+                  sign: item.sign, // 保留签名参数
+                  subtitles: this._findSubtitles(storage, item, items, pathConfig.path)
                 }]
               });
             } else if (fileResult.type === 'episode') {
               // 处理单独的剧集文件
               const seasonInfo = detector.extractSeasonEpisode(item.name);
+              // S00E01 等特别篇属于第 0 季
+              const seasonNumber = Number.isInteger(seasonInfo.season) ? seasonInfo.season : 1;
               tvShows.push({
                 title: fileResult.title,
+                year: fileResult.year,
                 path: `${pathConfig.path}/${item.name}`,
                 type: 'tvshow',
                 mediaType: 'tv',
                 seasons: [{
-                  season: seasonInfo.season || 1,
+                  season: seasonNumber,
                   episodes: [{
-                    season: seasonInfo.season || 1,
+                    season: seasonNumber,
                     episode: seasonInfo.episode || 1,
+                    ...this._getEpisodeNumbers(item.name, seasonInfo.episode),
                     title: fileResult.title,
                     path: `${pathConfig.path}/${item.name}`,
                     file: {
                       ...item,
                       path: `${pathConfig.path}/${item.name}`,
-                      sign: item.sign // 保留签名参数
+                      url: storage.getFileUrl(`${pathConfig.path}/${item.name}`, item.sign),
+                      sign: item.sign, // 保留签名参数
+                      subtitles: this._findSubtitles(storage, item, items, pathConfig.path)
                     }
                   }]
                 }]
@@ -281,6 +318,16 @@ class SmartDetector {
         }
       }
 
+      for (const item of looseExtras) {
+        const owner = movies.find(movie => movie.files.some(file =>
+          item.name.toLowerCase().startsWith(`${file.name.replace(/\.[^/.]+$/, '').toLowerCase()}-`)));
+        if (owner) {
+          owner.extras = [...(owner.extras || []), this._toExtra(storage, item, items, pathConfig.path, getExtraType(item.name, videoNames))];
+        } else {
+          console.log(`未找到附加内容所属的影片，已忽略: ${item.name}`);
+        }
+      }
+
       console.log(`路径分析完成: ${pathConfig.path} - 电影: ${movies.length}, 电视剧: ${tvShows.length}`);
 
       return {
@@ -311,7 +358,7 @@ class SmartDetector {
   /**
    * 分析子目录
    */
-  async _analyzeSubdirectory(alistApi, item, parentPath, detector) {
+  async _analyzeSubdirectory(storage, item, parentPath, detector) {
     const fullPath = `${parentPath}/${item.name}`;
     
     try {
@@ -319,7 +366,7 @@ class SmartDetector {
       const seasonMatch = detector.matchSeasonFolder(item.name);
       if (seasonMatch) {
         // 这是一个季文件夹，获取其中的剧集
-        const episodes = await this._getSeasonEpisodes(alistApi, fullPath, seasonMatch.season, detector);
+        const episodes = await this._getSeasonEpisodes(storage, fullPath, seasonMatch.season, detector);
         
         return {
           type: 'tvshow',
@@ -336,8 +383,10 @@ class SmartDetector {
       }
 
       // 获取子目录内容并判断类型
-      const subItems = await alistApi.listDirectory(fullPath);
+      const subItems = await storage.listDirectory(fullPath);
       const analysis = detector.analyzeDirectory(subItems);
+      // 目录中的 movie.nfo / tvshow.nfo 和海报
+      const localMetadata = await storage.loadLocalMetadata(subItems, fullPath);
       
       console.log(`子目录分析结果: ${item.name} -> ${analysis.primaryType}`);
       
@@ -355,14 +404,18 @@ class SmartDetector {
       if (hasSeasonEpisodeFiles || hasSeasonFolders || analysis.primaryType === 'tv') {
         // 有明显的电视剧特征，才当作电视剧处理
         console.log(`识别为电视剧文件夹: ${item.name}`);
-        const episodes = await this._getSeasonEpisodes(alistApi, fullPath, 1, detector);
+        const episodes = await this._getSeasonEpisodes(storage, fullPath, 1, detector);
+        const extras = await this._getExtras(storage, fullPath, detector, subItems);
         return {
           type: 'tvshow',
           content: {
             title: item.name,
+            year: detector.extractYear(item.name),
             path: fullPath,
             type: 'tvshow',
             mediaType: 'tv',
+            ...(localMetadata && { local_metadata: localMetadata }),
+            ...(extras.length > 0 && { extras }),
             seasons: [{
               season: 1,
               episodes: episodes
@@ -371,7 +424,8 @@ class SmartDetector {
         };
       } else {
         // 默认当作电影处理（包括不同画质的同一部电影）
-        const movieFiles = await this._getMovieFiles(alistApi, fullPath, detector);
+        const movieFiles = await this._getMovieFiles(storage, fullPath, detector, subItems);
+        const extras = await this._getExtras(storage, fullPath, detector, subItems);
         
         console.log(`识别为电影文件夹: ${item.name}, 文件数量: ${movieFiles.length}`);
         
@@ -379,10 +433,13 @@ class SmartDetector {
           type: 'movie',
           content: {
             title: item.name,
+            year: detector.extractYear(item.name),
             path: fullPath,
             type: 'movie',
             mediaType: 'movie',
-            files: movieFiles
+            files: movieFiles,
+            ...(localMetadata && { local_metadata: localMetadata }),
+            ...(extras.length > 0 && { extras })
           }
         };
       }
@@ -403,13 +460,14 @@ class SmartDetector {
   /**
    * 获取季的剧集
    */
-  async _getSeasonEpisodes(alistApi, seasonPath, seasonNumber, detector) {
+  async _getSeasonEpisodes(storage, seasonPath, seasonNumber, detector) {
     try {
-      const items = await alistApi.listDirectory(seasonPath);
+      const items = await storage.listDirectory(seasonPath);
+      const videoNames = this._getVideoNames(items, detector);
       const episodes = [];
 
       for (const item of items) {
-        if (!item.is_dir && detector.isVideoFile(item.name)) {
+        if (!item.is_dir && detector.isVideoFile(item.name) && !getExtraType(item.name, videoNames)) {
           const episodeInfo = detector.extractSeasonEpisode(item.name);
           const title = detector.extractTitle(item.name);
           
@@ -418,12 +476,14 @@ class SmartDetector {
             episodes.push({
               episode: episodeInfo.episode,
               episode_number: episodeInfo.episode,
+              ...this._getEpisodeNumbers(item.name, episodeInfo.episode),
               title: title,
               name: title,
               path: `${seasonPath}/${item.name}`,
               sign: item.sign, // 保留sign参数
-              url: item.url || `${alistApi.baseUrl}/d${seasonPath}/${item.name}${item.sign ? '?sign=' + item.sign : ''}`,
-              download_url: item.url || `${alistApi.baseUrl}/d${seasonPath}/${item.name}${item.sign ? '?sign=' + item.sign : ''}`
+              url: item.url || storage.getFileUrl(`${seasonPath}/${item.name}`, item.sign),
+              download_url: item.url || storage.getFileUrl(`${seasonPath}/${item.name}`, item.sign),
+              subtitles: this._findSubtitles(storage, item, items, seasonPath)
             });
           } else {
             // 没有明显剧集信息的文件，使用文件名作为标题
@@ -434,8 +494,9 @@ class SmartDetector {
               name: item.name.replace(/\.[^.]+$/, ''), // 移除扩展名作为标题
               path: `${seasonPath}/${item.name}`,
               sign: item.sign, // 保留sign参数
-              url: item.url || `${alistApi.baseUrl}/d${seasonPath}/${item.name}${item.sign ? '?sign=' + item.sign : ''}`,
-              download_url: item.url || `${alistApi.baseUrl}/d${seasonPath}/${item.name}${item.sign ? '?sign=' + item.sign : ''}`
+              url: item.url || storage.getFileUrl(`${seasonPath}/${item.name}`, item.sign),
+              download_url: item.url || storage.getFileUrl(`${seasonPath}/${item.name}`, item.sign),
+              subtitles: this._findSubtitles(storage, item, items, seasonPath)
             });
           }
         }
@@ -448,22 +509,35 @@ class SmartDetector {
     }
   }
 
+  /**
+   * 一个文件包含多集时（S02E01-E02）记录包含的全部集数
+   * @returns {Object} 包含 episode_numbers 的对象，只有一集时为空对象
+   */
+  _getEpisodeNumbers(fileName, episode) {
+    const episodeNumbers = parseFileName(fileName).episodes;
+    return episodeNumbers.length > 1 && episodeNumbers[0] === episode ? { episode_numbers: episodeNumbers } : {};
+  }
+
   /**
    * 获取电影文件
+   * @param {Array} [items] - 已获取的目录内容，为空时重新获取
    */
-  async _getMovieFiles(alistApi, moviePath, detector) {
+  async _getMovieFiles(storage, moviePath, detector, items = null) {
     try {
-      const items = await alistApi.listDirectory(moviePath);
+      items = items || await storage.listDirectory(moviePath);
+      const videoNames = this._getVideoNames(items, detector);
       const movieFiles = [];
 
       for (const item of items) {
-        if (!item.is_dir && detector.isVideoFile(item.name)) {
+        // "Inception-trailer.mkv" 等附加内容由 _getExtras 收集
+        if (!item.is_dir && detector.isVideoFile(item.name) && !getExtraType(item.name, videoNames)) {
           // 为每个文件添加完整路径和URL信息
           movieFiles.push({
             ...item,
             path: `${moviePath}/${item.name}`,
-            url: item.url || `${alistApi.baseUrl}/d${moviePath}/${item.name}${item.sign ? '?sign=' + item.sign : ''}`,
-            download_url: item.url || `${alistApi.baseUrl}/d${moviePath}/${item.name}${item.sign ? '?sign=' + item.sign : ''}`
+            url: item.url || storage.getFileUrl(`${moviePath}/${item.name}`, item.sign),
+            download_url: item.url || storage.getFileUrl(`${moviePath}/${item.name}`, item.sign),
+            subtitles: this._findSubtitles(storage, item, items, moviePath)
           });
         }
       }
@@ -475,6 +549,73 @@ class SmartDetector {
     }
   }
 
+  /**
+   * 收集影片/剧集目录中的附加内容：花絮、预告片等子目录中的视频，以及 "Inception-trailer.mkv" 这样的文件
+   * @param {Array} items - 影片/剧集目录的内容
+   * @returns {Array} 附加内容信息，按类型和文件名排序
+   */
+  async _getExtras(storage, contentPath, detector, items) {
+    const videoNames = this._getVideoNames(items, detector);
+    const extras = [];
+
+    for (const item of items) {
+      if (item.is_dir) {
+        const extraType = getExtraType(item.name);
+        if (!extraType) {
+          continue;
+        }
+        const extraPath = `${contentPath}/${item.name}`;
+        try {
+          const extraItems = await storage.listDirectory(extraPath);
+          for (const extraItem of extraItems) {
+            if (!extraItem.is_dir && detector.isVideoFile(extraItem.name)) {
+              extras.push(this._toExtra(storage, extraItem, extraItems, extraPath, extraType));
+            }
+          }
+        } catch (error) {
+          console.error(`获取附加内容失败 ${extraPath}:`, error.message);
+        }
+      } else if (detector.isVideoFile(item.name)) {
+        const extraType = getExtraType(item.name, videoNames);
+        if (extraType) {
+          extras.push(this._toExtra(storage, item, items, contentPath, extraType));
+        }
+      }
+    }
+
+    return extras.sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 生成附加内容条目（与 index.js extractExtraInfo 的格式一致）
+   */
+  _toExtra(storage, item, items, dirPath, extraType) {
+    return {
+      type: extraType,
+      name: item.name.replace(/\.[^/.]+$/, ''),
+      file_name: item.name,
+      url: item.url || storage.getFileUrl(`${dirPath}/${item.name}`, item.sign),
+      path: `${dirPath}/${item.name}`,
+      subtitles: this._findSubtitles(storage, item, items, dirPath)
+    };
+  }
+
+  /**
+   * 目录中的视频文件名
+   */
+  _getVideoNames(items, detector) {
+    return items.filter(item => !item.is_dir && detector.isVideoFile(item.name)).map(item => item.name);
+  }
+
+  /**
+   * 查找视频文件同目录下的外挂字幕
+   */
+  _findSubtitles(storage, videoItem, items, dirPath) {
+    return findSubtitles(videoItem.name, items, dirPath, (subtitle, subtitlePath) =>
+      storage.getFileUrl(subtitlePath, subtitle.sign)
+    );
+  }
+
   /**
    * 合并同一电视剧的不同季
    */
@@ -495,13 +636,23 @@ class SmartDetector {
         if (show.path && !existingSeries.paths.includes(show.path)) {
           existingSeries.paths.push(show.path);
         }
+        existingSeries.year = existingSeries.year || show.year || null;
+        if (!existingSeries.local_metadata && show.local_metadata) {
+          existingSeries.local_metadata = show.local_metadata;
+        }
+        if (show.extras) {
+          existingSeries.extras = [...(existingSeries.extras || []), ...show.extras];
+        }
       } else {
         // 创建新系列
         seriesMap.set(seriesName, {
           title: seriesName,
+          year: show.year || null,
           type: 'tvshow',
           seasons: [...show.seasons],
-          paths: [show.path].filter(Boolean)
+          paths: [show.path].filter(Boolean),
+          ...(show.local_metadata && { local_metadata: show.local_metadata }),
+          ...(show.extras && { extras: [...show.extras] })
         });
       }
     }
@@ -509,7 +660,7 @@ class SmartDetector {
     // 转换为数组并排序季
     const mergedShows = Array.from(seriesMap.values()).map(series => {
       // 按季号排序
-      series.seasons.sort((a, b) => (a.season || 1) - (b.season || 1));
+      series.seasons.sort((a, b) => a.season - b.season);
       
       // 设置主路径（通常是第一个路径的父目录）
       if (series.paths.length > 0) {
@@ -3,12 +3,24 @@
  */
 
 const SmartDetector = require('./smart-detector');
-const AlistAPI = require('./alist-api');
+const StorageManager = require('./storage-manager');
 const TMDbAPI = require('./tmdb-api');
+const TMDbCache = require('./tmdb-cache');
+const ScanSnapshot = require('./scan-snapshot');
+const { attachDanmaku } = require('./danmaku');
+const { attachEpisodeMetadata } = require('./episode-metadata');
+const { mapAbsoluteEpisodes } = require('./absolute-episodes');
+const { mergeParts } = require('./multi-part');
+const { findDetailsByNfo, applyLocalMetadata } = require('./local-metadata');
+const { syncMoviesJson, createStableId } = require('./movie-sync');
+const { mapLimit } = require('./task-pool');
+const MovieOverrides = require('./movie-overrides');
 const path = require('path');
 
 /**
- * 聚合同名电影/电视剧
+ * 聚合同一作品的多个条目（如电影目录和混合目录中的同一部电影）
+ * 有 TMDb ID 的条目按 TMDb ID 分组，同名的翻拍作品（如 1994 和 2019 年的《狮子王》）不会被合并；
+ * 未找到 TMDb 信息的条目仍按标题分组
  * @param {Array} contentList - 内容列表
  * @param {Object} log - 日志对象
  * @returns {Array} 聚合后的内容列表
@@ -16,11 +28,13 @@ const path = require('path');
 function aggregateSameNameContent(contentList, log) {
     log.info('开始聚合同名内容...');
     
-    // 按标题和媒体类型分组
+    // 按 TMDb ID（或标题）和媒体类型分组
     const groupedByTitle = new Map();
     
     contentList.forEach(item => {
-        const groupKey = `${item.title}_${item.media_type}`;
+        const groupKey = item.original_tmdb_id
+            ? `tmdb_${item.original_tmdb_id}_${item.media_type}`
+            : `title_${item.title}_${item.media_type}`;
         
         if (!groupedByTitle.has(groupKey)) {
             groupedByTitle.set(groupKey, []);
@@ -42,12 +56,15 @@ function aggregateSameNameContent(contentList, log) {
             // 选择主版本（优先选择有播放文件的版本）
             const mainVersion = selectMainVersion(items, log);
             const otherVersions = items.filter(item => item.id !== mainVersion.id);
+            // 各版本的附加内容合并到聚合后的条目
+            const extras = items.reduce((all, item) => all.concat(item.extras || []), []);
             
             // 创建聚合后的对象
             const aggregatedItem = {
                 ...mainVersion,
                 // 使用主版本的ID作为聚合ID
                 id: mainVersion.id,
+                ...(extras.length > 0 && { extras }),
                 // 添加版本信息
                 versions: [
                     {
@@ -144,8 +161,9 @@ async function generateSmartMovieData(hexo) {
     }
 
     // 验证必要配置
-    if (!config.alist || !config.alist.url || !config.alist.username || !config.alist.password) {
-        log.error('Alist Movie Generator: Missing Alist configuration');
+    const storageError = StorageManager.validateConfig(config);
+    if (storageError) {
+        log.error(`Alist Movie Generator: ${storageError}`);
         return;
     }
 
@@ -158,8 +176,14 @@ async function generateSmartMovieData(hexo) {
         log.info('Smart Movie Generator: 开始智能分析...');
 
         // 初始化 API 客户端
-        const alistAPI = new AlistAPI(config.alist, log);
-        const tmdbAPI = new TMDbAPI(config.tmdb_token, log);
+        const scanSnapshot = ScanSnapshot.fromHexo(hexo);
+        const overrides = MovieOverrides.load(hexo);
+        const storage = new StorageManager(config, log, { snapshot: scanSnapshot, overrides });
+        const tmdbCache = TMDbCache.fromHexo(hexo);
+        const tmdbAPI = TMDbAPI.fromHexo(hexo, tmdbCache);
+        if (tmdbCache && tmdbCache.cacheOnly) {
+            log.info('TMDb 缓存: 已启用仅缓存模式，本次构建不会访问 TMDb');
+        }
 
         // 初始化智能检测器
         const smartDetector = new SmartDetector({
@@ -178,6 +202,7 @@ async function generateSmartMovieData(hexo) {
                     path: movieConfig.path,
                     type: 'movie',
                     title: movieConfig.title,
+                    storage: movieConfig.storage,
                     config: movieConfig.detection_config
                 });
             }
@@ -190,6 +215,7 @@ async function generateSmartMovieData(hexo) {
                     path: tvConfig.path,
                     type: 'tv',
                     title: tvConfig.title,
+                    storage: tvConfig.storage,
                     config: tvConfig.detection_config
                 });
             }
@@ -202,6 +228,7 @@ async function generateSmartMovieData(hexo) {
                     path: mixedConfig.path,
                     type: 'mixed',
                     title: mixedConfig.title,
+                    storage: mixedConfig.storage,
                     config: mixedConfig.detection_config
                 });
             }
@@ -214,10 +241,19 @@ async function generateSmartMovieData(hexo) {
 
         // 执行智能检测和分析
         log.info(`开始分析 ${pathConfigs.length} 个路径...`);
-        const detectionResults = await smartDetector.detectAndAnalyze(alistAPI, pathConfigs, {
-            tmdbApi: tmdbAPI  // 传递TMDb API实例
+        const detectionResults = await smartDetector.detectAndAnalyze(storage, pathConfigs, {
+            tmdbApi: tmdbAPI,  // 传递TMDb API实例
+            overrides: overrides  // 覆盖规则（搜索前应用）
         });
 
+        // 目录列出失败时按 scan.on_failure 处理（abort 时抛出异常终止构建）
+        const keepPaths = storage.applyFailurePolicy();
+
+        if (scanSnapshot) {
+            scanSnapshot.logSummary();
+            scanSnapshot.save();
+        }
+
         // 生成配置报告
         const configReport = smartDetector.generateConfigReport(detectionResults);
         log.info('智能检测完成，配置报告:');
@@ -251,10 +287,11 @@ async function generateSmartMovieData(hexo) {
                 // 这实际上是电视剧，移到电视剧列表
                 correctedTvShows.push({
                     title: movie.title,
+                    year: movie.year,
                     path: movie.path,
                     type: 'tvshow',
                     seasons: movie.seasons.map(season => ({
-                        season: season.season_number || season.season || 1,
+                        season: [season.season_number, season.season, 1].find(Number.isInteger),
                         episodes: season.episodes || []
                     }))
                 });
@@ -268,7 +305,7 @@ async function generateSmartMovieData(hexo) {
             // 检查是否被误识别为电视剧的电影内容
             if (tvShow.seasons && tvShow.seasons.length === 1 && 
                 tvShow.seasons[0].episodes && tvShow.seasons[0].episodes.length === 1 &&
-                !tvShow.title.includes('S0') && !tvShow.path.includes('/S0')) {
+                !tvShow.title.includes('S0') && !(tvShow.path || '').includes('/S0')) {
                 
                 // 检查文件名是否明显是电影
                 const episode = tvShow.seasons[0].episodes[0];
@@ -278,9 +315,11 @@ async function generateSmartMovieData(hexo) {
                 if (!fileName.match(/S\d{2}E\d{2}/i) && !fileName.match(/第.*季.*集/i)) {
                     correctedMovies.push({
                         title: tvShow.title,
+                        year: tvShow.year,
                         path: episode.path,
                         type: 'movie',
-                        files: [episode.file || { path: episode.path, name: fileName }]
+                        files: [episode.file || { path: episode.path, name: fileName, subtitles: episode.subtitles || [] }],
+                        ...(tvShow.extras && { extras: tvShow.extras })
                     });
                     log.info(`修正误识别: ${tvShow.title} 从电视剧改为电影`);
                 } else {
@@ -301,14 +340,45 @@ async function generateSmartMovieData(hexo) {
 
         log.info(`最终结果: ${detectedMovies.length} 部电影, ${detectedTvShows.length} 部电视剧`);
 
+        // 文件的播放地址由所在目录的存储生成（检测结果中已有地址时直接使用）
+        const getFileUrls = (file, filePath = file.path) => {
+            const dirConfig = pathConfigs.find(pathConfig => filePath === pathConfig.path ||
+                filePath.startsWith(`${pathConfig.path.replace(/\/+$/, '')}/`));
+            const url = file.url || storage.resolve(dirConfig).getFileUrl(filePath, file.sign);
+            return { url, download_url: file.download_url || url };
+        };
+
         // 获取 TMDb 信息
         let enrichedContent = [];
         const movieMap = new Map();
 
+        // 并发查询 TMDb（tmdb.concurrency），之后按检测结果的顺序合并，保证输出与串行查询一致
+        const lookup = async (item, paths, mediaType) => {
+            try {
+                const override = overrides.find(paths);
+                const nfo = override ? null : item.local_metadata?.nfo;
+                const tmdbInfo = override && override.tmdb_id
+                    ? await tmdbAPI.getDetailsById(override.tmdb_id, override.media_type || mediaType)
+                    : (nfo && await findDetailsByNfo(tmdbAPI, nfo, mediaType)) || await tmdbAPI.getMediaDetails((override && override.title) || item.title, item.title, mediaType, { year: item.year });
+                return { override, tmdbInfo };
+            } catch (error) {
+                return { error };
+            }
+        };
+        const movieLookups = await mapLimit(detectedMovies, tmdbAPI.concurrency,
+            movie => lookup(movie, [movie.original_path || movie.path, ...movie.files.map(f => f.path)], 'movie'));
+        const tvLookups = await mapLimit(detectedTvShows, tmdbAPI.concurrency,
+            tvShow => lookup(tvShow, [tvShow.original_path || tvShow.path], 'tv'));
+
         // 处理电影
-        for (const movie of detectedMovies) {
+        for (const [index, movie] of detectedMovies.entries()) {
             try {
-                const tmdbInfo = await tmdbAPI.getMediaDetails(movie.title, movie.title, 'movie');
+                const { override, tmdbInfo, error } = movieLookups[index];
+                if (error) {
+                    throw error;
+                }
+                // 同一目录中 CD1/CD2 等分段的文件合并为一个文件条目，播放时依次播放
+                const files = mergeParts(movie.files.map(file => ({ ...file, ...getFileUrls(file) })));
                 
                 if (tmdbInfo) {
                     const uniqueId = tmdbInfo.id.toString();
@@ -316,8 +386,11 @@ async function generateSmartMovieData(hexo) {
                     if (movieMap.has(uniqueId)) {
                         // 合并相同电影的不同版本
                         const existingMovie = movieMap.get(uniqueId);
-                        existingMovie.files.push(...movie.files);
-                        existingMovie.file_count = existingMovie.files.length;
+                        existingMovie.files.push(...files);
+                        existingMovie.file_count += movie.files.length;
+                        if (movie.extras) {
+                            existingMovie.extras = [...(existingMovie.extras || []), ...movie.extras];
+                        }
                         
                         log.info(`✓ 合并电影: ${tmdbInfo.title} (新增${movie.files.length}个文件)`);
                     } else {
@@ -325,33 +398,29 @@ async function generateSmartMovieData(hexo) {
                             ...tmdbInfo,
                             id: uniqueId,
                             original_tmdb_id: tmdbInfo.id,
-                            files: movie.files.map(file => ({
-                                ...file,
-                                url: file.url || `${config.alist.url}/d${file.path}${file.sign ? `?sign=${file.sign}` : ''}`,
-                                download_url: file.download_url || `${config.alist.url}/d${file.path}${file.sign ? `?sign=${file.sign}` : ''}`
-                            })),
+                            files,
                             file_count: movie.files.length,
+                            ...(movie.extras && { extras: movie.extras }),
                             directory_type: 'movie',
                             detection_method: 'smart'
                         };
                         
+                        applyLocalMetadata(movieData, movie.local_metadata);
+                        overrides.apply(movieData, override);
                         movieMap.set(uniqueId, movieData);
                         log.info(`✓ 找到电影: ${tmdbInfo.title} (${movie.files.length} 个文件)`);
                     }
                 } else {
                     // 创建未知电影条目
-                    const unknownId = `unknown_movie_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                    const unknownId = createStableId('unknown_movie', movie.path || movie.title);
                     const unknownMovie = {
                         id: unknownId,
                         title: movie.title,
                         media_type: 'movie',
                         directory_type: 'movie',
-                        files: movie.files.map(file => ({
-                            ...file,
-                            url: file.url || `${config.alist.url}/d${file.path}${file.sign ? `?sign=${file.sign}` : ''}`,
-                            download_url: file.download_url || `${config.alist.url}/d${file.path}${file.sign ? `?sign=${file.sign}` : ''}`
-                        })),
+                        files,
                         file_count: movie.files.length,
+                        ...(movie.extras && { extras: movie.extras }),
                         overview: '未能从 TMDb 获取信息的电影',
                         poster_path: null,
                         genre_names: [],
@@ -360,6 +429,8 @@ async function generateSmartMovieData(hexo) {
                         detection_method: 'smart'
                     };
                     
+                    applyLocalMetadata(unknownMovie, movie.local_metadata);
+                    overrides.apply(unknownMovie, override);
                     movieMap.set(unknownId, unknownMovie);
                     log.warn(`✗ 未找到 TMDb 信息: ${movie.title}`);
                 }
@@ -369,33 +440,34 @@ async function generateSmartMovieData(hexo) {
         }
 
         // 处理电视剧
-        for (const tvShow of detectedTvShows) {
+        for (const [index, tvShow] of detectedTvShows.entries()) {
             try {
-                const tmdbInfo = await tmdbAPI.getMediaDetails(tvShow.title, tvShow.title, 'tv');
+                const { override, tmdbInfo, error } = tvLookups[index];
+                if (error) {
+                    throw error;
+                }
                 
                 if (tmdbInfo) {
                     const uniqueId = `tv_${tmdbInfo.id}`;
                     
-                    // 提取季集信息
-                    const seasons = tvShow.seasons.map(season => ({
+                    // 提取季集信息（字幕组的绝对集数按 TMDb 各季集数换算）
+                    const seasons = mapAbsoluteEpisodes(tvShow.seasons.map(season => ({
                         season_number: season.season,
                         episodes: season.episodes.map(episode => {
-                            // 获取sign参数，优先从episode.file获取，然后从episode本身获取
-                            const signParam = episode.file?.sign || episode.sign;
-                            const signQuery = signParam ? `?sign=${signParam}` : '';
-                            
-                            const basePath = episode.file ? episode.file.path : episode.path;
-                            const baseUrl = `${config.alist.url}/d${basePath}${signQuery}`;
+                            // 播放地址优先使用 episode.file 中的，其次是剧集本身的（均由所在目录的存储生成）
+                            const { url, download_url } = getFileUrls(episode.file || episode, episode.file ? episode.file.path : episode.path);
                             
                             return {
                                 episode_number: episode.episode_number || episode.episode,
+                                ...(episode.episode_numbers && { episode_numbers: episode.episode_numbers }),
                                 name: episode.title || episode.name,
-                                url: episode.file?.url || baseUrl,
-                                download_url: episode.file?.download_url || baseUrl,
-                                path: episode.path
+                                url,
+                                download_url,
+                                path: episode.path,
+                                subtitles: episode.file?.subtitles || episode.subtitles || []
                             };
                         })
-                    }));
+                    })), tmdbInfo.seasons);
 
                     const tvData = {
                         ...tmdbInfo,
@@ -404,15 +476,18 @@ async function generateSmartMovieData(hexo) {
                         seasons: seasons,
                         files: [], // 添加空的files属性
                         episode_count: seasons.reduce((total, season) => total + season.episodes.length, 0),
+                        ...(tvShow.extras && { extras: tvShow.extras }),
                         directory_type: 'tv',
                         detection_method: 'smart'
                     };
                     
+                    applyLocalMetadata(tvData, tvShow.local_metadata);
+                    overrides.apply(tvData, override);
                     movieMap.set(uniqueId, tvData);
                     log.info(`✓ 找到电视剧: ${tmdbInfo.title} (${tvData.episode_count} 集)`);
                 } else {
                     // 创建未知电视剧条目
-                    const unknownId = `unknown_tv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                    const unknownId = createStableId('unknown_tv', tvShow.path || tvShow.title);
                     const unknownTv = {
                         id: unknownId,
                         title: tvShow.title,
@@ -421,6 +496,7 @@ async function generateSmartMovieData(hexo) {
                         seasons: tvShow.seasons,
                         files: [], // 添加空的files属性
                         episode_count: tvShow.seasons.reduce((total, season) => total + season.episodes.length, 0),
+                        ...(tvShow.extras && { extras: tvShow.extras }),
                         overview: '未能从 TMDb 获取信息的电��剧',
                         poster_path: null,
                         genre_names: [],
@@ -429,6 +505,8 @@ async function generateSmartMovieData(hexo) {
                         detection_method: 'smart'
                     };
                     
+                    applyLocalMetadata(unknownTv, tvShow.local_metadata);
+                    overrides.apply(unknownTv, override);
                     movieMap.set(unknownId, unknownTv);
                     log.warn(`✗ 未找到 TMDb 信息: ${tvShow.title}`);
                 }
@@ -487,7 +565,7 @@ async function generateSmartMovieData(hexo) {
         // 合并所有内容用于输出
         enrichedContent = [...finalCorrectedMovies, ...finalCorrectedTvShows];
         
-        // 聚合同名电影/电视剧（按标题聚合）
+        // 聚合同一作品的多个条目（按 TMDb ID 聚合）
         enrichedContent = aggregateSameNameContent(enrichedContent, log);
 
         if (enrichedContent.length === 0) {
@@ -514,14 +592,14 @@ async function generateSmartMovieData(hexo) {
             return 0;
         });
 
-        // 保存数据到 hexo.locals
-        hexo.locals.set('movies', enrichedContent);
+        // 补充电视剧的分集信息和缺失剧集
+        await attachEpisodeMetadata(enrichedContent, tmdbAPI, hexo);
+
+        // 匹配弹幕库（需要开启 danmaku.enable）
+        await attachDanmaku(enrichedContent, hexo);
 
-        // 生成 JSON 文件
-        const jsonData = {
-            movies: enrichedContent,
-            total: enrichedContent.length,
-            generated_at: new Date().toISOString(),
+        // 同步 JSON 文件（更新变化的条目、归档已删除的条目、保留手动编辑）
+        const { movies: syncedContent, changes } = syncMoviesJson(hexo, enrichedContent, {
             detection_method: 'smart',
             config_report: configReport,
             config: {
@@ -529,19 +607,13 @@ async function generateSmartMovieData(hexo) {
                 order_by: orderBy,
                 order: order
             }
-        };
+        }, { keepPaths });
 
-        // 保存 JSON 文件
-        const fs = require('fs');
-        const outputDir = path.join(hexo.source_dir, 'data');
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
-        }
-
-        const jsonPath = path.join(outputDir, 'movies.json');
-        fs.writeFileSync(jsonPath, JSON.stringify(jsonData, null, 2), 'utf8');
+        // 保存数据到 hexo.locals
+        hexo.locals.set('movies', syncedContent);
 
-        log.info(`Smart Movie Generator: 成功生成 ${enrichedContent.length} 个内容项目的数据`);
+        const jsonPath = path.join(hexo.source_dir, 'data', 'movies.json');
+        log.info(`Smart Movie Generator: 成功生成 ${syncedContent.length} 个内容项目的数据（新增 ${changes.added.length}, 更新 ${changes.updated.length}, 移除 ${changes.removed.length}）`);
         log.info(`数据已保存到: ${jsonPath}`);
 
         // 统计信息
@@ -551,12 +623,20 @@ async function generateSmartMovieData(hexo) {
         
         log.info(`统计: ${movieCount} 部电影, ${tvCount} 部电视剧, ${unknownCount} 个未知类型`);
 
+        if (tmdbCache) {
+            tmdbCache.logStats();
+        }
+
     } catch (error) {
         log.error(`Smart Movie Generator error: ${error.message}`);
         log.error(error.stack);
+        if (error.abortBuild) {
+            throw error;
+        }
     }
 }
 
 module.exports = {
-    generateSmartMovieData
+    generateSmartMovieData,
+    aggregateSameNameContent
 };
\ No newline at end of file
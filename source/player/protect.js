@@ -0,0 +1,136 @@
+// 密码保护：访客输入密码后在浏览器中解密媒体地址（加密方式见插件的 url-protection.js）
+// 派生的密钥保存在 sessionStorage 中，同一标签页内切换页面不需要重复输入；重新构建后盐改变，需要重新输入
+(function () {
+    const KEY_STORAGE = 'alist-movie-protect-key';
+
+    const toBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+    // 解密单个值（"enc:" + Base64(IV + 密文 + 认证标签)）
+    async function decryptValue(key, config, value) {
+        const data = toBytes(value.slice(config.prefix.length));
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: data.slice(0, 12) }, key, data.slice(12));
+        return new TextDecoder().decode(plain);
+    }
+
+    // 校验密钥：能解密 check 即为正确的密码
+    async function verifyKey(key, config) {
+        try {
+            await decryptValue(key, config, config.check);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async function deriveKey(password, config) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: toBytes(config.salt), iterations: config.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['decrypt']
+        );
+    }
+
+    async function loadSavedKey(config) {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(KEY_STORAGE) || 'null');
+            if (!saved || saved.salt !== config.salt) return null;
+            const key = await crypto.subtle.importKey('raw', toBytes(saved.key), 'AES-GCM', true, ['decrypt']);
+            return (await verifyKey(key, config)) ? key : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function saveKey(key, config) {
+        try {
+            const raw = await crypto.subtle.exportKey('raw', key);
+            sessionStorage.setItem(KEY_STORAGE, JSON.stringify({ salt: config.salt, key: toBase64(raw) }));
+        } catch (e) { }
+    }
+
+    // 全屏密码提示框，密码正确时返回密钥
+    function promptForKey(config) {
+        const text = config.text || {};
+        const overlay = document.createElement('div');
+        overlay.className = 'protect-overlay';
+        overlay.style.cssText = 'position:fixed; inset:0; z-index:10000; display:flex; align-items:center; justify-content:center; background:rgba(15,23,42,.92); padding:20px;';
+        overlay.innerHTML = `
+            <form class="protect-form" style="width:100%; max-width:360px; background:#fff; color:#111827; border-radius:14px; padding:24px; box-shadow:0 20px 50px rgba(0,0,0,.35); display:flex; flex-direction:column; gap:12px;">
+                <h2 style="margin:0; font-size:1.2rem;"></h2>
+                <p class="protect-description" style="margin:0; color:#6b7280; font-size:.9rem;"></p>
+                <input type="password" autocomplete="current-password" required style="padding:10px 12px; border:1px solid #d1d5db; border-radius:10px; font-size:1rem;">
+                <p class="protect-error" role="alert" style="margin:0; color:#dc2626; font-size:.85rem; min-height:1em;"></p>
+                <button type="submit" style="padding:10px 12px; border:none; border-radius:10px; background:#2563eb; color:#fff; font-weight:700; cursor:pointer;"></button>
+            </form>
+        `;
+        const form = overlay.querySelector('form');
+        const input = overlay.querySelector('input');
+        const button = overlay.querySelector('button');
+        const error = overlay.querySelector('.protect-error');
+        overlay.querySelector('h2').textContent = text.title || 'Password required';
+        overlay.querySelector('.protect-description').textContent = text.description || '';
+        input.placeholder = text.password || 'Password';
+        input.setAttribute('aria-label', text.password || 'Password');
+        button.textContent = text.unlock || 'Unlock';
+        document.body.appendChild(overlay);
+        input.focus();
+
+        return new Promise(resolve => {
+            form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                button.disabled = true;
+                error.textContent = '';
+                const key = await deriveKey(input.value, config);
+                if (await verifyKey(key, config)) {
+                    await saveKey(key, config);
+                    overlay.remove();
+                    resolve(key);
+                } else {
+                    error.textContent = text.wrong_password || 'Wrong password';
+                    input.select();
+                }
+                button.disabled = false;
+            });
+        });
+    }
+
+    // 递归解密对象中所有加密的值
+    async function decryptDeep(key, config, value) {
+        if (typeof value === 'string') {
+            return value.startsWith(config.prefix) ? decryptValue(key, config, value) : value;
+        }
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(item => decryptDeep(key, config, item)));
+        }
+        if (value && typeof value === 'object') {
+            const entries = await Promise.all(Object.entries(value).map(async ([name, item]) => [name, await decryptDeep(key, config, item)]));
+            return Object.fromEntries(entries);
+        }
+        return value;
+    }
+
+    /**
+     * 解锁页面：使用本标签页中保存的密钥或提示输入密码
+     * @param {Object} config - 页面中注入的解密参数（salt、iterations、check、prefix、text）
+     * @returns {Promise<{decrypt: Function}>} decrypt(value) 解密字符串或对象中的加密值
+     */
+    async function unlock(config) {
+        if (!window.crypto || !crypto.subtle) {
+            const message = (config.text && config.text.unsupported) || 'This browser cannot decrypt the library.';
+            document.body.insertAdjacentHTML('afterbegin', '<div class="protect-overlay" style="position:fixed; inset:0; z-index:10000; display:flex; align-items:center; justify-content:center; background:rgba(15,23,42,.92); color:#fff; padding:20px; text-align:center;"></div>');
+            document.querySelector('.protect-overlay').textContent = message;
+            throw new Error(message);
+        }
+
+        const key = (await loadSavedKey(config)) || (await promptForKey(config));
+        return {
+            decrypt: (value) => decryptDeep(key, config, value)
+        };
+    }
+
+    window.movieProtection = { unlock };
+})();
@@ -2,7 +2,20 @@
 let player;
 let currentMovie = null;
 let currentEpisode = null;
-let currentSource = null;
+let currentSource = null; // 当前片源，或分段的文件（带 parts）
+let currentPart = 0; // 分段电影当前播放的段（currentSource.parts 的下标）
+
+// 界面文字（生成器注入 playerConfig.i18n，词典见插件的 languages 目录）
+// one/other 形式的条目按 params.count 选择单复数
+function __(key, params = {}) {
+    const dictionary = (window.playerConfig && window.playerConfig.i18n) || {};
+    let value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+    if (value && typeof value === 'object') {
+        value = Number(params.count) === 1 && value.one !== undefined ? value.one : value.other;
+    }
+    if (typeof value !== 'string') return key;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
 
 // 从movies.json加载电影数据
 async function loadMovieFromJson(movieId) {
@@ -33,7 +46,7 @@ async function loadMovieFromJson(movieId) {
         }
 
         if (!moviesData || !moviesData.movies) {
-            throw new Error('无法加载movies.json数据');
+            throw new Error(__('player.error_movie_json'));
         }
 
         // 查找对应的电影
@@ -44,7 +57,7 @@ async function loadMovieFromJson(movieId) {
         );
 
         if (!movie) {
-            throw new Error(`未找到ID为 ${movieId} 的电影`);
+            throw new Error(__('player.error_movie_not_found', { id: movieId }));
         }
 
         console.log('找到电影数据:', movie.title);
@@ -55,7 +68,7 @@ async function loadMovieFromJson(movieId) {
 
     } catch (error) {
         console.error('加载电影数据失败:', error);
-        showError(`加载电影数据失败: ${error.message}`);
+        showError(__('player.error_movie_load', { message: error.message }));
         hideLoadingState();
     }
 }
@@ -63,6 +76,9 @@ async function loadMovieFromJson(movieId) {
 // 初始化电影播放器（从loadMovieFromJson调用）
 function initializeMoviePlayer() {
     try {
+        // 应用保存的显示语言
+        initializeContentLanguage();
+
         // 更新电影信息显示
         updateMovieInfo();
 
@@ -72,6 +88,12 @@ function initializeMoviePlayer() {
         // 初始化 Plyr 播放器
         initializePlayer();
 
+        // 初始化弹幕层（需要开启弹幕配置）
+        initializeDanmaku();
+
+        // 记录播放进度
+        initializeWatchHistory();
+
         // 设置默认播放源
         setDefaultSource();
 
@@ -86,7 +108,7 @@ function initializeMoviePlayer() {
 
     } catch (error) {
         console.error('初始化失败:', error);
-        showError('播放器初始化失败，请刷新页面重试');
+        showError(__('player.error_init'));
         hideLoadingState();
     }
 }
@@ -116,25 +138,36 @@ function createEpisodesAndSourcesList() {
         // 聚合内容：创建版本选择列表
         createVersionsList(recommendationsSection);
     }
+
+    // 预告片、花絮等附加内容单独列出
+    createExtrasList(recommendationsSection);
+}
+
+// 季号（特别篇为第 0 季，没有季号时按顺序编号）
+function getSeasonNumber(season, seasonIndex) {
+    return Number.isInteger(season.season_number) ? season.season_number : seasonIndex + 1;
 }
 
 // 创建电视剧选集列表
 function createEpisodesList(container) {
     const episodesTitle = document.createElement('h3');
-    episodesTitle.textContent = '选集列表';
+    episodesTitle.textContent = __('player.episodes');
     container.appendChild(episodesTitle);
 
     const seasonsContainer = document.createElement('div');
     seasonsContainer.className = 'seasons-container';
 
-    currentMovie.seasons.forEach((season, seasonIndex) => {
-        if (!season.episodes || season.episodes.length === 0) return;
+    // 特别篇排在正片季之后
+    const orderedSeasons = currentMovie.seasons
+        .map((season, seasonIndex) => ({ season, seasonNumber: getSeasonNumber(season, seasonIndex) }))
+        .sort((a, b) => (a.seasonNumber === 0) - (b.seasonNumber === 0));
 
-        const seasonNumber = season.season_number || (seasonIndex + 1);
+    orderedSeasons.forEach(({ season, seasonNumber }) => {
+        if (!season.episodes || season.episodes.length === 0) return;
 
         // 季度标题
         const seasonTitle = document.createElement('h4');
-        seasonTitle.textContent = `第 ${seasonNumber} 季`;
+        seasonTitle.textContent = season.name || (seasonNumber === 0 ? __('player.specials') : __('player.season', { season: seasonNumber }));
         seasonTitle.className = 'season-title';
         seasonsContainer.appendChild(seasonTitle);
 
@@ -147,13 +180,34 @@ function createEpisodesList(container) {
             episodeItem.className = 'episode-item';
             episodeItem.dataset.season = seasonNumber;
             episodeItem.dataset.episode = episode.episode_number || (episodeIndex + 1);
-            episodeItem.dataset.name = episode.name || `第 ${episode.episode_number || (episodeIndex + 1)} 集`;
+            episodeItem.dataset.name = episode.name || __('player.episode', { episode: episode.episode_number || (episodeIndex + 1) });
             episodeItem.dataset.url = episode.url;
-
-            episodeItem.innerHTML = `
-                <span style="font-weight: 600; min-width: 40px;">E${episode.episode_number || (episodeIndex + 1)}</span>
-                <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${episode.name || ''}</span>
-            `;
+            episodeItem.dataset.key = getPlaybackKey(episode);
+            const episodeLabel = formatEpisodeNumber(episode, episodeIndex + 1);
+
+            if (episode.still_path) {
+                // 有 TMDb 剧照时显示为剧集卡片
+                const meta = [episode.air_date, episode.runtime ? __('player.minutes', { count: episode.runtime }) : ''].filter(Boolean).join(' · ');
+                episodeItem.classList.add('has-still');
+                episodeItem.title = episode.overview || '';
+                episodeItem.innerHTML = `
+                    <img class="episode-still" loading="lazy" src="${buildTMDBImageUrl(episode.still_path, 'w300')}" alt="">
+                    <div class="episode-text">
+                        <div class="episode-heading">
+                            <span class="episode-number">${episodeLabel}</span>
+                            <span class="episode-name">${escapeHtml(episode.name || '')}</span>
+                        </div>
+                        <div class="episode-meta">${escapeHtml(meta)}</div>
+                    </div>
+                    <span class="episode-progress"></span>
+                `;
+            } else {
+                episodeItem.innerHTML = `
+                    <span style="font-weight: 600; min-width: 40px;">${episodeLabel}</span>
+                    <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${episode.name || ''}</span>
+                    <span class="episode-progress"></span>
+                `;
+            }
 
             episodesList.appendChild(episodeItem);
         });
@@ -162,12 +216,54 @@ function createEpisodesList(container) {
     });
 
     container.appendChild(seasonsContainer);
+
+    // TMDb 中已播出但库中没有的剧集
+    createMissingEpisodesList(container);
+
+    // 标记已看/看到一半的剧集
+    updateWatchedMarks();
+}
+
+// 剧集编号，一个文件包含多集时显示为 E01-E02
+function formatEpisodeNumber(episode, fallback) {
+    const numbers = episode.episode_numbers || [];
+    if (numbers.length > 1) {
+        return `E${numbers[0]}-E${numbers[numbers.length - 1]}`;
+    }
+    return `E${episode.episode_number || fallback}`;
+}
+
+// 创建缺失剧集列表
+function createMissingEpisodesList(container) {
+    const missingEpisodes = currentMovie.missing_episodes || [];
+    if (missingEpisodes.length === 0) return;
+
+    const details = document.createElement('details');
+    details.className = 'missing-episodes';
+    details.innerHTML = `
+        <summary>${escapeHtml(__('player.missing_episodes', { count: missingEpisodes.length }))}</summary>
+        <ul>
+            ${missingEpisodes.map(episode => `
+                <li>
+                    <span class="missing-episode-number">S${String(episode.season_number).padStart(2, '0')}E${String(episode.episode_number).padStart(2, '0')}</span>
+                    <span class="missing-episode-name">${escapeHtml(episode.name || '')}</span>
+                    <span class="missing-episode-date">${escapeHtml(episode.air_date || '')}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    container.appendChild(details);
+}
+
+// 转义 HTML 特殊字符（TMDb 文本插入 innerHTML 前使用）
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
 }
 
 // 创建电影片源列表
 function createSourcesList(container) {
     const sourcesTitle = document.createElement('h3');
-    sourcesTitle.textContent = '片源列表';
+    sourcesTitle.textContent = __('player.sources');
     container.appendChild(sourcesTitle);
 
     const sourcesList = document.createElement('div');
@@ -179,14 +275,16 @@ function createSourcesList(container) {
         sourceItem.dataset.url = source.url;
         sourceItem.dataset.quality = source.quality || '';
         sourceItem.dataset.format = source.format || '';
-        sourceItem.dataset.name = source.name || `片源 ${index + 1}`;
-        sourceItem.dataset.source = source.sourceName || source.name || `片源 ${index + 1}`;
+        sourceItem.dataset.name = source.name || __('player.source', { index: index + 1 });
+        sourceItem.dataset.source = source.sourceName || source.name || __('player.source', { index: index + 1 });
 
         const qualityInfo = source.quality ? ` (${source.quality})` : '';
         const formatInfo = source.format ? ` [${source.format}]` : '';
+        // 分段电影（CD1/CD2）按顺序连续播放
+        const partsInfo = source.parts ? ` · ${__('player.parts', { count: source.parts.length })}` : '';
 
         sourceItem.innerHTML = `
-            <div style="font-weight: 600;">${source.name || `片源 ${index + 1}`}${qualityInfo}${formatInfo}</div>
+            <div style="font-weight: 600;">${source.name || __('player.source', { index: index + 1 })}${qualityInfo}${formatInfo}${partsInfo}</div>
         `;
 
         sourcesList.appendChild(sourceItem);
@@ -195,10 +293,37 @@ function createSourcesList(container) {
     container.appendChild(sourcesList);
 }
 
+// 创建附加内容（预告片、特辑、幕后花絮等）列表
+function createExtrasList(container) {
+    const extras = currentMovie.extras || [];
+    if (extras.length === 0) return;
+
+    const extrasTitle = document.createElement('h3');
+    extrasTitle.textContent = __('player.extras');
+    container.appendChild(extrasTitle);
+
+    const extrasList = document.createElement('div');
+    extrasList.className = 'extras-list';
+
+    extras.forEach(extra => {
+        const extraItem = document.createElement('div');
+        extraItem.className = 'extra-item';
+        extraItem.dataset.url = extra.url;
+        extraItem.dataset.name = extra.name;
+        extraItem.innerHTML = `
+            <span class="extra-type">${escapeHtml(__(`player.extra_types.${extra.type}`))}</span>
+            <span class="extra-name">${escapeHtml(extra.name)}</span>
+        `;
+        extrasList.appendChild(extraItem);
+    });
+
+    container.appendChild(extrasList);
+}
+
 // 创建文件列表
 function createFilesList(container) {
     const filesTitle = document.createElement('h3');
-    filesTitle.textContent = '文件列表';
+    filesTitle.textContent = __('player.files');
     container.appendChild(filesTitle);
 
     const filesContainer = document.createElement('div');
@@ -213,9 +338,10 @@ function createFilesList(container) {
         fileItem.dataset.path = file.path;
 
         const sizeInfo = file.size ? ` (${(file.size / 1024 / 1024 / 1024).toFixed(2)} GB)` : '';
+        const partsInfo = file.parts ? ` · ${__('player.parts', { count: file.parts.length })}` : '';
 
         fileItem.innerHTML = `
-            <div style="font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${file.name}${sizeInfo}</div>
+            <div style="font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${file.name}${sizeInfo}${partsInfo}</div>
         `;
 
         filesContainer.appendChild(fileItem);
@@ -224,14 +350,14 @@ function createFilesList(container) {
     container.appendChild(filesContainer);
 }
 
-// 初始化播放器 - 优化加载体验
-document.addEventListener('DOMContentLoaded', function () {
+// 初始化播放器 - 优化加载体验（密码保护模式下本脚本在解锁后才加载，此时页面已经加载完成）
+function initializePage() {
     showLoadingState();
 
     const processMovieData = (movie) => {
         if (!movie) {
             console.error('未找到电影数据');
-            showError('未找到电影数据，请刷新页面重试');
+            showError(__('player.error_no_movie'));
             hideLoadingState();
             return;
         }
@@ -241,7 +367,7 @@ document.addEventListener('DOMContentLoaded', function () {
             initializeMoviePlayer();
         } catch (error) {
             console.error('初始化失败:', error);
-            showError('播放器初始化失败，请刷新页面重试');
+            showError(__('player.error_init'));
             hideLoadingState();
         }
     };
@@ -258,7 +384,13 @@ document.addEventListener('DOMContentLoaded', function () {
             processMovieData(null);
         }
     }
-});
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializePage);
+} else {
+    initializePage();
+}
 
 
 // 显示加载状态
@@ -281,7 +413,7 @@ function showLoadingState() {
             `;
             overlay.innerHTML = `
                 <div style="text-align: center; color: var(--secondary-color);">
-                    <div>正在加载播放器...</div>
+                    <div>${__('player.loading')}</div>
                 </div>
             `;
             if (getComputedStyle(playerContainer).position === 'static') {
@@ -308,8 +440,8 @@ function showKeyboardShortcuts() {
     shortcutsInfo.className = 'shortcuts-info';
     shortcutsInfo.innerHTML = `
         <div style="position: fixed; bottom: 20px; left: 20px; background: rgba(0,0,0,0.8); color: white; padding: 12px 16px; border-radius: 8px; font-size: 0.8rem; z-index: 1000; opacity: 0; transition: opacity 0.3s ease;">
-            <div style="margin-bottom: 4px;"><strong>快捷键:</strong></div>
-            <div>空格: 播放/暂停 | ←→: 快退/快进 | ↑↓: 音量 | F: 全屏 | N: 下一集</div>
+            <div style="margin-bottom: 4px;"><strong>${__('player.shortcuts_title')}</strong></div>
+            <div>${__('player.shortcuts')}</div>
         </div>
     `;
 
@@ -356,19 +488,23 @@ function updateMovieInfo() {
         // 媒体类型标签
         const mediaTypeBadge = document.createElement('span');
         mediaTypeBadge.className = `media-type-badge ${currentMovie.media_type}`;
-        mediaTypeBadge.textContent = currentMovie.media_type === 'tv' ? '电视剧' : '电影';
+        mediaTypeBadge.textContent = currentMovie.media_type === 'tv' ? __('common.tv') : __('common.movie');
         detailsElement.appendChild(mediaTypeBadge);
 
         if (currentMovie.media_type === 'tv') {
             // 电视剧信息
             if (currentMovie.first_air_date) {
                 const airDate = document.createElement('span');
-                airDate.textContent = `📅 首播: ${currentMovie.first_air_date}`;
+                airDate.textContent = `📅 ${__('player.first_air_date', { date: currentMovie.first_air_date })}`;
                 detailsElement.appendChild(airDate);
             }
             if (currentMovie.number_of_seasons && currentMovie.number_of_episodes) {
                 const episodeCount = document.createElement('span');
-                episodeCount.textContent = `📺 ${currentMovie.number_of_seasons}季${currentMovie.number_of_episodes}集`;
+                episodeCount.textContent = `📺 ${__('player.seasons_episodes', {
+                    count: currentMovie.number_of_seasons,
+                    seasons: currentMovie.number_of_seasons,
+                    episodes: currentMovie.number_of_episodes
+                })}`;
                 detailsElement.appendChild(episodeCount);
             }
             if (currentMovie.status) {
@@ -404,7 +540,7 @@ function updateMovieInfo() {
     // 更新剧情简介
     const overviewElement = document.querySelector('.movie-overview');
     if (overviewElement) {
-        overviewElement.textContent = currentMovie.overview || '暂无简介';
+        overviewElement.textContent = currentMovie.overview || __('common.no_overview');
     }
 
     // 更新电视剧额外信息
@@ -437,10 +573,16 @@ function initializePlayer() {
             'duration',
             'mute',
             'volume',
+            'captions',
             'settings',
             'fullscreen'
         ],
-        settings: ['quality', 'speed'],
+        settings: ['captions', 'quality', 'speed'],
+        captions: {
+            active: true,
+            language: 'auto',
+            update: true // 外挂字幕异步加载，需要监听字幕轨道变化
+        },
         quality: {
             default: 1080,
             options: [4320, 2880, 2160, 1440, 1080, 720, 576, 480, 360, 240]
@@ -458,7 +600,7 @@ function initializePlayer() {
 
     player.on('error', function (event) {
         console.error('播放器错误:', event);
-        showError('视频加载失败，请尝试其他片源');
+        showError(__('player.error_playback'));
     });
 
     player.on('ended', function () {
@@ -478,12 +620,17 @@ function setDefaultSource() {
         }
     }
 
+    // 上次播放的剧集/片源（没有记录时从第一个开始）
+    const resume = findResumeTarget();
+
     if (currentMovie.seasons && currentMovie.seasons.length > 0) {
-        const firstSeason = currentMovie.seasons[0];
+        // 没有播放记录时从第一个正片季开始，而不是特别篇
+        const firstRegularSeason = currentMovie.seasons.find(season => season.season_number !== 0 && season.episodes && season.episodes.length > 0);
+        const firstSeason = resume ? resume.season : (firstRegularSeason || currentMovie.seasons[0]);
         if (firstSeason.episodes && firstSeason.episodes.length > 0) {
-            const firstEpisode = firstSeason.episodes[0];
+            const firstEpisode = resume ? resume.episode : firstSeason.episodes[0];
             defaultUrl = firstEpisode.url;
-            const seasonNumber = firstSeason.season_number || 1;
+            const seasonNumber = getSeasonNumber(firstSeason, 0);
             currentEpisode = {
                 season: seasonNumber,
                 episode: firstEpisode.episode_number,
@@ -493,37 +640,45 @@ function setDefaultSource() {
             highlightCurrentEpisode(seasonNumber, firstEpisode.episode_number);
         }
     } else if (currentMovie.sources && currentMovie.sources.length > 0) {
-        const firstSource = currentMovie.sources[0];
-        defaultUrl = firstSource.url;
+        const sourceIndex = resume ? resume.index : 0;
+        const firstSource = currentMovie.sources[sourceIndex];
         currentSource = firstSource;
-        highlightCurrentSource(0);
+        currentPart = resume && resume.part ? resume.part : 0;
+        defaultUrl = firstSource.parts ? firstSource.parts[currentPart].url : firstSource.url;
+        highlightCurrentSource(sourceIndex);
     } else if (currentMovie.files && currentMovie.files.length > 0) {
-        const firstFile = currentMovie.files[0];
-        defaultUrl = firstFile.url;
-        highlightCurrentFile(0);
+        const fileIndex = resume ? resume.index : 0;
+        const firstFile = currentMovie.files[fileIndex];
+        currentSource = firstFile.parts ? firstFile : null;
+        currentPart = resume && resume.part ? resume.part : 0;
+        defaultUrl = firstFile.parts ? firstFile.parts[currentPart].url : firstFile.url;
+        highlightCurrentFile(fileIndex);
     } else {
-        showError('未找到可播放的视频文件。');
+        showError(__('player.error_no_video'));
         return;
     }
 
     if (defaultUrl) {
         loadVideo(defaultUrl);
     } else {
-        showError('未能确定播放地址，请检查数据完整性');
+        showError(__('player.error_no_url'));
     }
 }
 
+// 每次加载视频递增，丢弃切换视频前尚未返回的播放链接
+let videoLoadId = 0;
+
 // 加载视频
 function loadVideo(url) {
     if (!player || !url) {
-        showError('播放器未准备就绪，请刷新页面重试');
+        showError(__('player.error_not_ready'));
         return;
     }
 
     showVideoLoadingState();
 
     const loadingTimeout = setTimeout(() => {
-        showError('视频加载超时，请检查网络连接或尝试其他片源');
+        showError(__('player.error_timeout'));
         hideVideoLoadingState();
     }, 30000); // 30秒超时
 
@@ -532,14 +687,49 @@ function loadVideo(url) {
     const onCanPlay = () => {
         clearTimeout(loadingTimeout);
         hideVideoLoadingState();
-        showSuccessToast('视频加载成功');
+        showSuccessToast(__('player.load_success'));
         if (playerContainer) playerContainer.classList.add('video-loaded');
         player.media.removeEventListener('canplay', onCanPlay);
+        offerResume(url);
     };
 
+    // 切换视频前保存上一个视频的进度
+    startPlaybackTracking(url);
+
     player.media.addEventListener('canplay', onCanPlay);
     if (playerContainer) playerContainer.classList.remove('video-loaded');
 
+    // 加载当前视频对应的弹幕
+    loadDanmakuForUrl(url);
+
+    // 加载当前视频的外挂字幕
+    loadSubtitlesForUrl(url);
+
+    // 使用签名链接代理时先换取短时有效的播放链接（url 仍作为选集、进度和弹幕的标识）
+    const loadId = ++videoLoadId;
+    resolvePlayUrl(url).then(playUrl => {
+        if (loadId === videoLoadId) setPlayerSource(playUrl);
+    }).catch(error => {
+        console.error('获取播放链接失败:', error);
+        clearTimeout(loadingTimeout);
+        player.media.removeEventListener('canplay', onCanPlay);
+        showError(__('player.error_proxy'));
+        hideVideoLoadingState();
+    });
+}
+
+// 签名链接代理：页面中的地址为 "proxy:<文件ID>"，向代理换取短时有效的链接（见插件的 play-proxy.js）
+async function resolvePlayUrl(url) {
+    const proxy = window.playerConfig && window.playerConfig.proxy;
+    if (!proxy || !url.startsWith(proxy.prefix)) return url;
+
+    const response = await fetch(`${proxy.url}/link/${encodeURIComponent(url.slice(proxy.prefix.length))}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).url;
+}
+
+// 设置播放器的视频源
+function setPlayerSource(url) {
     if (url.includes('.m3u8')) {
         if (Hls.isSupported()) {
             const hls = new Hls();
@@ -610,10 +800,11 @@ function showSuccessToast(message) {
 // 绑定选集/片源切换事件
 function bindSourceEvents() {
     document.querySelector('.recommendations').addEventListener('click', function (e) {
-        const target = e.target.closest('.episode-item, .source-item, .file-item');
+        const target = e.target.closest('.episode-item, .source-item, .file-item, .extra-item');
         if (!target || target.classList.contains('active')) return;
 
         let url, season, episode, name, index;
+        this.querySelectorAll('.extra-item.active').forEach(item => item.classList.remove('active'));
 
         if (target.classList.contains('episode-item')) {
             url = target.dataset.url;
@@ -627,13 +818,24 @@ function bindSourceEvents() {
             url = target.dataset.url;
             index = [...target.parentElement.children].indexOf(target);
             currentSource = currentMovie.sources[index];
+            currentPart = 0;
             highlightCurrentSource(index);
             updatePageTitle(`${currentMovie.title} - ${currentSource.name}`);
         } else if (target.classList.contains('file-item')) {
             url = target.dataset.url;
             index = [...target.parentElement.children].indexOf(target);
+            currentSource = currentMovie.files[index].parts ? currentMovie.files[index] : null;
+            currentPart = 0;
             highlightCurrentFile(index);
             updatePageTitle(`${currentMovie.title} - ${target.dataset.name}`);
+        } else if (target.classList.contains('extra-item')) {
+            // 附加内容播放完不会自动播放下一集
+            url = target.dataset.url;
+            currentEpisode = null;
+            currentSource = null;
+            this.querySelectorAll('.active').forEach(item => item.classList.remove('active'));
+            target.classList.add('active');
+            updatePageTitle(`${currentMovie.title} - ${target.dataset.name}`);
         }
 
         if (url) loadVideo(url);
@@ -649,6 +851,34 @@ function highlightCurrentEpisode(season, episode) {
         currentItem.classList.add('active');
         currentItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
+    updateEpisodeInfo(currentItem ? currentItem.dataset.url : null);
+}
+
+// 显示当前剧集的 TMDb 标题、播出日期和简介
+function updateEpisodeInfo(url) {
+    const box = document.querySelector('.episode-info-box');
+    if (!box) return;
+
+    let episode = null;
+    let seasonNumber = null;
+    for (const [seasonIndex, season] of (currentMovie.seasons || []).entries()) {
+        episode = (season.episodes || []).find(ep => ep.url === url);
+        if (episode) {
+            seasonNumber = getSeasonNumber(season, seasonIndex);
+            break;
+        }
+    }
+
+    if (!episode || (!episode.overview && !episode.air_date)) {
+        box.style.display = 'none';
+        return;
+    }
+
+    const meta = [episode.air_date, episode.runtime ? __('player.minutes', { count: episode.runtime }) : ''].filter(Boolean).join(' · ');
+    box.querySelector('.episode-info-title').textContent = `S${seasonNumber}E${episode.episode_number} ${episode.name || ''}`;
+    box.querySelector('.episode-info-meta').textContent = meta;
+    box.querySelector('.episode-overview').textContent = episode.overview || __('common.no_overview');
+    box.style.display = 'block';
 }
 
 // 高亮当前片源
@@ -675,6 +905,10 @@ function playNext() {
             highlightCurrentEpisode(nextEpisode.season, nextEpisode.episode);
             updatePageTitle(`${currentMovie.title} - S${nextEpisode.season}E${nextEpisode.episode}`);
         }
+    } else if (currentSource && currentSource.parts && currentPart < currentSource.parts.length - 1) {
+        // 分段电影：接着播放下一段
+        currentPart++;
+        loadVideo(currentSource.parts[currentPart].url);
     }
 }
 
@@ -733,7 +967,7 @@ document.addEventListener('keydown', function (event) {
 // 创建版本选择列表（聚合内容）
 function createVersionsList(container) {
     const versionsTitle = document.createElement('h3');
-    versionsTitle.textContent = '版本选择';
+    versionsTitle.textContent = __('player.versions');
     container.appendChild(versionsTitle);
 
     const versionsList = document.createElement('div');
@@ -754,7 +988,7 @@ function createVersionsList(container) {
 
 // 切换到指定版本
 function switchToVersion(version) {
-    showSuccessToast(`正在切换到 ${version.version_name}...`);
+    showSuccessToast(__('player.switching_version', { version: version.version_name }));
     loadMovieFromJson(version.id);
 }
 
@@ -779,7 +1013,7 @@ function loadMoviePoster() {
 
     // 检查是否有封面路径
     if (!currentMovie.poster_path) {
-        showPosterError('未找到封面图片');
+        showPosterError(__('player.poster_missing'));
         return;
     }
 
@@ -788,7 +1022,7 @@ function loadMoviePoster() {
     const posterBgUrl = buildTMDBImageUrl(currentMovie.poster_path, 'w780');
 
     if (!posterUrl) {
-        showPosterError('无法构建封面 URL');
+        showPosterError(__('player.poster_invalid'));
         return;
     }
 
@@ -799,7 +1033,7 @@ function loadMoviePoster() {
         .then(() => {
             // 显示封面
             posterImg.src = posterUrl;
-            posterImg.alt = `${currentMovie.title} 封面`;
+            posterImg.alt = __('player.poster_of', { title: currentMovie.title });
             posterImg.classList.add('loaded');
             posterImg.style.display = 'block';
             posterPlaceholder.style.display = 'none';
@@ -813,7 +1047,7 @@ function loadMoviePoster() {
         })
         .catch(error => {
             console.error('封面加载失败:', error);
-            showPosterError('封面加载失败');
+            showPosterError(__('player.poster_failed'));
         });
 }
 
@@ -821,6 +1055,9 @@ function loadMoviePoster() {
 function buildTMDBImageUrl(posterPath, size = 'w500') {
     if (!posterPath) return null;
 
+    // 覆盖规则中自定义的完整海报地址直接使用
+    if (/^https?:\/\//.test(posterPath)) return posterPath;
+
     const baseUrl = 'https://image.tmdb.org/t/p/';
     // 如果是相对路径，添加前缀
     const cleanPath = posterPath.startsWith('/') ? posterPath : '/' + posterPath;
@@ -875,9 +1112,751 @@ function showPosterError(message) {
         posterContainer.classList.add('error');
         const placeholderText = posterPlaceholder.querySelector('.placeholder-text');
         if (placeholderText) {
-            placeholderText.textContent = message || '封面加载失败';
+            placeholderText.textContent = message || __('player.poster_failed');
         }
     }
 
     console.warn('封面错误:', message);
-}
\ No newline at end of file
+}
+
+// ==================== 弹幕 ====================
+
+const DANMAKU_SETTINGS_KEY = 'alist-movie-danmaku';
+const DANMAKU_SCROLL_DURATION = 8; // 滚动弹幕飞过屏幕的时间（秒）
+const DANMAKU_FIXED_DURATION = 4; // 顶部/底部弹幕停留时间（秒）
+const DANMAKU_LANE_HEIGHT = 30; // 每条弹幕轨道的高度（像素）
+
+let danmaku = null;
+
+// 获取弹幕前端配置
+function getDanmakuConfig() {
+    return (window.playerConfig && window.playerConfig.danmaku) || null;
+}
+
+// 读取本地保存的弹幕设置
+function loadDanmakuSettings(config) {
+    const defaults = { enabled: true, opacity: config.opacity, density: config.density };
+    try {
+        return Object.assign(defaults, JSON.parse(localStorage.getItem(DANMAKU_SETTINGS_KEY) || '{}'));
+    } catch (e) {
+        return defaults;
+    }
+}
+
+// 保存弹幕设置
+function saveDanmakuSettings() {
+    try {
+        localStorage.setItem(DANMAKU_SETTINGS_KEY, JSON.stringify(danmaku.settings));
+    } catch (e) { }
+}
+
+// 初始化弹幕层和控制栏
+function initializeDanmaku() {
+    const config = getDanmakuConfig();
+    if (!config || !player) return;
+
+    // 切换版本时播放器会重新初始化，移除旧的弹幕层
+    if (danmaku) danmaku.layer.remove();
+
+    // 弹幕层放在 Plyr 容器内，全屏时同样可见
+    const container = player.elements.container || document.querySelector('.player-container');
+    const layer = document.createElement('div');
+    layer.className = 'danmaku-layer';
+    container.appendChild(layer);
+
+    danmaku = {
+        config: config,
+        layer: layer,
+        settings: loadDanmakuSettings(config),
+        episodeId: null,
+        comments: [],
+        index: 0,
+        shift: 0,
+        lanes: { scroll: [], top: [], bottom: [] }
+    };
+
+    createDanmakuControls();
+    applyDanmakuSettings();
+
+    player.on('timeupdate', renderDanmaku);
+    player.on('seeked', resetDanmakuPosition);
+    player.on('play', () => layer.classList.remove('paused'));
+    player.on('pause', () => layer.classList.add('paused'));
+}
+
+// 创建弹幕控制栏（开关、透明度、密度）
+function createDanmakuControls() {
+    const controls = document.querySelector('.danmaku-controls');
+    if (!controls) return;
+
+    controls.innerHTML = `
+        <button type="button" class="danmaku-toggle"></button>
+        <label class="danmaku-slider">${__('player.danmaku_opacity')}
+            <input type="range" class="danmaku-opacity" min="0.1" max="1" step="0.05">
+        </label>
+        <label class="danmaku-slider">${__('player.danmaku_density')}
+            <input type="range" class="danmaku-density" min="0.1" max="1" step="0.05">
+        </label>
+        <span class="danmaku-count"></span>
+    `;
+    controls.style.display = '';
+
+    controls.querySelector('.danmaku-toggle').addEventListener('click', () => {
+        danmaku.settings.enabled = !danmaku.settings.enabled;
+        applyDanmakuSettings();
+        saveDanmakuSettings();
+    });
+
+    controls.querySelector('.danmaku-opacity').addEventListener('input', (e) => {
+        danmaku.settings.opacity = parseFloat(e.target.value);
+        applyDanmakuSettings();
+        saveDanmakuSettings();
+    });
+
+    controls.querySelector('.danmaku-density').addEventListener('input', (e) => {
+        danmaku.settings.density = parseFloat(e.target.value);
+        saveDanmakuSettings();
+    });
+}
+
+// 应用弹幕设置到弹幕层和控制栏
+function applyDanmakuSettings() {
+    const { enabled, opacity, density } = danmaku.settings;
+
+    danmaku.layer.style.opacity = opacity;
+    danmaku.layer.style.display = enabled ? '' : 'none';
+    if (!enabled) clearDanmakuLayer();
+
+    const controls = document.querySelector('.danmaku-controls');
+    if (!controls) return;
+
+    const toggle = controls.querySelector('.danmaku-toggle');
+    toggle.textContent = enabled ? __('player.danmaku_on') : __('player.danmaku_off');
+    toggle.classList.toggle('active', enabled);
+    controls.querySelector('.danmaku-opacity').value = opacity;
+    controls.querySelector('.danmaku-density').value = density;
+}
+
+// 查找播放地址对应的剧集/片源/文件对象
+function findPlayableItem(url, predicate = () => true) {
+    const containers = [currentMovie, ...(currentMovie.versions || [])];
+
+    for (const container of containers) {
+        const candidates = [
+            ...(container.files || []),
+            ...(container.files || []).flatMap(file => file.parts || []),
+            ...(container.sources || []),
+            ...(container.sources || []).flatMap(source => source.parts || []),
+            ...(container.extras || []),
+            ...(container.seasons || []).flatMap(season => season.episodes || [])
+        ];
+        const match = candidates.find(item => item.url === url && predicate(item));
+        if (match) return match;
+    }
+
+    return null;
+}
+
+// 查找播放地址对应的弹幕库信息
+function findDanmakuInfo(url) {
+    const match = findPlayableItem(url, item => item.danmaku);
+    return match ? match.danmaku : null;
+}
+
+// 加载当前视频的弹幕
+async function loadDanmakuForUrl(url) {
+    if (!danmaku) return;
+
+    const info = findDanmakuInfo(url);
+    const countEl = document.querySelector('.danmaku-count');
+
+    if (!info) {
+        danmaku.episodeId = null;
+        danmaku.comments = [];
+        clearDanmakuLayer();
+        if (countEl) countEl.textContent = __('player.danmaku_none');
+        return;
+    }
+
+    if (danmaku.episodeId === info.episode_id) return;
+
+    danmaku.episodeId = info.episode_id;
+    danmaku.comments = [];
+    danmaku.shift = info.shift || 0;
+    clearDanmakuLayer();
+
+    try {
+        const response = await fetch(`${danmaku.config.base_url}${info.episode_id}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+
+        // 加载期间切换了视频，丢弃结果
+        if (danmaku.episodeId !== info.episode_id) return;
+
+        danmaku.comments = data.comments || [];
+        resetDanmakuPosition();
+        if (countEl) countEl.textContent = __('player.danmaku_count', { count: danmaku.comments.length });
+    } catch (error) {
+        console.error('弹幕加载失败:', error);
+        if (countEl) countEl.textContent = __('player.danmaku_failed');
+    }
+}
+
+// 跳转进度后重新定位弹幕
+function resetDanmakuPosition() {
+    if (!danmaku) return;
+
+    clearDanmakuLayer();
+
+    // 二分查找第一条未出现的弹幕
+    const time = player.currentTime - danmaku.shift;
+    let low = 0;
+    let high = danmaku.comments.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (danmaku.comments[mid][0] < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    danmaku.index = low;
+}
+
+// 清空屏幕上的弹幕
+function clearDanmakuLayer() {
+    if (!danmaku) return;
+    danmaku.layer.innerHTML = '';
+    danmaku.lanes = { scroll: [], top: [], bottom: [] };
+}
+
+// 根据播放进度发射弹幕
+function renderDanmaku() {
+    if (!danmaku || !danmaku.settings.enabled || danmaku.comments.length === 0) return;
+
+    const time = player.currentTime - danmaku.shift;
+
+    while (danmaku.index < danmaku.comments.length && danmaku.comments[danmaku.index][0] <= time) {
+        const comment = danmaku.comments[danmaku.index];
+        danmaku.index++;
+
+        // 跳过已经过时的弹幕（例如标签页在后台时）
+        if (time - comment[0] > 1) continue;
+        emitDanmaku(comment);
+    }
+}
+
+// 寻找可用的弹幕轨道
+function findFreeLane(lanes, laneCount, now) {
+    for (let i = 0; i < laneCount; i++) {
+        if (!lanes[i] || lanes[i] <= now) return i;
+    }
+    return -1;
+}
+
+// 在屏幕上显示一条弹幕
+function emitDanmaku(comment) {
+    const [, mode, color, text] = comment;
+    const layer = danmaku.layer;
+    const width = layer.clientWidth;
+    const height = layer.clientHeight;
+    if (!width || !height) return;
+
+    const now = player.currentTime;
+    const totalLanes = Math.max(1, Math.floor(height / DANMAKU_LANE_HEIGHT));
+    // 密度决定可使用的轨道比例
+    const usableLanes = Math.max(1, Math.ceil(totalLanes * danmaku.settings.density));
+
+    const item = document.createElement('div');
+    item.className = 'danmaku-item';
+    item.textContent = text;
+    item.style.color = `#${(color & 0xffffff).toString(16).padStart(6, '0')}`;
+
+    if (mode === 1) {
+        const lane = findFreeLane(danmaku.lanes.scroll, usableLanes, now);
+        if (lane === -1) return;
+
+        item.classList.add('scroll');
+        item.style.top = `${lane * DANMAKU_LANE_HEIGHT}px`;
+        layer.appendChild(item);
+
+        // 弹幕尾部完全进入屏幕后，轨道才可再次使用
+        const itemWidth = item.offsetWidth;
+        const speed = (width + itemWidth) / DANMAKU_SCROLL_DURATION;
+        danmaku.lanes.scroll[lane] = now + itemWidth / speed + 0.5;
+
+        item.style.setProperty('--danmaku-distance', `${width + itemWidth}px`);
+        item.style.animationDuration = `${DANMAKU_SCROLL_DURATION}s`;
+    } else {
+        const isTop = mode === 5;
+        const lanes = isTop ? danmaku.lanes.top : danmaku.lanes.bottom;
+        const lane = findFreeLane(lanes, Math.max(1, Math.floor(usableLanes / 2)), now);
+        if (lane === -1) return;
+
+        item.classList.add(isTop ? 'top' : 'bottom');
+        item.style[isTop ? 'top' : 'bottom'] = `${lane * DANMAKU_LANE_HEIGHT}px`;
+        item.style.animationDuration = `${DANMAKU_FIXED_DURATION}s`;
+        lanes[lane] = now + DANMAKU_FIXED_DURATION;
+        layer.appendChild(item);
+    }
+
+    item.addEventListener('animationend', () => item.remove());
+}
+
+// ==================== 字幕 ====================
+
+// 当前已加载的字幕轨道（用于释放 Blob URL）
+let subtitleTracks = [];
+let subtitleLoadId = 0;
+
+// 移除已加载的外挂字幕轨道
+function clearSubtitleTracks() {
+    subtitleTracks.forEach(({ track, blobUrl }) => {
+        track.remove();
+        URL.revokeObjectURL(blobUrl);
+    });
+    subtitleTracks = [];
+}
+
+// 加载播放地址对应的外挂字幕，转换为 WebVTT 后作为字幕轨道添加
+async function loadSubtitlesForUrl(url) {
+    if (!player) return;
+
+    const loadId = ++subtitleLoadId;
+    clearSubtitleTracks();
+
+    const item = findPlayableItem(url, candidate => candidate.subtitles && candidate.subtitles.length > 0);
+    if (!item) return;
+
+    for (const subtitle of item.subtitles) {
+        try {
+            const vtt = await fetchSubtitleAsVtt(subtitle);
+
+            // 加载期间切换了视频，丢弃结果
+            if (loadId !== subtitleLoadId) return;
+
+            const blobUrl = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+            const track = document.createElement('track');
+            track.kind = 'subtitles';
+            track.label = subtitle.lang === 'und' ? __('player.subtitle_default') : (subtitle.label || subtitle.lang);
+            track.srclang = subtitle.lang || 'und';
+            track.src = blobUrl;
+            if (subtitleTracks.length === 0) track.default = true;
+
+            player.media.appendChild(track);
+            subtitleTracks.push({ track, blobUrl });
+        } catch (error) {
+            console.warn(`字幕加载失败 ${subtitle.name}:`, error);
+        }
+    }
+}
+
+// 下载字幕并转换为 WebVTT
+async function fetchSubtitleAsVtt(subtitle) {
+    const response = await fetch(await resolvePlayUrl(subtitle.url));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const text = decodeSubtitleText(await response.arrayBuffer());
+    const format = (subtitle.format || '').toLowerCase();
+
+    if (format === 'vtt') return text;
+    if (format === 'ass' || format === 'ssa') return convertAssToVtt(text);
+    return convertSrtToVtt(text);
+}
+
+// 解码字幕文本（UTF-8 失败时按 GBK 处理，兼容旧的中文字幕）
+function decodeSubtitleText(buffer) {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        text = new TextDecoder('gbk').decode(buffer);
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+// SRT → WebVTT
+function convertSrtToVtt(text) {
+    const body = text
+        .replace(/\r\n?/g, '\n')
+        .replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+        .trim();
+    return `WEBVTT\n\n${body}\n`;
+}
+
+// ASS/SSA → WebVTT（仅保留对白文本，去除样式标签）
+function convertAssToVtt(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const cues = [];
+    let format = null;
+    let inEvents = false;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (/^\[.+\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (trimmed.toLowerCase().startsWith('format:')) {
+            format = trimmed.slice(7).split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!format || !trimmed.toLowerCase().startsWith('dialogue:')) continue;
+
+        // Text 字段在最后，可能包含逗号
+        const values = trimmed.slice(9).split(',');
+        const fields = values.slice(0, format.length - 1).concat(values.slice(format.length - 1).join(','));
+        const get = name => (fields[format.indexOf(name)] || '').trim();
+
+        const rawText = get('text');
+        // 跳过绘图指令
+        if (/\{[^}]*\\p[1-9][^}]*\}/.test(rawText)) continue;
+
+        const cueText = rawText
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/\\[Nn]/g, '\n')
+            .replace(/\\h/g, ' ')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .trim();
+        if (!cueText) continue;
+
+        cues.push({ start: parseAssTime(get('start')), end: parseAssTime(get('end')), text: cueText });
+    }
+
+    cues.sort((a, b) => a.start - b.start);
+
+    const body = cues.map(cue => `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text}`).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+// 解析 ASS 时间（h:mm:ss.cc）为秒
+function parseAssTime(value) {
+    const match = value.match(/(\d+):(\d{2}):(\d{2})[.:](\d{1,3})/);
+    if (!match) return 0;
+    const fraction = parseInt(match[4].padEnd(3, '0'), 10) / 1000;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10) + fraction;
+}
+
+// 秒 → WebVTT 时间（hh:mm:ss.mmm）
+function formatVttTime(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs % 3600000 / 60000);
+    const secs = Math.floor(totalMs % 60000 / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+// ==================== 播放进度与观看记录 ====================
+
+// 与 movies.pug 中的“继续观看”共用同一份记录
+const WATCH_HISTORY_KEY = 'alist-movie-history';
+const WATCH_HISTORY_LIMIT = 50; // 最多保留的影片数量
+const WATCH_SAVE_INTERVAL = 5000; // 播放中保存进度的间隔（毫秒）
+const WATCH_MIN_POSITION = 30; // 低于该位置（秒）不提示续播
+const WATCH_FINISHED_RATIO = 0.92; // 播放超过该比例视为已看完
+
+let playback = null;
+let lastWatchSave = 0;
+
+// 读取观看记录 { [影片键]: { title, media_type, poster_path, link, last, updated_at, items: { [视频键]: {...} } } }
+function loadWatchHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(WATCH_HISTORY_KEY) || '{}');
+        return history && typeof history === 'object' ? history : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// 保存观看记录（超过上限时删除最早的影片）
+function saveWatchHistory(history) {
+    const keys = Object.keys(history).sort((a, b) => (history[b].updated_at || 0) - (history[a].updated_at || 0));
+    keys.slice(WATCH_HISTORY_LIMIT).forEach(key => delete history[key]);
+    try {
+        localStorage.setItem(WATCH_HISTORY_KEY, JSON.stringify(history));
+    } catch (e) { }
+}
+
+// 当前影片在观看记录中的键
+function getWatchMovieKey() {
+    return `${currentMovie.media_type}/${currentMovie.id}`;
+}
+
+// 当前影片的观看记录
+function getWatchEntry() {
+    return loadWatchHistory()[getWatchMovieKey()] || null;
+}
+
+// 视频的记录键：优先使用 Alist 路径（播放地址的签名每次构建可能不同）
+function getPlaybackKey(item) {
+    return item.path || (item.url || '').split('?')[0];
+}
+
+// 根据播放地址获取记录键和显示名称
+function getPlaybackInfo(url) {
+    for (const [seasonIndex, season] of (currentMovie.seasons || []).entries()) {
+        const episode = (season.episodes || []).find(ep => ep.url === url);
+        if (episode) {
+            const seasonNumber = getSeasonNumber(season, seasonIndex);
+            return { key: getPlaybackKey(episode), label: `S${seasonNumber}E${episode.episode_number}` };
+        }
+    }
+
+    const item = findPlayableItem(url);
+    if (item) {
+        return { key: getPlaybackKey(item), label: item.name || item.sourceName || '' };
+    }
+    return { key: url.split('?')[0], label: '' };
+}
+
+// 查找上次播放的剧集/片源/文件（看完的剧集继续下一集）
+function findResumeTarget() {
+    const entry = getWatchEntry();
+    if (!entry || !entry.last) return null;
+
+    const lastItem = (entry.items || {})[entry.last] || {};
+
+    for (const season of currentMovie.seasons || []) {
+        const episodes = season.episodes || [];
+        const index = episodes.findIndex(ep => getPlaybackKey(ep) === entry.last);
+        if (index === -1) continue;
+
+        if (lastItem.watched) {
+            const next = findNextEpisode(season.season_number, episodes[index].episode_number);
+            const nextSeason = next && currentMovie.seasons.find(s => s.season_number === next.season);
+            const nextEpisode = nextSeason && nextSeason.episodes.find(ep => ep.url === next.url);
+            if (nextEpisode) return { season: nextSeason, episode: nextEpisode };
+        }
+        return { season, episode: episodes[index] };
+    }
+
+    for (const list of [currentMovie.sources, currentMovie.files]) {
+        const index = (list || []).findIndex(item => getPlaybackKey(item) === entry.last);
+        if (index !== -1) return { index };
+    }
+
+    // 分段电影从上次播放的段继续
+    for (const list of [currentMovie.sources, currentMovie.files]) {
+        for (const [index, item] of (list || []).entries()) {
+            const part = (item.parts || []).findIndex(partItem => getPlaybackKey(partItem) === entry.last);
+            if (part !== -1) return { index, part };
+        }
+    }
+
+    return null;
+}
+
+// 初始化进度记录
+function initializeWatchHistory() {
+    if (!player) return;
+
+    player.on('timeupdate', () => {
+        if (Date.now() - lastWatchSave >= WATCH_SAVE_INTERVAL) saveProgress();
+    });
+    player.on('pause', () => saveProgress());
+    player.on('ended', () => saveProgress(true));
+    window.addEventListener('pagehide', () => saveProgress());
+}
+
+// 开始记录新视频的进度
+function startPlaybackTracking(url) {
+    if (playback) saveProgress();
+    playback = { url, ...getPlaybackInfo(url) };
+    hideResumePrompt();
+}
+
+// 保存当前视频的播放进度
+function saveProgress(ended = false) {
+    if (!player || !playback || !currentMovie) return;
+
+    lastWatchSave = Date.now();
+
+    const position = player.currentTime || 0;
+    const duration = player.duration || 0;
+    const watched = ended || (duration > 0 && position / duration >= WATCH_FINISHED_RATIO);
+
+    // 刚打开、还没开始看的视频不记录
+    if (!watched && position < 5) return;
+
+    const history = loadWatchHistory();
+    const movieKey = getWatchMovieKey();
+    const entry = history[movieKey] || { items: {} };
+    const previous = entry.items[playback.key] || {};
+
+    entry.items[playback.key] = {
+        label: playback.label,
+        position: watched ? 0 : Math.floor(position),
+        duration: Math.floor(duration),
+        watched: watched || !!previous.watched,
+        updated_at: Date.now()
+    };
+
+    Object.assign(entry, {
+        title: currentMovie.title,
+        media_type: currentMovie.media_type,
+        poster_path: currentMovie.poster_path || null,
+        link: window.location.pathname + window.location.search,
+        last: playback.key,
+        updated_at: Date.now()
+    });
+
+    history[movieKey] = entry;
+    saveWatchHistory(history);
+
+    if (watched && !previous.watched) updateWatchedMarks();
+}
+
+// 在选集列表中标记已看完和看到一半的剧集
+function updateWatchedMarks() {
+    const entry = getWatchEntry();
+    const items = (entry && entry.items) || {};
+
+    document.querySelectorAll('.episode-item').forEach(element => {
+        const record = items[element.dataset.key];
+        const progress = element.querySelector('.episode-progress');
+
+        element.classList.toggle('watched', !!(record && record.watched));
+        if (!progress) return;
+
+        if (record && record.watched) {
+            progress.textContent = '✓';
+            progress.title = __('player.watched');
+        } else if (record && record.position > 0) {
+            progress.textContent = formatPlaybackTime(record.position);
+            progress.title = __('player.watched_until', { time: formatPlaybackTime(record.position) });
+        } else {
+            progress.textContent = '';
+            progress.title = '';
+        }
+    });
+}
+
+// 有未看完的进度时提示从上次位置继续播放
+function offerResume(url) {
+    const entry = getWatchEntry();
+    const record = entry && entry.items && entry.items[getPlaybackInfo(url).key];
+    if (!record || record.watched || record.position < WATCH_MIN_POSITION) return;
+
+    const duration = player.duration || record.duration || 0;
+    if (duration > 0 && duration - record.position < WATCH_MIN_POSITION) return;
+
+    hideResumePrompt();
+
+    const container = player.elements.container || document.querySelector('.player-container');
+    const prompt = document.createElement('div');
+    prompt.className = 'resume-prompt';
+    prompt.innerHTML = `
+        <span>${__('player.resume_last', { time: formatPlaybackTime(record.position) })}</span>
+        <button type="button" class="resume-continue">${__('player.resume_continue', { time: formatPlaybackTime(record.position) })}</button>
+        <button type="button" class="resume-restart">${__('player.resume_restart')}</button>
+    `;
+    container.appendChild(prompt);
+
+    prompt.querySelector('.resume-continue').addEventListener('click', () => {
+        player.currentTime = record.position;
+        player.play();
+        hideResumePrompt();
+    });
+    prompt.querySelector('.resume-restart').addEventListener('click', () => {
+        player.play();
+        hideResumePrompt();
+    });
+
+    prompt.hideTimer = setTimeout(hideResumePrompt, 10000);
+}
+
+// 移除续播提示
+function hideResumePrompt() {
+    document.querySelectorAll('.resume-prompt').forEach(prompt => {
+        clearTimeout(prompt.hideTimer);
+        prompt.remove();
+    });
+}
+
+// 秒 → 42:10 / 1:02:10
+function formatPlaybackTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// ==================== 元数据语言 ====================
+// 构建时配置了 tmdb.extra_languages 的条目带有 translations（语言 → 标题/简介/宣传语/类型），
+// 在页面上切换显示语言无需重新构建；设置与影片列表页共用
+
+const CONTENT_LANGUAGE_KEY = 'alist-movie-content-language';
+
+// 构建时的默认语言内容
+let defaultMovieText = null;
+
+// 语言代码 → 显示名称（zh-CN → 中文（中国））
+function getLanguageDisplayName(code) {
+    try {
+        return new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+// 读取保存的显示语言并创建语言切换框（需在 updateMovieInfo 之前调用）
+function initializeContentLanguage() {
+    const translations = currentMovie.translations || {};
+    const languages = Object.keys(translations);
+    if (languages.length < 2) return;
+
+    defaultMovieText = {
+        title: currentMovie.title,
+        overview: currentMovie.overview,
+        tagline: currentMovie.tagline,
+        genre_names: currentMovie.genre_names
+    };
+
+    let saved = '';
+    try {
+        saved = localStorage.getItem(CONTENT_LANGUAGE_KEY) || '';
+    } catch (e) { }
+    if (translations[saved]) {
+        applyContentLanguage(saved, false);
+    }
+
+    const container = document.querySelector('.movie-basic-info');
+    if (!container) return;
+
+    const select = document.createElement('select');
+    select.className = 'content-language-select';
+    select.setAttribute('aria-label', __('common.display_language'));
+    select.innerHTML = `<option value="">${escapeHtml(__('common.default_language'))}</option>` + languages
+        .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(getLanguageDisplayName(code))}</option>`)
+        .join('');
+    select.value = translations[saved] ? saved : '';
+    select.addEventListener('change', () => {
+        try {
+            localStorage.setItem(CONTENT_LANGUAGE_KEY, select.value);
+        } catch (e) { }
+        applyContentLanguage(select.value, true);
+    });
+    container.appendChild(select);
+}
+
+// 切换显示语言，为空时恢复构建时的默认语言
+function applyContentLanguage(code, refresh) {
+    const translation = (code && currentMovie.translations && currentMovie.translations[code]) || defaultMovieText;
+    if (!translation) return;
+
+    currentMovie.title = translation.title || defaultMovieText.title;
+    currentMovie.overview = translation.overview || '';
+    currentMovie.tagline = translation.tagline || '';
+    currentMovie.genre_names = translation.genre_names || defaultMovieText.genre_names;
+
+    if (refresh) {
+        updateMovieInfo();
+    }
+}
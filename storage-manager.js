@@ -0,0 +1,199 @@
+const AlistAPI = require('./alist-api');
+const WebDAVAPI = require('./webdav-api');
+const LocalStorage = require('./local-storage');
+const StorageProvider = require('./storage-provider');
+
+// 默认存储名称，对应 alist 配置（目录未指定 storage 时使用）
+const DEFAULT_STORAGE = 'alist';
+
+// 存储类型 → 实现类；OpenList 与 Alist API 兼容
+const PROVIDERS = {
+    alist: AlistAPI,
+    openlist: AlistAPI,
+    webdav: WebDAVAPI,
+    local: LocalStorage
+};
+
+// 各存储类型的必填配置
+const REQUIRED_FIELDS = {
+    alist: ['url', 'username', 'password'],
+    openlist: ['url', 'username', 'password'],
+    webdav: ['url'],
+    local: ['root', 'base_url']
+};
+
+/**
+ * 存储管理 - 根据 alist 和 storages 配置创建存储实例，按目录配置中的 storage 字段选择存储
+ *
+ * alist_movie_generator:
+ *   alist: { url, username, password }          # 默认存储
+ *   storages:
+ *     nas: { type: webdav, url, username, password, public_url }
+ *     disk: { type: local, root, base_url }
+ *   movies:
+ *     - path: /Movies
+ *       storage: nas
+ *   scan: { retries: 3, retry_delay: 1000, on_failure: keep_previous }   # 重试和目录列出失败时的处理
+ */
+class StorageManager {
+    /**
+     * @param {object} config - 插件配置（alist_movie_generator）
+     * @param {object} log - 日志对象
+     * @param {object} options - 传给每个存储的选项 { snapshot, overrides }
+     */
+    constructor(config, log, options = {}) {
+        this.log = log;
+        this.scanOptions = StorageProvider.getScanOptions(config.scan);
+        this.options = { ...options, scan: this.scanOptions };
+        this.definitions = StorageManager.getDefinitions(config);
+        this.providers = new Map();
+    }
+
+    /**
+     * 汇总所有存储配置
+     * @param {object} config - 插件配置
+     * @returns {Object<string, object>} 存储名称 → 配置（含 type）
+     */
+    static getDefinitions(config) {
+        const definitions = {};
+        if (config.alist) {
+            definitions[DEFAULT_STORAGE] = { type: 'alist', ...config.alist };
+        }
+        for (const [name, storage] of Object.entries(config.storages || {})) {
+            if (storage && typeof storage === 'object') {
+                definitions[name] = { ...storage, type: String(storage.type || 'alist').toLowerCase() };
+            }
+        }
+        return definitions;
+    }
+
+    /**
+     * 检查存储配置：每个扫描目录使用的存储都必须已配置且填写完整
+     * @param {object} config - 插件配置
+     * @returns {string|null} 错误信息，配置正确时返回 null
+     */
+    static validateConfig(config) {
+        const definitions = StorageManager.getDefinitions(config);
+        const directories = [
+            ...(config.movies || []),
+            ...(config.tv_shows || []),
+            ...(config.mixed_content || [])
+        ];
+        const usedNames = new Set(directories.map(dir => dir.storage || DEFAULT_STORAGE));
+
+        for (const name of usedNames) {
+            const definition = definitions[name];
+            if (!definition) {
+                return name === DEFAULT_STORAGE
+                    ? 'Missing Alist configuration'
+                    : `Unknown storage "${name}" (not defined in storages)`;
+            }
+            if (!PROVIDERS[definition.type]) {
+                return `Unsupported storage type "${definition.type}" for storage "${name}" (supported: ${Object.keys(PROVIDERS).join(', ')})`;
+            }
+            const missing = REQUIRED_FIELDS[definition.type].filter(field => !definition[field]);
+            if (missing.length > 0) {
+                return name === DEFAULT_STORAGE
+                    ? 'Missing Alist configuration'
+                    : `Storage "${name}" is missing: ${missing.join(', ')}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 获取指定名称的存储实例（首次使用时创建）
+     * @param {string} [name] - 存储名称
+     * @returns {StorageProvider}
+     */
+    get(name = DEFAULT_STORAGE) {
+        if (!this.providers.has(name)) {
+            const definition = this.definitions[name];
+            if (!definition) {
+                throw new Error(`未配置存储: ${name}`);
+            }
+            const Provider = PROVIDERS[definition.type];
+            if (!Provider) {
+                throw new Error(`不支持的存储类型: ${definition.type}`);
+            }
+            this.providers.set(name, new Provider(definition, this.log, { ...this.options, name }));
+        }
+        return this.providers.get(name);
+    }
+
+    /**
+     * 获取目录配置对应的存储实例
+     * @param {object} dirConfig - 目录配置（movies / tv_shows / mixed_content 中的一项）
+     * @returns {StorageProvider}
+     */
+    resolve(dirConfig) {
+        return this.get((dirConfig && dirConfig.storage) || DEFAULT_STORAGE);
+    }
+
+    /**
+     * 扫描所有目录中的视频文件（按存储分组扫描）
+     * @param {Array} directoriesConfig - 目录配置
+     * @returns {Promise<Array>} 视频文件
+     */
+    async getAllVideoFiles(directoriesConfig) {
+        const groups = new Map();
+        for (const dirConfig of directoriesConfig) {
+            const name = dirConfig.storage || DEFAULT_STORAGE;
+            if (!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push(dirConfig);
+        }
+
+        const allVideoFiles = [];
+        for (const [name, dirs] of groups) {
+            const files = await this.get(name).getAllVideoFiles(dirs);
+            allVideoFiles.push(...files);
+        }
+        return allVideoFiles;
+    }
+
+    /**
+     * 扫描中列出失败（重试后仍然失败且没有使用快照）的目录
+     * @returns {Array<{storage: string, path: string}>}
+     */
+    getFailedPaths() {
+        const failedPaths = [];
+        for (const [name, provider] of this.providers) {
+            // 并发扫描时失败的顺序不固定，排序后输出
+            failedPaths.push(...[...provider.failedPaths].sort().map(dirPath => ({ storage: name, path: dirPath })));
+        }
+        return failedPaths;
+    }
+
+    /**
+     * 按 scan.on_failure 处理列出失败的目录（扫描结束后、保存快照和同步 movies.json 之前调用）
+     * abort: 抛出异常终止构建；keep_previous: 返回失败的目录，movies.json 中这些目录下的条目保持不变；continue: 视为空目录
+     * @returns {Array<string>} movies.json 中需要保留原条目的目录
+     */
+    applyFailurePolicy() {
+        const failedPaths = this.getFailedPaths();
+        if (failedPaths.length === 0) {
+            return [];
+        }
+
+        const policy = this.scanOptions.on_failure;
+        const names = failedPaths.map(item => (item.storage === DEFAULT_STORAGE ? '' : `${item.storage}:`) + item.path).join(', ');
+        this.log.error(`${failedPaths.length} 个目录列出失败: ${names}`);
+        if (policy === 'abort') {
+            const error = new Error(`扫描失败，终止构建（scan.on_failure: abort）: ${names}`);
+            error.abortBuild = true;
+            throw error;
+        }
+        if (policy === 'continue') {
+            this.log.warn('按空目录处理（scan.on_failure: continue），其中的条目将从 movies.json 中移除');
+            return [];
+        }
+        this.log.warn('保留 movies.json 中这些目录下的原条目（scan.on_failure: keep_previous）');
+        return [...new Set(failedPaths.map(item => item.path))];
+    }
+}
+
+StorageManager.DEFAULT_STORAGE = DEFAULT_STORAGE;
+
+module.exports = StorageManager;
@@ -0,0 +1,477 @@
+const axios = require('axios');
+const path = require('path');
+const { findSubtitles } = require('./subtitles');
+const { parseFileName, isSpecialsFolder, getExtraType } = require('./filename-parser');
+const { parseNfo, findMetadataFiles } = require('./local-metadata');
+const { createLimiter } = require('./task-pool');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.rmvb', '.flv', '.wmv', '.m4v', '.webm'];
+// 与视频同名的 NFO 和图片：<视频文件名>.nfo、<视频文件名>-poster.jpg 等
+const OWN_METADATA_SUFFIX_PATTERN = /^(\.nfo|-(poster|folder|cover|fanart|backdrop|background)\.(jpe?g|png|webp))$/;
+
+// 可以重试的 HTTP 状态码（Alist 在响应体的 code 字段中返回同样的状态码）和网络错误
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * 存储后端基类 - 负责目录遍历、增量扫描快照、忽略规则和视频文件收集
+ * 子类只需实现 _fetchFiles（列出目录）和 getFileUrl（生成播放地址）
+ *
+ * 目录项统一为 Alist 列表格式: { name, is_dir, size, modified, sign? }
+ */
+class StorageProvider {
+    /**
+     * @param {object} config - 存储配置
+     * @param {object} log - 日志对象
+     * @param {object} options
+     * @param {string} [options.name] - 存储名称（对应配置目录中的 storage 字段）
+     * @param {ScanSnapshot} [options.snapshot] - 增量扫描快照，为空时每次都完整扫描
+     * @param {MovieOverrides} [options.overrides] - 覆盖规则，用于跳过被忽略的路径
+     * @param {object} [options.scan] - 重试和失败处理配置，见 StorageProvider.getScanOptions
+     */
+    constructor(config, log, options = {}) {
+        this.config = config;
+        this.log = log;
+        this.name = options.name || 'alist';
+        this.snapshot = options.snapshot || null;
+        this.overrides = options.overrides || null;
+        this.scanOptions = options.scan || StorageProvider.getScanOptions();
+
+        // 重试后仍然无法列出、也没有使用快照兜底的目录
+        this.failedPaths = [];
+
+        // 同时进行的目录列表和 NFO 读取请求数（scan.concurrency）
+        this.requestLimit = createLimiter(this.scanOptions.concurrency);
+    }
+
+    /**
+     * 读取 scan 配置
+     * retries: 临时错误（HTTP 429、5xx、网络错误）的重试次数；retry_delay: 首次重试的等待时间（毫秒），之后每次翻倍
+     * on_failure: 目录列出失败时的处理方式 keep_previous（默认）、abort、continue
+     * concurrency: 同时列出的目录数
+     * @param {object} [config] - 插件配置中的 scan
+     * @returns {{retries: number, retry_delay: number, on_failure: string, concurrency: number}}
+     */
+    static getScanOptions(config) {
+        const options = config || {};
+        return {
+            retries: Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : 3,
+            retry_delay: Number.isInteger(options.retry_delay) && options.retry_delay >= 0 ? options.retry_delay : 1000,
+            on_failure: ['abort', 'continue'].includes(options.on_failure) ? options.on_failure : 'keep_previous',
+            concurrency: Number.isInteger(options.concurrency) && options.concurrency > 0 ? options.concurrency : 4
+        };
+    }
+
+    /**
+     * 判断是否为可以重试的临时错误
+     * @param {Error} error - 请求错误（axios 错误或带 status 的错误）
+     * @returns {boolean}
+     */
+    static isTransientError(error) {
+        const status = error.response ? error.response.status : error.status;
+        if (status) {
+            return TRANSIENT_STATUS.includes(status) && !/not found/i.test(error.message);
+        }
+        return TRANSIENT_ERROR_CODES.includes(error.code);
+    }
+
+    /**
+     * 存储类型（用于日志）
+     * @returns {string}
+     */
+    get type() {
+        return 'storage';
+    }
+
+    /**
+     * 连接存储（登录等），已连接时不做任何操作
+     */
+    async connect() { }
+
+    /**
+     * 获取目录内容（失败时抛出异常）
+     * @param {string} currentPath - 目录路径
+     * @returns {Promise<Array>} 目录内容
+     */
+    async _fetchFiles(currentPath) {
+        throw new Error(`${this.type} 存储未实现目录列表`);
+    }
+
+    /**
+     * 判断是否为登录失效（子类可以识别自己的错误格式）
+     * @param {Error} error - 请求错误
+     * @returns {boolean}
+     */
+    _isAuthError(error) {
+        return (error.response ? error.response.status : error.status) === 401;
+    }
+
+    /**
+     * 登录失效时重新连接，默认不支持
+     * @returns {Promise<boolean>} 是否已重新连接（可以重试请求）
+     */
+    async _reconnect() {
+        return false;
+    }
+
+    /**
+     * 获取目录内容：登录失效时重新登录一次，临时错误按指数退避重试
+     * @param {string} dirPath - 目录路径
+     * @returns {Promise<Array>} 目录内容（重试后仍然失败时抛出异常）
+     */
+    async _fetchFilesWithRetry(dirPath) {
+        const { retries, retry_delay: retryDelay } = this.scanOptions;
+        let reconnected = false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestLimit(() => this._fetchFiles(dirPath));
+            } catch (error) {
+                if (!reconnected && this._isAuthError(error)) {
+                    reconnected = true;
+                    this.log.warn(`${this.type} 登录已失效，重新登录后重试: ${dirPath}`);
+                    if (await this._reconnect()) {
+                        attempt--;
+                        continue;
+                    }
+                }
+                if (attempt >= retries || !StorageProvider.isTransientError(error)) {
+                    throw error;
+                }
+
+                // 429 时优先使用服务器返回的 Retry-After（秒）
+                const retryAfter = error.response && parseInt(error.response.headers?.['retry-after'], 10);
+                const delay = Math.min(Number.isInteger(retryAfter) ? retryAfter * 1000 : retryDelay * 2 ** attempt, MAX_RETRY_DELAY);
+                this.log.warn(`列出目录失败（${error.message}），${delay}ms 后重试（${attempt + 1}/${retries}）: ${dirPath}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * 生成文件的播放地址
+     * @param {string} itemPath - 文件路径
+     * @param {string} [sign] - 签名（仅 Alist）
+     * @returns {string}
+     */
+    getFileUrl(itemPath, sign) {
+        throw new Error(`${this.type} 存储未实现播放地址`);
+    }
+
+    /**
+     * 读取文本文件内容（NFO 等，失败时抛出异常）
+     * 默认通过播放地址下载，子类可改为直接读取
+     * @param {string} itemPath - 文件路径
+     * @param {string} [sign] - 签名（仅 Alist）
+     * @returns {Promise<string>}
+     */
+    async _fetchTextFile(itemPath, sign) {
+        const response = await axios.get(this.getFileUrl(itemPath, sign), {
+            responseType: 'text',
+            timeout: 15000
+        });
+        return String(response.data);
+    }
+
+    /**
+     * 读取目录中的本地元数据：NFO（movie.nfo、tvshow.nfo、<视频文件名>.nfo）和海报、背景图
+     * @param {Array} items - 目录内容
+     * @param {string} dirPath - 目录路径
+     * @param {string} [videoName] - 视频文件名，指定时优先使用同名的 NFO 和图片
+     * @returns {Promise<{nfo?: object, poster?: string, fanart?: string}|null>} 没有本地元数据时返回 null
+     */
+    async loadLocalMetadata(items, dirPath, videoName = null) {
+        const files = findMetadataFiles(items, videoName);
+        const metadata = {};
+
+        if (files.nfo) {
+            const nfoPath = path.posix.join(dirPath, files.nfo.name);
+            try {
+                const nfo = parseNfo(await this.requestLimit(() => this._fetchTextFile(nfoPath, files.nfo.sign)));
+                // 剧集 NFO（episodedetails）不用于识别影片
+                if (nfo && nfo.media_type !== 'episode') {
+                    this.log.info(`读取本地元数据: ${nfoPath}`);
+                    metadata.nfo = nfo;
+                }
+            } catch (error) {
+                this.log.warn(`读取 NFO 失败 ${nfoPath}: ${error.message}`);
+            }
+        }
+        if (files.poster) {
+            metadata.poster = this.getFileUrl(path.posix.join(dirPath, files.poster.name), files.poster.sign);
+        }
+        if (files.fanart) {
+            metadata.fanart = this.getFileUrl(path.posix.join(dirPath, files.fanart.name), files.fanart.sign);
+        }
+
+        return Object.keys(metadata).length > 0 ? metadata : null;
+    }
+
+    async _getFiles(currentPath) {
+        await this.connect();
+
+        const dirPath = this._normalizePath(currentPath);
+        const snapshotKey = this._snapshotKey(dirPath);
+        if (this.snapshot) {
+            const cachedItems = this.snapshot.lookup(snapshotKey);
+            if (cachedItems) {
+                this.log.debug(`目录未变化，复用快照: ${snapshotKey}`);
+                return this._filterIgnored(dirPath, cachedItems);
+            }
+        }
+
+        try {
+            const items = await this._fetchFilesWithRetry(dirPath);
+            if (this.snapshot) {
+                this.snapshot.record(snapshotKey, items);
+            }
+            return this._filterIgnored(dirPath, items);
+        } catch (error) {
+            this.log.error(`Failed to get files from ${currentPath}:`, error.message);
+            if (this.snapshot && this.scanOptions.on_failure === 'keep_previous') {
+                const previousItems = this.snapshot.fallback(snapshotKey);
+                if (previousItems) {
+                    this.log.warn(`使用上次扫描的目录快照: ${snapshotKey}`);
+                    return this._filterIgnored(dirPath, previousItems);
+                }
+            }
+            // 与空目录区分：记录失败的目录，由 scan.on_failure 决定如何处理（见 StorageManager.applyFailurePolicy）
+            this.failedPaths.push(dirPath);
+            return [];
+        }
+    }
+
+    /**
+     * 目录是否列出失败
+     * @param {string} dirPath - 目录路径
+     * @returns {boolean}
+     */
+    isFailed(dirPath) {
+        return this.failedPaths.includes(this._normalizePath(dirPath));
+    }
+
+    /**
+     * 快照中的目录键：默认 Alist 存储直接使用路径（兼容旧快照），其他存储加上存储名称前缀
+     * @param {string} dirPath - 规范化后的目录路径
+     * @returns {string}
+     */
+    _snapshotKey(dirPath) {
+        return this.name === 'alist' ? dirPath : `${this.name}:${dirPath}`;
+    }
+
+    /**
+     * 过滤覆盖规则中标记为 ignore 的文件和目录
+     * @param {string} dirPath - 目录路径
+     * @param {Array} items - 目录内容
+     * @returns {Array}
+     */
+    _filterIgnored(dirPath, items) {
+        if (!this.overrides || this.overrides.size === 0) {
+            return items;
+        }
+
+        return items.filter(item => {
+            const itemPath = path.posix.join(dirPath, item.name);
+            if (this.overrides.isIgnored(itemPath)) {
+                this.log.info(`根据覆盖规则忽略: ${itemPath}`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 规范化目录路径（去除重复和结尾的斜杠），用作快照键
+     * @param {string} dirPath - 目录路径
+     * @returns {string}
+     */
+    _normalizePath(dirPath) {
+        const normalized = path.posix.normalize(dirPath || '/');
+        return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+    }
+
+    // 为智能识别系统添加兼容方法
+    async listDirectory(currentPath) {
+        return await this._getFiles(currentPath);
+    }
+
+    async getAllVideoFiles(directoriesConfig) {
+        await this.connect();
+
+        // 子目录并发扫描（实际请求数受 scan.concurrency 限制），返回的文件按目录内容的顺序排列，与串行扫描一致
+        const findVideosRecursively = async (currentPath, parentInfo = {}, depth = 0) => {
+            this.log.info(`[深度${depth}] 扫描路径: ${currentPath}`);
+
+            try {
+                const items = await this._getFiles(currentPath);
+                if (!items || items.length === 0) {
+                    if (!this.isFailed(currentPath)) {
+                        this.log.warn(`路径 ${currentPath} 为空`);
+                    }
+                    return [];
+                }
+
+                this.log.info(`在 ${currentPath} 找到 ${items.length} 个项目`);
+
+                // 影片/剧集目录中的 movie.nfo / tvshow.nfo 和海报，覆盖上级目录的本地元数据
+                // 媒体库根目录（未指定 title 时）、季目录和附加内容目录中的图片不代表单部影片，沿用上级
+                const hasOwnFolder = (depth > 0 || parentInfo.forcedTitle) && !parentInfo.extraType && !Number.isInteger(parentInfo.season);
+                const dirMetadata = hasOwnFolder ? await this.loadLocalMetadata(items, currentPath) : null;
+                const localMetadata = dirMetadata
+                    ? { ...parentInfo.localMetadata, ...dirMetadata }
+                    : parentInfo.localMetadata || null;
+
+                // 同目录的视频文件名，用于识别 "<视频文件名>-trailer" 形式的附加内容
+                const videoNames = items
+                    .filter(item => !item.is_dir && VIDEO_EXTENSIONS.includes(path.extname(item.name).toLowerCase()))
+                    .map(item => item.name);
+
+                const results = await Promise.all(items.map(async item => {
+                    const itemPath = path.posix.join(currentPath, item.name);
+
+                    if (item.is_dir) {
+                        this.log.info(`发现文件夹: ${item.name}`);
+
+                        // 检测是否为季文件夹 (Season 1, S01, 第一季等)，特别篇 (Specials, SP) 为第 0 季
+                        const seasonMatch = item.name.match(/(?:Season|S|第)[\s]*(\d+)(?:季)?/i);
+                        const newParentInfo = { ...parentInfo, localMetadata };
+                        if (isSpecialsFolder(item.name)) {
+                            newParentInfo.season = 0;
+                        } else if (seasonMatch) {
+                            newParentInfo.season = parseInt(seasonMatch[1]);
+                        }
+
+                        // 影片/剧集文件夹中的花絮、预告片等目录，其中的视频作为附加内容
+                        const extraType = depth > 0 ? getExtraType(item.name) : null;
+                        if (extraType) {
+                            newParentInfo.extraType = extraType;
+                        }
+
+                        // 递归扫描子文件夹，不限制深度
+                        return findVideosRecursively(itemPath, newParentInfo, depth + 1);
+                    } else {
+                        const extension = path.extname(item.name).toLowerCase();
+                        if (VIDEO_EXTENSIONS.includes(extension)) {
+                            this.log.info(`发现视频文件: ${item.name}`);
+
+                            const fileUrl = this.getFileUrl(itemPath, item.sign);
+
+                            // 检测季集信息 (S01E01, EP01, 第1集, 字幕组的 "Title - 05v2" 等)
+                            const parsed = parseFileName(item.name);
+                            const episode = parsed.episodes.length > 0 ? parsed.episodes[0] : null;
+                            const extra = parentInfo.extraType || getExtraType(item.name, videoNames);
+
+                            // 电影目录中与视频同名的 <视频文件名>.nfo（剧集目录中的同名 NFO 为单集信息，不读取）
+                            const fileMetadata = !extra && parentInfo.directoryType !== 'tv' && this._hasOwnMetadata(item, items)
+                                ? await this.loadLocalMetadata(items, currentPath, item.name)
+                                : null;
+                            const metadata = fileMetadata ? { ...localMetadata, ...fileMetadata } : localMetadata;
+
+                            return [{
+                                name: item.name,
+                                url: fileUrl,
+                                path: itemPath,
+                                size: item.size || 0,
+                                // 同目录下的外挂字幕
+                                subtitles: this.findSubtitles(item, items, currentPath),
+                                season: Number.isInteger(parentInfo.season) ? parentInfo.season : parsed.season,
+                                episode: episode,
+                                version: parsed.version,
+                                // 使用强制指定的名称或提取剧集名称
+                                seriesName: parentInfo.forcedTitle || this._extractSeriesName(currentPath, item.name),
+                                // 添加目录类型信息
+                                directoryType: parentInfo.directoryType || 'mixed',
+                                // 保存强制指定的标题信息
+                                forcedTitle: parentInfo.forcedTitle || null,
+                                // 本地 NFO 和海报
+                                ...(metadata && !extra && { local_metadata: metadata }),
+                                // 附加内容类型（trailer、featurette 等），不计入剧集和片源
+                                ...(extra && { extra })
+                            }];
+                        } else {
+                            this.log.debug(`跳过非视频文件: ${item.name} (扩展名: ${extension})`);
+                            return [];
+                        }
+                    }
+                }));
+                return results.flat();
+            } catch (error) {
+                this.log.error(`扫描路径 ${currentPath} 时出错:`, error.message);
+                return [];
+            }
+        };
+
+        const results = await Promise.all(directoriesConfig.map(dirConfig => {
+            const { path: dirPath, type, title, season_depth } = dirConfig;
+            this.log.info(`开始扫描配置目录: ${dirPath} (类型: ${type}, 存储: ${this.name})`);
+
+            const parentInfo = {
+                directoryType: type,
+                forcedTitle: title, // 强制指定的影片名称
+                seasonDepth: season_depth || 1
+            };
+
+            return findVideosRecursively(dirPath, parentInfo, 0);
+        }));
+        const allVideoFiles = results.flat();
+
+        this.log.info(`总共扫描到 ${allVideoFiles.length} 个视频文件`);
+        return allVideoFiles;
+    }
+
+    /**
+     * 目录中是否有与视频同名的 NFO 或图片（<视频文件名>.nfo、<视频文件名>-poster.jpg）
+     * @param {object} videoItem - 视频文件目录项
+     * @param {Array} items - 同目录下的所有目录项
+     * @returns {boolean}
+     */
+    _hasOwnMetadata(videoItem, items) {
+        const baseName = videoItem.name.replace(/\.[^/.]+$/, '').toLowerCase();
+        return items.some(item => {
+            const name = item.name.toLowerCase();
+            return !item.is_dir && name.startsWith(baseName) && OWN_METADATA_SUFFIX_PATTERN.test(name.slice(baseName.length));
+        });
+    }
+
+    /**
+     * 查找视频文件同目录下的外挂字幕
+     * @param {object} videoItem - 视频文件目录项
+     * @param {Array} items - 同目录下的所有目录项
+     * @param {string} dirPath - 目录路径
+     * @returns {Array}
+     */
+    findSubtitles(videoItem, items, dirPath) {
+        return findSubtitles(videoItem.name, items, dirPath, (subtitle, subtitlePath) => this.getFileUrl(subtitlePath, subtitle.sign));
+    }
+
+    /**
+     * 从路径和文件名中提取剧集名称
+     */
+    _extractSeriesName(filePath, fileName) {
+        const pathParts = filePath.split('/').filter(Boolean);
+        // 优先使用倒数第二级目录作为剧集名（通常是剧名文件夹）
+        if (pathParts.length >= 2) {
+            const seriesFolder = pathParts[pathParts.length - 2];
+            // 如果不是季文件夹，则使用该文件夹名
+            if (!seriesFolder.match(/(?:Season|S|第)[\s]*\d+(?:季)?/i)) {
+                return seriesFolder;
+            }
+        }
+        // 否则使用最后一级目录或文件名
+        return pathParts[pathParts.length - 1] || fileName.replace(/\.[^.]+$/, '');
+    }
+}
+
+/**
+ * 逐段编码路径（保留斜杠，文件名中的 #、? 等字符也会被编码）
+ * @param {string} itemPath - 文件路径
+ * @returns {string}
+ */
+StorageProvider.encodePath = function (itemPath) {
+    return itemPath.split('/').map(encodeURIComponent).join('/');
+};
+
+StorageProvider.VIDEO_EXTENSIONS = VIDEO_EXTENSIONS;
+
+module.exports = StorageProvider;
@@ -0,0 +1,92 @@
+/**
+ * 外挂字幕识别 - 为视频文件查找同目录下同名的字幕文件（如 Movie.chs.ass、Movie.en.srt）
+ */
+
+const path = require('path');
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt'];
+
+// 字幕语言后缀 → 语言代码和显示名称
+const LANGUAGE_ALIASES = [
+    { code: 'zh-Hans', label: '简体中文', aliases: ['chs', 'sc', 'zh-hans', 'zh-cn', 'zh_cn', 'gb', '简体', '简中', '简'] },
+    { code: 'zh-Hant', label: '繁體中文', aliases: ['cht', 'tc', 'zh-hant', 'zh-tw', 'zh_tw', 'zh-hk', 'big5', '繁体', '繁體', '繁中', '繁'] },
+    { code: 'zh', label: '中文', aliases: ['zh', 'chi', 'zho', 'chinese', 'cn', '中文'] },
+    { code: 'zh-en', label: '中英双语', aliases: ['chs&eng', 'chs_eng', 'chs.eng', 'sc_en', 'zh-en', 'cht&eng', 'cht_eng', '双语', '中英'] },
+    { code: 'en', label: 'English', aliases: ['en', 'eng', 'english'] },
+    { code: 'ja', label: '日本語', aliases: ['ja', 'jp', 'jpn', 'japanese', '日文', '日语'] },
+    { code: 'ko', label: '한국어', aliases: ['ko', 'kor', 'korean', '韩文', '韩语'] }
+];
+
+/**
+ * 判断文件是否为字幕文件
+ * @param {string} fileName - 文件名
+ * @returns {boolean}
+ */
+function isSubtitleFile(fileName) {
+    return SUBTITLE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * 解析字幕语言后缀
+ * @param {string} suffix - 语言后缀（不含点），可能为空
+ * @returns {{lang: string, label: string}}
+ */
+function parseLanguage(suffix) {
+    if (!suffix) {
+        return { lang: 'und', label: '默认字幕' };
+    }
+
+    const normalized = suffix.toLowerCase();
+    // 例如 "chs.forced"、"en.sdh"：取第一个能识别的部分
+    const parts = [normalized, ...normalized.split(/[.\s]+/)];
+    for (const part of parts) {
+        const language = LANGUAGE_ALIASES.find(item => item.aliases.includes(part));
+        if (language) {
+            return { lang: language.code, label: language.label };
+        }
+    }
+
+    return { lang: normalized.split('.')[0], label: suffix };
+}
+
+/**
+ * 查找视频文件的外挂字幕
+ * 字幕文件名需以视频文件名（不含扩展名）开头，中间可以带语言后缀
+ * @param {string} videoName - 视频文件名
+ * @param {Array} items - 同目录下的所有文件（Alist 列表项）
+ * @param {string} dirPath - 目录路径
+ * @param {Function} buildUrl - (item, itemPath) => 字幕地址
+ * @returns {Array<{name:string, path:string, url:string, lang:string, label:string, format:string}>}
+ */
+function findSubtitles(videoName, items, dirPath, buildUrl) {
+    const baseName = videoName.replace(/\.[^.]+$/, '');
+    const subtitles = [];
+
+    for (const item of items || []) {
+        if (item.is_dir || !isSubtitleFile(item.name)) continue;
+
+        const extension = path.extname(item.name);
+        const subtitleBase = item.name.slice(0, -extension.length);
+        if (subtitleBase !== baseName && !subtitleBase.startsWith(`${baseName}.`)) continue;
+
+        const suffix = subtitleBase.slice(baseName.length + 1);
+        const itemPath = path.posix.join(dirPath, item.name);
+
+        subtitles.push({
+            name: item.name,
+            path: itemPath,
+            url: buildUrl(item, itemPath),
+            format: extension.slice(1).toLowerCase(),
+            ...parseLanguage(suffix)
+        });
+    }
+
+    // 中文字幕优先
+    return subtitles.sort((a, b) => Number(!a.lang.startsWith('zh')) - Number(!b.lang.startsWith('zh')));
+}
+
+module.exports = {
+    SUBTITLE_EXTENSIONS,
+    isSubtitleFile,
+    findSubtitles
+};
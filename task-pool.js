@@ -0,0 +1,98 @@
+/**
+ * 并发控制 - 限制同时进行的请求数（存储目录列表、TMDb 查询），以及按时间窗口限制请求频率
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 创建并发限制器：同时最多执行 concurrency 个任务，其余按提交顺序排队
+ * @param {number} concurrency - 最大并发数（无效值按 1 处理）
+ * @returns {function(Function): Promise} limit(fn) 在有空位时执行 fn，返回 fn 的结果
+ */
+function createLimiter(concurrency) {
+    const max = Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= max || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return fn => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * 并发处理数组中的每一项，结果按原顺序返回（保证输出与串行处理一致）
+ * @param {Array} items - 待处理的项
+ * @param {number} concurrency - 最大并发数
+ * @param {function(*, number): Promise} fn - 处理函数 (item, index)
+ * @returns {Promise<Array>} 与 items 顺序一致的结果（任一项失败时整体失败，处理函数需要自行捕获错误）
+ */
+function mapLimit(items, concurrency, fn) {
+    const limit = createLimiter(concurrency);
+    return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+/**
+ * 创建限流器：在并发限制之外，每个时间窗口内最多开始 requests 个请求（滑动窗口）
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - 最大并发数
+ * @param {number} [options.requests] - 每个时间窗口内的最大请求数，0 表示不限制
+ * @param {number} [options.interval] - 时间窗口（毫秒）
+ * @returns {{schedule: function(Function): Promise, pause: function(number)}}
+ *   schedule(fn) 排队执行请求；pause(ms) 暂停发出新请求（服务器返回 429 时按 Retry-After 调用）
+ */
+function createRateLimiter(options = {}) {
+    const limit = createLimiter(options.concurrency);
+    const requests = Number.isInteger(options.requests) && options.requests > 0 ? options.requests : 0;
+    const interval = Number.isInteger(options.interval) && options.interval > 0 ? options.interval : 10000;
+    // 时间窗口内已开始请求的时间
+    const started = [];
+    let pausedUntil = 0;
+
+    const waitForSlot = async () => {
+        for (;;) {
+            const now = Date.now();
+            while (started.length > 0 && started[0] <= now - interval) {
+                started.shift();
+            }
+            const windowWait = requests > 0 && started.length >= requests ? started[0] + interval - now : 0;
+            const wait = Math.max(pausedUntil - now, windowWait);
+            if (wait <= 0) {
+                started.push(now);
+                return;
+            }
+            await sleep(wait);
+        }
+    };
+
+    return {
+        schedule: fn => limit(async () => {
+            await waitForSlot();
+            return fn();
+        }),
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        }
+    };
+}
+
+module.exports = {
+    createLimiter,
+    mapLimit,
+    createRateLimiter
+};
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { resolveAbsoluteEpisode, mapAbsoluteEpisodes } = require('../absolute-episodes');
+
+// 第 0 季为特别篇，不参与换算
+const tmdbSeasons = [
+    { season_number: 0, episode_count: 8 },
+    { season_number: 1, episode_count: 25 },
+    { season_number: 2, episode_count: 12 },
+    { season_number: 3, episode_count: 22 }
+];
+
+test('resolveAbsoluteEpisode: 按各季集数换算季和集', () => {
+    assert.deepStrictEqual(resolveAbsoluteEpisode(17, tmdbSeasons), { season_number: 1, episode_number: 17 });
+    assert.deepStrictEqual(resolveAbsoluteEpisode(26, tmdbSeasons), { season_number: 2, episode_number: 1 });
+    assert.deepStrictEqual(resolveAbsoluteEpisode(59, tmdbSeasons), { season_number: 3, episode_number: 22 });
+    assert.strictEqual(resolveAbsoluteEpisode(60, tmdbSeasons), null);
+});
+
+test('mapAbsoluteEpisodes: 超出所在季集数的剧集换算后重新分组', () => {
+    const seasons = [
+        { season_number: 1, episodes: [{ episode_number: 17, name: 'AoT - 17.mkv' }, { episode_number: 38, name: 'AoT - 38.mkv' }] },
+        // 第 2 季文件夹中的绝对集数
+        { season_number: 2, episodes: [{ episode_number: 26, name: 'AoT - 26.mkv' }] }
+    ];
+
+    assert.deepStrictEqual(mapAbsoluteEpisodes(seasons, tmdbSeasons), [
+        { season_number: 1, episodes: [{ episode_number: 17, name: 'AoT - 17.mkv' }] },
+        { season_number: 2, episodes: [{ episode_number: 1, name: 'AoT - 26.mkv', absolute_episode: 26 }] },
+        { season_number: 3, episodes: [{ episode_number: 1, name: 'AoT - 38.mkv', absolute_episode: 38 }] }
+    ]);
+});
+
+test('mapAbsoluteEpisodes: 没有 TMDb 季信息或超出总集数时保持不变', () => {
+    const seasons = [{ season_number: 1, episodes: [{ episode_number: 1071 }] }];
+    assert.strictEqual(mapAbsoluteEpisodes(seasons, []), seasons);
+    assert.deepStrictEqual(mapAbsoluteEpisodes(seasons, tmdbSeasons), seasons);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { aggregateSameNameContent } = require('../smart-index');
+
+const log = { info() { }, debug() { }, warn() { }, error() { } };
+
+test('aggregateSameNameContent: 不同标题或类型的条目保持不变', () => {
+    const items = [
+        { id: 'movie_1', title: '盗梦空间', media_type: 'movie', files: [{ path: '/a.mkv' }] },
+        { id: 'movie_2', title: '千与千寻', media_type: 'movie', files: [{ path: '/b.mkv' }] },
+        { id: 'tv_3', title: '千与千寻', media_type: 'tv', seasons: [{ season_number: 1 }] }
+    ];
+
+    assert.deepStrictEqual(aggregateSameNameContent(items, log), items);
+});
+
+test('aggregateSameNameContent: 同名同类型条目聚合为多个版本，有文件的版本为主版本', () => {
+    const items = [
+        { id: 'unknown_a', title: '盗梦空间', media_type: 'movie', directory_type: 'mixed', files: [] },
+        { id: 'movie_27205', title: '盗梦空间', media_type: 'movie', directory_type: 'mixed', files: [{ path: '/Movies/Inception.mkv' }] }
+    ];
+
+    const [aggregated, ...rest] = aggregateSameNameContent(items, log);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(aggregated.id, 'movie_27205');
+    assert.strictEqual(aggregated.is_aggregated, true);
+    assert.strictEqual(aggregated.aggregated_count, 2);
+    assert.deepStrictEqual(aggregated.versions.map(version => [version.id, version.version_name, version.is_main]), [
+        ['movie_27205', '电影版', true],
+        ['unknown_a', '默认版', false]
+    ]);
+});
+
+test('aggregateSameNameContent: 没有文件时有季信息的版本为主版本', () => {
+    const items = [
+        { id: 'a', title: '绝命毒师', media_type: 'tv', directory_type: 'movie' },
+        { id: 'b', title: '绝命毒师', media_type: 'tv', directory_type: 'tv', seasons: [{ season_number: 1 }] }
+    ];
+
+    const [aggregated] = aggregateSameNameContent(items, log);
+    assert.strictEqual(aggregated.id, 'b');
+    assert.deepStrictEqual(aggregated.versions.map(version => version.version_name), ['电视剧版', '电影版']);
+});
+
+test('aggregateSameNameContent: 按 TMDb ID 聚合，同名的不同作品保持独立', () => {
+    const items = [
+        { id: '8587', original_tmdb_id: 8587, title: '狮子王', media_type: 'movie', files: [{ path: '/Movies/The.Lion.King.1994.mkv' }] },
+        { id: '420818', original_tmdb_id: 420818, title: '狮子王', media_type: 'movie', files: [{ path: '/Movies/The.Lion.King.2019.mkv' }] },
+        { id: 'movie_8587', original_tmdb_id: 8587, title: 'The Lion King', media_type: 'movie', files: [{ path: '/Mixed/The Lion King (1994)/a.mkv' }] }
+    ];
+
+    const aggregated = aggregateSameNameContent(items, log);
+    assert.deepStrictEqual(aggregated.map(item => [item.id, item.aggregated_count || 1]), [['8587', 2], ['420818', 1]]);
+    assert.deepStrictEqual(aggregated[0].versions.map(version => version.id), ['8587', 'movie_8587']);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const ContentDetector = require('../content-detector');
+
+const detector = new ContentDetector();
+
+test('extractSeasonEpisode: 识别常见的季集格式', () => {
+    const cases = [
+        ['Breaking.Bad.S01E02.720p.mkv', { season: 1, episode: 2 }],
+        ['breaking.bad.s2e10.mkv', { season: 2, episode: 10 }],
+        ['某剧 第2季第10集.mp4', { season: 2, episode: 10 }],
+        ['Show Season 1 Episode 3.mkv', { season: 1, episode: 3 }],
+        ['Show.1x05.mkv', { season: 1, episode: 5 }],
+        ['[01][02].mkv', { season: 1, episode: 2 }]
+    ];
+
+    for (const [fileName, expected] of cases) {
+        assert.deepStrictEqual(detector.extractSeasonEpisode(fileName), expected, fileName);
+    }
+});
+
+test('extractSeasonEpisode: 只有集数时季为 null', () => {
+    assert.deepStrictEqual(detector.extractSeasonEpisode('Show.E07.mkv'), { season: null, episode: 7 });
+    assert.deepStrictEqual(detector.extractSeasonEpisode('第5集.mp4'), { season: null, episode: 5 });
+    assert.deepStrictEqual(detector.extractSeasonEpisode('Show Episode 12.mp4'), { season: null, episode: 12 });
+});
+
+test('extractSeasonEpisode: 不把分辨率和年份当作季集', () => {
+    assert.deepStrictEqual(detector.extractSeasonEpisode('Movie.1920x1080.mkv'), { season: null, episode: null });
+    assert.deepStrictEqual(detector.extractSeasonEpisode('Movie.2010.1080p.BluRay.mkv'), { season: null, episode: null });
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { getRatingLevel, getMovieLevel, isRestricted, filterByContentRating } = require('../content-rating');
+
+const inception = {
+    id: '27205',
+    adult: false,
+    content_ratings: [{ iso_3166_1: 'US', rating: 'PG-13' }, { iso_3166_1: 'GB', rating: '12A' }]
+};
+const spiritedAway = {
+    id: '129',
+    adult: false,
+    content_ratings: [{ iso_3166_1: 'US', rating: 'PG' }, { iso_3166_1: 'JP', rating: 'G' }]
+};
+const unrated = { id: 'unknown_1', content_ratings: null };
+const adult = { id: '999', adult: true, content_ratings: null };
+
+test('getRatingLevel: 各地区分级换算为统一级别，年龄分级按年龄换算', () => {
+    assert.deepStrictEqual(
+        [getRatingLevel('US', 'pg-13'), getRatingLevel('US', 'TV-MA'), getRatingLevel('GB', '12A'), getRatingLevel('HK', 'III')],
+        [3, 4, 3, 5]
+    );
+    assert.deepStrictEqual([getRatingLevel('DE', '16'), getRatingLevel('FR', '-12'), getRatingLevel('BR', 'L')], [4, 3, null]);
+    assert.strictEqual(getRatingLevel('US', ''), null);
+});
+
+test('getMovieLevel: 按地区顺序取第一个可识别的分级，成人内容为最高级别', () => {
+    assert.strictEqual(getMovieLevel(inception), 3);
+    assert.strictEqual(getMovieLevel(spiritedAway, ['JP', 'US']), 0);
+    assert.strictEqual(getMovieLevel(unrated), null);
+    assert.strictEqual(getMovieLevel(adult), 6);
+});
+
+test('isRestricted: 超出任一地区的最高分级、成人内容和未分级条目', () => {
+    const options = { max: { us: 'PG' } };
+    assert.strictEqual(isRestricted(inception, options), true);
+    assert.strictEqual(isRestricted(spiritedAway, options), false);
+    assert.strictEqual(isRestricted(adult, options), true);
+    assert.strictEqual(isRestricted(adult, { ...options, hide_adult: false }), false);
+    assert.strictEqual(isRestricted(unrated, options), false);
+    assert.strictEqual(isRestricted(unrated, { ...options, unrated: 'hide' }), true);
+});
+
+test('filterByContentRating: 默认排除受限条目，hidden 时移至单独路由', () => {
+    const movies = [inception, spiritedAway, adult];
+    assert.deepStrictEqual(filterByContentRating(movies, undefined), { movies, hidden: [] });
+    assert.deepStrictEqual(filterByContentRating(movies, { enable: false, max: { US: 'G' } }), { movies, hidden: [] });
+
+    const excluded = filterByContentRating(movies, { max: { US: 'PG' } });
+    assert.deepStrictEqual([excluded.movies.map(movie => movie.id), excluded.hidden], [['129'], []]);
+
+    const hidden = filterByContentRating(movies, { max: { US: 'PG' }, restricted: 'hidden' });
+    assert.deepStrictEqual(hidden.hidden.map(movie => movie.id), ['27205', '999']);
+});
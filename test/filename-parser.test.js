@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { parseFileName, extractTmdbId, isSpecialsFolder, getExtraType } = require('../filename-parser');
+
+/**
+ * 读取人工核对过的文件名语料：按分类列出文件名和期望的解析字段
+ * 未列出的字段期望为 null（episodes 为 []），confidence 不比较；
+ * todo 标记已知的解析错误，条目中是正确的期望值
+ * @returns {Array<object>}
+ */
+function loadCorpus() {
+    const corpus = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'release-names.json'), 'utf8'));
+    return Object.values(corpus).flat();
+}
+
+/**
+ * 语料条目对应的完整期望结果
+ * @param {object} entry - 语料条目
+ * @returns {object}
+ */
+function expectedResult(entry) {
+    const { name, todo, ...fields } = entry;
+    return {
+        title: null,
+        alternative_title: null,
+        year: null,
+        season: null,
+        episodes: [],
+        version: null,
+        part: null,
+        resolution: null,
+        source: null,
+        codec: null,
+        group: null,
+        edition: null,
+        language: null,
+        extension: null,
+        tmdb_id: null,
+        type: null,
+        ...fields
+    };
+}
+
+test('parseFileName: 语料库解析结果与人工核对的期望一致', () => {
+    const entries = loadCorpus();
+    assert.ok(entries.length >= 300, '语料库应包含至少 300 个文件名');
+
+    const mismatches = [];
+    const fixedTodos = [];
+    for (const entry of entries) {
+        const { confidence, ...actual } = parseFileName(entry.name);
+        const expected = expectedResult(entry);
+        const matches = isDeepStrictEqual(actual, expected);
+
+        if (entry.todo && matches) {
+            fixedTodos.push(entry.name);
+        } else if (!entry.todo && !matches) {
+            mismatches.push(`${entry.name}\n  期望 ${JSON.stringify(expected)}\n  实际 ${JSON.stringify(actual)}`);
+        }
+    }
+
+    assert.deepStrictEqual(mismatches, [], `解析结果与期望不一致：\n${mismatches.join('\n')}`);
+    assert.deepStrictEqual(fixedTodos, [], '这些已知问题已修复，请去掉语料中的 todo 标记');
+});
+
+test('parseFileName: 电影发布名', () => {
+    assert.deepStrictEqual(parseFileName('Inception.2010.1080p.BluRay.x264-SPARKS.mkv'), {
+        title: 'Inception',
+        alternative_title: null,
+        year: 2010,
+        season: null,
+        episodes: [],
+        version: null,
+        part: null,
+        resolution: '1080p',
+        source: 'BluRay',
+        codec: 'H.264',
+        group: 'SPARKS',
+        edition: null,
+        language: null,
+        extension: 'mkv',
+        tmdb_id: null,
+        type: 'movie',
+        confidence: 0.75
+    });
+});
+
+test('parseFileName: 数字标题和标题中的年份', () => {
+    assert.deepStrictEqual([parseFileName('2012.2009.1080p.mkv').title, parseFileName('2012.2009.1080p.mkv').year], ['2012', 2009]);
+    assert.deepStrictEqual([parseFileName('Blade.Runner.2049.2017.mkv').title, parseFileName('Blade.Runner.2049.2017.mkv').year], ['Blade Runner 2049', 2017]);
+});
+
+test('parseFileName: 标题中的英文单词不当作发布信息', () => {
+    for (const [name, title] of [
+        ['The.English.Patient.1996.1080p.mkv', 'The English Patient'],
+        ['It.2017.1080p.mkv', 'It'],
+        ['Uncut.Gems.2019.1080p.WEB.H264.mkv', 'Uncut Gems']
+    ]) {
+        assert.strictEqual(parseFileName(name).title, title, name);
+    }
+    assert.strictEqual(parseFileName('Friends.1x05.The.One.with.the.East.German.Laundry.Detergent.avi').language, null);
+});
+
+test('extractTmdbId: 括号中的年份和 TMDb ID', () => {
+    assert.deepStrictEqual(extractTmdbId('你的名字 (372058)'), { title: '你的名字', tmdbId: 372058 });
+    assert.strictEqual(extractTmdbId('The Lion King (1994)'), null);
+    assert.deepStrictEqual(extractTmdbId('The Lion King (1994) (8587)'), { title: 'The Lion King', tmdbId: 8587 });
+    // 年份范围内的 TMDb ID 使用明确的标记
+    assert.deepStrictEqual(extractTmdbId('Some Title (2001) {tmdb-1999}.mkv'), { title: 'Some Title', tmdbId: 1999 });
+    assert.deepStrictEqual(extractTmdbId('Some Title [tmdbid=1999]'), { title: 'Some Title', tmdbId: 1999 });
+    assert.deepStrictEqual(extractTmdbId('Dr. Strangelove (935)'), { title: 'Dr. Strangelove', tmdbId: 935 });
+
+    const parsed = parseFileName('Some Title (2001) {tmdb-1999}.mkv');
+    assert.deepStrictEqual([parsed.title, parsed.year, parsed.tmdb_id], ['Some Title', 2001, 1999]);
+});
+
+test('parseFileName: 多集和集数范围', () => {
+    assert.deepStrictEqual(parseFileName('Friends.S01E01-E02.mkv').episodes, [1, 2]);
+    assert.deepStrictEqual(parseFileName('The.Office.US.S02E01-03.720p.mkv').episodes, [1, 2, 3]);
+    assert.deepStrictEqual(parseFileName('武林外传.第01-05集.mkv').episodes, [1, 2, 3, 4, 5]);
+});
+
+test('parseFileName: 字幕组命名和中外文标题', () => {
+    const anime = parseFileName('[桜都字幕组] 葬送的芙莉莲 / Sousou no Frieren [05][1080P][简繁内封].mkv');
+    assert.deepStrictEqual([anime.group, anime.title, anime.alternative_title, anime.episodes], ['桜都字幕组', '葬送的芙莉莲', 'Sousou no Frieren', [5]]);
+
+    const movie = parseFileName('盗梦空间.Inception.2010.BD1080P.中英双字.mkv');
+    assert.deepStrictEqual([movie.title, movie.alternative_title, movie.source, movie.language], ['盗梦空间', 'Inception', 'BluRay', 'zh-en']);
+});
+
+test('parseFileName: 字幕组的绝对集数和修正版本', () => {
+    const release = parseFileName('[SubsPlease] Sousou no Frieren - 28v2 (1080p) [A1B2C3D4].mkv');
+    assert.deepStrictEqual([release.group, release.title, release.season, release.episodes, release.version], ['SubsPlease', 'Sousou no Frieren', null, [28], 2]);
+    assert.strictEqual(parseFileName('Show.S01E05v2.720p.mkv').version, 2);
+    assert.strictEqual(parseFileName('[SubsPlease] Frieren - 17 [1080p].mkv').version, null);
+});
+
+test('parseFileName: 电影分段', () => {
+    assert.deepStrictEqual([parseFileName('霸王别姬.1993.CD2.rmvb').title, parseFileName('霸王别姬.1993.CD2.rmvb').part], ['霸王别姬', 2]);
+    assert.strictEqual(parseFileName('Lawrence of Arabia (1962) Disc 2.mkv').part, 2);
+    assert.strictEqual(parseFileName('Movie.2010.1080p.Part.2.mkv').part, 2);
+    // 年份之前的 Part.1 是标题的一部分
+    const title = parseFileName('Harry.Potter.and.the.Deathly.Hallows.Part.1.2010.1080p.mkv');
+    assert.deepStrictEqual([title.title, title.part], ['Harry Potter and the Deathly Hallows Part 1', null]);
+});
+
+test('isSpecialsFolder / getExtraType: 特别篇和附加内容目录', () => {
+    assert.deepStrictEqual(['Specials', 'SP', '特别篇', 'Season 1', 'Spider-Man'].map(isSpecialsFolder), [true, true, true, false, false]);
+    assert.deepStrictEqual(
+        ['Trailers', 'Behind The Scenes', 'Deleted Scenes', 'Extras', 'Spider-Man.mkv', 'Other'].map(name => getExtraType(name)),
+        ['trailer', 'behind_the_scenes', 'deleted_scene', 'extra', null, null]
+    );
+});
+
+test('getExtraType: 后缀只在前面是同目录视频的文件名时表示附加内容', () => {
+    const siblings = ['Inception.mkv', 'Inception-trailer.mkv', 'The-Interview.mkv', 'The-Big-Short.mkv', 'Significant-Other.mkv'];
+    assert.strictEqual(getExtraType('Inception-trailer.mkv', siblings), 'trailer');
+    assert.strictEqual(getExtraType('Inception-trailer.mkv'), null, '没有同名的正片时是普通视频');
+    // 以 -interview、-short、-other 结尾的片名是正片
+    assert.deepStrictEqual(['The-Interview.mkv', 'The-Big-Short.mkv', 'Significant-Other.mkv'].map(name => getExtraType(name, siblings)), [null, null, null]);
+    assert.strictEqual(getExtraType('The-Big-Short-trailer.mkv', siblings), 'trailer');
+});
+
+test('parseFileName: 没有标题时可信度为 0', () => {
+    const parsed = parseFileName('S01E01.mkv');
+    assert.deepStrictEqual([parsed.title, parsed.season, parsed.episodes, parsed.confidence], ['', 1, [1], 0]);
+});
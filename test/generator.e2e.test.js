@@ -0,0 +1,281 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const MockServer = require('./helpers/mock-server');
+const { createHexo, runGenerator, cleanup } = require('./helpers/hexo');
+const { normalize, assertSnapshot } = require('./helpers/snapshot');
+
+const server = new MockServer({
+    tree: require('./fixtures/alist-tree.json'),
+    tmdb: require('./fixtures/tmdb.json')
+});
+
+before(() => server.start());
+after(() => server.close());
+
+/**
+ * 指向模拟服务器的插件配置
+ * @param {object} directories - movies / tv_shows / mixed_content
+ * @param {object} [overrides] - 其他配置
+ */
+function pluginConfig(directories, overrides = {}) {
+    return {
+        alist: { url: server.url, username: 'admin', password: 'password' },
+        tmdb_token: 'test-token',
+        tmdb: { api_url: server.tmdbUrl },
+        ...directories,
+        ...overrides
+    };
+}
+
+/**
+ * 运行生成器（智能识别系统直接输出到 console，运行期间静默）
+ * @param {object} hexo - 测试用 Hexo 实例
+ * @returns {Promise<{routes: Array, moviesJson: object}>}
+ */
+async function generate(hexo) {
+    const { log, warn } = console;
+    console.log = () => { };
+    console.warn = () => { };
+    let routes;
+    try {
+        routes = await runGenerator(hexo);
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+
+    const jsonPath = path.join(hexo.source_dir, 'data', 'movies.json');
+    const moviesJson = fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, 'utf8')) : null;
+    return { routes, moviesJson };
+}
+
+/**
+ * 路由摘要：页面路由保留标题，静态资源只保留路径
+ * @param {Array} routes - 生成器返回的路由
+ */
+function summarizeRoutes(routes) {
+    return routes.map(route => (typeof route.data === 'function'
+        ? { path: route.path }
+        : { path: route.path, layout: route.layout, title: route.data.title }));
+}
+
+function findRoute(routes, routePath) {
+    return routes.find(route => route.path === routePath);
+}
+
+test('电影 / 电视剧目录：生成 movies.json 和页面', async () => {
+    const hexo = createHexo(pluginConfig({
+        movies: [{ path: '/Movies' }],
+        tv_shows: [{ path: '/TV' }]
+    }));
+
+    try {
+        const { routes, moviesJson } = await generate(hexo);
+        assert.ok(moviesJson, '应写入 source/data/movies.json');
+        assert.deepStrictEqual(hexo.log.messages.filter(message => message.level === 'error'), []);
+
+        assertSnapshot('legacy-movies', normalize(moviesJson, server.url));
+        assertSnapshot('legacy-routes', summarizeRoutes(routes));
+
+        // 列表页包含所有条目，播放页注入了对应条目的数据
+        const listHtml = findRoute(routes, 'movies/index.html').data.content;
+        for (const title of ['盗梦空间', '千与千寻', '绝命毒师', 'Family Trip']) {
+            assert.ok(listHtml.includes(title), `列表页缺少 ${title}`);
+        }
+        const playerHtml = findRoute(routes, 'movies/movie/27205/index.html').data.content;
+        const movieJson = playerHtml.match(/<script type="application\/json" id="movie-json">([\s\S]*?)<\/script>/);
+        assert.ok(movieJson, '播放页缺少 movie-json');
+        assert.strictEqual(JSON.parse(movieJson[1]).title, '盗梦空间');
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('混合目录：使用智能识别系统', async () => {
+    const hexo = createHexo(pluginConfig({
+        mixed_content: [{ path: '/Mixed' }]
+    }));
+
+    try {
+        const { routes, moviesJson } = await generate(hexo);
+        assert.ok(moviesJson, '应写入 source/data/movies.json');
+
+        assertSnapshot('mixed-movies', normalize(moviesJson, server.url));
+        assertSnapshot('mixed-routes', summarizeRoutes(routes));
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('混合目录使用本地存储：剧集使用存储生成的播放地址，不需要 alist 配置', async () => {
+    const hexo = createHexo({
+        tmdb_token: 'test-token',
+        tmdb: { api_url: server.tmdbUrl },
+        storages: { disk: { type: 'local', base_url: 'https://media.example.com' } },
+        mixed_content: [{ path: '/Mixed', storage: 'disk' }]
+    });
+    const root = path.join(hexo.base_dir, 'media');
+    hexo.config.alist_movie_generator.storages.disk.root = root;
+    const seasonDir = path.join(root, 'Mixed', 'Breaking Bad');
+    fs.mkdirSync(seasonDir, { recursive: true });
+    fs.writeFileSync(path.join(seasonDir, 'Breaking.Bad.S01E01.720p.mkv'), 'video');
+    fs.writeFileSync(path.join(seasonDir, 'Breaking.Bad.S01E02.720p.mkv'), 'video');
+
+    try {
+        const { moviesJson } = await generate(hexo);
+        const show = moviesJson.movies.find(movie => movie.id === 'tv_1396');
+        assert.ok(show, '本地存储中的电视剧不应被丢弃');
+
+        const episodes = show.seasons.flatMap(season => season.episodes);
+        assert.strictEqual(episodes.length, 2);
+        for (const episode of episodes) {
+            assert.ok(episode.url.startsWith('https://media.example.com/Mixed/Breaking%20Bad/'), episode.url);
+            assert.strictEqual(episode.download_url, episode.url);
+        }
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('内容分级：受限条目移至单独的列表页，列表页标注分级级别', async () => {
+    const hexo = createHexo(pluginConfig({
+        movies: [{ path: '/Movies' }]
+    }, {
+        content_rating: { max: { US: 'PG' }, restricted: 'hidden' }
+    }));
+
+    try {
+        const { routes, moviesJson } = await generate(hexo);
+        assert.ok(moviesJson.movies.some(movie => movie.id === '27205'), 'movies.json 仍包含全部条目');
+        assert.ok(!server.requests.some(request => request.endsWith('/release_dates')), '电影分级应随详情一起获取，不单独请求');
+
+        const listHtml = findRoute(routes, 'movies/index.html').data.content;
+        assert.ok(!listHtml.includes('盗梦空间'), '公开列表页不应包含受限条目');
+        assert.ok(listHtml.includes('data-rating-level="2"'), '列表页应标注分级级别');
+
+        const hiddenHtml = findRoute(routes, 'movies/restricted/index.html').data.content;
+        assert.ok(hiddenHtml.includes('盗梦空间'));
+        assert.ok(findRoute(routes, 'movies/movie/27205/index.html'), '受限条目仍生成播放页');
+
+        // 站点中发布的 movies.json 只包含公开的条目
+        const published = new Map();
+        hexo.extend.filters.after_generate.forEach(filter => filter.call({ ...hexo, route: {
+            set: (routePath, data) => published.set(routePath, JSON.parse(data)),
+            remove: routePath => published.set(routePath, null)
+        } }));
+        const publicJson = published.get('data/movies.json');
+        assert.ok(publicJson.movies.length > 0);
+        assert.ok(!publicJson.movies.some(movie => movie.id === '27205'), '公开的 movies.json 不应包含受限条目');
+        assert.ok(!JSON.stringify(publicJson).includes('Inception.2010'), '公开的 movies.json 不应包含受限条目的播放地址');
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('密码保护：页面中不包含明文地址，不发布 movies.json 和导出文件', async () => {
+    const hexo = createHexo(pluginConfig({
+        movies: [{ path: '/Movies' }]
+    }, {
+        protect: { enable: true, password: 'secret', iterations: 1000 },
+        export: { enable: true }
+    }));
+
+    try {
+        const { routes } = await generate(hexo);
+        const pages = routes.filter(route => typeof route.data !== 'function');
+        assert.ok(pages.length > 0);
+        for (const page of pages) {
+            assert.ok(!page.data.content.includes(server.url), `${page.path} 包含明文地址`);
+        }
+        assert.ok(!routes.some(route => route.path.startsWith('movies/export/')), '不应发布导出文件');
+
+        const playerHtml = findRoute(routes, 'movies/movie/27205/index.html').data.content;
+        assert.ok(playerHtml.includes('id="movie-protection"') && playerHtml.includes('/player/protect.js'));
+
+        const removed = [];
+        hexo.extend.filters.after_generate.forEach(filter => filter.call({ ...hexo, route: { remove: routePath => removed.push(routePath) } }));
+        assert.deepStrictEqual(removed, ['data/movies.json']);
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('密码保护：没有设置密码时不生成影视页面', async () => {
+    const hexo = createHexo(pluginConfig({ movies: [{ path: '/Movies' }] }, { protect: { enable: true } }));
+
+    try {
+        const { routes } = await generate(hexo);
+        assert.ok(routes.every(route => typeof route.data === 'function'), '只应返回静态资源');
+        assert.ok(hexo.log.messages.some(message => message.level === 'error' && message.message.includes('protect.enable')));
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('签名链接代理：播放页只包含文件 ID 和代理地址', async () => {
+    const hexo = createHexo(pluginConfig({
+        movies: [{ path: '/Movies' }]
+    }, {
+        proxy: { enable: true, url: 'https://play.example.com/', secret: 'proxy-secret' }
+    }));
+
+    try {
+        const { routes } = await generate(hexo);
+        const playerHtml = findRoute(routes, 'movies/movie/27205/index.html').data.content;
+        assert.ok(!playerHtml.includes(server.url) && !playerHtml.includes('sign='), '播放页包含原始播放地址');
+
+        // 千与千寻目录中的 poster.jpg（本地图片）同样不能出现在页面中
+        for (const route of routes.filter(item => typeof item.data !== 'function')) {
+            const content = route.data.content || '';
+            assert.ok(!content.includes(server.url) && !content.includes('sign='), `${route.path} 包含存储地址`);
+        }
+        assert.match(playerHtml, /"url":"proxy:[\w-]{22}\.mkv"/);
+
+        const playerConfig = JSON.parse(playerHtml.match(/<script type="application\/json" id="player-config">([\s\S]*?)<\/script>/)[1]);
+        assert.deepStrictEqual(playerConfig.proxy, { url: 'https://play.example.com', prefix: 'proxy:' });
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('目录列出失败：keep_previous 保留原条目，abort 终止构建，continue 归档条目', async () => {
+    const hexo = createHexo(pluginConfig({ movies: [{ path: '/Movies' }] }, {
+        scan: { retry_delay: 0 }
+    }));
+    const spirited = moviesJson => moviesJson.movies.find(movie => movie.id === '129');
+
+    try {
+        assert.ok(spirited((await generate(hexo)).moviesJson));
+        server.failList('/Movies/千与千寻', { code: 500, message: 'internal error' }, Infinity);
+
+        const kept = (await generate(hexo)).moviesJson;
+        assert.ok(spirited(kept) && !spirited(kept).removed_at, 'keep_previous 应保留列出失败目录中的条目');
+        assert.ok(hexo.log.messages.some(message => message.level === 'error' && message.message.includes('个目录列出失败')));
+
+        hexo.config.alist_movie_generator.scan.on_failure = 'abort';
+        await assert.rejects(generate(hexo), error => error.abortBuild === true);
+
+        hexo.config.alist_movie_generator.scan.on_failure = 'continue';
+        assert.ok(spirited((await generate(hexo)).moviesJson).removed_at, 'continue 应归档列出失败目录中的条目');
+    } finally {
+        server.failures.clear();
+        cleanup(hexo);
+    }
+});
+
+test('Alist 登录失败：记录错误且不生成页面', async () => {
+    const hexo = createHexo(pluginConfig({ movies: [{ path: '/Movies' }] }, {
+        alist: { url: server.url, username: 'admin', password: 'wrong' }
+    }));
+
+    try {
+        const { routes, moviesJson } = await generate(hexo);
+        assert.strictEqual(moviesJson, null);
+        assert.ok(routes.every(route => typeof route.data === 'function'), '只应返回静态资源');
+        assert.ok(hexo.log.messages.some(message => message.level === 'error' && message.message.includes('Alist login failed')));
+    } finally {
+        cleanup(hexo);
+    }
+});
@@ -0,0 +1,147 @@
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const LocalStorage = require('../local-storage');
+const { createHexo, loadPlugin, cleanup } = require('./helpers/hexo');
+
+const hexo = createHexo({});
+const { extractMovieTitle, groupFilesByContent, extractSeasonInfo, extractSourceInfo } = loadPlugin(hexo);
+
+after(() => cleanup(hexo));
+
+test('extractMovieTitle: 去除年份、分辨率、编码和分隔符', () => {
+    assert.strictEqual(extractMovieTitle('Inception.2010.1080p.BluRay.x264.mkv', '/Movies/Inception/Inception.2010.1080p.BluRay.x264.mkv'), 'Inception');
+    assert.strictEqual(extractMovieTitle('The_Dark_Knight-2008-720p.mp4', '/Movies/The_Dark_Knight-2008-720p.mp4'), 'The Dark Knight');
+});
+
+test('extractMovieTitle: 文件名或文件夹中的 TMDb ID 格式', () => {
+    assert.strictEqual(extractMovieTitle('盗梦空间(27205).mkv', '/Movies/a/盗梦空间(27205).mkv'), '盗梦空间');
+    assert.strictEqual(extractMovieTitle('movie.mkv', '/Movies/Heat (949)/movie.mkv'), 'Heat');
+});
+
+test('extractMovieTitle: 文件名无意义时使用父文件夹名', () => {
+    assert.strictEqual(extractMovieTitle('1080p.mkv', '/Movies/The Matrix/1080p.mkv'), 'The Matrix');
+});
+
+test('groupFilesByContent: 同名电影合并，按所在文件夹区分片源', () => {
+    const files = [
+        { name: 'Inception.2010.1080p.mkv', path: '/Movies/Inception/Inception.2010.1080p.mkv', directoryType: 'movie' },
+        { name: 'Inception.2010.2160p.mkv', path: '/Movies/Inception 4K/Inception.2010.2160p.mkv', directoryType: 'movie' },
+        { name: 'Inception.2010.720p.mkv', path: '/Movies/Inception/Inception.2010.720p.mkv', directoryType: 'movie' }
+    ];
+
+    const groups = groupFilesByContent(files, hexo.log);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].type, 'movie');
+    assert.strictEqual(groups[0].searchName, 'Inception');
+    assert.strictEqual(groups[0].files.length, 3);
+    assert.deepStrictEqual(groups[0].sources.map(source => [source.name, source.files.length]), [['Inception', 2], ['Inception 4K', 1]]);
+});
+
+test('groupFilesByContent: 电视剧按剧名分组（忽略大小写），强制标题优先', () => {
+    const files = [
+        { name: 'S01E01.mkv', path: '/TV/Breaking Bad/Season 1/S01E01.mkv', directoryType: 'tv', seriesName: 'Breaking Bad' },
+        { name: 'S01E02.mkv', path: '/TV/Breaking Bad/Season 1/S01E02.mkv', directoryType: 'tv', seriesName: 'breaking bad' },
+        { name: 'E01.mkv', path: '/TV/Other/E01.mkv', directoryType: 'tv', seriesName: 'Other', forcedTitle: '绝命毒师' }
+    ];
+
+    const groups = groupFilesByContent(files, hexo.log);
+    assert.deepStrictEqual(groups.map(group => [group.type, group.searchName, group.files.length]), [
+        ['tv', 'Breaking Bad', 2],
+        ['tv', '绝命毒师', 1]
+    ]);
+    assert.deepStrictEqual(groups[0].sources, []);
+});
+
+test('groupFilesByContent: 同名电影按年份分组', () => {
+    const files = [
+        { name: 'The.Lion.King.1994.1080p.mkv', path: '/Movies/The.Lion.King.1994.1080p.mkv', directoryType: 'movie' },
+        { name: 'The.Lion.King.2019.2160p.mkv', path: '/Movies/The.Lion.King.2019.2160p.mkv', directoryType: 'movie' },
+        { name: 'The.Lion.King.720p.mkv', path: '/Movies/The Lion King (1994)/The.Lion.King.720p.mkv', directoryType: 'movie' }
+    ];
+
+    const groups = groupFilesByContent(files, hexo.log);
+    assert.deepStrictEqual(groups.map(group => [group.searchName, group.year, group.files.length]), [
+        ['The Lion King', 1994, 2],
+        ['The Lion King', 2019, 1]
+    ]);
+});
+
+test('extractSourceInfo: 同一片源中的 CD1/CD2 合并为一个分段片源', () => {
+    const file = (dir, name) => ({ name, path: `/Movies/${dir}/${name}`, url: `http://alist/d/Movies/${dir}/${name}` });
+    const sources = extractSourceInfo([
+        { name: 'Farewell', path: 'Farewell', files: [file('Farewell', '霸王别姬.1993.CD2.rmvb'), file('Farewell', '霸王别姬.1993.CD1.rmvb'), file('Farewell', '霸王别姬.1993.1080p.mkv')] }
+    ]);
+
+    assert.strictEqual(sources.length, 2);
+    assert.deepStrictEqual(sources[0].parts.map(part => [part.part, part.file_name]), [[1, '霸王别姬.1993.CD1.rmvb'], [2, '霸王别姬.1993.CD2.rmvb']]);
+    assert.strictEqual(sources[0].url, 'http://alist/d/Movies/Farewell/霸王别姬.1993.CD1.rmvb');
+    assert.strictEqual(sources[1].parts, undefined);
+});
+
+test('extractSeasonInfo: 多集文件记录包含的全部集数，修正版本替换旧版本', () => {
+    const seasons = extractSeasonInfo([
+        { name: 'Show.S02E01-E02.mkv', path: '/TV/Show/Show.S02E01-E02.mkv', season: 2, episode: 1 },
+        { name: '[Group] Show - 03 [1080p].mkv', path: '/TV/Show/[Group] Show - 03 [1080p].mkv', season: 2, episode: 3 },
+        { name: '[Group] Show - 03v2 [1080p].mkv', path: '/TV/Show/[Group] Show - 03v2 [1080p].mkv', season: 2, episode: 3, version: 2 }
+    ]);
+
+    const episodes = seasons[0].episodes;
+    assert.deepStrictEqual(episodes.map(episode => [episode.episode_number, episode.episode_numbers, episode.name]), [
+        [1, [1, 2], 'Show.S02E01-E02.mkv'],
+        [3, undefined, '[Group] Show - 03v2 [1080p].mkv']
+    ]);
+});
+
+test('groupFilesByContent: 花絮和预告片归入所属影片，不作为片源或单独的影片', () => {
+    const files = [
+        { name: 'Inception.2010.1080p.mkv', path: '/Movies/Inception/Inception.2010.1080p.mkv', directoryType: 'movie' },
+        { name: 'Dream Levels.mkv', path: '/Movies/Inception/Featurettes/Dream Levels.mkv', directoryType: 'movie', extra: 'featurette' },
+        { name: 'Inception-trailer.mp4', path: '/Movies/Inception/Inception-trailer.mp4', directoryType: 'movie', extra: 'trailer' },
+        { name: 'Orphan-trailer.mp4', path: '/Movies/Orphan-trailer.mp4', directoryType: 'movie', extra: 'trailer' }
+    ];
+
+    const groups = groupFilesByContent(files, hexo.log);
+    assert.strictEqual(groups.length, 1);
+    assert.deepStrictEqual(groups[0].files.map(file => file.name), ['Inception.2010.1080p.mkv']);
+    assert.deepStrictEqual(groups[0].extras.map(file => file.name), ['Dream Levels.mkv', 'Inception-trailer.mp4']);
+});
+
+test('扫描和分组：以 -interview、-short、-other 结尾的片名是正片，不会被当作附加内容丢弃', async () => {
+    const root = path.join(hexo.base_dir, 'media');
+    const names = ['The-Interview.mkv', 'The-Big-Short.mkv', 'Significant-Other.mkv', 'Inception.mkv', 'Inception-trailer.mkv'];
+    fs.mkdirSync(path.join(root, 'Movies'), { recursive: true });
+    names.forEach(name => fs.writeFileSync(path.join(root, 'Movies', name), ''));
+
+    const storage = new LocalStorage({ root, base_url: 'https://media.example.com' }, hexo.log);
+    const files = await storage.getAllVideoFiles([{ path: '/Movies', type: 'movie' }]);
+    assert.deepStrictEqual(files.filter(file => file.extra).map(file => file.name), ['Inception-trailer.mkv']);
+
+    const groups = groupFilesByContent(files, hexo.log);
+    assert.deepStrictEqual(groups.map(group => group.files.map(file => file.name)).sort(),
+        [['Inception.mkv'], ['Significant-Other.mkv'], ['The-Big-Short.mkv'], ['The-Interview.mkv']]);
+    assert.deepStrictEqual(groups.find(group => group.files[0].name === 'Inception.mkv').extras.map(file => file.name), ['Inception-trailer.mkv']);
+});
+
+test('extractSeasonInfo: 特别篇为第 0 季，没有季信息时为第 1 季', () => {
+    const seasons = extractSeasonInfo([
+        { name: 'Show.S01E01.mkv', path: '/TV/Show/Season 1/Show.S01E01.mkv', season: 1, episode: 1 },
+        { name: 'Show.S00E01.mkv', path: '/TV/Show/Specials/Show.S00E01.mkv', season: 0, episode: 1 },
+        { name: 'Show.E02.mkv', path: '/TV/Show/Show.E02.mkv', season: null, episode: 2 }
+    ]);
+
+    assert.deepStrictEqual(seasons.map(season => [season.season_number, season.episodes.length]), [[0, 1], [1, 2]]);
+});
+
+test('groupFilesByContent: 本地元数据归入分组，不保留在文件中', () => {
+    const localMetadata = { nfo: { media_type: 'tv', tmdb_id: 1396 }, poster: 'http://nas/poster.jpg' };
+    const files = [
+        { name: 'S01E01.mkv', path: '/TV/Breaking Bad/Season 1/S01E01.mkv', directoryType: 'tv', seriesName: 'Breaking Bad', local_metadata: localMetadata },
+        { name: 'S01E02.mkv', path: '/TV/Breaking Bad/Season 1/S01E02.mkv', directoryType: 'tv', seriesName: 'Breaking Bad', local_metadata: localMetadata }
+    ];
+
+    const groups = groupFilesByContent(files, hexo.log);
+    assert.strictEqual(groups[0].localMetadata, localMetadata);
+    assert.ok(groups[0].files.every(file => !('local_metadata' in file)));
+});
@@ -0,0 +1,105 @@
+/**
+ * 测试用的最小 Hexo 实例 - 只实现插件用到的 config、log、locals、render 和 extend（generator、console、filter）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pug = require('pug');
+
+const PLUGIN_ENTRY = path.join(__dirname, '..', '..', 'index.js');
+
+/**
+ * 创建 Hexo 实例（base_dir 为新建的临时目录）
+ * @param {object} pluginConfig - alist_movie_generator 配置
+ * @param {object} [siteConfig] - 其他站点配置（如 language）
+ * @returns {object}
+ */
+function createHexo(pluginConfig, siteConfig = {}) {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alist-movie-test-'));
+    const locals = new Map();
+    const messages = [];
+    const generators = {};
+    const consoles = {};
+    const filters = {};
+    const record = level => (...args) => messages.push({ level, message: args.join(' ') });
+
+    return {
+        base_dir: baseDir,
+        source_dir: path.join(baseDir, 'source'),
+        config: {
+            language: 'zh-CN',
+            ...siteConfig,
+            alist_movie_generator: pluginConfig
+        },
+        log: {
+            info: record('info'),
+            warn: record('warn'),
+            error: record('error'),
+            debug: record('debug'),
+            messages
+        },
+        locals: {
+            get: key => locals.get(key),
+            set: (key, value) => locals.set(key, value)
+        },
+        render: {
+            render: async ({ path: templatePath }, data) => pug.renderFile(templatePath, data)
+        },
+        extend: {
+            generators,
+            consoles,
+            filters,
+            generator: {
+                register: (name, fn) => { generators[name] = fn; }
+            },
+            filter: {
+                register: (type, fn) => { (filters[type] = filters[type] || []).push(fn); }
+            },
+            console: {
+                register: (name, desc, options, fn) => { consoles[name] = fn; }
+            }
+        }
+    };
+}
+
+/**
+ * 以全局 hexo 加载插件入口（与 Hexo 加载插件脚本的方式一致），返回插件导出
+ * @param {object} hexo - createHexo 创建的实例
+ * @returns {object}
+ */
+function loadPlugin(hexo) {
+    const previous = global.hexo;
+    global.hexo = hexo;
+    try {
+        delete require.cache[PLUGIN_ENTRY];
+        return require(PLUGIN_ENTRY);
+    } finally {
+        global.hexo = previous;
+    }
+}
+
+/**
+ * 执行插件注册的生成器，返回路由列表
+ * @param {object} hexo - createHexo 创建的实例
+ * @returns {Promise<Array>}
+ */
+async function runGenerator(hexo) {
+    loadPlugin(hexo);
+    return hexo.extend.generators.alist_movie.call(hexo, {});
+}
+
+/**
+ * 删除临时目录
+ * @param {object} hexo - createHexo 创建的实例
+ */
+function cleanup(hexo) {
+    fs.rmSync(hexo.base_dir, { recursive: true, force: true });
+}
+
+module.exports = {
+    createHexo,
+    loadPlugin,
+    runGenerator,
+    cleanup
+};
@@ -0,0 +1,332 @@
+/**
+ * 本地模拟服务器 - 同时提供 Alist（/api/auth/login、/api/fs/list、/d/ 直链）和 TMDb（/tmdb/3/...）接口
+ *
+ * Alist 目录树为嵌套对象：键为文件名，值为对象表示目录，数字表示文件大小，字符串表示文件内容（NFO 等）
+ * TMDb 数据见 test/fixtures/tmdb.json：genres、movies、tv（tv 条目的 episodes 按季号分组）
+ */
+
+const http = require('http');
+const path = require('path');
+
+const TMDB_PREFIX = '/tmdb/3';
+const FIXED_MODIFIED = '2024-01-01T00:00:00Z';
+
+/**
+ * 标准化搜索关键词（忽略大小写、空格和标点）
+ * @param {string} text - 关键词
+ * @returns {string}
+ */
+function normalizeQuery(text) {
+    return String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+class MockServer {
+    /**
+     * @param {object} options
+     * @param {object} options.tree - Alist 目录树
+     * @param {object} options.tmdb - TMDb 数据
+     * @param {string} [options.username] - Alist 用户名
+     * @param {string} [options.password] - Alist 密码
+     * @param {string} [options.apiKey] - TMDb API Key
+     */
+    constructor(options) {
+        this.tree = options.tree;
+        this.tmdb = options.tmdb;
+        this.username = options.username || 'admin';
+        this.password = options.password || 'password';
+        this.apiKey = options.apiKey || 'test-token';
+        this.token = 'mock-alist-token';
+        this.tokenVersion = 0;
+        // 收到的请求（method + 路径），供测试断言
+        this.requests = [];
+        // 目录路径 -> 待返回的错误 { status, code, message, headers }，见 failList
+        this.failures = new Map();
+        this.server = http.createServer((req, res) => this._handle(req, res));
+    }
+
+    /**
+     * 服务器地址（start 之后可用）
+     * @returns {string}
+     */
+    get url() {
+        const { port } = this.server.address();
+        return `http://127.0.0.1:${port}`;
+    }
+
+    /**
+     * TMDb 接口地址，对应 tmdb.api_url 配置
+     * @returns {string}
+     */
+    get tmdbUrl() {
+        return `${this.url}${TMDB_PREFIX}`;
+    }
+
+    /**
+     * 在随机端口启动
+     * @returns {Promise<string>} 服务器地址
+     */
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(this.url));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * 模拟 JWT 过期：之前签发的 token 失效，重新登录后获得新 token
+     */
+    expireToken() {
+        this.tokenVersion++;
+        this.token = `mock-alist-token-${this.tokenVersion}`;
+    }
+
+    /**
+     * 让接下来的 /api/fs/list 请求返回错误
+     * @param {string} dirPath - 目录路径
+     * @param {object} failure - { status: HTTP 状态码, code: 响应体中的错误码, message, headers }
+     * @param {number} [times] - 失败次数（Infinity 表示一直失败）
+     */
+    failList(dirPath, failure, times = 1) {
+        this.failures.set(path.posix.normalize(dirPath), { ...failure, remaining: times });
+    }
+
+    _handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        this.requests.push(`${req.method} ${url.pathname}`);
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            let payload = {};
+            try {
+                payload = body ? JSON.parse(body) : {};
+            } catch (error) {
+                return this._send(res, 400, { message: 'invalid json' });
+            }
+
+            if (url.pathname.startsWith(TMDB_PREFIX)) {
+                return this._handleTmdb(res, url.pathname.slice(TMDB_PREFIX.length), url.searchParams);
+            }
+            if (url.pathname === '/api/auth/login') {
+                return this._handleLogin(res, payload);
+            }
+            if (url.pathname === '/api/fs/list') {
+                return this._handleList(req, res, payload);
+            }
+            if (url.pathname.startsWith('/d/')) {
+                const item = this._lookup(decodeURIComponent(url.pathname.slice(2)));
+                if (typeof item === 'string') {
+                    return this._send(res, 200, item, 'text/plain');
+                }
+                return typeof item === 'number'
+                    ? this._send(res, 200, 'mock file', 'application/octet-stream')
+                    : this._send(res, 404, 'not found', 'text/plain');
+            }
+            this._send(res, 404, { message: 'not found' });
+        });
+    }
+
+    _send(res, status, data, contentType = 'application/json') {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    // ---------- Alist ----------
+
+    _handleLogin(res, payload) {
+        // Alist 登录失败时同样返回 HTTP 200，错误码放在 code 字段
+        if (payload.username !== this.username || payload.password !== this.password) {
+            return this._send(res, 200, { code: 400, message: 'password is incorrect or you have no permission', data: null });
+        }
+        this._send(res, 200, { code: 200, message: 'success', data: { token: this.token } });
+    }
+
+    _handleList(req, res, payload) {
+        if (req.headers.authorization !== this.token) {
+            return this._send(res, 200, { code: 401, message: 'token is invalidated', data: null });
+        }
+
+        const failure = this.failures.get(path.posix.normalize(payload.path || '/'));
+        if (failure && failure.remaining > 0) {
+            failure.remaining--;
+            res.writeHead(failure.status || 200, { 'Content-Type': 'application/json', ...failure.headers });
+            return res.end(JSON.stringify({ code: failure.code || failure.status, message: failure.message || 'mock failure', data: null }));
+        }
+
+        const dir = this._lookup(payload.path);
+        if (!dir || typeof dir !== 'object') {
+            return this._send(res, 200, { code: 500, message: 'object not found', data: null });
+        }
+
+        const content = Object.entries(dir).map(([name, value]) => ({
+            name,
+            size: typeof value === 'object' ? 0 : (typeof value === 'number' ? value : value.length),
+            is_dir: typeof value === 'object',
+            modified: FIXED_MODIFIED,
+            sign: typeof value === 'object' ? '' : 'mock-sign'
+        }));
+        this._send(res, 200, { code: 200, message: 'success', data: { content, total: content.length } });
+    }
+
+    /**
+     * 在目录树中查找路径
+     * @param {string} itemPath - 路径
+     * @returns {object|number|string|undefined} 目录对象、文件大小或文件内容，不存在时为 undefined
+     */
+    _lookup(itemPath) {
+        const parts = path.posix.normalize(itemPath || '/').split('/').filter(Boolean);
+        let node = this.tree;
+        for (const part of parts) {
+            if (!node || typeof node !== 'object' || !(part in node)) {
+                return undefined;
+            }
+            node = node[part];
+        }
+        return node;
+    }
+
+    // ---------- TMDb ----------
+
+    _handleTmdb(res, pathname, params) {
+        if (params.get('api_key') !== this.apiKey) {
+            return this._send(res, 401, { status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' });
+        }
+
+        const notFound = () => this._send(res, 404, { status_code: 34, status_message: 'The resource you requested could not be found.' });
+        const parts = pathname.split('/').filter(Boolean);
+        const [resource, id, sub, seasonNumber, , episodeNumber] = parts;
+
+        if (resource === 'configuration') {
+            return this._send(res, 200, { images: { secure_base_url: 'https://image.tmdb.org/t/p/' } });
+        }
+        if (resource === 'genre') {
+            return this._send(res, 200, { genres: this.tmdb.genres[id] || [] });
+        }
+        if (resource === 'search') {
+            return this._send(res, 200, this._search(id, params.get('query'), params.get('year') || params.get('first_air_date_year')));
+        }
+        if (resource === 'find') {
+            // 按 IMDb ID 查找（fixture 条目的 imdb_id）
+            const matches = list => (list || []).filter(entry => entry.imdb_id === id);
+            return this._send(res, 200, {
+                movie_results: matches(this.tmdb.movies).map(entry => this._summary('movie', entry, true)),
+                tv_results: matches(this.tmdb.tv).map(entry => this._summary('tv', entry, true))
+            });
+        }
+
+        const mediaType = resource === 'movie' ? 'movie' : (resource === 'tv' ? 'tv' : null);
+        const entry = mediaType && this._find(mediaType, id);
+        if (!entry) {
+            return notFound();
+        }
+
+        if (!sub) {
+            return this._send(res, 200, this._details(mediaType, entry, params.get('append_to_response')));
+        }
+        if (sub === 'translations') {
+            return this._send(res, 200, { id: entry.id, translations: entry.translations || [] });
+        }
+        if (mediaType === 'movie' && sub === 'release_dates') {
+            return this._send(res, 200, { id: entry.id, results: entry.release_dates || [] });
+        }
+        if (mediaType === 'tv' && sub === 'content_ratings') {
+            return this._send(res, 200, { id: entry.id, results: entry.content_ratings || [] });
+        }
+        if (mediaType === 'tv' && sub === 'season') {
+            const season = this._season(entry, Number(seasonNumber));
+            if (!season) {
+                return notFound();
+            }
+            if (episodeNumber === undefined) {
+                return this._send(res, 200, season);
+            }
+            const episode = season.episodes.find(item => item.episode_number === Number(episodeNumber));
+            return episode ? this._send(res, 200, episode) : notFound();
+        }
+        notFound();
+    }
+
+    _find(mediaType, id) {
+        const list = mediaType === 'movie' ? this.tmdb.movies : this.tmdb.tv;
+        return (list || []).find(entry => String(entry.id) === String(id));
+    }
+
+    /**
+     * 按标题精确匹配（标准化后），支持 aliases
+     * @param {string} type - multi / movie / tv
+     * @param {string} query - 搜索关键词
+     */
+    _search(type, query, year) {
+        const normalized = normalizeQuery(query);
+        // /search/movie 的 year 和 /search/tv 的 first_air_date_year 按上映（首播）年份过滤
+        const inYear = entry => !year || (entry.release_date || entry.first_air_date || '').startsWith(year);
+        const matches = (mediaType, list) => (list || [])
+            .filter(entry => [entry.title, entry.name, entry.original_title, entry.original_name, ...(entry.aliases || [])]
+                .some(name => name && normalizeQuery(name) === normalized))
+            .filter(inYear)
+            .map(entry => this._summary(mediaType, entry, type === 'multi'));
+
+        const results = [
+            ...(type === 'multi' || type === 'movie' ? matches('movie', this.tmdb.movies) : []),
+            ...(type === 'multi' || type === 'tv' ? matches('tv', this.tmdb.tv) : [])
+        ];
+        return { page: 1, results, total_pages: results.length > 0 ? 1 : 0, total_results: results.length };
+    }
+
+    _summary(mediaType, entry, withMediaType) {
+        const { aliases, translations, episodes, seasons, content_ratings, release_dates, genres, ...summary } = entry;
+        return {
+            ...summary,
+            genre_ids: (genres || []).map(genre => genre.id),
+            ...(withMediaType && { media_type: mediaType })
+        };
+    }
+
+    _details(mediaType, entry, appendToResponse) {
+        const { aliases, translations, episodes, content_ratings, release_dates, ...details } = entry;
+        if (mediaType === 'tv') {
+            details.seasons = Object.keys(episodes || {}).map(number => {
+                const season = this._season(entry, Number(number));
+                return {
+                    id: entry.id * 100 + Number(number),
+                    season_number: Number(number),
+                    name: season.name,
+                    overview: season.overview,
+                    air_date: season.air_date,
+                    poster_path: season.poster_path,
+                    episode_count: season.episodes.length,
+                    vote_average: 0
+                };
+            });
+            details.number_of_seasons = details.seasons.filter(season => season.season_number > 0).length;
+            details.number_of_episodes = details.seasons.reduce((sum, season) => sum + season.episode_count, 0);
+            if (String(appendToResponse || '').split(',').includes('content_ratings')) {
+                details.content_ratings = { results: content_ratings || [] };
+            }
+        } else if (String(appendToResponse || '').split(',').includes('release_dates')) {
+            details.release_dates = { results: release_dates || [] };
+        }
+        return details;
+    }
+
+    _season(entry, seasonNumber) {
+        const episodes = (entry.episodes || {})[seasonNumber];
+        if (!episodes) {
+            return null;
+        }
+        return {
+            id: entry.id * 100 + seasonNumber,
+            season_number: seasonNumber,
+            name: seasonNumber === 0 ? '特别篇' : `第 ${seasonNumber} 季`,
+            overview: '',
+            air_date: episodes[0] ? episodes[0].air_date : null,
+            poster_path: null,
+            episodes: episodes.map(episode => ({ season_number: seasonNumber, runtime: null, still_path: null, vote_average: 0, ...episode }))
+        };
+    }
+}
+
+module.exports = MockServer;
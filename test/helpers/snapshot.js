@@ -0,0 +1,48 @@
+/**
+ * 快照断言 - 快照保存在 test/snapshots/<name>.json
+ * 设置了 UPDATE_SNAPSHOTS=1 时写入新快照，否则与已有快照比较（快照不存在时失败，不会自动生成）
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'snapshots');
+
+// 每次运行都会变化的字段
+const VOLATILE_KEYS = ['generated_at', 'timestamp'];
+
+/**
+ * 去除快照中随运行变化的内容：模拟服务器的随机端口和生成时间
+ * @param {*} value - 待比较的数据
+ * @param {string} serverUrl - 模拟服务器地址
+ * @returns {*}
+ */
+function normalize(value, serverUrl) {
+    const json = JSON.stringify(value, (key, item) => (VOLATILE_KEYS.includes(key) ? '<timestamp>' : item));
+    return JSON.parse(json.split(serverUrl).join('http://mock.test'));
+}
+
+/**
+ * 断言与快照一致
+ * @param {string} name - 快照名称
+ * @param {*} actual - 已标准化的数据
+ */
+function assertSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.json`);
+
+    if (process.env.UPDATE_SNAPSHOTS === '1') {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(actual, null, 2) + '\n', 'utf8');
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `快照 ${path.relative(process.cwd(), file)} 不存在（核对输出后使用 UPDATE_SNAPSHOTS=1 npm test 生成）`);
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(actual, expected, `与快照 ${path.relative(process.cwd(), file)} 不一致（确认改动后使用 UPDATE_SNAPSHOTS=1 npm test 更新快照）`);
+}
+
+module.exports = {
+    normalize,
+    assertSnapshot
+};
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { buildNfo, buildPlaylist, buildCsv, getExportFiles, normalizeFormats } = require('../library-export');
+const { parseNfo } = require('../local-metadata');
+
+const movie = {
+    id: '27205',
+    original_tmdb_id: 27205,
+    media_type: 'movie',
+    title: '盗梦空间',
+    original_title: 'Inception',
+    release_date: '2010-07-15',
+    overview: '道姆·柯布 & 同事潜入他人梦境',
+    poster_path: '/inception.jpg',
+    genre_names: ['动作', '科幻'],
+    vote_average: 8.4,
+    vote_count: 35000,
+    sources: [
+        {
+            source_name: 'Inception',
+            file_name: 'Inception.CD1.mkv',
+            url: 'http://alist/d/Movies/Inception/Inception.CD1.mkv?sign=a',
+            parts: [
+                { part: 1, file_name: 'Inception.CD1.mkv', url: 'http://alist/d/Movies/Inception/Inception.CD1.mkv?sign=a' },
+                { part: 2, file_name: 'Inception.CD2.mkv', url: 'http://alist/d/Movies/Inception/Inception.CD2.mkv?sign=b' }
+            ]
+        },
+        { source_name: 'Inception 4K', file_name: 'Inception.2160p.mkv', url: 'http://alist/d/Movies/Inception 4K/Inception.2160p.mkv' }
+    ]
+};
+
+const show = {
+    id: 'tv_1396',
+    original_tmdb_id: 1396,
+    media_type: 'tv',
+    title: '绝命毒师',
+    first_air_date: '2008-01-20',
+    poster_path: 'http://nas/poster.jpg',
+    seasons: [
+        { season_number: 0, episodes: [{ episode_number: 1, name: '特别篇', url: 'http://alist/d/TV/BB/Specials/S00E01.mkv' }] },
+        {
+            season_number: 1,
+            episodes: [
+                { episode_number: 2, name: '猫在袋子里', url: 'http://alist/d/TV/BB/S01E02.mkv' },
+                { episode_number: 1, name: '试播集', url: 'http://alist/d/TV/BB/S01E01.mkv' }
+            ]
+        }
+    ]
+};
+
+test('buildNfo: 生成可被 Kodi（以及本地 NFO 读取）识别的 NFO', () => {
+    const nfo = buildNfo(movie);
+    assert.ok(nfo.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<movie>'));
+    assert.ok(nfo.includes('<thumb aspect="poster">https://image.tmdb.org/t/p/original/inception.jpg</thumb>'));
+    assert.ok(nfo.includes('<genre>科幻</genre>'));
+
+    const parsed = parseNfo(nfo);
+    assert.deepStrictEqual([parsed.media_type, parsed.tmdb_id, parsed.title, parsed.year, parsed.plot],
+        ['movie', 27205, '盗梦空间', 2010, '道姆·柯布 & 同事潜入他人梦境']);
+    assert.strictEqual(parseNfo(buildNfo(show)).media_type, 'tv');
+});
+
+test('buildPlaylist: 剧集按季集排序，特别篇在最后；分段片源展开为各段', () => {
+    assert.strictEqual(buildPlaylist([show], { title: '绝命毒师 (2008)' }), [
+        '#EXTM3U',
+        '#PLAYLIST:绝命毒师 (2008)',
+        '#EXTINF:-1 tvg-logo="http://nas/poster.jpg" group-title="绝命毒师 (2008)",绝命毒师 - S01E01 - 试播集',
+        'http://alist/d/TV/BB/S01E01.mkv',
+        '#EXTINF:-1 tvg-logo="http://nas/poster.jpg" group-title="绝命毒师 (2008)",绝命毒师 - S01E02 - 猫在袋子里',
+        'http://alist/d/TV/BB/S01E02.mkv',
+        '#EXTINF:-1 tvg-logo="http://nas/poster.jpg" group-title="绝命毒师 (2008)",绝命毒师 - S00E01 - 特别篇',
+        'http://alist/d/TV/BB/Specials/S00E01.mkv',
+        ''
+    ].join('\n'));
+
+    const library = buildPlaylist([movie], { firstSourceOnly: true }).split('\n').filter(line => line.startsWith('#EXTINF'));
+    assert.deepStrictEqual(library.map(line => line.split(',').pop()), [
+        '盗梦空间 (2010) - Inception - Part 1',
+        '盗梦空间 (2010) - Inception - Part 2'
+    ]);
+});
+
+test('buildCsv: 每个视频一行，转义逗号和引号', () => {
+    const rows = buildCsv([{ ...movie, title: 'Crouching "Tiger", Hidden Dragon' }]).replace(/^\ufeff/, '').trim().split('\r\n');
+    assert.strictEqual(rows[0], 'id,tmdb_id,media_type,title,original_title,year,season,episode,episode_title,source,part,file_name,path,url');
+    assert.strictEqual(rows.length, 4);
+    assert.strictEqual(rows[3], '27205,27205,movie,"Crouching ""Tiger"", Hidden Dragon",Inception,2010,,,,Inception 4K,,Inception.2160p.mkv,,http://alist/d/Movies/Inception 4K/Inception.2160p.mkv');
+});
+
+test('getExportFiles: 按格式生成文件，同名条目加上 ID 区分', () => {
+    const files = getExportFiles([movie, show, { ...movie, id: 'unknown_1', original_tmdb_id: null }], ['nfo', 'm3u']);
+    assert.deepStrictEqual(files.map(file => file.path), [
+        'nfo/盗梦空间 (2010)/movie.nfo',
+        'nfo/绝命毒师 (2008)/tvshow.nfo',
+        'nfo/盗梦空间 (2010) [unknown_1]/movie.nfo',
+        'playlists/绝命毒师 (2008).m3u8',
+        'library.m3u8'
+    ]);
+    assert.deepStrictEqual(normalizeFormats('M3U, csv, xml'), ['m3u', 'csv']);
+});
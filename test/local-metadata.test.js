@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const MockServer = require('./helpers/mock-server');
+const AlistAPI = require('../alist-api');
+const TMDbAPI = require('../tmdb-api');
+const { parseNfo, findMetadataFiles, findDetailsByNfo, applyLocalMetadata } = require('../local-metadata');
+
+const fixture = require('./fixtures/tmdb.json');
+const log = { info() { }, debug() { }, warn() { }, error() { } };
+
+const MOVIE_NFO = `<?xml version="1.0" encoding="UTF-8" standalone="yes" ?>
+<movie>
+    <title>盗梦空间</title>
+    <originaltitle>Inception</originaltitle>
+    <year>2010</year>
+    <plot><![CDATA[道姆·柯布与同事潜入他人梦境 & 窃取机密]]></plot>
+    <uniqueid type="imdb">tt1375666</uniqueid>
+    <uniqueid type="tmdb" default="true">27205</uniqueid>
+</movie>`;
+
+const server = new MockServer({
+    tree: {
+        Movies: {
+            // 文件夹名无法搜索，依靠 NFO 中的 TMDb ID
+            'Dream Heist [Remux]': {
+                'dh.remux.mkv': 1000,
+                'movie.nfo': MOVIE_NFO,
+                'poster.jpg': 10,
+                'fanart.jpg': 10
+            },
+            // 与视频同名的 NFO 只有 IMDb ID
+            Ghibli: {
+                'sen.mkv': 1000,
+                'sen.nfo': '<movie><title>千与千寻</title><id>tt0245429</id></movie>',
+                'sen-poster.jpg': 10
+            }
+        }
+    },
+    tmdb: {
+        ...fixture,
+        movies: fixture.movies.map(movie => (movie.id === 129 ? { ...movie, imdb_id: 'tt0245429' } : movie))
+    }
+});
+let tmdbAPI;
+
+before(async () => {
+    await server.start();
+    tmdbAPI = new TMDbAPI('test-token', log, 'zh-CN', null, { apiUrl: server.tmdbUrl });
+});
+after(() => server.close());
+
+test('parseNfo: 读取 Kodi NFO 中的 ID、标题、年份和简介', () => {
+    assert.deepStrictEqual(parseNfo(MOVIE_NFO), {
+        media_type: 'movie',
+        tmdb_id: 27205,
+        imdb_id: 'tt1375666',
+        title: '盗梦空间',
+        original_title: 'Inception',
+        year: 2010,
+        plot: '道姆·柯布与同事潜入他人梦境 & 窃取机密'
+    });
+
+    const tvshow = parseNfo('<tvshow><title>Breaking Bad</title><premiered>2008-01-20</premiered><tmdbid>1396</tmdbid></tvshow>');
+    assert.deepStrictEqual([tvshow.media_type, tvshow.tmdb_id, tvshow.year], ['tv', 1396, 2008]);
+});
+
+test('parseNfo: 只包含链接的 NFO 和无效内容', () => {
+    const linkOnly = parseNfo('https://www.themoviedb.org/tv/1396-breaking-bad\n');
+    assert.deepStrictEqual([linkOnly.media_type, linkOnly.tmdb_id], ['tv', 1396]);
+    assert.strictEqual(parseNfo('https://www.imdb.com/title/tt1375666/').imdb_id, 'tt1375666');
+    assert.strictEqual(parseNfo('not an nfo'), null);
+});
+
+test('findMetadataFiles: 同名文件优先于目录级文件', () => {
+    const items = ['movie.nfo', 'poster.jpg', 'fanart.png', 'Heat.1995.nfo', 'Heat.1995-poster.jpg', 'Heat.1995.mkv']
+        .map(name => ({ name, is_dir: false }));
+
+    const own = findMetadataFiles(items, 'Heat.1995.mkv');
+    assert.deepStrictEqual([own.nfo.name, own.poster.name, own.fanart.name], ['Heat.1995.nfo', 'Heat.1995-poster.jpg', 'fanart.png']);
+
+    const folder = findMetadataFiles(items);
+    assert.deepStrictEqual([folder.nfo.name, folder.poster.name], ['movie.nfo', 'poster.jpg']);
+    assert.deepStrictEqual(findMetadataFiles([]), { nfo: null, poster: null, fanart: null });
+});
+
+test('getAllVideoFiles: 扫描时读取 NFO 和本地图片，NFO 中的 ID 优先于搜索', async () => {
+    const alist = new AlistAPI({ url: server.url, username: 'admin', password: 'password' }, log);
+    const files = await alist.getAllVideoFiles([{ path: '/Movies', type: 'movie' }]);
+    const byName = Object.fromEntries(files.map(file => [file.name, file.local_metadata]));
+
+    assert.deepStrictEqual(byName['dh.remux.mkv'], {
+        nfo: parseNfo(MOVIE_NFO),
+        poster: `${server.url}/d/Movies/Dream%20Heist%20%5BRemux%5D/poster.jpg?sign=mock-sign`,
+        fanart: `${server.url}/d/Movies/Dream%20Heist%20%5BRemux%5D/fanart.jpg?sign=mock-sign`
+    });
+    assert.strictEqual(byName['sen.mkv'].poster, `${server.url}/d/Movies/Ghibli/sen-poster.jpg?sign=mock-sign`);
+
+    assert.strictEqual((await findDetailsByNfo(tmdbAPI, byName['dh.remux.mkv'].nfo, 'movie')).id, 27205);
+    assert.strictEqual((await findDetailsByNfo(tmdbAPI, byName['sen.mkv'].nfo, 'movie')).id, 129);
+});
+
+test('applyLocalMetadata: 本地图片优先，未匹配 TMDb 的条目使用 NFO 信息', () => {
+    const metadata = { nfo: parseNfo(MOVIE_NFO), poster: 'http://nas/poster.jpg' };
+
+    const matched = applyLocalMetadata({ original_tmdb_id: 27205, title: 'Inception', poster_path: '/tmdb.jpg' }, metadata);
+    assert.deepStrictEqual(matched, { original_tmdb_id: 27205, title: 'Inception', poster_path: 'http://nas/poster.jpg' });
+
+    const unknown = applyLocalMetadata({ title: 'dh remux', media_type: 'unknown', overview: '', release_date: null }, metadata);
+    assert.deepStrictEqual([unknown.title, unknown.release_date], ['盗梦空间', '2010-01-01']);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const MovieOverrides = require('../movie-overrides');
+const { createHexo, cleanup } = require('./helpers/hexo');
+
+test('save: 只改写对应路径的规则块，保留手动编辑的注释、顺序和格式', () => {
+    const hexo = createHexo({});
+    const filePath = MovieOverrides.getFilePath(hexo);
+    const original = [
+        '# 我的覆盖规则',
+        '',
+        '# 忽略花絮',
+        '"/动漫/**/SP*":',
+        '  ignore: true',
+        '',
+        '/电影/阿凡达/:   # 加长版',
+        '  title: 阿凡达',
+        '  tmdb_id: 1',
+        '',
+        '# 结尾的注释',
+        ''
+    ].join('\n');
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, original);
+
+        MovieOverrides.save(hexo, '/电影/阿凡达', { tmdb_id: 19995, media_type: 'movie' });
+        MovieOverrides.save(hexo, '/电视剧/某部剧', { tmdb_id: 1396 });
+
+        const saved = fs.readFileSync(filePath, 'utf8');
+        assert.strictEqual(saved, [
+            '# 我的覆盖规则',
+            '',
+            '# 忽略花絮',
+            '"/动漫/**/SP*":',
+            '  ignore: true',
+            '',
+            '/电影/阿凡达:',
+            '  title: 阿凡达',
+            '  tmdb_id: 19995',
+            '  media_type: movie',
+            '',
+            '# 结尾的注释',
+            '',
+            '/电视剧/某部剧:',
+            '  tmdb_id: 1396',
+            ''
+        ].join('\n'));
+
+        const overrides = MovieOverrides.load(hexo);
+        assert.deepStrictEqual(overrides.find(['/电影/阿凡达/Avatar.mkv']), { tmdb_id: 19995, media_type: 'movie', title: '阿凡达', pattern: '/电影/阿凡达' });
+        assert.ok(overrides.isIgnored('/动漫/某部动漫/SP01.mkv'));
+    } finally {
+        cleanup(hexo);
+    }
+});
+
+test('save: 规则文件格式错误时不覆盖文件', () => {
+    const hexo = createHexo({});
+    const filePath = MovieOverrides.getFilePath(hexo);
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '"/电影/未闭合的引号:\n  tmdb_id: 1\n');
+
+        assert.strictEqual(MovieOverrides.save(hexo, '/电影/阿凡达', { tmdb_id: 19995 }), null);
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '"/电影/未闭合的引号:\n  tmdb_id: 1\n');
+        assert.ok(hexo.log.messages.some(message => message.level === 'error' && message.message.includes('未保存')));
+    } finally {
+        cleanup(hexo);
+    }
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const PathAnalyzer = require('../path-analyzer');
+
+/**
+ * 按目录树列出内容的存储
+ * @param {object} tree - 目录树，文件的值为大小
+ */
+function treeStorage(tree) {
+    return {
+        async listDirectory(dirPath) {
+            const node = dirPath.split('/').filter(Boolean).reduce((current, part) => current && current[part], tree);
+            return Object.entries(node || {}).map(([name, value]) => ({ name, is_dir: typeof value === 'object', size: 0 }));
+        }
+    };
+}
+
+test('analyzePath: 花絮、预告片归入所在目录的 extras，Other 目录不作为内容分析', async () => {
+    const storage = treeStorage({
+        Mixed: {
+            Inception: {
+                'Inception.2010.mkv': 1,
+                'Inception.2010-featurette.mkv': 1,
+                Trailers: { 'Inception.Official.Trailer.mp4': 1 }
+            },
+            Other: {
+                'Random.Clip.2015.mkv': 1
+            }
+        }
+    });
+
+    const analysis = await new PathAnalyzer().analyzePath(storage, '/Mixed');
+    const inception = analysis.pathMap.get('/Mixed/Inception');
+
+    assert.deepStrictEqual(inception.videoFiles.map(file => file.path), ['/Mixed/Inception/Inception.2010.mkv']);
+    assert.deepStrictEqual(inception.extras.map(file => [file.extra, file.path]), [
+        ['featurette', '/Mixed/Inception/Inception.2010-featurette.mkv'],
+        ['trailer', '/Mixed/Inception/Trailers/Inception.Official.Trailer.mp4']
+    ]);
+    assert.deepStrictEqual([...analysis.pathMap.keys()].sort(), ['/Mixed', '/Mixed/Inception']);
+});
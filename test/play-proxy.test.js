@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const PlayProxy = require('../play-proxy');
+
+const log = { info() { }, debug() { }, warn() { }, error() { } };
+const VIDEO_URL = 'http://alist.test/d/Movies/Inception/Inception.2010.mkv?sign=abc';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alist-movie-proxy-'));
+const moviesPath = path.join(tempDir, 'movies.json');
+let proxy;
+
+/**
+ * 请求代理（不跟随重定向）
+ * @param {string} pathname - 请求路径
+ * @returns {Promise<{status: number, headers: object, body: string}>}
+ */
+function request(pathname) {
+    return new Promise((resolve, reject) => {
+        http.get(`${proxy.options.url}${pathname}`, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+before(async () => {
+    fs.writeFileSync(moviesPath, JSON.stringify({
+        movies: [
+            { id: '27205', sources: [{ url: VIDEO_URL }] },
+            { id: 'old', removed_at: '2024-01-01', files: [{ url: 'http://alist.test/d/Old.mkv' }] }
+        ]
+    }));
+    const options = PlayProxy.getConfig({ enable: true, secret: 'proxy-secret', rate_limit: 3, ttl: 60 });
+    proxy = new PlayProxy({ ...options, host: '127.0.0.1', port: 0, moviesPath }, log);
+    const server = await proxy.start();
+    proxy.options.url = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+    await proxy.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('proxyMovie: 播放地址替换为带扩展名的文件 ID，删除签名、其他地址和存储中的本地图片', () => {
+    const movie = {
+        title: '盗梦空间',
+        poster_path: 'http://alist.test/d/Movies/Inception/poster.jpg?sign=ghi',
+        backdrop_path: '/tmdb-backdrop.jpg',
+        files: [{ name: 'Inception.2010.mkv', path: '/Movies/Inception/Inception.2010.mkv', sign: 'abc', download_url: VIDEO_URL }],
+        sources: [{ url: VIDEO_URL, subtitles: [{ url: 'http://alist.test/d/Movies/Inception/Inception.zh.srt?sign=def' }] }]
+    };
+    const proxied = PlayProxy.proxyMovie(movie, 'proxy-secret');
+
+    assert.ok(!JSON.stringify(proxied).includes('alist.test'));
+    assert.deepStrictEqual(Object.keys(proxied.files[0]), ['name', 'path']);
+    assert.ok(!('poster_path' in proxied));
+    assert.strictEqual(proxied.backdrop_path, '/tmdb-backdrop.jpg');
+    assert.match(proxied.sources[0].url, /^proxy:[\w-]{22}\.mkv$/);
+    assert.match(proxied.sources[0].subtitles[0].url, /^proxy:[\w-]{22}\.srt$/);
+    // 签名变化不影响文件 ID
+    assert.strictEqual(PlayProxy.createFileId('proxy-secret', VIDEO_URL), PlayProxy.createFileId('proxy-secret', VIDEO_URL.replace('abc', 'xyz')));
+});
+
+test('/link 与 /play: 换取签名链接后重定向到播放地址，过期或篡改的链接被拒绝', async () => {
+    const fileId = PlayProxy.createFileId('proxy-secret', VIDEO_URL);
+
+    const link = await request(`/link/${fileId}`);
+    assert.strictEqual(link.status, 200);
+    assert.strictEqual(link.headers['access-control-allow-origin'], '*');
+    const { url } = JSON.parse(link.body);
+
+    const play = await request(url.slice(proxy.options.url.length));
+    assert.deepStrictEqual([play.status, play.headers.location], [302, VIDEO_URL]);
+
+    const expired = proxy.createLink(fileId, Date.now() - 120 * 1000).url;
+    assert.strictEqual((await request(expired.slice(proxy.options.url.length))).status, 403);
+    assert.strictEqual((await request(url.slice(proxy.options.url.length).replace(/signature=.{4}/, 'signature=abcd'))).status, 403);
+
+    // 已归档条目的文件不可播放
+    assert.strictEqual((await request(`/link/${PlayProxy.createFileId('proxy-secret', 'http://alist.test/d/Old.mkv')}`)).status, 404);
+});
+
+test('allowRequest: 每个 IP 每分钟最多 rate_limit 次', () => {
+    const now = Date.now();
+    assert.deepStrictEqual([1, 2, 3, 4].map(() => proxy.allowRequest('10.0.0.1', now)), [true, true, true, false]);
+    assert.strictEqual(proxy.allowRequest('10.0.0.2', now), true);
+    assert.strictEqual(proxy.allowRequest('10.0.0.1', now + 61 * 1000), true);
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockServer = require('./helpers/mock-server');
+const AlistAPI = require('../alist-api');
+const ScanSnapshot = require('../scan-snapshot');
+
+// 模拟服务器中所有目录的修改时间都不变，相当于不更新目录修改时间的存储
+const server = new MockServer({
+    tree: {
+        TV: {
+            Show: {
+                'Season 1': { 'Show.S01E01.mkv': 1000 }
+            },
+            Other: { 'Other.S01E01.mkv': 1000 }
+        }
+    },
+    tmdb: {}
+});
+
+let cacheDir;
+before(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alist-movie-snapshot-'));
+    await server.start();
+});
+after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    return server.close();
+});
+
+const log = { info: () => { }, debug: () => { }, warn: () => { }, error: () => { } };
+
+/**
+ * 使用增量扫描快照扫描 /TV
+ * @returns {Promise<{files: string[], snapshot: ScanSnapshot}>}
+ */
+async function scan() {
+    const snapshot = new ScanSnapshot(path.join(cacheDir, 'snapshot.json'), log, {});
+    const alist = new AlistAPI({ url: server.url, username: 'admin', password: 'password' }, log, { snapshot });
+    const files = await alist.getAllVideoFiles([{ path: '/TV', type: 'tv' }]);
+    snapshot.save();
+    return { files: files.map(file => file.path).sort(), snapshot };
+}
+
+test('增量扫描：修改时间未变化的目录复用快照，其子目录仍重新获取', async () => {
+    const first = await scan();
+    assert.ok(first.snapshot.fullScan);
+    assert.deepStrictEqual(first.files, ['/TV/Other/Other.S01E01.mkv', '/TV/Show/Season 1/Show.S01E01.mkv']);
+
+    // 两级以下的目录新增文件，上级目录的修改时间不变
+    server.tree.TV.Show['Season 1']['Show.S01E02.mkv'] = 1000;
+
+    const second = await scan();
+    assert.ok(!second.snapshot.fullScan);
+    assert.deepStrictEqual(second.files, [
+        '/TV/Other/Other.S01E01.mkv',
+        '/TV/Show/Season 1/Show.S01E01.mkv',
+        '/TV/Show/Season 1/Show.S01E02.mkv'
+    ]);
+    // /TV 总是重新获取，Show 和 Other 复用快照，Season 1 重新获取
+    assert.deepStrictEqual([second.snapshot.stats.listed, second.snapshot.stats.reused], [2, 2]);
+    assert.deepStrictEqual(second.snapshot.getChanges().added, ['/TV/Show/Season 1/Show.S01E02.mkv']);
+});
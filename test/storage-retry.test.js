@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const MockServer = require('./helpers/mock-server');
+const AlistAPI = require('../alist-api');
+const StorageManager = require('../storage-manager');
+const StorageProvider = require('../storage-provider');
+
+const server = new MockServer({
+    tree: {
+        Movies: {
+            A: { 'a.mkv': 1000 },
+            B: { 'b.mkv': 1000 },
+            Empty: {}
+        }
+    },
+    tmdb: {}
+});
+
+before(() => server.start());
+after(() => server.close());
+beforeEach(() => server.failures.clear());
+
+/**
+ * 记录日志的 log 对象
+ */
+function createLog() {
+    const messages = [];
+    const record = level => (...args) => messages.push({ level, message: args.join(' ') });
+    return { messages, info: record('info'), debug: record('debug'), warn: record('warn'), error: record('error') };
+}
+
+function createAlist(log, scan = {}) {
+    return new AlistAPI(
+        { url: server.url, username: 'admin', password: 'password' },
+        log,
+        { scan: StorageProvider.getScanOptions({ retry_delay: 0, ...scan }) }
+    );
+}
+
+const names = files => files.map(file => file.name).sort();
+
+test('getScanOptions: 默认重试 3 次、keep_previous，忽略无效配置', () => {
+    assert.deepStrictEqual(StorageProvider.getScanOptions(), { retries: 3, retry_delay: 1000, on_failure: 'keep_previous', concurrency: 4 });
+    assert.deepStrictEqual(StorageProvider.getScanOptions({ retries: -1, retry_delay: '5', on_failure: 'skip', concurrency: 0 }),
+        { retries: 3, retry_delay: 1000, on_failure: 'keep_previous', concurrency: 4 });
+    assert.deepStrictEqual(StorageProvider.getScanOptions({ retries: 0, retry_delay: 0, on_failure: 'abort', concurrency: 8 }),
+        { retries: 0, retry_delay: 0, on_failure: 'abort', concurrency: 8 });
+});
+
+test('扫描途中 token 过期：重新登录一次后继续扫描', async () => {
+    const log = createLog();
+    const alist = createAlist(log);
+    await alist.connect();
+    server.expireToken();
+
+    const loginsBefore = server.requests.filter(request => request === 'POST /api/auth/login').length;
+    const files = await alist.getAllVideoFiles([{ path: '/Movies', type: 'movie' }]);
+
+    assert.deepStrictEqual(names(files), ['a.mkv', 'b.mkv']);
+    assert.strictEqual(server.requests.filter(request => request === 'POST /api/auth/login').length, loginsBefore + 1);
+    assert.deepStrictEqual(alist.failedPaths, []);
+});
+
+test('HTTP 429 / 5xx：指数退避重试后成功', async () => {
+    const log = createLog();
+    const alist = createAlist(log);
+    server.failList('/Movies/A', { status: 429, headers: { 'Retry-After': '0' } }, 1);
+    server.failList('/Movies/B', { status: 503 }, 2);
+
+    const files = await alist.getAllVideoFiles([{ path: '/Movies', type: 'movie' }]);
+
+    assert.deepStrictEqual(names(files), ['a.mkv', 'b.mkv']);
+    assert.strictEqual(log.messages.filter(message => message.level === 'warn' && message.message.includes('后重试')).length, 3);
+    assert.deepStrictEqual(alist.failedPaths, []);
+});
+
+test('重试次数用完：记录为列出失败，与空目录和不存在的目录区分', async () => {
+    const log = createLog();
+    const alist = createAlist(log, { retries: 1 });
+    server.failList('/Movies/B', { code: 500, message: 'internal error' }, 2);
+
+    const files = await alist.getAllVideoFiles([{ path: '/Movies', type: 'movie' }, { path: '/Missing', type: 'movie' }]);
+
+    assert.deepStrictEqual(names(files), ['a.mkv']);
+    assert.strictEqual(server.failures.get('/Movies/B').remaining, 0, '应请求 1 + retries 次');
+    assert.deepStrictEqual([...alist.failedPaths].sort(), ['/Missing', '/Movies/B']);
+    assert.ok(!alist.isFailed('/Movies/Empty'));
+    assert.ok(log.messages.some(message => message.level === 'warn' && message.message.includes('/Movies/Empty 为空')));
+    // object not found 不重试
+    assert.ok(!log.messages.some(message => message.message.includes('后重试') && message.message.includes('/Missing')));
+});
+
+test('applyFailurePolicy: abort 终止构建，keep_previous 返回失败的目录，continue 按空目录处理', async () => {
+    const scan = async onFailure => {
+        const storage = new StorageManager({
+            alist: { url: server.url, username: 'admin', password: 'password' },
+            scan: { retries: 0, on_failure: onFailure }
+        }, createLog());
+        server.failList('/Movies/B', { status: 502 }, 1);
+        await storage.getAllVideoFiles([{ path: '/Movies', type: 'movie' }]);
+        return storage;
+    };
+
+    const aborted = await scan('abort');
+    assert.throws(() => aborted.applyFailurePolicy(), error => error.abortBuild === true && error.message.includes('/Movies/B'));
+
+    assert.deepStrictEqual((await scan('keep_previous')).applyFailurePolicy(), ['/Movies/B']);
+    assert.deepStrictEqual((await scan('continue')).applyFailurePolicy(), []);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createLimiter, mapLimit, createRateLimiter } = require('../task-pool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapLimit: 同时执行的任务数不超过限制，结果按原顺序返回', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const results = await mapLimit([30, 5, 20, 1, 10, 2], 3, async (delay, index) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(delay);
+        active--;
+        return `${index}:${delay}`;
+    });
+
+    assert.strictEqual(maxActive, 3);
+    assert.deepStrictEqual(results, ['0:30', '1:5', '2:20', '3:1', '4:10', '5:2']);
+});
+
+test('createLimiter: 任务失败不影响后续任务，无效的并发数按 1 处理', async () => {
+    const limit = createLimiter(0);
+    const order = [];
+    const failed = limit(async () => {
+        order.push('a');
+        throw new Error('boom');
+    });
+    const succeeded = limit(async () => {
+        order.push('b');
+        return 'ok';
+    });
+
+    await assert.rejects(failed, /boom/);
+    assert.strictEqual(await succeeded, 'ok');
+    assert.deepStrictEqual(order, ['a', 'b']);
+});
+
+test('createRateLimiter: 每个时间窗口内最多开始 requests 个请求，pause 暂停发出新请求', async () => {
+    const limiter = createRateLimiter({ concurrency: 10, requests: 2, interval: 100 });
+    const startedAt = [];
+    const begin = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => limiter.schedule(async () => startedAt.push(Date.now() - begin))));
+
+    assert.ok(startedAt[1] < 50, '前两个请求立即开始');
+    assert.ok(startedAt[2] >= 95 && startedAt[3] >= 95, '之后的请求等待下一个时间窗口');
+
+    const unlimited = createRateLimiter({ requests: 0 });
+    unlimited.pause(80);
+    const pausedAt = Date.now();
+    await unlimited.schedule(async () => { });
+    assert.ok(Date.now() - pausedAt >= 75);
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const MockServer = require('./helpers/mock-server');
+const TMDbAPI = require('../tmdb-api');
+
+const server = new MockServer({
+    tree: {},
+    tmdb: require('./fixtures/tmdb.json')
+});
+const log = { info() { }, debug() { }, warn() { }, error() { } };
+let tmdbAPI;
+
+before(async () => {
+    await server.start();
+    tmdbAPI = new TMDbAPI('test-token', log, 'zh-CN', null, { apiUrl: server.tmdbUrl });
+});
+after(() => server.close());
+
+test('getMediaDetails: 文件名中的年份区分同名的翻拍作品', async () => {
+    const classic = await tmdbAPI.getMediaDetails('The Lion King', 'The.Lion.King.1994.1080p.BluRay.mkv', 'movie');
+    const remake = await tmdbAPI.getMediaDetails('The Lion King', 'The.Lion.King.2019.2160p.WEB-DL.mkv', 'movie');
+    assert.deepStrictEqual([classic.id, remake.id], [8587, 420818]);
+
+    // 指定的年份优先于文件名
+    const explicit = await tmdbAPI.getMediaDetails('The Lion King', null, 'movie', { year: 1994 });
+    assert.strictEqual(explicit.id, 8587);
+});
+
+test('getMediaDetails: 没有年份时选择更热门的结果', async () => {
+    const result = await tmdbAPI.getMediaDetails('The Lion King', 'The.Lion.King.mkv', 'movie');
+    assert.strictEqual(result.id, 420818);
+});
+
+test('getMediaDetails: 括号中的年份不当作 TMDb ID', async () => {
+    const result = await tmdbAPI.getMediaDetails('The Lion King (1994)', null, 'movie');
+    assert.strictEqual(result.id, 8587);
+    assert.deepStrictEqual(tmdbAPI._extractTmdbId('The Lion King (1994) (8587)'), { title: 'The Lion King', tmdbId: 8587 });
+    assert.deepStrictEqual(tmdbAPI._extractTmdbId('Ratatouille (2062)'), { title: 'Ratatouille', tmdbId: 2062 });
+});
+
+test('searchMovie / searchTv: 按年份搜索，年份不一致时不带年份重新搜索', async () => {
+    assert.strictEqual((await tmdbAPI.searchMovie('The Lion King', { year: 1994 })).id, 8587);
+    assert.strictEqual((await tmdbAPI.searchMovie('The Lion King', { year: 2019 })).id, 420818);
+    assert.strictEqual((await tmdbAPI.searchMovie('Inception', { year: 2011 })).id, 27205);
+    assert.strictEqual((await tmdbAPI.searchTv('Breaking Bad', { year: 2008 })).id, 1396);
+});
+
+test('searchMulti: 年份一致的结果排在前面', async () => {
+    const { results } = await tmdbAPI.searchMulti('The Lion King', { year: 1994 });
+    assert.deepStrictEqual(results.map(item => item.id), [8587, 420818]);
+});
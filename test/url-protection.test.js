@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { getProtectionConfig, createProtector, decryptValue, protectMovie } = require('../url-protection');
+
+const movie = {
+    id: '27205',
+    title: '盗梦空间',
+    poster_path: 'http://nas/d/Movies/Inception/poster.jpg?sign=abc',
+    backdrop_path: '/tmdb-backdrop.jpg',
+    files: [{ name: 'Inception.mkv', path: '/Movies/Inception/Inception.mkv', sign: 'abc', download_url: 'http://nas/d/Movies/Inception/Inception.mkv?sign=abc' }],
+    sources: [{
+        source_name: 'Inception',
+        url: 'http://nas/d/Movies/Inception/Inception.mkv?sign=abc',
+        subtitles: [{ language: 'zh', url: 'http://nas/d/Movies/Inception/Inception.zh.srt?sign=def' }]
+    }]
+};
+
+test('getProtectionConfig: 未开启时返回 null，密码可以来自环境变量', () => {
+    assert.strictEqual(getProtectionConfig(undefined), null);
+    assert.strictEqual(getProtectionConfig({ enable: false, password: 'secret' }), null);
+    assert.deepStrictEqual(getProtectionConfig({ enable: true, password: 'secret', iterations: 1000 }), { password: 'secret', iterations: 1000 });
+
+    process.env.ALIST_MOVIE_PASSWORD = 'from-env';
+    try {
+        assert.strictEqual(getProtectionConfig({ enable: true }).password, 'from-env');
+    } finally {
+        delete process.env.ALIST_MOVIE_PASSWORD;
+    }
+    assert.strictEqual(getProtectionConfig({ enable: true }).password, '');
+});
+
+test('protectMovie: 加密地址、签名和本地图片，其余字段保持不变', () => {
+    const protector = createProtector('secret', 1000);
+    const protectedMovie = protectMovie(movie, protector);
+    const serialized = JSON.stringify(protectedMovie);
+
+    assert.ok(!serialized.includes('sign=') && !serialized.includes('"abc"'), '不应包含明文地址或签名');
+    assert.deepStrictEqual([protectedMovie.title, protectedMovie.backdrop_path, protectedMovie.files[0].path],
+        ['盗梦空间', '/tmdb-backdrop.jpg', '/Movies/Inception/Inception.mkv']);
+    assert.ok(protectedMovie.sources[0].subtitles[0].url.startsWith('enc:'));
+    assert.strictEqual(movie.sources[0].url.startsWith('http'), true, '不修改原条目');
+
+    assert.strictEqual(decryptValue(protectedMovie.sources[0].url, 'secret', protector), movie.sources[0].url);
+    assert.strictEqual(decryptValue(protectedMovie.poster_path, 'secret', protector), movie.poster_path);
+    assert.strictEqual(decryptValue(protector.check, 'wrong', protector), null);
+});
@@ -1,30 +1,209 @@
 const axios = require('axios');
+const { parseFileName, extractTmdbId } = require('./filename-parser');
+const { createRateLimiter } = require('./task-pool');
+
+const DEFAULT_LANGUAGE = 'zh-CN';
+
+const DEFAULT_API_URL = 'https://api.themoviedb.org/3';
+
+// 回退链中表示影片原始语言的特殊值
+const ORIGINAL_LANGUAGE = 'original';
+
+// TMDb 未翻译时返回的占位剧集标题（如 "Episode 3"、"第 3 集"）
+const PLACEHOLDER_EPISODE_NAME = /^(?:episode\s*\d+|第\s*\d+\s*[集话話])$/i;
+
+// TMDb 的请求频率限制约为每 10 秒 40 次
+const RATE_LIMIT_INTERVAL = 10000;
+const DEFAULT_RATE_LIMIT = 40;
+const DEFAULT_CONCURRENCY = 4;
+
+// 返回 429 时的最大重试次数
+const MAX_RATE_LIMIT_RETRIES = 3;
 
 class TMDbAPI {
-    constructor(token, log, language = 'zh-CN') {
+    /**
+     * @param {string} token - TMDb API Key
+     * @param {object} log - 日志对象
+     * @param {string} [language] - 元数据语言
+     * @param {TMDbCache} [cache] - 磁盘响应缓存
+     * @param {object} [options]
+     * @param {string[]} [options.fallbackLanguages] - 回退语言（按顺序），'original' 表示原始语言
+     * @param {string[]} [options.extraLanguages] - 额外保存到条目 translations 中的语言
+     * @param {string} [options.apiUrl] - TMDb 接口地址（反向代理或本地测试服务器）
+     * @param {number} [options.concurrency] - 同时进行的查询数
+     * @param {number} [options.rateLimit] - 每 10 秒最多发出的请求数，0 表示不限制
+     */
+    constructor(token, log, language = DEFAULT_LANGUAGE, cache = null, options = {}) {
         this.token = token;
         this.log = log;
         this.language = language;
+        this.fallbackLanguages = options.fallbackLanguages || [];
+        this.extraLanguages = options.extraLanguages || [];
         this.api = axios.create({
-            baseURL: 'https://api.themoviedb.org/3',
+            baseURL: (options.apiUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
         });
+
+        // 同时处理的条目数（见 index.js / smart-index.js 中的 mapLimit），网络请求另外按频率限制排队
+        this.concurrency = Number.isInteger(options.concurrency) && options.concurrency > 0 ? options.concurrency : DEFAULT_CONCURRENCY;
+        this.limiter = createRateLimiter({
+            concurrency: this.concurrency,
+            requests: Number.isInteger(options.rateLimit) && options.rateLimit >= 0 ? options.rateLimit : DEFAULT_RATE_LIMIT,
+            interval: RATE_LIMIT_INTERVAL
+        });
+
+        // 磁盘响应缓存（TMDbCache 实例，为空时直接请求网络）
+        this.cache = cache;
         
         // 缓存影片类型和流派信息
         this.genreCache = {
             movie: null,
             tv: null
         };
+        // 回退语言和额外语言的流派列表（键为 "mediaType:language"）
+        this.localizedGenres = new Map();
         this.initialized = false;
+        this.initializePromise = null;
+    }
+
+    /**
+     * 读取元数据语言配置（alist_movie_generator.tmdb）
+     * @param {object} config - 插件配置
+     * @returns {{language: string, fallbackLanguages: string[], extraLanguages: string[]}}
+     */
+    static getLanguageOptions(config) {
+        const tmdb = (config && config.tmdb) || {};
+        const toList = value => (Array.isArray(value) ? value : (value ? [value] : [])).map(String).filter(Boolean);
+        const language = tmdb.language || DEFAULT_LANGUAGE;
+
+        return {
+            language,
+            fallbackLanguages: [...new Set(toList(tmdb.fallback_languages))].filter(code => code !== language),
+            extraLanguages: [...new Set(toList(tmdb.extra_languages))].filter(code => code !== language && code !== ORIGINAL_LANGUAGE)
+        };
+    }
+
+    /**
+     * 根据 Hexo 配置创建实例（使用配置中的元数据语言）
+     * @param {Object} hexo - Hexo 实例
+     * @param {TMDbCache} [cache] - 磁盘响应缓存
+     * @returns {TMDbAPI}
+     */
+    static fromHexo(hexo, cache = null) {
+        const config = hexo.config.alist_movie_generator || {};
+        const tmdb = config.tmdb || {};
+        const { language, ...options } = TMDbAPI.getLanguageOptions(config);
+        return new TMDbAPI(config.tmdb_token, hexo.log, language, cache, {
+            ...options,
+            apiUrl: tmdb.api_url,
+            concurrency: tmdb.concurrency,
+            rateLimit: tmdb.rate_limit
+        });
+    }
+
+    /**
+     * 发送网络请求（按频率限制排队，返回 429 时按 Retry-After 暂停后重试）
+     * @param {string} url - 接口路径
+     * @param {object} config - axios 请求配置
+     * @returns {Promise<{data: object}>}
+     */
+    async _get(url, config = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.limiter.schedule(() => this.api.get(url, config));
+            } catch (error) {
+                if (!error.response || error.response.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+                    throw error;
+                }
+                const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+                const delay = Number.isInteger(retryAfter) ? retryAfter * 1000 : RATE_LIMIT_INTERVAL;
+                this.log.warn(`TMDb 请求过于频繁，${delay}ms 后重试: ${url}`);
+                this.limiter.pause(delay);
+            }
+        }
+    }
+
+    /**
+     * 发送 GET 请求（优先使用磁盘缓存）
+     * 返回值与 axios 响应一致，只保证包含 data 字段
+     * @param {string} url - 接口路径
+     * @param {object} config - axios 请求配置
+     * @returns {Promise<{data: object}>}
+     */
+    async _request(url, config = {}) {
+        if (!this.cache) {
+            return this._get(url, config);
+        }
+
+        const params = config.params || {};
+        const cached = this.cache.get(url, params);
+        if (cached) {
+            return this._fromCacheEntry(url, cached);
+        }
+
+        if (this.cache.cacheOnly) {
+            const error = new Error(`仅缓存模式下未找到缓存: ${url}`);
+            error.cacheMiss = true;
+            throw error;
+        }
+
+        try {
+            const response = await this._get(url, config);
+            this.cache.set(url, params, response.data);
+            return response;
+
+        } catch (error) {
+            // 404 结果同样缓存，避免每次构建都重复查询不存在的条目
+            if (error.response && error.response.status === 404) {
+                this.cache.set(url, params, error.response.data, 404);
+                throw error;
+            }
+
+            // 网络异常时回退到过期缓存
+            const stale = this.cache.get(url, params, { allowStale: true });
+            if (stale) {
+                this.log.warn(`TMDb 请求失败，使用过期缓存: ${url} (${error.message})`);
+                return this._fromCacheEntry(url, stale);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 将缓存条目还原为响应对象，缓存的 404 结果以错误形式抛出
+     * @param {string} url - 接口路径
+     * @param {object} entry - 缓存条目
+     * @returns {{data: object}}
+     */
+    _fromCacheEntry(url, entry) {
+        if (entry.status === 404) {
+            const error = new Error(`Request failed with status code 404 (cached): ${url}`);
+            error.response = { status: 404, data: entry.data };
+            throw error;
+        }
+        return { data: entry.data, cached: true };
     }
 
     /**
-     * 初始化并缓存影片类型信息
+     * 初始化并缓存影片类型信息（并发查询时只初始化一次）
      * @param {number} retries - 重试次数
      * @returns {Promise<void>}
      */
     async initialize(retries = 2) {
         if (this.initialized) return;
-        
+
+        if (!this.initializePromise) {
+            this.initializePromise = this._initialize(retries).finally(() => {
+                this.initializePromise = null;
+            });
+        }
+        return this.initializePromise;
+    }
+
+    /**
+     * @param {number} retries - 重试次数
+     * @returns {Promise<void>}
+     */
+    async _initialize(retries) {
         try {
             this.log.info('正在初始化 TMDb API 并缓存影片类型信息...');
             
@@ -32,7 +211,7 @@ class TMDbAPI {
             const timeout = 10000; // 10秒超时
             
             // 获取电影类型
-            const movieGenresResponse = await this.api.get('/genre/movie/list', {
+            const movieGenresResponse = await this._request('/genre/movie/list', {
                 params: {
                     api_key: this.token,
                     language: this.language,
@@ -41,7 +220,7 @@ class TMDbAPI {
             });
             
             // 获取电视剧类型
-            const tvGenresResponse = await this.api.get('/genre/tv/list', {
+            const tvGenresResponse = await this._request('/genre/tv/list', {
                 params: {
                     api_key: this.token,
                     language: this.language,
@@ -58,10 +237,10 @@ class TMDbAPI {
         } catch (error) {
             this.log.warn(`初始化 TMDb API 失败: ${error.message}`);
             
-            if (retries > 0) {
+            if (retries > 0 && !error.cacheMiss) {
                 this.log.info(`正在重试初始化... (剩余重试次数: ${retries})`);
                 await new Promise(resolve => setTimeout(resolve, 2000)); // 等待2秒后重试
-                return this.initialize(retries - 1);
+                return this._initialize(retries - 1);
             } else {
                 this.log.warn('TMDb API 初始化失败，将使用降级模式（无流派信息）');
                 // 设置空的流派缓存，允许插件继续运行
@@ -87,6 +266,223 @@ class TMDbAPI {
         });
     }
 
+    /**
+     * 是否需要按语言回退链补全元数据（未配置回退语言和额外语言时不发送额外请求）
+     * @returns {boolean}
+     */
+    get hasLanguageFallback() {
+        return this.fallbackLanguages.length > 0 || this.extraLanguages.length > 0;
+    }
+
+    /**
+     * 获取某一语言的回退链：该语言 → 主语言 → 回退语言，'original' 替换为影片原始语言
+     * @param {string} language - 语言代码
+     * @param {string} [originalLanguage] - 影片原始语言（如 ja）
+     * @returns {string[]}
+     */
+    getLanguageChain(language, originalLanguage) {
+        const chain = [language, this.language, ...this.fallbackLanguages]
+            .map(code => (code === ORIGINAL_LANGUAGE ? originalLanguage : code))
+            .filter(Boolean);
+        return [...new Set(chain)];
+    }
+
+    /**
+     * 获取电影或电视剧的全部翻译（标题、简介、宣传语）
+     * @param {number} tmdbId - TMDb ID
+     * @param {string} mediaType - 'movie' 或 'tv'
+     * @returns {Promise<Array>} TMDb translations 列表，失败时返回空数组
+     */
+    async getTranslations(tmdbId, mediaType) {
+        try {
+            const response = await this._request(`/${mediaType}/${tmdbId}/translations`, {
+                params: {
+                    api_key: this.token
+                },
+                timeout: 15000
+            });
+            return response.data.translations || [];
+        } catch (error) {
+            this.log.warn(`获取翻译失败 (${mediaType}/${tmdbId}): ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 从翻译列表中读取指定语言的字段，优先匹配地区（zh-CN），其次同语言的其他地区
+     * @param {Array} translations - TMDb translations 列表
+     * @param {string} code - 语言代码（zh-CN 或 ja）
+     * @param {string} field - 字段名（title / name / overview / tagline）
+     * @returns {string}
+     */
+    _getTranslatedField(translations, code, field) {
+        const [language, region] = code.split('-');
+        const candidates = translations
+            .filter(translation => translation.iso_639_1 === language)
+            .sort((a, b) => (b.iso_3166_1 === region) - (a.iso_3166_1 === region));
+
+        for (const translation of candidates) {
+            const value = this._cleanText(translation.data && translation.data[field]);
+            if (value && value.trim()) {
+                return value;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * 获取指定语言的流派列表（主语言使用初始化时缓存的列表）
+     * @param {string} mediaType - 'movie' 或 'tv'
+     * @param {string} language - 语言代码
+     * @returns {Promise<Array>}
+     */
+    async _getGenreList(mediaType, language) {
+        if (language === this.language && this.genreCache[mediaType]) {
+            return this.genreCache[mediaType];
+        }
+
+        const key = `${mediaType}:${language}`;
+        if (!this.localizedGenres.has(key)) {
+            try {
+                const response = await this._request(`/genre/${mediaType}/list`, {
+                    params: {
+                        api_key: this.token,
+                        language: language,
+                    },
+                    timeout: 10000
+                });
+                this.localizedGenres.set(key, response.data.genres || []);
+            } catch (error) {
+                this.log.warn(`获取流派列表失败 (${mediaType}, ${language}): ${error.message}`);
+                this.localizedGenres.set(key, []);
+            }
+        }
+        return this.localizedGenres.get(key);
+    }
+
+    /**
+     * 按回退链解析某一语言的标题、简介、宣传语和流派
+     * 标题找不到任何翻译时使用原始标题
+     * @param {object} result - 媒体详情（主语言）
+     * @param {Array} translations - TMDb translations 列表
+     * @param {string} language - 目标语言
+     * @returns {Promise<{title: string, overview: string, tagline: string, genre_names: string[]}>}
+     */
+    async _resolveLanguage(result, translations, language) {
+        const mediaType = result.media_type;
+        const originalLanguage = result.original_language;
+        const originalTitle = mediaType === 'tv' ? result.original_name : result.original_title;
+        const chain = this.getLanguageChain(language, originalLanguage);
+
+        const pick = field => {
+            for (const code of chain) {
+                const value = this._getTranslatedField(translations, code, field);
+                if (value) return value;
+                // 原始语言的翻译中标题通常为空，此时原始标题就是该语言的标题
+                if ((field === 'title' || field === 'name') && code.split('-')[0] === originalLanguage && originalTitle) {
+                    return originalTitle;
+                }
+            }
+            return '';
+        };
+
+        const genreIds = (result.genres || []).map(genre => genre.id);
+        const genreNames = [];
+        for (const [index, id] of genreIds.entries()) {
+            let name = '';
+            for (const code of chain) {
+                const genre = (await this._getGenreList(mediaType, code)).find(item => item.id === id);
+                if (genre && genre.name) {
+                    name = genre.name;
+                    break;
+                }
+            }
+            genreNames.push(name || (result.genre_names || [])[index] || `未知类型(${id})`);
+        }
+
+        return {
+            title: pick(mediaType === 'tv' ? 'name' : 'title') || originalTitle || result.title,
+            overview: pick('overview') || result.overview || '',
+            tagline: pick('tagline') || result.tagline || '',
+            genre_names: genreIds.length > 0 ? genreNames : (result.genre_names || [])
+        };
+    }
+
+    /**
+     * 按语言回退链补全媒体详情的标题、简介、宣传语和流派；
+     * 配置 extra_languages 时在 translations 中保存各语言版本，前端无需重新构建即可切换语言
+     * @param {object|null} result - 媒体详情
+     * @returns {Promise<object|null>}
+     */
+    async _applyLanguageFallback(result) {
+        if (!result || !result.id || !this.hasLanguageFallback) {
+            return result;
+        }
+        if (result.media_type !== 'movie' && result.media_type !== 'tv') {
+            return result;
+        }
+
+        const translations = await this.getTranslations(result.id, result.media_type);
+        if (translations.length === 0) {
+            return result;
+        }
+
+        const primary = await this._resolveLanguage(result, translations, this.language);
+        const localized = { ...result, ...primary, metadata_language: this.language };
+        if (result.media_type === 'tv') {
+            localized.name = primary.title;
+        }
+
+        if (this.extraLanguages.length > 0) {
+            localized.translations = { [this.language]: primary };
+            for (const language of this.extraLanguages) {
+                localized.translations[language] = await this._resolveLanguage(result, translations, language);
+            }
+        }
+
+        return localized;
+    }
+
+    /**
+     * 获取季详情，并用回退语言补全未翻译的剧集标题和简介
+     * @param {number} seriesId - 电视剧ID
+     * @param {number} seasonNumber - 季数
+     * @param {object} [options] - getTVSeasonDetails 选项
+     * @param {string} [originalLanguage] - 电视剧原始语言
+     * @returns {Promise<object|null>} 季详细信息
+     */
+    async getLocalizedSeasonDetails(seriesId, seasonNumber, options = {}, originalLanguage = null) {
+        const seasonDetails = await this.getTVSeasonDetails(seriesId, seasonNumber, options);
+        if (!seasonDetails || !seasonDetails.episodes || this.fallbackLanguages.length === 0) {
+            return seasonDetails;
+        }
+
+        const needsFallback = episode => !episode.overview || !episode.name || PLACEHOLDER_EPISODE_NAME.test(episode.name);
+        for (const code of this.getLanguageChain(this.language, originalLanguage).slice(1)) {
+            if (!seasonDetails.episodes.some(needsFallback)) break;
+
+            const fallback = await this.getTVSeasonDetails(seriesId, seasonNumber, { ...options, language: code });
+            if (!fallback || !fallback.episodes) continue;
+
+            const fallbackByNumber = new Map(fallback.episodes.map(episode => [episode.episode_number, episode]));
+            for (const episode of seasonDetails.episodes) {
+                const other = fallbackByNumber.get(episode.episode_number);
+                if (!other) continue;
+                if (!episode.overview && other.overview) {
+                    episode.overview = other.overview;
+                }
+                if ((!episode.name || PLACEHOLDER_EPISODE_NAME.test(episode.name)) && other.name && !PLACEHOLDER_EPISODE_NAME.test(other.name)) {
+                    episode.name = other.name;
+                }
+            }
+            if (!seasonDetails.overview && fallback.overview) {
+                seasonDetails.overview = fallback.overview;
+            }
+        }
+
+        return seasonDetails;
+    }
+
     /**
      * 获取电视剧详细信息
      * @param {number} seriesId - 电视剧ID
@@ -100,7 +496,7 @@ class TMDbAPI {
                 language = this.language
             } = options;
 
-            const response = await this.api.get(`/tv/${seriesId}`, {
+            const response = await this._request(`/tv/${seriesId}`, {
                 params: {
                     api_key: this.token,
                     language: language,
@@ -222,7 +618,7 @@ class TMDbAPI {
                 language = this.language
             } = options;
 
-            const response = await this.api.get(`/tv/${seriesId}/season/${seasonNumber}`, {
+            const response = await this._request(`/tv/${seriesId}/season/${seasonNumber}`, {
                 params: {
                     api_key: this.token,
                     language: language,
@@ -292,7 +688,7 @@ class TMDbAPI {
                 language = this.language
             } = options;
 
-            const response = await this.api.get(`/tv/${seriesId}/season/${seasonNumber}/episode/${episodeNumber}`, {
+            const response = await this._request(`/tv/${seriesId}/season/${seasonNumber}/episode/${episodeNumber}`, {
                 params: {
                     api_key: this.token,
                     language: language,
@@ -341,7 +737,7 @@ class TMDbAPI {
      */
     async getTVContentRatings(seriesId) {
         try {
-            const response = await this.api.get(`/tv/${seriesId}/content_ratings`, {
+            const response = await this._request(`/tv/${seriesId}/content_ratings`, {
                 params: {
                     api_key: this.token,
                 },
@@ -366,6 +762,52 @@ class TMDbAPI {
         }
     }
 
+    /**
+     * 获取电影各地区的分级（来自上映日期信息，优先使用院线上映的分级）
+     * @param {number} movieId - 电影ID
+     * @returns {Promise<object|null>} 内容分级信息，格式与 getTVContentRatings 相同
+     */
+    async getMovieContentRatings(movieId) {
+        try {
+            const response = await this._request(`/movie/${movieId}/release_dates`, {
+                params: {
+                    api_key: this.token,
+                },
+                timeout: 10000
+            });
+
+            const results = this._processReleaseDates(response.data);
+            return results ? { id: response.data.id, results } : null;
+
+        } catch (error) {
+            this.log.warn(`获取电影分级失败 (ID: ${movieId}): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 将电影的上映日期信息（/release_dates 或详情中的 append_to_response=release_dates）转换为各地区的分级
+     * @param {object} [releaseDates] - { results: [{ iso_3166_1, release_dates }] }
+     * @returns {Array|null}
+     */
+    _processReleaseDates(releaseDates) {
+        if (!releaseDates || !releaseDates.results) {
+            return null;
+        }
+
+        // 每个地区可能有多条上映记录（type 3 为院线上映），取第一个非空的分级
+        const ratings = releaseDates.results.map(country => {
+            const releases = [...(country.release_dates || [])]
+                .filter(release => release.certification && release.certification.trim())
+                .sort((a, b) => (a.type !== 3) - (b.type !== 3));
+            return releases.length > 0
+                ? { iso_3166_1: country.iso_3166_1, rating: releases[0].certification.trim() }
+                : null;
+        }).filter(Boolean);
+
+        return this._processContentRatings(ratings);
+    }
+
     /**
      * 处理内容分级信息
      * @param {Array} ratings - 原始分级数据
@@ -419,7 +861,11 @@ class TMDbAPI {
                 'TV-14': '不适合14岁以下观众',
                 'TV-MA': '仅限成人观看',
                 'NR': '未分级',
-                'R': '限制级'
+                'G': '普通级',
+                'PG': '建议家长指导',
+                'PG-13': '不适合13岁以下观众',
+                'R': '限制级',
+                'NC-17': '17岁以下禁止观看'
             },
             'CN': {
                 'G': '普通级',
@@ -489,6 +935,13 @@ class TMDbAPI {
         // 移除文件扩展名
         cleaned = cleaned.replace(/\.[^/.]+$/, '');
         
+        // 首选文件名解析器得到的标题和另一语言的标题
+        const parsed = parseFileName(fileName.split('/').pop());
+        candidates.push(parsed.title);
+        if (parsed.alternative_title) {
+            candidates.push(parsed.alternative_title);
+        }
+        
         // 第一步：提取原始标题（移除技术标识前）
         const originalTitle = this._extractOriginalTitle(cleaned);
         if (originalTitle && originalTitle.length > 1) {
@@ -614,19 +1067,20 @@ class TMDbAPI {
      * 智能多语言搜索 - 完全通用算法，无硬编码
      * @param {string[]} titleCandidates - 标题候选数组
      * @param {string} mediaType - 媒体类型
+     * @param {number|null} year - 文件名中的年份，用于区分同名的翻拍作品
      * @returns {Promise<object|null>} 搜索结果
      * @private
      */
-    async _smartMultiLanguageSearch(titleCandidates, mediaType = 'mixed') {
+    async _smartMultiLanguageSearch(titleCandidates, mediaType = 'mixed', year = null) {
         for (const candidate of titleCandidates) {
             try {
                 this.log.debug(`尝试搜索关键词: "${candidate}"`);
                 
                 // 1. 直接搜索原始关键词
-                let searchResult = await this.searchMulti(candidate);
+                let searchResult = await this.searchMulti(candidate, { year });
                 
                 if (searchResult && searchResult.results && searchResult.results.length > 0) {
-                    const result = this._selectBestResult(searchResult.results, mediaType);
+                    const result = this._selectBestResult(searchResult.results, mediaType, year);
                     if (result) {
                         this.log.info(`匹配到 ${result.media_type}: "${result.title || result.name}" (ID: ${result.id})`);
                         return result;
@@ -637,9 +1091,9 @@ class TMDbAPI {
                 const variations = this._generateSearchVariations(candidate);
                 
                 for (const variation of variations) {
-                    searchResult = await this.searchMulti(variation);
+                    searchResult = await this.searchMulti(variation, { year });
                     if (searchResult && searchResult.results && searchResult.results.length > 0) {
-                        const result = this._selectBestResult(searchResult.results, mediaType);
+                        const result = this._selectBestResult(searchResult.results, mediaType, year);
                         if (result) {
                             this.log.info(`匹配到 ${result.media_type}: "${result.title || result.name}" (ID: ${result.id}) [变体搜索: ${variation}]`);
                             return result;
@@ -705,10 +1159,11 @@ class TMDbAPI {
      * 选择最佳搜索结果
      * @param {Array} results - 搜索结果数组
      * @param {string} mediaType - 期望的媒体类型
+     * @param {number|null} year - 期望的年份，年份一致的结果优先于更热门的结果
      * @returns {object|null} 最佳结果
      * @private
      */
-    _selectBestResult(results, mediaType) {
+    _selectBestResult(results, mediaType, year = null) {
         if (!results || results.length === 0) return null;
         
         // 根据媒体类型筛选
@@ -731,13 +1186,38 @@ class TMDbAPI {
             return scoreB - scoreA;
         });
         
-        return filteredResults[0];
+        return this._rankByYear(filteredResults, year)[0];
+    }
+
+    /**
+     * 按年份接近程度排序：同一年优先，其次相差一年（上映与首映地区不同），同档内保持原顺序
+     * @param {Array} results - 搜索结果数组
+     * @param {number|null} year - 期望的年份，为空时不排序
+     * @returns {Array} 排序后的新数组
+     * @private
+     */
+    _rankByYear(results, year) {
+        if (!year) {
+            return results;
+        }
+
+        const rank = item => {
+            const itemYear = parseInt((item.release_date || item.first_air_date || '').slice(0, 4), 10);
+            if (!itemYear) return 2;
+            const distance = Math.abs(itemYear - year);
+            return distance === 0 ? 0 : (distance === 1 ? 1 : 2);
+        };
+        return results
+            .map((item, index) => ({ item, index, rank: rank(item) }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)
+            .map(entry => entry.item);
     }
 
     /**
      * 多媒体搜索 - 搜索电影、电视剧和人物
+     * TMDb 的 /search/multi 不支持按年份过滤，options.year 只用于结果排序
      * @param {string} query - 搜索关键词
-     * @param {object} options - 搜索选项
+     * @param {object} options - 搜索选项（include_adult、page、year）
      * @returns {Promise<object|null>} 搜索结果
      */
     async searchMulti(query, options = {}) {
@@ -754,7 +1234,7 @@ class TMDbAPI {
         } = options;
 
         try {
-            const response = await this.api.get('/search/multi', {
+            const response = await this._request('/search/multi', {
                 params: {
                     api_key: this.token,
                     query: query,
@@ -788,7 +1268,7 @@ class TMDbAPI {
 
             return {
                 page: response.data.page,
-                results: processedResults,
+                results: this._rankByYear(processedResults, options.year),
                 total_pages: response.data.total_pages,
                 total_results: response.data.total_results
             };
@@ -809,24 +1289,7 @@ class TMDbAPI {
      * @private
      */
     _extractTmdbId(name) {
-        // 先移除文件扩展名
-        const nameWithoutExt = name.replace(/\.[^/.]+$/, '');
-        
-        // 匹配格式：影片名称(数字) 或 影片名称（数字）
-        // 支持括号后可能有空格或其他字符
-        const tmdbIdPattern = /^(.+?)\s*[（(](\d+)[）)]\s*.*$/;
-        const match = nameWithoutExt.match(tmdbIdPattern);
-        
-        if (match) {
-            const title = match[1].trim();
-            const tmdbId = parseInt(match[2]);
-            
-            if (title && tmdbId > 0) {
-                return { title, tmdbId };
-            }
-        }
-        
-        return null;
+        return extractTmdbId(name);
     }
 
     /**
@@ -867,11 +1330,12 @@ class TMDbAPI {
                         return result;
                     }
                 } else {
-                    // 电影使用基础API
-                    const detailsResponse = await this.api.get(`/movie/${tmdbId}`, {
+                    // 电影使用基础API（分级随详情一起获取）
+                    const detailsResponse = await this._request(`/movie/${tmdbId}`, {
                         params: {
                             api_key: this.token,
                             language: this.language,
+                            append_to_response: 'release_dates'
                         },
                         timeout: 15000
                     });
@@ -882,14 +1346,20 @@ class TMDbAPI {
                     const result = {
                         id: details.id,
                         title: this._cleanText(details.title),
+                        original_title: this._cleanText(details.original_title),
+                        original_language: details.original_language,
                         overview: this._cleanText(details.overview),
+                        tagline: this._cleanText(details.tagline),
                         poster_path: details.poster_path,
                         release_date: details.release_date,
                         media_type: 'movie',
+                        genres: details.genres || [],
                         genre_names: this.getGenreNames('movie', details.genres?.map(g => g.id) || []),
                         vote_average: details.vote_average,
                         vote_count: details.vote_count,
                         popularity: details.popularity,
+                        adult: details.adult || false,
+                        content_ratings: this._processReleaseDates(details.release_dates),
                         from_tmdb_id: true // 标记这是通过TMDB ID直接获取的
                     };
                     
@@ -912,14 +1382,71 @@ class TMDbAPI {
         return null;
     }
 
+    /**
+     * 通过TMDB ID获取媒体详情（用于手动匹配）
+     * @param {number} tmdbId - TMDB ID
+     * @param {string} mediaType - 媒体类型 ('movie', 'tv', 'mixed')
+     * @returns {Promise<object|null>} 媒体详情或null
+     */
+    async getDetailsById(tmdbId, mediaType = 'mixed') {
+        return this._applyLanguageFallback(await this._getDetailsByTmdbId(tmdbId, mediaType));
+    }
+
+    /**
+     * 通过IMDb ID获取媒体详情（用于本地NFO）
+     * @param {string} imdbId - IMDb ID（如 tt1375666）
+     * @param {string} mediaType - 媒体类型 ('movie', 'tv', 'mixed')
+     * @returns {Promise<object|null>} 媒体详情或null
+     */
+    async getDetailsByImdbId(imdbId, mediaType = 'mixed') {
+        try {
+            const response = await this._request(`/find/${imdbId}`, {
+                params: {
+                    api_key: this.token,
+                    external_source: 'imdb_id'
+                },
+                timeout: 15000
+            });
+
+            const tryMediaTypes = mediaType === 'mixed' ? ['movie', 'tv'] : [mediaType];
+            for (const type of tryMediaTypes) {
+                const match = (response.data[`${type}_results`] || [])[0];
+                if (match) {
+                    this.log.info(`✓ IMDb ID ${imdbId} 对应TMDB ID ${match.id}`);
+                    return this.getDetailsById(match.id, type);
+                }
+            }
+
+            this.log.warn(`IMDb ID ${imdbId} 未找到匹配的媒体信息`);
+            return null;
+        } catch (error) {
+            this.log.error(`通过IMDb ID ${imdbId} 查找媒体失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 根据配置类型和名称获取媒体详情（已按语言回退链补全标题、简介等）
+     * @param {string} primaryName - 主要名称（文件夹名或文件名）
+     * @param {string} fallbackName - 回退名称
+     * @param {string} mediaType - 媒体类型 ('movie', 'tv', 'mixed')
+     * @param {object} options - 可选项：year 为年份，未指定时从名称中解析
+     * @returns {Promise<object|null>} 媒体详情或null
+     */
+    async getMediaDetails(primaryName, fallbackName = null, mediaType = 'mixed', options = {}) {
+        return this._applyLanguageFallback(await this._findMediaDetails(primaryName, fallbackName, mediaType, options));
+    }
+
     /**
      * 根据配置类型和名称获取媒体详情
      * @param {string} primaryName - 主要名称（文件夹名或文件名）
      * @param {string} fallbackName - 回退名称
      * @param {string} mediaType - 媒体类型 ('movie', 'tv', 'mixed')
+     * @param {object} options - 可选项：year 为年份，未指定时从名称中解析
      * @returns {Promise<object|null>} 媒体详情或null
+     * @private
      */
-    async getMediaDetails(primaryName, fallbackName = null, mediaType = 'mixed') {
+    async _findMediaDetails(primaryName, fallbackName = null, mediaType = 'mixed', options = {}) {
         // 优先级最高：检查是否包含TMDB ID格式
         const tmdbIdInfo = this._extractTmdbId(primaryName);
         if (tmdbIdInfo) {
@@ -985,8 +1512,13 @@ class TMDbAPI {
 
         this.log.debug(`生成的搜索候选: ${uniqueCandidates.join(', ')}`);
 
+        // 年份用于区分同名作品（如 1994 和 2019 年的《狮子王》）
+        const year = options.year
+            || parseFileName(primaryName.split('/').pop()).year
+            || (fallbackName ? parseFileName(fallbackName.split('/').pop()).year : null);
+
         // 使用智能多语言搜索
-        const selectedItem = await this._smartMultiLanguageSearch(uniqueCandidates, mediaType);
+        const selectedItem = await this._smartMultiLanguageSearch(uniqueCandidates, mediaType, year);
         
         if (!selectedItem) {
             this.log.warn(`TMDb 未找到匹配结果: ${uniqueCandidates.join(', ')} (来源: ${primaryName})`);
@@ -1078,15 +1610,16 @@ class TMDbAPI {
             // 电影或获取电视剧详细信息失败时的回退处理
             let detailsResponse;
             if (resultMediaType === 'movie') {
-                detailsResponse = await this.api.get(`/movie/${itemId}`, {
+                detailsResponse = await this._request(`/movie/${itemId}`, {
                     params: {
                         api_key: this.token,
                         language: this.language,
+                        append_to_response: 'release_dates'
                     },
                     timeout: 15000
                 });
             } else if (resultMediaType === 'tv') {
-                detailsResponse = await this.api.get(`/tv/${itemId}`, {
+                detailsResponse = await this._request(`/tv/${itemId}`, {
                     params: {
                         api_key: this.token,
                         language: this.language,
@@ -1100,7 +1633,7 @@ class TMDbAPI {
 
             const details = detailsResponse.data;
             
-            // 如果是电视剧，尝试获取内容分级
+            // 获取内容分级（电影来自详情中附带的各地区上映信息）
             let contentRatings = null;
             if (resultMediaType === 'tv') {
                 try {
@@ -1108,20 +1641,27 @@ class TMDbAPI {
                 } catch (error) {
                     this.log.warn(`获取内容分级失败: ${error.message}`);
                 }
+            } else {
+                contentRatings = { results: this._processReleaseDates(details.release_dates) };
             }
             
             // 统一返回格式，确保字符串正确编码
             return {
                 id: details.id,
                 title: this._cleanText(details.title || details.name),
+                original_title: this._cleanText(details.original_title || details.original_name),
+                original_language: details.original_language,
                 overview: this._cleanText(details.overview),
+                tagline: this._cleanText(details.tagline),
                 poster_path: details.poster_path,
                 release_date: details.release_date || details.first_air_date,
                 media_type: resultMediaType,
+                genres: details.genres || [],
                 genre_names: this.getGenreNames(resultMediaType, details.genres?.map(g => g.id) || []),
                 vote_average: details.vote_average,
                 vote_count: details.vote_count,
                 popularity: details.popularity,
+                adult: details.adult || false,
                 content_ratings: contentRatings?.results || null
             };
 
@@ -1134,7 +1674,7 @@ class TMDbAPI {
     /**
      * 专门搜索电影
      * @param {string} query - 搜索关键词
-     * @param {object} options - 搜索选项
+     * @param {object} options - 搜索选项（include_adult、page、year），year 作为 year 传给 TMDb
      * @returns {Promise<object|null>} 电影搜索结果
      */
     async searchMovie(query, options = {}) {
@@ -1147,30 +1687,37 @@ class TMDbAPI {
         
         const {
             include_adult = false,
-            page = 1
+            page = 1,
+            year = null
         } = options;
 
         try {
-            const response = await this.api.get('/search/movie', {
-                params: {
-                    api_key: this.token,
-                    query: query,
-                    include_adult: include_adult,
-                    language: this.language,
-                    page: page,
-                },
+            const params = {
+                api_key: this.token,
+                query: query,
+                include_adult: include_adult,
+                language: this.language,
+                page: page,
+            };
+            let response = await this._request('/search/movie', {
+                params: year ? { ...params, year: year } : params,
                 timeout: 15000
             });
 
+            // 文件名中的年份可能和 TMDb 记录的年份不一致，按年份找不到时不带年份重新搜索
+            if (year && (!response.data.results || response.data.results.length === 0)) {
+                response = await this._request('/search/movie', { params, timeout: 15000 });
+            }
+
             if (!response.data.results || response.data.results.length === 0) {
                 return null;
             }
 
-            // 获取第一个结果并添加详细信息
-            const movie = response.data.results[0];
+            // 获取第一个结果（年份一致的优先）并添加详细信息
+            const movie = this._rankByYear(response.data.results, year)[0];
             
             // 获取完整的电影详情
-            const detailsResponse = await this.api.get(`/movie/${movie.id}`, {
+            const detailsResponse = await this._request(`/movie/${movie.id}`, {
                 params: {
                     api_key: this.token,
                     language: this.language,
@@ -1180,7 +1727,7 @@ class TMDbAPI {
 
             const details = detailsResponse.data;
             
-            return {
+            return await this._applyLanguageFallback({
                 id: details.id,
                 title: this._cleanText(details.title),
                 overview: this._cleanText(details.overview),
@@ -1205,7 +1752,7 @@ class TMDbAPI {
                 budget: details.budget || 0,
                 revenue: details.revenue || 0,
                 homepage: details.homepage
-            };
+            });
 
         } catch (error) {
             this.log.error(`电影搜索失败 "${query}": ${error.message}`);
@@ -1219,7 +1766,7 @@ class TMDbAPI {
     /**
      * 专门搜索电视剧
      * @param {string} query - 搜索关键词
-     * @param {object} options - 搜索选项
+     * @param {object} options - 搜索选项（include_adult、page、year），year 作为 first_air_date_year 传给 TMDb
      * @returns {Promise<object|null>} 电视剧搜索结果
      */
     async searchTv(query, options = {}) {
@@ -1232,39 +1779,46 @@ class TMDbAPI {
         
         const {
             include_adult = false,
-            page = 1
+            page = 1,
+            year = null
         } = options;
 
         try {
-            const response = await this.api.get('/search/tv', {
-                params: {
-                    api_key: this.token,
-                    query: query,
-                    include_adult: include_adult,
-                    language: this.language,
-                    page: page,
-                },
+            const params = {
+                api_key: this.token,
+                query: query,
+                include_adult: include_adult,
+                language: this.language,
+                page: page,
+            };
+            let response = await this._request('/search/tv', {
+                params: year ? { ...params, first_air_date_year: year } : params,
                 timeout: 15000
             });
 
+            // 文件名中的年份可能和 TMDb 记录的年份不一致，按年份找不到时不带年份重新搜索
+            if (year && (!response.data.results || response.data.results.length === 0)) {
+                response = await this._request('/search/tv', { params, timeout: 15000 });
+            }
+
             if (!response.data.results || response.data.results.length === 0) {
                 return null;
             }
 
-            // 获取第一个结果并获取完整的电视剧信息
-            const tvShow = response.data.results[0];
+            // 获取第一个结果（首播年份一致的优先）并获取完整的电视剧信息
+            const tvShow = this._rankByYear(response.data.results, year)[0];
             
             // 使用已有的 getTVDetails 方法获取完整信息
             const tvDetails = await this.getTVDetails(tvShow.id);
             
             if (tvDetails) {
-                return {
+                return await this._applyLanguageFallback({
                     ...tvDetails,
                     title: this._cleanText(tvDetails.name), // 统一使用title字段
                     media_type: 'tv',
                     genre_names: this.getGenreNames('tv', tvDetails.genres?.map(g => g.id) || []),
                     release_date: tvDetails.first_air_date
-                };
+                });
             }
 
             return null;
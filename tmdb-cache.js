@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCacheRoot, readJson, writeJson } = require('./cache-utils');
+
+// 各类接口的默认缓存有效期（天）
+const DEFAULT_TTL = {
+    search: 7,
+    details: 30,
+    season: 7,
+    genre: 30
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * TMDb 响应磁盘缓存
+ * 以 接口路径 + 请求参数（不含 api_key）为键，每条响应保存为一个 JSON 文件
+ */
+class TMDbCache {
+    /**
+     * @param {object} options - 缓存配置
+     * @param {string} options.dir - 缓存目录
+     * @param {boolean} [options.cache_only] - 仅使用缓存，不访问网络
+     * @param {object} [options.ttl] - 各类接口缓存有效期（天）
+     * @param {object} log - 日志对象
+     */
+    constructor(options, log) {
+        this.dir = options.dir;
+        this.cacheOnly = !!options.cache_only;
+        this.ttl = { ...DEFAULT_TTL, ...(options.ttl || {}) };
+        this.log = log;
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            expired: 0,
+            stale: 0,
+            writes: 0
+        };
+    }
+
+    /**
+     * 根据 Hexo 配置创建缓存实例，未启用时返回 null
+     * @param {Object} hexo - Hexo 实例
+     * @returns {TMDbCache|null}
+     */
+    static fromHexo(hexo) {
+        const config = hexo.config.alist_movie_generator || {};
+        const tmdbOptions = (config.cache && config.cache.tmdb) || {};
+
+        if (tmdbOptions.enable === false) {
+            return null;
+        }
+
+        return new TMDbCache({
+            ...tmdbOptions,
+            dir: path.join(getCacheRoot(hexo), 'tmdb')
+        }, hexo.log);
+    }
+
+    /**
+     * 根据接口路径判断接口类型（用于选择缓存有效期）
+     * @param {string} url - 接口路径
+     * @returns {string} search / season / genre / details
+     */
+    static getEndpointType(url) {
+        if (url.startsWith('/search/')) return 'search';
+        if (url.startsWith('/genre/')) return 'genre';
+        if (/\/season\/\d+/.test(url)) return 'season';
+        return 'details';
+    }
+
+    /**
+     * 生成缓存键
+     * @param {string} url - 接口路径
+     * @param {object} params - 请求参数
+     * @returns {string} SHA1 哈希
+     */
+    getKey(url, params = {}) {
+        const normalized = Object.keys(params)
+            .filter(key => key !== 'api_key' && params[key] !== undefined)
+            .sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&');
+        return crypto.createHash('sha1').update(`${url}?${normalized}`).digest('hex');
+    }
+
+    /**
+     * 获取缓存文件路径
+     * @param {string} url - 接口路径
+     * @param {object} params - 请求参数
+     * @returns {string}
+     */
+    getFilePath(url, params) {
+        const type = TMDbCache.getEndpointType(url);
+        const key = this.getKey(url, params);
+        return path.join(this.dir, type, key.slice(0, 2), `${key}.json`);
+    }
+
+    /**
+     * 读取缓存
+     * @param {string} url - 接口路径
+     * @param {object} params - 请求参数
+     * @param {object} options - 读取选项
+     * @param {boolean} [options.allowStale] - 是否允许返回过期缓存（网络失败时兜底）
+     * @returns {object|null} 缓存条目 {status, data, cached_at}
+     */
+    get(url, params, options = {}) {
+        const entry = readJson(this.getFilePath(url, params), null);
+
+        if (options.allowStale) {
+            if (entry) this.stats.stale++;
+            return entry;
+        }
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        const ttlDays = this.ttl[TMDbCache.getEndpointType(url)];
+        const expired = ttlDays > 0 && Date.now() - entry.cached_at > ttlDays * DAY_MS;
+
+        // cache_only 模式下过期缓存仍然可用
+        if (expired && !this.cacheOnly) {
+            this.stats.expired++;
+            return null;
+        }
+
+        this.stats.hits++;
+        return entry;
+    }
+
+    /**
+     * 写入缓存
+     * @param {string} url - 接口路径
+     * @param {object} params - 请求参数
+     * @param {*} data - 响应数据
+     * @param {number} status - HTTP 状态码（404 用于缓存"未找到"结果）
+     */
+    set(url, params, data, status = 200) {
+        try {
+            writeJson(this.getFilePath(url, params), {
+                url: url,
+                status: status,
+                cached_at: Date.now(),
+                data: data
+            });
+            this.stats.writes++;
+        } catch (error) {
+            this.log.warn(`写入 TMDb 缓存失败 ${url}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 输出缓存命中统计
+     */
+    logStats() {
+        const { hits, misses, expired, stale, writes } = this.stats;
+        const total = hits + misses + expired;
+        const hitRate = total > 0 ? Math.round(hits / total * 100) : 0;
+
+        this.log.info(`TMDb 缓存统计: 命中 ${hits}, 未命中 ${misses}, 过期 ${expired}, 命中率 ${hitRate}%` +
+            `${stale > 0 ? `, 网络失败时使用过期缓存 ${stale} 次` : ''}, 写入 ${writes}` +
+            `${this.cacheOnly ? '（仅缓存模式）' : ''}`);
+    }
+
+    /**
+     * 删除所有缓存文件
+     */
+    clear() {
+        if (fs.existsSync(this.dir)) {
+            fs.rmSync(this.dir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = TMDbCache;
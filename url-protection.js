@@ -0,0 +1,141 @@
+/**
+ * 密码保护 - 构建时加密页面中的媒体地址，访客在浏览器中输入密码后才能解密
+ *
+ * 使用 PBKDF2（SHA-256）从密码派生密钥，AES-256-GCM 加密每个地址，浏览器端用 Web Crypto 解密（见 source/player/protect.js）
+ * 加密后的值为 "enc:" + Base64(IV + 密文 + 认证标签)
+ */
+
+const crypto = require('crypto');
+
+const PROTECTED_PREFIX = 'enc:';
+const DEFAULT_ITERATIONS = 200000;
+const PASSWORD_ENV = 'ALIST_MOVIE_PASSWORD';
+
+// 用于在浏览器中校验密码的明文
+const CHECK_TEXT = 'alist-movie';
+
+// 地址和签名字段：url、download_url 等，以及 Alist 的 sign
+const URL_KEY_PATTERN = /^(url|sign|\w+_url)$/;
+
+// 本地海报、剧照等图片字段（完整地址时来自存储，TMDb 图片为相对路径，不需要加密）
+const IMAGE_KEYS = ['poster_path', 'backdrop_path', 'still_path', 'poster', 'fanart'];
+
+/**
+ * 读取 protect 配置，密码可以写在配置中或通过环境变量 ALIST_MOVIE_PASSWORD 提供
+ * @param {Object} [config] - protect 配置
+ * @returns {{password: string, iterations: number}|null} 未开启时返回 null，开启但没有密码时 password 为空
+ */
+function getProtectionConfig(config) {
+    if (!config || !config.enable) {
+        return null;
+    }
+
+    return {
+        password: String(config.password || process.env[PASSWORD_ENV] || ''),
+        iterations: Number.isInteger(config.iterations) && config.iterations > 0 ? config.iterations : DEFAULT_ITERATIONS
+    };
+}
+
+/**
+ * 创建加密器（每次构建使用新的随机盐）
+ * @param {string} password - 访问密码
+ * @param {number} [iterations] - PBKDF2 迭代次数
+ * @returns {{salt: string, iterations: number, check: string, encrypt: Function}}
+ */
+function createProtector(password, iterations = DEFAULT_ITERATIONS) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.pbkdf2Sync(password, salt, iterations, 32, 'sha256');
+
+    const encrypt = text => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+        return PROTECTED_PREFIX + Buffer.concat([iv, encrypted]).toString('base64');
+    };
+
+    return {
+        salt: salt.toString('base64'),
+        iterations,
+        check: encrypt(CHECK_TEXT),
+        encrypt
+    };
+}
+
+/**
+ * 解密（用于测试和命令行，浏览器端见 protect.js）
+ * @param {string} value - 加密后的值
+ * @param {string} password - 访问密码
+ * @param {{salt: string, iterations: number}} options - 加密器的盐和迭代次数
+ * @returns {string|null} 密码错误时返回 null
+ */
+function decryptValue(value, password, options) {
+    try {
+        const data = Buffer.from(String(value).slice(PROTECTED_PREFIX.length), 'base64');
+        const key = crypto.pbkdf2Sync(password, Buffer.from(options.salt, 'base64'), options.iterations, 32, 'sha256');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+        decipher.setAuthTag(data.subarray(data.length - 16));
+        return Buffer.concat([decipher.update(data.subarray(12, data.length - 16)), decipher.final()]).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 判断字段是否需要加密：地址和签名字段，以及完整地址形式的本地图片
+ * @param {string} key - 字段名
+ * @param {*} value - 字段值
+ * @returns {boolean}
+ */
+function isSensitive(key, value) {
+    if (typeof value !== 'string' || !value || value.startsWith(PROTECTED_PREFIX)) {
+        return false;
+    }
+    return URL_KEY_PATTERN.test(key) || (IMAGE_KEYS.includes(key) && /^https?:\/\//i.test(value));
+}
+
+/**
+ * 复制条目并加密其中的媒体地址（片源、分段、剧集、附加内容、字幕和本地图片）
+ * @param {*} value - 影视条目（或其中的任意部分）
+ * @param {Object} protector - createProtector 返回的加密器
+ * @returns {*} 加密后的副本
+ */
+function protectMovie(value, protector) {
+    if (Array.isArray(value)) {
+        return value.map(item => protectMovie(item, protector));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = isSensitive(key, item) ? protector.encrypt(item) : protectMovie(item, protector);
+    }
+    return result;
+}
+
+/**
+ * 页面中注入的解密参数（不含密码和密钥）
+ * @param {Object} protector - createProtector 返回的加密器
+ * @param {Object} text - 密码提示框的界面文字
+ * @returns {{salt: string, iterations: number, check: string, prefix: string, text: Object}}
+ */
+function getClientConfig(protector, text) {
+    return {
+        salt: protector.salt,
+        iterations: protector.iterations,
+        check: protector.check,
+        prefix: PROTECTED_PREFIX,
+        text
+    };
+}
+
+module.exports = {
+    PROTECTED_PREFIX,
+    IMAGE_KEYS,
+    getProtectionConfig,
+    createProtector,
+    decryptValue,
+    protectMovie,
+    getClientConfig
+};
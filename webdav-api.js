@@ -0,0 +1,127 @@
+const axios = require('axios');
+const StorageProvider = require('./storage-provider');
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+    '<d:propfind xmlns:d="DAV:"><d:prop>' +
+    '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/>' +
+    '</d:prop></d:propfind>';
+
+/**
+ * WebDAV 存储 - 通过 PROPFIND (Depth: 1) 列出目录
+ * 播放地址为 public_url（未配置时为 url）加文件路径，浏览器需要能匿名访问该地址
+ */
+class WebDAVAPI extends StorageProvider {
+    /**
+     * @param {object} config - { url, username, password, public_url }
+     * @param {object} log - 日志对象
+     * @param {object} options - 见 StorageProvider
+     */
+    constructor(config, log, options = {}) {
+        super(config, log, options);
+
+        const endpoint = new URL(config.url);
+        this.endpoint = config.url.replace(/\/+$/, '');
+        // 服务器返回的 href 为绝对路径，需要去掉 WebDAV 根路径
+        this.rootPath = decodeURIComponent(endpoint.pathname).replace(/\/+$/, '');
+        this.publicUrl = (config.public_url || config.url).replace(/\/+$/, '');
+        this.auth = config.username ? { username: config.username, password: config.password || '' } : undefined;
+    }
+
+    get type() {
+        return 'webdav';
+    }
+
+    /**
+     * 通过 PROPFIND 获取目录内容（失败时抛出异常）
+     * @param {string} currentPath - 目录路径
+     * @returns {Promise<Array>} 目录内容
+     */
+    async _fetchFiles(currentPath) {
+        const dirPath = currentPath.endsWith('/') ? currentPath : `${currentPath}/`;
+        const response = await axios.request({
+            method: 'PROPFIND',
+            url: `${this.endpoint}${StorageProvider.encodePath(dirPath)}`,
+            data: PROPFIND_BODY,
+            auth: this.auth,
+            headers: {
+                Depth: '1',
+                'Content-Type': 'application/xml; charset=utf-8'
+            },
+            responseType: 'text',
+            timeout: 30000
+        });
+
+        return this._parseMultistatus(String(response.data), currentPath);
+    }
+
+    /**
+     * 解析 PROPFIND 返回的 multistatus XML（命名空间前缀因服务器而异）
+     * @param {string} xml - 响应内容
+     * @param {string} currentPath - 目录路径
+     * @returns {Array} 目录内容（不含目录自身）
+     */
+    _parseMultistatus(xml, currentPath) {
+        const items = [];
+        const selfPath = this._normalizePath(currentPath);
+        const responsePattern = /<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/gi;
+        const readTag = (block, tag) => {
+            const match = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        let match;
+        while ((match = responsePattern.exec(xml)) !== null) {
+            const block = match[1];
+            const href = readTag(block, 'href').replace(/&amp;/g, '&');
+            if (!href) continue;
+
+            let hrefPath;
+            try {
+                hrefPath = decodeURIComponent(new URL(href, this.endpoint).pathname);
+            } catch (error) {
+                continue;
+            }
+            if (this.rootPath && hrefPath.startsWith(this.rootPath)) {
+                hrefPath = hrefPath.slice(this.rootPath.length) || '/';
+            }
+
+            const itemPath = this._normalizePath(hrefPath);
+            if (itemPath === selfPath) continue;
+
+            const modified = new Date(readTag(block, 'getlastmodified'));
+            items.push({
+                name: itemPath.split('/').pop(),
+                is_dir: /<(?:[\w-]+:)?collection\b/i.test(readTag(block, 'resourcetype')),
+                size: parseInt(readTag(block, 'getcontentlength'), 10) || 0,
+                modified: isNaN(modified.getTime()) ? null : modified.toISOString()
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * 通过 WebDAV 地址读取文本文件（播放地址可能不允许匿名访问以外的方式）
+     * @param {string} itemPath - 文件路径
+     * @returns {Promise<string>}
+     */
+    async _fetchTextFile(itemPath) {
+        const response = await axios.get(`${this.endpoint}${StorageProvider.encodePath(itemPath)}`, {
+            auth: this.auth,
+            responseType: 'text',
+            timeout: 15000
+        });
+        return String(response.data);
+    }
+
+    /**
+     * 生成文件的播放地址
+     * @param {string} itemPath - 文件路径
+     * @returns {string}
+     */
+    getFileUrl(itemPath) {
+        return `${this.publicUrl}${StorageProvider.encodePath(itemPath)}`;
+    }
+}
+
+module.exports = WebDAVAPI;